@@ -37,6 +37,7 @@ module.exports = [
                 Response: 'readonly',
                 Headers: 'readonly',
                 URL: 'readonly',
+                Blob: 'readonly',
                 URLSearchParams: 'readonly',
                 performance: 'readonly',
                 matchMedia: 'readonly',
@@ -63,6 +64,31 @@ module.exports = [
                 MusicTheory: 'writable',
                 ThemeManager: 'writable',
                 ThemeToggle: 'writable',
+                IntervalPanel: 'writable',
+                ChordSymbolPanel: 'writable',
+                ChordFinderPanel: 'writable',
+                AnalysisPanel: 'writable',
+                ProgressionStore: 'writable',
+                ProgressionEditorPanel: 'writable',
+                ModulationPanel: 'writable',
+                MidiExporter: 'writable',
+                AudioRenderer: 'writable',
+                ExportPanel: 'writable',
+                MidiInput: 'writable',
+                MidiInputPanel: 'writable',
+                MidiOutput: 'writable',
+                MidiOutputPanel: 'writable',
+                RHYTHM_STYLES: 'writable',
+                BassLineGenerator: 'writable',
+                MusicalTime: 'writable',
+                Metronome: 'writable',
+                StepSequencer: 'writable',
+                SequencerPanel: 'writable',
+                PresetStore: 'writable',
+                PresetPanel: 'writable',
+                SynthPanel: 'writable',
+                UrlState: 'writable',
+                SettingsStore: 'writable',
 
                 // Node.js globals for test files
                 module: 'readonly',
@@ -0,0 +1,134 @@
+/**
+ * Analysis Panel Component
+ * Roman numeral analysis of a chord sequence typed by the user
+ */
+
+import { loggers } from './logger.js';
+
+/**
+ * UI component for roman numeral analysis.
+ * Analyzes the entered chord symbols in the key selected on the circle with
+ * MusicTheory.analyzeProgression, and re-analyzes when the key or mode changes.
+ * Chords the analysis can't explain are flagged.
+ *
+ * @class AnalysisPanel
+ * @example
+ * const analysisPanel = new AnalysisPanel(musicTheory, app);
+ */
+class AnalysisPanel {
+    /**
+     * Creates a new AnalysisPanel instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance used for analysis
+     * @param {Object} app - Application instance providing circleRenderer
+     */
+    constructor(musicTheory, app) {
+        this.musicTheory = musicTheory;
+        this.app = app;
+        this.logger = loggers?.interactions || console;
+
+        this.elements = {
+            form: document.getElementById('analysis-form'),
+            input: document.getElementById('analysis-input'),
+            result: document.getElementById('analysis-result'),
+            svg: document.getElementById('circle-svg')
+        };
+
+        // Bind methods
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleContextChange = this.handleContextChange.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        if (!this.elements.form || !this.elements.input || !this.elements.result) {
+            this.logger.debug('Analysis panel elements not found, skipping setup');
+            return;
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.form.addEventListener('submit', this.handleSubmit);
+        this.elements.svg?.addEventListener('keySelected', this.handleContextChange);
+        this.elements.svg?.addEventListener('modeChanged', this.handleContextChange);
+    }
+
+    /**
+     * Analyze the entered sequence
+     * @param {Event} event - Submit event
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+        this.analyze();
+    }
+
+    /**
+     * Re-analyze in the newly selected key or mode
+     */
+    handleContextChange() {
+        if (this.elements.input.value.trim()) {
+            this.analyze();
+        }
+    }
+
+    /**
+     * Analyze the input in the selected key and render one row per chord
+     */
+    analyze() {
+        const { selectedKey = 'C', currentMode = 'major' } =
+            this.app.circleRenderer?.getState() || {};
+        const analysis = this.musicTheory.analyzeProgression(
+            this.elements.input.value,
+            selectedKey,
+            currentMode
+        );
+
+        this.elements.result.replaceChildren();
+        analysis.forEach(({ symbol, numeral, explained, description }) => {
+            const item = document.createElement('li');
+            item.className = explained ? 'analysis-chord' : 'analysis-chord unexplained';
+            item.title = description;
+
+            const symbolText = document.createElement('span');
+            symbolText.className = 'analysis-symbol';
+            symbolText.textContent = symbol;
+
+            const numeralText = document.createElement('span');
+            numeralText.className = 'analysis-numeral';
+            numeralText.textContent = numeral ?? '?';
+
+            item.append(symbolText, numeralText);
+            if (!explained) {
+                item.setAttribute('aria-label', `${symbol}: ${numeral ?? ''}, ${description}`);
+            }
+            this.elements.result.appendChild(item);
+        });
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.elements.form?.removeEventListener('submit', this.handleSubmit);
+        this.elements.svg?.removeEventListener('keySelected', this.handleContextChange);
+        this.elements.svg?.removeEventListener('modeChanged', this.handleContextChange);
+    }
+}
+
+// ES6 module export
+export { AnalysisPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.AnalysisPanel = AnalysisPanel;
+}
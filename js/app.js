@@ -4,6 +4,9 @@
  */
 
 import { loggers } from './logger.js';
+import { CircleState } from './state/CircleState.js';
+import { UrlState } from './urlState.js';
+import { SettingsStore } from './settingsStore.js';
 
 /**
  * Main application class for the Circle of Fifths interactive music theory tool.
@@ -26,10 +29,27 @@ class CircleOfFifthsApp {
         this.audioEngine = null;
         this.audioEngineLoading = false;
         this.audioEngineLoadPromise = null;
+        this.state = null;
+        this.urlState = null;
+        this.settingsStore = null;
         this.circleRenderer = null;
         this.interactionsHandler = null;
         this.themeManager = null;
         this.themeToggle = null;
+        this.progressionStore = null;
+        this.intervalPanel = null;
+        this.chordSymbolPanel = null;
+        this.chordFinderPanel = null;
+        this.analysisPanel = null;
+        this.progressionEditorPanel = null;
+        this.modulationPanel = null;
+        this.exportPanel = null;
+        this.midiInputPanel = null;
+        this.midiOutputPanel = null;
+        this.sequencerPanel = null;
+        this.presetStore = null;
+        this.presetPanel = null;
+        this.synthPanel = null;
 
         this.isInitialized = false;
         this.initializationPromise = null;
@@ -153,6 +173,14 @@ class CircleOfFifthsApp {
         this.musicTheory = new MusicTheory();
         this.logger.debug('Music theory engine initialized');
 
+        // Load the user's progressions before the info panel first lists progressions
+        this.progressionStore = new ProgressionStore(this.musicTheory);
+        this.logger.debug('Progression store initialized');
+
+        // Load the user's sound presets
+        this.presetStore = new PresetStore();
+        this.logger.debug('Preset store initialized');
+
         // Audio engine will be lazy loaded on first use
         this.logger.debug('Audio engine will be lazy loaded on first audio interaction');
 
@@ -164,8 +192,21 @@ class CircleOfFifthsApp {
             throw new Error('Circle SVG element not found');
         }
 
+        // Shared state of the key, mode and audio settings, with undo and redo, starting
+        // from the page's link and the saved settings (the link's take precedence), kept
+        // in the URL and saved as it changes (the link's settings only once they change)
+        this.urlState = new UrlState(this.musicTheory);
+        this.settingsStore = new SettingsStore();
+        const linked = this.urlState.read();
+        this.state = new CircleState({
+            ...linked,
+            audioSettings: { ...this.settingsStore.load(), ...linked.audioSettings }
+        });
+        this.urlState.bindState(this.state);
+        this.settingsStore.bindState(this.state);
+
         // Initialize circle renderer
-        this.circleRenderer = new CircleRenderer(svgElement, this.musicTheory);
+        this.circleRenderer = new CircleRenderer(svgElement, this.musicTheory, this.state);
         this.logger.debug('Circle renderer initialized');
 
         // Initialize interactions handler (pass app reference for lazy audio loading)
@@ -175,6 +216,54 @@ class CircleOfFifthsApp {
             this.musicTheory
         );
         this.logger.debug('Interactions handler initialized');
+
+        // Initialize interval panel (uses the lazily loaded audio engine)
+        this.intervalPanel = new IntervalPanel(this.musicTheory, this);
+        this.logger.debug('Interval panel initialized');
+
+        // Initialize chord symbol input
+        this.chordSymbolPanel = new ChordSymbolPanel(this.musicTheory, this);
+        this.logger.debug('Chord symbol panel initialized');
+
+        // Initialize chord recognition on the piano keyboard
+        this.chordFinderPanel = new ChordFinderPanel(this.musicTheory, this);
+        this.logger.debug('Chord finder panel initialized');
+
+        // Initialize roman numeral analysis
+        this.analysisPanel = new AnalysisPanel(this.musicTheory, this);
+        this.logger.debug('Analysis panel initialized');
+
+        // Initialize the editor for the user's own progressions
+        this.progressionEditorPanel = new ProgressionEditorPanel(this.musicTheory, this);
+        this.logger.debug('Progression editor panel initialized');
+
+        // Initialize the modulation planner
+        this.modulationPanel = new ModulationPanel(this.musicTheory, this);
+        this.logger.debug('Modulation panel initialized');
+
+        // Initialize MIDI and WAV export
+        this.exportPanel = new ExportPanel(this.musicTheory, this);
+        this.logger.debug('Export panel initialized');
+
+        // Initialize MIDI keyboard input
+        this.midiInputPanel = new MidiInputPanel(this.musicTheory, this);
+        this.logger.debug('MIDI input panel initialized');
+
+        // Initialize MIDI output to external synths
+        this.midiOutputPanel = new MidiOutputPanel(this.musicTheory, this);
+        this.logger.debug('MIDI output panel initialized');
+
+        // Initialize the step sequencer
+        this.sequencerPanel = new SequencerPanel(this.musicTheory, this);
+        this.logger.debug('Sequencer panel initialized');
+
+        // Initialize sound presets in the audio settings
+        this.presetPanel = new PresetPanel(this);
+        this.logger.debug('Preset panel initialized');
+
+        // Initialize the synth's voice and effects settings
+        this.synthPanel = new SynthPanel(this);
+        this.logger.debug('Synth panel initialized');
     }
 
     /**
@@ -206,8 +295,13 @@ class CircleOfFifthsApp {
                 // Dynamic import of AudioEngine
                 const { AudioEngine } = await import('./audioEngine.js');
 
-                // Create and initialize
-                this.audioEngine = new AudioEngine();
+                // Create and initialize, sharing the music theory instance so the
+                // user's progressions can be played
+                this.audioEngine = new AudioEngine(
+                    /** @type {any} */ (/** @type {unknown} */ (this.musicTheory))
+                );
+                // Start from the settings chosen so far, and follow them from now on
+                this.audioEngine.bindState(this.state);
                 await this.audioEngine.initialize();
 
                 const loadDuration = loadTimer();
@@ -260,8 +354,8 @@ class CircleOfFifthsApp {
      * Perform initial render
      */
     performInitialRender() {
-        // Set initial key to C major
-        this.circleRenderer.selectKey('C');
+        // Select the key the page was opened with
+        this.circleRenderer.selectKey(this.state.getState('selectedKey'));
 
         // Update initial UI state
         this.updateUIState();
@@ -449,6 +543,8 @@ class CircleOfFifthsApp {
             'Escape: Stop audio',
             'Ctrl+M: Toggle major/minor',
             'Ctrl+D: Toggle difficulty',
+            'Ctrl+Z: Undo key, mode or setting change',
+            'Ctrl+Shift+Z: Redo',
             'F1 or Shift+?: Show this help'
         ];
 
@@ -515,6 +611,70 @@ class CircleOfFifthsApp {
             this.themeToggle.destroy();
         }
 
+        if (this.intervalPanel) {
+            this.intervalPanel.destroy();
+        }
+
+        if (this.chordSymbolPanel) {
+            this.chordSymbolPanel.destroy();
+        }
+
+        if (this.chordFinderPanel) {
+            this.chordFinderPanel.destroy();
+        }
+
+        if (this.analysisPanel) {
+            this.analysisPanel.destroy();
+        }
+
+        if (this.progressionEditorPanel) {
+            this.progressionEditorPanel.destroy();
+        }
+
+        if (this.modulationPanel) {
+            this.modulationPanel.destroy();
+        }
+
+        if (this.exportPanel) {
+            this.exportPanel.destroy();
+        }
+
+        if (this.midiInputPanel) {
+            this.midiInputPanel.destroy();
+        }
+
+        if (this.midiOutputPanel) {
+            this.midiOutputPanel.destroy();
+        }
+
+        if (this.sequencerPanel) {
+            this.sequencerPanel.destroy();
+        }
+
+        if (this.presetPanel) {
+            this.presetPanel.destroy();
+        }
+
+        if (this.synthPanel) {
+            this.synthPanel.destroy();
+        }
+
+        if (this.presetStore) {
+            this.presetStore.destroy();
+        }
+
+        if (this.urlState) {
+            this.urlState.destroy();
+        }
+
+        if (this.settingsStore) {
+            this.settingsStore.destroy();
+        }
+
+        if (this.progressionStore) {
+            this.progressionStore.destroy();
+        }
+
         if (this.themeManager) {
             this.themeManager.destroy();
         }
@@ -5,6 +5,52 @@
 
 import { MusicTheory } from './musicTheory.js';
 import { loggers } from './logger.js';
+import { StepSequencer } from './stepSequencer.js';
+import { Metronome, METRONOME_SUBDIVISIONS } from './metronome.js';
+import { BassLineGenerator } from './bassLine.js';
+import { MusicalTime } from './musicalTime.js';
+import { RHYTHM_STYLES, DEFAULT_RHYTHM_STYLE, getPatternHits, fitPattern } from './rhythmStyles.js';
+import { WAVEFORMS, REVERB_TYPES, AUDIO_SETTING_RANGES } from './state/CircleState.js';
+
+// Gain a note's envelope peaks at, and the gain it starts and ends at
+const ENVELOPE_PEAK_GAIN = 0.3;
+const ENVELOPE_MIN_GAIN = 0.00001; // Very small but not zero to prevent issues
+
+// Pitch and relative volume of metronome clicks at each level
+const CLICK_SOUNDS = {
+    accent: { frequency: 1600, volume: 1 },
+    beat: { frequency: 1000, volume: 0.7 },
+    subdivision: { frequency: 800, volume: 0.35 }
+};
+
+/**
+ * Stop an audio parameter's scheduled changes, holding the value it has at a time,
+ * so changes scheduled next continue smoothly from there
+ * @param {AudioParam} param - Parameter to hold
+ * @param {number} time - AudioContext time to hold it at
+ */
+function holdAudioParam(param, time) {
+    if (param.cancelAndHoldAtTime) {
+        param.cancelAndHoldAtTime(time);
+    } else {
+        // Without cancelAndHoldAtTime (Firefox) the current value is held instead
+        const value = param.value;
+        param.cancelScheduledValues(time);
+        param.setValueAtTime(value, time);
+    }
+}
+
+/**
+ * Keep a setting's new value within its range, see AUDIO_SETTING_RANGES
+ * @param {string} name - Setting name
+ * @param {number|undefined} value - New value, or undefined to keep the current one
+ * @param {number} [current=value] - Current value
+ * @returns {number} Value to use
+ */
+function clampSetting(name, value, current = value) {
+    const { min, max } = AUDIO_SETTING_RANGES[name];
+    return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : current;
+}
 
 /**
  * Node pool for reusing audio nodes to improve performance
@@ -82,14 +128,18 @@ class AudioEngine {
      * Note: initialize() must be called after user interaction to activate audio.
      *
      * @constructor
+     * @param {MusicTheory} [musicTheory] - Music theory instance to share with the app, so
+     *   user-defined progressions registered on it can be played
      */
-    constructor() {
+    constructor(musicTheory = new MusicTheory()) {
         this.audioContext = null;
         this.masterGain = null;
         this.effectsChain = null;
         this.isInitialized = false;
         this.currentlyPlaying = new Set();
-        this.musicTheory = new MusicTheory();
+        // Synth voices that are scheduled or sounding, so setting changes reach them
+        this.activeVoices = new Set();
+        this.musicTheory = musicTheory;
         this.cleanupTimeouts = new Set(); // Track cleanup timeouts for proper disposal
 
         // Initialize logger
@@ -99,12 +149,27 @@ class AudioEngine {
         // Custom waveforms for enhanced sound quality
         this.customWaves = null;
 
+        // Picks the pitches of the rhythm style's bass lines
+        this.bassLine = new BassLineGenerator(musicTheory);
+
         // Node pools for performance optimization
         this.nodePools = null;
 
         // Event listeners for note highlighting
         this.noteEventListeners = new Set();
 
+        // Note events waiting for their chord to start (cleared by stopAll)
+        this.noteEventTimeouts = new Set();
+
+        // Noise source for reverb impulses and drums; offline renders swap in a seeded one
+        this.random = Math.random;
+
+        // External backend (such as MidiOutput) that scheduled notes are also sent to
+        this.output = null;
+
+        // Stops following the app's shared state, see bindState
+        this.unbindState = null;
+
         // Advanced timing and scheduling
         this.scheduler = {
             lookahead: 25.0, // 25ms lookahead
@@ -120,9 +185,15 @@ class AudioEngine {
         // Audio settings
         this.settings = {
             masterVolume: 0.3,
-            noteLength: 0.8, // seconds
-            chordLength: 1.5,
-            progressionNoteLength: 1.0,
+            // Musical time, see MusicalTime; every length below follows the tempo
+            tempo: 120, // Quarter notes per minute
+            beatsPerBar: 4, // Time signature, see TIME_SIGNATURES
+            beatUnit: 4,
+            beatsPerChord: null, // Beats a progression chord lasts; null for the meter's default
+            swing: 0, // 0 (even eighths) to 1 (triplet swing)
+            noteQuarters: 1.6, // Length of a single note, in quarter notes
+            chordQuarters: 3, // Length of a single chord, in quarter notes
+            rhythmStyle: DEFAULT_RHYTHM_STYLE, // Accompaniment style, see RHYTHM_STYLES
             attackTime: 0.05,
             decayTime: 0.1,
             sustainLevel: 0.7,
@@ -156,18 +227,20 @@ class AudioEngine {
             // Bass settings
             bassEnabled: false,
             bassVolume: 1.2, // Increased for better audibility
-            bassOctave: 2 // Raised octave for more audible frequency range
+            bassOctave: 2, // Raised octave for more audible frequency range
+            // Metronome settings
+            metronomeVolume: 0.5,
+            metronomeSubdivision: 1, // Clicks per beat, see METRONOME_SUBDIVISIONS
+            countInEnabled: false, // Click a bar in before scales and progressions
+            // Output settings
+            synthWithOutput: false // Keep the built-in synth sounding while an output is set
         };
 
-        // Looping state
-        this.loopState = {
-            enabled: false,
-            timeoutId: null,
-            currentKey: null,
-            currentMode: null,
-            currentProgression: null,
-            previousVoicing: null
-        };
+        // Step sequencer on the scheduler above; looped progressions play through it
+        this.sequencer = new StepSequencer(this);
+
+        // Metronome on the same scheduler, and the clicks music is counted in with
+        this.metronome = new Metronome(this);
     }
 
     /**
@@ -176,6 +249,8 @@ class AudioEngine {
      * Can be called multiple times safely - subsequent calls return immediately.
      *
      * @async
+     * @param {AudioContext|OfflineAudioContext|null} [context=null] - Context to play into, such as an
+     *   OfflineAudioContext to render to a buffer; a new AudioContext if null
      * @returns {Promise<boolean>} True if initialization successful, false otherwise
      * @throws {Error} If Web Audio API is not supported
      * @example
@@ -184,14 +259,14 @@ class AudioEngine {
      *     console.log('Audio ready!');
      * }
      */
-    async initialize() {
+    async initialize(context = null) {
         if (this.isInitialized) {
             return true;
         }
 
         try {
             // Create audio context
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.audioContext = context || new (window.AudioContext || window.webkitAudioContext)();
 
             // Create custom waveforms for enhanced sound quality
             this.createCustomWaveforms();
@@ -210,8 +285,9 @@ class AudioEngine {
             this.masterGain.connect(this.effectsChain.input);
             this.effectsChain.output.connect(this.audioContext.destination);
 
-            // Resume context if suspended (required by some browsers)
-            if (this.audioContext.state === 'suspended') {
+            // Resume context if suspended (required by some browsers);
+            // an offline context starts when it is rendered instead
+            if (!context && this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
             }
 
@@ -350,13 +426,13 @@ class AudioEngine {
             const t = i / sampleRate;
             const envelope = Math.exp(-t / decay);
 
-            leftChannel[i] = (Math.random() * 2 - 1) * envelope;
-            rightChannel[i] = (Math.random() * 2 - 1) * envelope;
+            leftChannel[i] = (this.random() * 2 - 1) * envelope;
+            rightChannel[i] = (this.random() * 2 - 1) * envelope;
 
             if (t < 0.05) {
                 const reflectionDecay = Math.exp(-t / 0.01);
-                leftChannel[i] += (Math.random() * 2 - 1) * reflectionDecay * 0.5;
-                rightChannel[i] += (Math.random() * 2 - 1) * reflectionDecay * 0.5;
+                leftChannel[i] += (this.random() * 2 - 1) * reflectionDecay * 0.5;
+                rightChannel[i] += (this.random() * 2 - 1) * reflectionDecay * 0.5;
             }
         }
 
@@ -510,7 +586,9 @@ class AudioEngine {
             return {
                 input: reverbInput,
                 output: reverbOutput,
-                convolver
+                convolver,
+                wet: [reverbWet],
+                dry: reverbDry
             };
         } catch (error) {
             this.logger.warn(
@@ -531,7 +609,7 @@ class AudioEngine {
         const reverbOutput = this.audioContext.createGain();
         const delays = [0.037, 0.053, 0.079, 0.097];
 
-        delays.forEach(time => {
+        const wet = delays.map(time => {
             const delay = this.audioContext.createDelay();
             delay.delayTime.value = time;
             const gain = this.audioContext.createGain();
@@ -540,6 +618,7 @@ class AudioEngine {
             reverbInput.connect(delay);
             delay.connect(gain);
             gain.connect(reverbOutput);
+            return gain;
         });
 
         // Also connect dry signal
@@ -550,7 +629,9 @@ class AudioEngine {
 
         return {
             input: reverbInput,
-            output: reverbOutput
+            output: reverbOutput,
+            wet,
+            dry: dryGain
         };
     }
 
@@ -581,8 +662,8 @@ class AudioEngine {
         const releaseTime = this.settings.releaseTime;
 
         const sustainTime = Math.max(0, duration - attackTime - decayTime - releaseTime);
-        const peakGain = 0.3;
-        const minGain = 0.00001; // Very small but not zero to prevent issues
+        const peakGain = ENVELOPE_PEAK_GAIN;
+        const minGain = ENVELOPE_MIN_GAIN;
 
         // Start from very small value (anti-click)
         gainNode.gain.setValueAtTime(minGain, startTime);
@@ -622,10 +703,19 @@ class AudioEngine {
         filter.type = 'lowpass';
         filter.Q.value = this.settings.filterResonance;
 
-        // Calculate filter frequencies based on note frequency
-        const baseFreq = Math.max(frequency * 1.5, 200);
-        const peakFreq = Math.min(frequency * this.settings.filterEnvelopeAmount, 8000);
-        const sustainFreq = Math.max(frequency * 2.5, 400);
+        this.createFilterEnvelope(filter, frequency, startTime, duration);
+        return filter;
+    }
+
+    /**
+     * Schedule a note's filter envelope, which follows the ADSR envelope
+     * @param {BiquadFilterNode} filter - Note's filter
+     * @param {number} frequency - Note frequency
+     * @param {number} startTime - Start time
+     * @param {number} duration - Duration
+     */
+    createFilterEnvelope(filter, frequency, startTime, duration) {
+        const { baseFreq, peakFreq, sustainFreq } = this.getFilterFrequencies(frequency);
 
         const attackTime = this.settings.attackTime;
         const decayTime = this.settings.decayTime;
@@ -640,8 +730,91 @@ class AudioEngine {
 
         // Release: Filter closes
         filter.frequency.exponentialRampToValueAtTime(baseFreq, startTime + duration);
+    }
 
-        return filter;
+    /**
+     * Calculate filter frequencies based on note frequency
+     * @param {number} frequency - Note frequency
+     * @returns {{baseFreq: number, peakFreq: number, sustainFreq: number}} Frequencies the
+     *   filter envelope starts and ends at, peaks at and sustains at
+     */
+    getFilterFrequencies(frequency) {
+        return {
+            baseFreq: Math.max(frequency * 1.5, 200),
+            peakFreq: Math.min(frequency * this.settings.filterEnvelopeAmount, 8000),
+            sustainFreq: Math.max(frequency * 2.5, 400)
+        };
+    }
+
+    /**
+     * Keep track of a synth voice until it has finished, so setting changes reach it
+     * @param {Object} voice - Voice: its startTime, duration, frequency, envelope
+     *   gainNode and filter, and subGain and detuned oscillators if it has them
+     * @returns {function(): void} Stops tracking the voice
+     */
+    trackVoice(voice) {
+        this.activeVoices.add(voice);
+        return () => this.activeVoices.delete(voice);
+    }
+
+    /**
+     * Schedule what is left of a voice's envelope and filter envelope again, for the
+     * current settings. The voice keeps its length, so a longer release is cut short
+     * at its end; a voice that has not started yet is scheduled again from its start.
+     * @param {Object} voice - Voice as given to trackVoice
+     * @param {number} now - Current AudioContext time
+     */
+    rescheduleVoice(voice, now) {
+        const { startTime, duration, frequency, gainNode, filter } = voice;
+        const endTime = startTime + duration;
+        if (now >= endTime) {
+            return;
+        }
+
+        if (now <= startTime) {
+            gainNode.gain.cancelScheduledValues(startTime);
+            this.createADSREnvelope(gainNode, startTime, duration);
+            if (filter) {
+                filter.frequency.cancelScheduledValues(startTime);
+                this.createFilterEnvelope(filter, frequency, startTime, duration);
+            }
+            return;
+        }
+
+        const { attackTime, decayTime, sustainLevel, releaseTime } = this.settings;
+        const attackEnd = startTime + attackTime;
+        const decayEnd = attackEnd + decayTime;
+        const releaseStart = Math.max(decayEnd, endTime - releaseTime);
+        const sustainGain = Math.max(ENVELOPE_PEAK_GAIN * sustainLevel, ENVELOPE_MIN_GAIN);
+
+        const gain = gainNode.gain;
+        holdAudioParam(gain, now);
+        if (now < attackEnd) {
+            gain.linearRampToValueAtTime(ENVELOPE_PEAK_GAIN, attackEnd);
+        }
+        if (now < decayEnd) {
+            gain.exponentialRampToValueAtTime(sustainGain, decayEnd);
+        } else if (now < releaseStart) {
+            // Glide to a new sustain level rather than jump, which would click
+            gain.setTargetAtTime(sustainGain, now, 0.02);
+        }
+        if (now < releaseStart) {
+            gain.setValueAtTime(sustainGain, releaseStart);
+        }
+        gain.setTargetAtTime(ENVELOPE_MIN_GAIN, Math.max(now, releaseStart), releaseTime / 5);
+        gain.setValueAtTime(ENVELOPE_MIN_GAIN, endTime);
+
+        if (filter) {
+            const { baseFreq, peakFreq, sustainFreq } = this.getFilterFrequencies(frequency);
+            holdAudioParam(filter.frequency, now);
+            if (now < attackEnd) {
+                filter.frequency.exponentialRampToValueAtTime(peakFreq, attackEnd);
+            }
+            if (now < decayEnd) {
+                filter.frequency.exponentialRampToValueAtTime(sustainFreq, decayEnd);
+            }
+            filter.frequency.exponentialRampToValueAtTime(baseFreq, endTime);
+        }
     }
 
     /**
@@ -773,6 +946,18 @@ class AudioEngine {
             mixer.connect(this.masterGain);
         }
 
+        // Setting changes reach the voice while it plays
+        const untrackVoice = this.trackVoice({
+            startTime,
+            duration,
+            frequency,
+            gainNode: mixer,
+            filter,
+            subGain,
+            leftOscillator: leftOsc,
+            rightOscillator: rightOsc
+        });
+
         // Schedule cleanup and node pool release
         const stopBuffer = 0.05; // 50ms buffer after envelope completes
         const cleanupTime =
@@ -781,6 +966,7 @@ class AudioEngine {
         const timeoutId = setTimeout(
             () => {
                 this.cleanupTimeouts.delete(timeoutId);
+                untrackVoice();
                 this.nodePools.gain.release(mainGain);
                 this.nodePools.gain.release(subGain);
                 this.nodePools.gain.release(mixer);
@@ -874,15 +1060,13 @@ class AudioEngine {
         }
 
         const frequency = this.musicTheory.getNoteFrequency(note, octave);
-        const noteDuration = duration || this.settings.noteLength;
+        const noteDuration = duration || this.getNoteLength();
         const startTime = this.audioContext.currentTime;
 
-        const synthResult = this.createOscillator(
-            frequency,
-            startTime,
-            noteDuration,
-            this.settings.waveform
-        );
+        this.sendToOutput(note, octave, startTime, noteDuration);
+        const synthResult = this.usesSynth()
+            ? this.createOscillator(frequency, startTime, noteDuration, this.settings.waveform)
+            : null;
 
         if (synthResult) {
             const oscillators = synthResult.oscillators || [
@@ -1003,7 +1187,7 @@ class AudioEngine {
             await this.initialize();
         }
 
-        const chordDuration = duration || this.settings.chordLength;
+        const chordDuration = duration || this.getChordLength();
         const startTime = this.audioContext.currentTime;
         const oscillators = [];
 
@@ -1031,13 +1215,16 @@ class AudioEngine {
         voicing.forEach(({ note, octave: noteOctave, pan }) => {
             const frequency = this.musicTheory.getNoteFrequency(note, noteOctave);
 
-            const synthResult = this.createOscillator(
-                frequency,
-                startTime,
-                chordDuration,
-                this.settings.waveform,
-                pan
-            );
+            this.sendToOutput(note, noteOctave, startTime, chordDuration);
+            const synthResult = this.usesSynth()
+                ? this.createOscillator(
+                      frequency,
+                      startTime,
+                      chordDuration,
+                      this.settings.waveform,
+                      pan
+                  )
+                : null;
 
             if (synthResult) {
                 const noteOscillators = synthResult.oscillators || [
@@ -1086,23 +1273,16 @@ class AudioEngine {
     }
 
     /**
-     * Play a complete scale pattern with octave cycles
-     * Plays ascending from root to octave, then descending back to root
-     * Example: C-D-E-F-G-A-B-C-C-B-A-G-F-E-D-C
+     * Plan the notes playScale plays, without an audio context
+     * @param {string} key - Scale root
+     * @param {string} [mode='major'] - Scale mode
+     * @param {number} [octave=4] - Octave the scale starts in
+     * @returns {Array<{note: string, octave: number, time: number, duration: number}>}
+     *   Notes with times in seconds from the start of the scale
      */
-    async playScale(key, mode = 'major', octave = 4) {
-        // Validate input parameters
-        if (!key || typeof key !== 'string') {
-            this.logger.warn('playScale: Invalid key parameter');
-            return;
-        }
-
-        if (!this.isInitialized) {
-            await this.initialize();
-        }
-
+    getScaleEvents(key, mode = 'major', octave = 4) {
         const scaleNotes = this.musicTheory.getScaleNotes(key, mode);
-        const noteDuration = this.settings.noteLength * 0.6; // Shorter notes for scales
+        const noteDuration = this.getNoteLength() * 0.6; // Shorter notes for scales
 
         // Create complete octave cycle: ascending then descending
         const rootNote = scaleNotes[0];
@@ -1116,7 +1296,8 @@ class AudioEngine {
         // Combine for complete pattern
         const completePattern = [...ascendingNotes, ...descendingNotes];
 
-        let currentTime = this.audioContext.currentTime;
+        const events = [];
+        let currentTime = 0;
         let currentOctave = octave;
 
         completePattern.forEach((note, index) => {
@@ -1142,39 +1323,69 @@ class AudioEngine {
                 }
             }
 
-            const frequency = this.musicTheory.getNoteFrequency(note, currentOctave);
-            const synthResult = this.createOscillator(
-                frequency,
-                currentTime,
-                noteDuration,
-                this.settings.waveform
-            );
+            events.push({ note, octave: currentOctave, time: currentTime, duration: noteDuration });
+            currentTime += noteDuration * 0.8; // Slight overlap
+        });
 
-            // Emit note start event for highlighting
-            this.emitNoteEvent(note, 'start');
+        return events;
+    }
 
-            if (synthResult) {
-                const oscillators = synthResult.oscillators || [
-                    synthResult.oscillator || synthResult.mainOscillator
-                ];
-                const stopBuffer = synthResult.stopBuffer || 0.05;
-                const stopTime = currentTime + noteDuration + stopBuffer;
+    /**
+     * Play a complete scale pattern with octave cycles
+     * Plays ascending from root to octave, then descending back to root
+     * Example: C-D-E-F-G-A-B-C-C-B-A-G-F-E-D-C
+     */
+    async playScale(key, mode = 'major', octave = 4) {
+        // Validate input parameters
+        if (!key || typeof key !== 'string') {
+            this.logger.warn('playScale: Invalid key parameter');
+            return;
+        }
 
-                oscillators.forEach(osc => {
-                    if (osc) {
-                        osc.start(currentTime);
-                        osc.stop(stopTime);
-                        this.currentlyPlaying.add(osc);
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
 
-                        osc.addEventListener('ended', () => {
-                            this.currentlyPlaying.delete(osc);
-                        });
-                    }
-                });
-            }
+        const startTime = this.scheduleCountIn(this.audioContext.currentTime);
 
-            currentTime += noteDuration * 0.8; // Slight overlap
-        });
+        this.getScaleEvents(key, mode, octave).forEach(
+            ({ note, octave: noteOctave, time, duration: noteDuration }) => {
+                const currentTime = startTime + time;
+                const frequency = this.musicTheory.getNoteFrequency(note, noteOctave);
+                this.sendToOutput(note, noteOctave, currentTime, noteDuration);
+                const synthResult = this.usesSynth()
+                    ? this.createOscillator(
+                          frequency,
+                          currentTime,
+                          noteDuration,
+                          this.settings.waveform
+                      )
+                    : null;
+
+                // Emit note start event for highlighting as the note sounds
+                this.scheduleNoteEvent(note, 'start', currentTime, noteDuration);
+
+                if (synthResult) {
+                    const oscillators = synthResult.oscillators || [
+                        synthResult.oscillator || synthResult.mainOscillator
+                    ];
+                    const stopBuffer = synthResult.stopBuffer || 0.05;
+                    const stopTime = currentTime + noteDuration + stopBuffer;
+
+                    oscillators.forEach(osc => {
+                        if (osc) {
+                            osc.start(currentTime);
+                            osc.stop(stopTime);
+                            this.currentlyPlaying.add(osc);
+
+                            osc.addEventListener('ended', () => {
+                                this.currentlyPlaying.delete(osc);
+                            });
+                        }
+                    });
+                }
+            }
+        );
     }
 
     /**
@@ -1286,11 +1497,12 @@ class AudioEngine {
      * @param {number} targetOctave - Target octave for voicings
      * @returns {Array} Array of voicing candidates
      */
-    generateVoicingCandidates(notes, targetOctave = 3) {
+    generateVoicingCandidates(notes, targetOctave = 3, keepBass = false) {
         const candidates = [];
 
-        // Try each inversion
-        for (let inversion = 0; inversion < notes.length; inversion++) {
+        // Try each inversion (only the given one when the bass is fixed)
+        const inversions = keepBass ? 1 : notes.length;
+        for (let inversion = 0; inversion < inversions; inversion++) {
             const invertedNotes = [...notes.slice(inversion), ...notes.slice(0, inversion)];
 
             // Try different octave placements (octave 2, 3, and 4)
@@ -1369,15 +1581,16 @@ class AudioEngine {
      * @param {Array} notes - Chord notes
      * @param {Array} previousVoicing - Previous chord voicing
      * @param {number} octave - Base octave (default 3 for better range)
+     * @param {boolean} [keepBass=false] - Keep notes[0] as the lowest voice (inverted chords)
      * @returns {Array} Optimized chord voicing
      */
-    optimizeChordVoicing(notes, previousVoicing, octave = 3) {
+    optimizeChordVoicing(notes, previousVoicing, octave = 3, keepBass = false) {
         if (!previousVoicing || previousVoicing.length === 0) {
             return this.createChordVoicing(notes, octave);
         }
 
         // Generate multiple voicing candidates
-        const candidates = this.generateVoicingCandidates(notes, octave);
+        const candidates = this.generateVoicingCandidates(notes, octave, keepBass);
 
         // Score each candidate
         let bestVoicing = candidates[0];
@@ -1416,8 +1629,10 @@ class AudioEngine {
      *    - Other voices move by the smallest possible interval
      *    - Top voice (melody) is prioritized for smooth stepwise motion
      *
-     * 3. **Diatonic Integrity**: All chord notes are guaranteed to be diatonic to the key
-     *    (except in minor mode where the V chord may use the raised leading tone)
+     * 3. **Diatonic Integrity**: Plain numerals are diatonic to the key (except in minor
+     *    mode where V and vii° use the raised leading tone). Applied chords (V7/ii), mixture
+     *    (bVII, iv in major) and figured inversions (V6/5) are spelled as written, see
+     *    MusicTheory.resolveRomanNumeral; applied chords emit a 'tonicization' event
      *
      * 4. **Loop Compatibility**: Returns the final voicing so it can be used as the
      *    previousVoicing parameter in the next iteration, ensuring smooth loop transitions
@@ -1427,250 +1642,397 @@ class AudioEngine {
             await this.initialize();
         }
 
+        const plan = this.planProgression(key, mode, progressionName, previousVoicing);
+        if (!plan) {
+            return { finalVoicing: null, totalDuration: 0 };
+        }
+
+        this.scheduleProgression(plan, this.scheduleCountIn(this.audioContext.currentTime));
+        return { finalVoicing: plan.finalVoicing, totalDuration: plan.totalDuration };
+    }
+
+    /**
+     * Plan the chords of a progression as playProgression voices them, without an
+     * audio context. MIDI export uses this so the file holds what the app plays.
+     *
+     * @param {string} key - Key signature (e.g., 'C', 'G', 'F#')
+     * @param {string} mode - Major or minor
+     * @param {string} progressionName - Name of the progression
+     * @param {Array|null} [previousVoicing=null] - Voicing of the chord before
+     * @param {Array<number>|null} [rhythm=null] - Chord lengths in seconds, overriding the defaults
+     * @returns {{chords: Array<Object>, totalDuration: number, finalVoicing: Array|null,
+     *   key: string, mode: string}|null} Chords ({roman, root, quality, notes, voicing, time,
+     *   duration, beats, tonicizedKey}) with times in seconds from the start and lengths in
+     *   seconds and in beats (quarter notes, which stay the same when the tempo changes),
+     *   or null if the progression doesn't exist
+     */
+    planProgression(key, mode, progressionName, previousVoicing = null, rhythm = null) {
         const progressions = this.musicTheory.getChordProgressions(key, mode);
         const progression = progressions[progressionName];
 
         if (!progression) {
             this.logger.warn(`Progression ${progressionName} not found for ${key} ${mode}`);
-            return { finalVoicing: null, totalDuration: 0 };
+            return null;
         }
 
-        const chordDuration = this.settings.progressionNoteLength;
-        let currentTime = this.audioContext.currentTime;
+        const chords = [];
+        let currentTime = 0;
         let lastVoicing = previousVoicing;
 
         // Process each chord in the progression
         // All chords are derived from the same key - no modulation occurs
-        progression.roman.forEach((romanNumeral, _index) => {
+        progression.roman.forEach((romanNumeral, index) => {
+            // User-defined progressions may hold a chord for several chord lengths
+            const chordDuration =
+                rhythm?.[index] ||
+                this.getProgressionChordLength() * (progression.durations?.[index] ?? 1);
+
             // Convert roman numeral to actual chord root in the current key
-            // This ensures all chords are diatonic to the key
+            // This ensures all chords are diatonic to the key, unless the numeral asks
+            // for an applied chord (V/ii) or mixture (bVII)
             const chordRoot = this.musicTheory.romanToChord(romanNumeral, key, mode);
+            const resolved = this.musicTheory.resolveRomanNumeral(romanNumeral, key, mode);
 
-            // Determine chord quality (major, minor, diminished) from roman numeral
-            const chordQuality = this.getChordQuality(romanNumeral, mode);
+            // Determine chord quality (major, minor, diminished) from roman numeral,
+            // unless the progression sets one for this chord
+            const chordQuality =
+                progression.qualities?.[index] || this.getChordQuality(romanNumeral, mode);
 
-            // Get the actual notes of the chord
+            // Get the actual notes of the chord, with the bass of a figured numeral (V6/5) first
             const chordNotes = this.musicTheory.getChordNotes(chordRoot, chordQuality);
+            const inversion =
+                resolved && resolved.inversion < chordNotes.length ? resolved.inversion : 0;
+            const bassFirstNotes = [
+                ...chordNotes.slice(inversion),
+                ...chordNotes.slice(0, inversion)
+            ];
 
             // Optimize voice leading for smooth progression
-            // This chooses the best inversion and octave placement to minimize voice movement
-            const voicing = this.optimizeChordVoicing(chordNotes, lastVoicing, 3);
-            lastVoicing = voicing;
-
-            // Emit progression chord events for highlighting
-            voicing.forEach(({ note }) => {
-                this.emitNoteEvent(note, 'progression-chord');
+            // This chooses the best inversion and octave placement to minimize voice movement,
+            // keeping the written inversion when the numeral has one
+            lastVoicing = this.optimizeChordVoicing(bassFirstNotes, lastVoicing, 3, inversion > 0);
+
+            chords.push({
+                roman: romanNumeral,
+                root: chordRoot,
+                quality: chordQuality,
+                notes: bassFirstNotes,
+                voicing: lastVoicing,
+                time: currentTime,
+                duration: chordDuration,
+                beats: chordDuration / this.getBeatLength(),
+                tonicizedKey: resolved?.tonicizedKey?.key || null
             });
 
-            // Calculate dynamic gain for this chord
-            const avgFrequency =
-                voicing.reduce(
-                    (sum, v) => sum + this.musicTheory.getNoteFrequency(v.note, v.octave),
-                    0
-                ) / voicing.length;
-            const dynamicGainValue = this.calculateDynamicGain(voicing.length, avgFrequency);
-
-            // Create dynamic gain node for this chord
-            const chordGain = this.nodePools.gain.acquire();
-            chordGain.gain.value = dynamicGainValue;
-            chordGain.connect(this.masterGain);
-
-            // Play chord with optimized voicing
-            const oscillators = [];
-            voicing.forEach(({ note, octave: noteOctave }) => {
-                const frequency = this.musicTheory.getNoteFrequency(note, noteOctave);
-
-                const synthResult = this.createOscillator(
-                    frequency,
-                    currentTime,
-                    chordDuration,
-                    this.settings.waveform
-                );
-
-                if (synthResult) {
-                    const noteOscillators = synthResult.oscillators || [
-                        synthResult.oscillator || synthResult.mainOscillator
-                    ];
-                    const stopBuffer = synthResult.stopBuffer || 0.05;
-                    const stopTime = currentTime + chordDuration + stopBuffer;
-
-                    // Disconnect from master gain and connect through chord gain
-                    if (synthResult.filter) {
-                        synthResult.filter.disconnect();
-                        synthResult.filter.connect(chordGain);
-                    } else if (synthResult.gainNode) {
-                        synthResult.gainNode.disconnect();
-                        synthResult.gainNode.connect(chordGain);
-                    }
-
-                    noteOscillators.forEach(osc => {
-                        if (osc) {
-                            osc.start(currentTime);
-                            osc.stop(stopTime);
-                            oscillators.push(osc);
-                            this.currentlyPlaying.add(osc);
-                        }
-                    });
-                }
-            });
+            currentTime += chordDuration;
+        });
 
-            // Play percussion pattern if enabled
-            if (this.settings.percussionEnabled) {
-                this.playPercussionPattern(currentTime, chordDuration);
-            }
+        return { chords, totalDuration: currentTime, finalVoicing: lastVoicing, key, mode };
+    }
 
-            // Play bass pattern if enabled
-            if (this.settings.bassEnabled) {
-                this.playBassPattern(chordRoot, currentTime, chordDuration);
+    /**
+     * Schedule the chords of a planned progression
+     * @param {{chords: Array<Object>, key?: string, mode?: string}} plan - Plan from planProgression
+     * @param {number} startTime - Audio context time the progression starts at
+     * @param {number} [startBeat=0] - Beats played before it, such as earlier passes of a loop,
+     *   keeping the rhythm style in step with the bar
+     * @param {Object|null} [followingChord=null] - Chord played after the last one, such as the
+     *   first of the next pass, for the bass line to lead into
+     */
+    scheduleProgression(plan, startTime, startBeat = 0, followingChord = null) {
+        plan.chords.forEach((chord, index) => {
+            const chordStart = startTime + chord.time;
+
+            // Light up the key an applied chord tonicizes while the chord sounds
+            if (chord.tonicizedKey) {
+                this.scheduleNoteEvent(
+                    chord.tonicizedKey,
+                    'tonicization',
+                    chordStart,
+                    chord.duration
+                );
             }
 
-            // Schedule cleanup for chord gain
-            const cleanupDelay =
-                (currentTime + chordDuration + 0.1 - this.audioContext.currentTime) * 1000;
-            const timeoutId = setTimeout(
-                () => {
-                    this.cleanupTimeouts.delete(timeoutId);
-                    this.nodePools.gain.release(chordGain);
-                },
-                Math.max(0, cleanupDelay)
+            this.scheduleProgressionChord(
+                chord.voicing,
+                chord,
+                chordStart,
+                chord.duration,
+                startBeat + chord.time / this.getBeatLength(),
+                {
+                    nextChord: plan.chords[index + 1] || followingChord,
+                    key: plan.key,
+                    mode: plan.mode
+                }
             );
-            this.cleanupTimeouts.add(timeoutId);
-
-            // Clean up
-            oscillators.forEach(osc => {
-                osc.addEventListener('ended', () => {
-                    this.currentlyPlaying.delete(osc);
-                });
-            });
-
-            currentTime += chordDuration;
         });
-
-        const totalDuration = progression.roman.length * chordDuration;
-        return { finalVoicing: lastVoicing, totalDuration };
     }
 
     /**
-     * Play a chord progression with looping
-     * Maintains consistent key and smooth voice leading across loop boundaries
-     *
-     * @param {string} key - Key signature (e.g., 'C', 'G', 'F#')
-     * @param {string} mode - Major or minor
-     * @param {string} progressionName - Name of the progression (e.g., 'ii-V-I')
+     * Play a modulation route planned by MusicTheory.planModulation, one chord per
+     * progression chord length, with the same voice leading as playProgression.
+     * The key each chord belongs to is marked on the circle with a 'tonicization'
+     * note event while it sounds, so the route can be followed key by key.
      *
-     * @description
-     * This method ensures that:
-     * 1. The progression stays in the same key throughout all loop iterations
-     * 2. Voice leading is optimized across loop boundaries (last chord → first chord)
-     * 3. The final voicing of each iteration is used as the starting point for the next
-     * 4. No key modulation occurs - all chords remain diatonic to the original key
+     * @param {Object} route - Route from planModulation (its chords are played)
+     * @param {Array} [previousVoicing=null] - Voicing to lead from
+     * @returns {Promise<{finalVoicing: any, totalDuration: number}>} Last voicing and length in seconds
+     * @example
+     * const [route] = musicTheory.planModulation('C', 'major', 'D', 'major');
+     * await audioEngine.playModulation(route);
      */
-    async playProgressionLoop(key, mode, progressionName) {
+    async playModulation(route, previousVoicing = null) {
         if (!this.isInitialized) {
             await this.initialize();
         }
 
-        // Store loop parameters - these remain constant throughout all iterations
-        // This ensures the progression never changes keys
-        this.loopState.enabled = true;
-        this.loopState.currentKey = key; // Key is locked for all iterations
-        this.loopState.currentMode = mode; // Mode is locked for all iterations
-        this.loopState.currentProgression = progressionName;
+        if (!route?.chords?.length) {
+            this.logger.warn('Modulation route has no chords to play');
+            return { finalVoicing: null, totalDuration: 0 };
+        }
 
-        // Play first iteration
-        // If previousVoicing exists from a previous loop, use it for smooth continuation
-        const result = await this.playProgression(
-            key,
-            mode,
-            progressionName,
-            this.loopState.previousVoicing
-        );
+        const chordDuration = this.getProgressionChordLength();
+        const chordBeats = chordDuration / this.getBeatLength();
+        let currentTime = this.audioContext.currentTime;
+        let lastVoicing = previousVoicing;
 
-        if (!result || result.totalDuration === 0) {
-            this.loopState.enabled = false;
-            return;
-        }
+        route.chords.forEach((chord, index) => {
+            this.scheduleNoteEvent(chord.key, 'tonicization', currentTime, chordDuration);
+            lastVoicing = this.optimizeChordVoicing(chord.notes, lastVoicing, 3);
+            this.scheduleProgressionChord(
+                lastVoicing,
+                chord,
+                currentTime,
+                chordDuration,
+                index * chordBeats,
+                { nextChord: route.chords[index + 1] || null, key: chord.key, mode: chord.mode }
+            );
+            currentTime += chordDuration;
+        });
 
-        // Store final voicing for smooth loop transition
-        // This voicing will be used to optimize voice leading when looping back to the first chord
-        this.loopState.previousVoicing = result.finalVoicing;
+        return { finalVoicing: lastVoicing, totalDuration: route.chords.length * chordDuration };
+    }
 
-        // Schedule next iteration if looping is still enabled
-        if (this.loopState.enabled) {
-            const scheduleNextLoop = () => {
-                if (!this.loopState.enabled) {
-                    return;
-                }
+    /**
+     * Schedule one voiced chord of a progression in the rhythm style, with the
+     * percussion and bass patterns when they are enabled
+     * @param {Array} voicing - Chord voicing from optimizeChordVoicing
+     * @param {{notes: string[], root?: string}} chord - Chord, notes bass first, for the bass
+     * @param {number} startTime - Audio context time the chord starts at
+     * @param {number} duration - Chord length in seconds
+     * @param {number} [startBeat=0] - Beats from the start of the progression to the chord
+     * @param {Object} [harmony] - Where the chord is heading, see getBassPatternEvents
+     */
+    scheduleProgressionChord(voicing, chord, startTime, duration, startBeat = 0, harmony = {}) {
+        // Emit progression chord events for highlighting
+        voicing.forEach(({ note }) => {
+            this.emitNoteEvent(note, 'progression-chord');
+        });
 
-                // Play next iteration with voice leading from previous
-                // IMPORTANT: We always use the stored key, mode, and progression
-                // This guarantees no key changes occur during looping
-                this.playProgression(
-                    this.loopState.currentKey, // Same key as first iteration
-                    this.loopState.currentMode, // Same mode as first iteration
-                    this.loopState.currentProgression,
-                    this.loopState.previousVoicing // Voice leading from last chord
-                ).then(nextResult => {
-                    if (nextResult && nextResult.finalVoicing) {
-                        // Update voicing for next loop iteration
-                        this.loopState.previousVoicing = nextResult.finalVoicing;
-                    }
+        this.getCompPatternEvents(voicing, startTime, duration, startBeat).forEach(hit => {
+            this.scheduleVoicing(hit.voicing, hit.time, hit.duration);
+        });
 
-                    // Schedule next loop after current one completes
-                    if (this.loopState.enabled) {
-                        this.loopState.timeoutId = setTimeout(
-                            scheduleNextLoop,
-                            nextResult.totalDuration * 1000
-                        );
-                    }
-                });
-            };
+        // Play percussion pattern if enabled
+        if (this.settings.percussionEnabled) {
+            this.playPercussionPattern(startTime, duration, startBeat);
+        }
 
-            // Schedule next loop to start when current one completes
-            this.loopState.timeoutId = setTimeout(scheduleNextLoop, result.totalDuration * 1000);
+        // Play bass pattern if enabled
+        if (this.settings.bassEnabled) {
+            this.playBassPattern(chord, startTime, duration, startBeat, harmony);
         }
     }
 
     /**
-     * Determine chord quality from roman numeral
+     * Plan how a chord is played in the rhythm style: held, struck in rhythm or
+     * broken into single notes
+     * @param {Array<{note: string, octave: number}>} voicing - Chord voicing
+     * @param {number} startTime - Audio context time the chord starts at
+     * @param {number} duration - Chord length in seconds
+     * @param {number} [startBeat=0] - Beats from the start of the progression to the chord
+     * @returns {Array<{voicing: Array, time: number, duration: number}>} Notes struck together
      */
-    getChordQuality(romanNumeral, mode) {
-        const roman = romanNumeral.toLowerCase();
-
-        if (roman.includes('°')) {
-            return 'diminished';
-        }
-        if (roman.includes('+')) {
-            return 'augmented';
-        }
-        if (roman.includes('7')) {
-            // Check original case to determine if it's dominant7 or minor7
-            const baseRoman = romanNumeral.replace('7', '');
-            return baseRoman === baseRoman.toUpperCase() ? 'dominant7' : 'minor7';
+    getCompPatternEvents(voicing, startTime, duration, startBeat = 0) {
+        const style = this.getRhythmStyle();
+        if (!style.comp) {
+            return [{ voicing, time: startTime, duration }];
         }
 
-        // Major or minor based on case and mode
-        if (mode === 'major') {
-            // In major mode: uppercase = major, lowercase = minor
-            return romanNumeral === romanNumeral.toUpperCase() ? 'major' : 'minor';
-        } else {
-            // In minor mode: specific uppercase chords are major, others are minor
-            return ['III', 'VI', 'VII'].includes(romanNumeral) ? 'major' : 'minor';
-        }
+        // Single voices are counted from the lowest note up
+        const byPitch = [...voicing].sort(
+            (a, b) =>
+                this.musicTheory.getNoteFrequency(a.note, a.octave) -
+                this.musicTheory.getNoteFrequency(b.note, b.octave)
+        );
+        const voices = byPitch.length;
+
+        return this.getStyleHits(style.comp, style.beats, startTime, duration, startBeat).map(
+            ({ hit, time, duration: length }) => ({
+                voicing:
+                    hit.voice === undefined
+                        ? voicing
+                        : [byPitch[((hit.voice % voices) + voices) % voices]],
+                time,
+                duration: length
+            })
+        );
     }
 
     /**
-     * Create kick drum sound using oscillator with pitch envelope
-     * @param {number} startTime - When to start the kick drum
-     * @returns {Object} Audio nodes for cleanup
+     * Schedule a voiced chord through one gain balanced for its size and register
+     * @param {Array<{note: string, octave: number}>} voicing - Chord voicing
+     * @param {number} startTime - Audio context time the chord starts at
+     * @param {number} duration - Chord length in seconds
      */
-    createKickDrum(startTime) {
-        const osc = this.audioContext.createOscillator();
-        const gain = this.audioContext.createGain();
+    scheduleVoicing(voicing, startTime, duration) {
+        // Calculate dynamic gain for this chord
+        const avgFrequency =
+            voicing.reduce(
+                (sum, v) => sum + this.musicTheory.getNoteFrequency(v.note, v.octave),
+                0
+            ) / voicing.length;
+        const dynamicGainValue = this.calculateDynamicGain(voicing.length, avgFrequency);
 
-        // Kick drum: pitch envelope from 150Hz to 40Hz
-        osc.frequency.setValueAtTime(150, startTime);
-        osc.frequency.exponentialRampToValueAtTime(40, startTime + 0.05);
+        // Create dynamic gain node for this chord
+        const chordGain = this.nodePools.gain.acquire();
+        chordGain.gain.value = dynamicGainValue;
+        chordGain.connect(this.masterGain);
+
+        // Play chord with optimized voicing
+        const oscillators = [];
+        voicing.forEach(({ note, octave: noteOctave }) => {
+            const frequency = this.musicTheory.getNoteFrequency(note, noteOctave);
+
+            this.sendToOutput(note, noteOctave, startTime, duration);
+            const synthResult = this.usesSynth()
+                ? this.createOscillator(frequency, startTime, duration, this.settings.waveform)
+                : null;
+
+            if (synthResult) {
+                const noteOscillators = synthResult.oscillators || [
+                    synthResult.oscillator || synthResult.mainOscillator
+                ];
+                const stopBuffer = synthResult.stopBuffer || 0.05;
+                const stopTime = startTime + duration + stopBuffer;
+
+                // Disconnect from master gain and connect through chord gain
+                if (synthResult.filter) {
+                    synthResult.filter.disconnect();
+                    synthResult.filter.connect(chordGain);
+                } else if (synthResult.gainNode) {
+                    synthResult.gainNode.disconnect();
+                    synthResult.gainNode.connect(chordGain);
+                }
+
+                noteOscillators.forEach(osc => {
+                    if (osc) {
+                        osc.start(startTime);
+                        osc.stop(stopTime);
+                        oscillators.push(osc);
+                        this.currentlyPlaying.add(osc);
+                    }
+                });
+            }
+        });
+
+        // Schedule cleanup for chord gain
+        const cleanupDelay = (startTime + duration + 0.1 - this.audioContext.currentTime) * 1000;
+        const timeoutId = setTimeout(
+            () => {
+                this.cleanupTimeouts.delete(timeoutId);
+                this.nodePools.gain.release(chordGain);
+            },
+            Math.max(0, cleanupDelay)
+        );
+        this.cleanupTimeouts.add(timeoutId);
+
+        // Clean up
+        oscillators.forEach(osc => {
+            osc.addEventListener('ended', () => {
+                this.currentlyPlaying.delete(osc);
+            });
+        });
+    }
+
+    /**
+     * Play a chord progression with looping
+     * Maintains consistent key and smooth voice leading across loop boundaries
+     *
+     * @param {string} key - Key signature (e.g., 'C', 'G', 'F#')
+     * @param {string} mode - Major or minor
+     * @param {string} progressionName - Name of the progression (e.g., 'ii-V-I')
+     * @returns {Promise<boolean>} False if the progression doesn't exist
+     *
+     * @description
+     * The progression is played by the step sequencer on the lookahead scheduler, so:
+     * 1. The progression stays in the same key throughout all loop iterations
+     * 2. Voice leading is optimized across loop boundaries (last chord → first chord)
+     * 3. Repeats follow on sample-accurately, and tempo changes apply from the next step
+     * 4. No key modulation occurs - all chords remain diatonic to the original key
+     */
+    async playProgressionLoop(key, mode, progressionName) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        if (!this.planProgression(key, mode, progressionName)) {
+            return false;
+        }
+
+        return this.sequencer.start(key, mode, progressionName, {
+            loop: true,
+            startTime: this.scheduleCountIn(this.audioContext.currentTime)
+        });
+    }
+
+    /**
+     * Determine chord quality from roman numeral.
+     * Numerals MusicTheory.parseRomanNumeral can read (V7, viiø6/5, IM7, V/ii) get the
+     * quality they spell; anything else falls back to case and the mode.
+     */
+    getChordQuality(romanNumeral, mode) {
+        const parsed = this.musicTheory.parseRomanNumeral(romanNumeral);
+        if (parsed) {
+            return parsed.quality;
+        }
+
+        const roman = romanNumeral.toLowerCase();
+
+        if (roman.includes('°')) {
+            return 'diminished';
+        }
+        if (roman.includes('+')) {
+            return 'augmented';
+        }
+        if (roman.includes('7')) {
+            // Check original case to determine if it's dominant7 or minor7
+            const baseRoman = romanNumeral.replace('7', '');
+            return baseRoman === baseRoman.toUpperCase() ? 'dominant7' : 'minor7';
+        }
+
+        // Major or minor based on case and mode
+        if (mode !== 'minor') {
+            // In major and the church modes: uppercase = major, lowercase = minor
+            return romanNumeral === romanNumeral.toUpperCase() ? 'major' : 'minor';
+        } else {
+            // In minor mode: specific uppercase chords are major, others are minor
+            return ['III', 'VI', 'VII'].includes(romanNumeral) ? 'major' : 'minor';
+        }
+    }
+
+    /**
+     * Create kick drum sound using oscillator with pitch envelope
+     * @param {number} startTime - When to start the kick drum
+     * @returns {Object} Audio nodes for cleanup
+     */
+    createKickDrum(startTime) {
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+
+        // Kick drum: pitch envelope from 150Hz to 40Hz
+        osc.frequency.setValueAtTime(150, startTime);
+        osc.frequency.exponentialRampToValueAtTime(40, startTime + 0.05);
 
         // Volume envelope: quick attack, short decay
         gain.gain.setValueAtTime(0, startTime);
@@ -1703,7 +2065,7 @@ class AudioEngine {
         const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
         const data = buffer.getChannelData(0);
         for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
+            data[i] = this.random() * 2 - 1;
         }
 
         const noise = this.audioContext.createBufferSource();
@@ -1746,7 +2108,7 @@ class AudioEngine {
         const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
         const data = buffer.getChannelData(0);
         for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
+            data[i] = this.random() * 2 - 1;
         }
 
         const noise = this.audioContext.createBufferSource();
@@ -1777,27 +2139,78 @@ class AudioEngine {
         return { source: noise, filter: filter, gainNode: gain };
     }
 
+    /**
+     * Plan the drum hits of the rhythm style's percussion pattern for one chord duration
+     * @param {number} startTime - When to start the pattern
+     * @param {number} duration - Duration of the chord (pattern length)
+     * @param {number} [startBeat=0] - Beats from the start of the progression to the chord,
+     *   placing it in the bar
+     * @returns {Array<{drum: string, time: number}>} Drum hits ('kick', 'snare' or 'hihat')
+     */
+    getPercussionPatternEvents(startTime, duration, startBeat = 0) {
+        const style = this.getRhythmStyle();
+        const beatsPerBar = this.getMusicalTime().getQuartersPerBar();
+        const endBeat = startBeat + duration / this.getBeatLength();
+        const scale = this.getStyleScale();
+        const pattern = fitPattern(
+            Object.entries(style.drums).flatMap(([drum, beats]) =>
+                beats.map(beat => ({ drum, beat }))
+            ),
+            scale
+        );
+
+        // Drums follow the barlines, starting the pattern again each bar
+        const events = [];
+        const firstBar = Math.floor(startBeat / beatsPerBar + 1e-6) * beatsPerBar;
+        for (let bar = firstBar; bar < endBeat; bar += beatsPerBar) {
+            const from = Math.max(startBeat - bar, 0);
+            const to = Math.min(endBeat - bar, beatsPerBar);
+            getPatternHits(pattern, style.beats * scale, from, to).forEach(({ hit, beat }) => {
+                events.push({
+                    drum: hit.drum,
+                    time: this.getStyleTime(startTime, startBeat, bar + beat)
+                });
+            });
+        }
+        return events;
+    }
+
     /**
      * Play percussion pattern for one chord duration
      * @param {number} startTime - When to start the pattern
      * @param {number} duration - Duration of the chord (pattern length)
+     * @param {number} [startBeat=0] - Beats from the start of the progression to the chord
      */
-    playPercussionPattern(startTime, duration) {
+    playPercussionPattern(startTime, duration, startBeat = 0) {
         if (!this.settings.percussionEnabled) {
             return;
         }
 
-        // Kick drum on beat 1
-        this.createKickDrum(startTime);
+        this.getPercussionPatternEvents(startTime, duration, startBeat).forEach(
+            ({ drum, time }) => {
+                this.scheduleDrum(drum, time);
+            }
+        );
+    }
 
-        // Hi-hat pattern: every quarter beat (4 hits per chord)
-        const hiHatInterval = duration / 4;
-        for (let i = 0; i < 4; i++) {
-            this.createHiHat(startTime + i * hiHatInterval);
+    /**
+     * Schedule one drum hit on the output and the built-in drums
+     * @param {string} drum - 'kick', 'snare' or 'hihat'
+     * @param {number} time - Audio context time of the hit
+     */
+    scheduleDrum(drum, time) {
+        this.output?.playDrum(drum, time - this.audioContext.currentTime);
+        if (!this.usesSynth()) {
+            return;
         }
 
-        // Snare on beat 3 (halfway through)
-        this.createSnareDrum(startTime + duration / 2);
+        if (drum === 'kick') {
+            this.createKickDrum(time);
+        } else if (drum === 'snare') {
+            this.createSnareDrum(time);
+        } else {
+            this.createHiHat(time);
+        }
     }
 
     /**
@@ -1885,29 +2298,80 @@ class AudioEngine {
         };
     }
 
+    /**
+     * Plan the notes of the rhythm style's bass line for one chord duration: the
+     * style gives the rhythm and kind of line, and BassLineGenerator the pitches
+     * @param {{notes: string[], root?: string}} chord - Chord, notes bass first
+     *   (e.g., {notes: ['C', 'E', 'G']})
+     * @param {number} startTime - When to start the pattern
+     * @param {number} duration - Duration of the chord (pattern length)
+     * @param {number} [startBeat=0] - Beats from the start of the progression to the chord
+     * @param {Object} [harmony] - Where the chord is heading
+     * @param {{notes: string[]}|null} [harmony.nextChord=null] - Chord that follows, led into
+     * @param {string|null} [harmony.key=null] - Key whose scale the line walks in
+     * @param {string} [harmony.mode='major'] - Mode of the key
+     * @returns {Array<{note: string, octave: number, time: number, duration: number}>} Bass notes
+     */
+    getBassPatternEvents(
+        chord,
+        startTime,
+        duration,
+        startBeat = 0,
+        { nextChord = null, key = null, mode = 'major' } = {}
+    ) {
+        const style = this.getRhythmStyle();
+        const hits = this.getStyleHits(style.bass, style.beats, startTime, duration, startBeat);
+        const line = this.bassLine.getLine(chord, nextChord, {
+            type: style.bassLine,
+            count: hits.length,
+            octave: this.settings.bassOctave,
+            key,
+            mode
+        });
+
+        return hits.map(({ time, duration: length }, index) => ({
+            ...line[index],
+            time,
+            duration: length
+        }));
+    }
+
     /**
      * Play bass pattern for one chord duration
-     * @param {string} chordRoot - The root note of the chord (e.g., 'C', 'F#', 'Bb')
+     * @param {{notes: string[], root?: string}} chord - Chord, notes bass first
      * @param {number} startTime - When to start the pattern
      * @param {number} duration - Duration of the chord (pattern length)
+     * @param {number} [startBeat=0] - Beats from the start of the progression to the chord
+     * @param {Object} [harmony] - Where the chord is heading, see getBassPatternEvents
      */
-    playBassPattern(chordRoot, startTime, duration) {
+    playBassPattern(chord, startTime, duration, startBeat = 0, harmony = {}) {
         if (!this.settings.bassEnabled) {
             return;
         }
 
-        // Play root note on beat 1 (start of chord) - longer, more sustained
-        this.createBassNote(chordRoot, this.settings.bassOctave, startTime, duration * 0.7);
-
-        // Play root note again on beat 3 (halfway through) for rhythmic interest
-        this.createBassNote(
-            chordRoot,
-            this.settings.bassOctave,
-            startTime + duration / 2,
-            duration * 0.7
+        this.getBassPatternEvents(chord, startTime, duration, startBeat, harmony).forEach(
+            ({ note, octave, time, duration: noteDuration }) => {
+                this.scheduleBassNote(note, octave, time, noteDuration);
+            }
         );
     }
 
+    /**
+     * Schedule one bass note on the output and the built-in bass, with a 'bass-note'
+     * note event as it starts
+     * @param {string} note - The note name
+     * @param {number} octave - The octave for the bass note
+     * @param {number} time - Audio context time the note starts
+     * @param {number} duration - Duration of the note
+     */
+    scheduleBassNote(note, octave, time, duration) {
+        this.scheduleNoteEvent(note, 'bass-note', time, duration);
+        this.sendToOutput(note, octave, time, duration);
+        if (this.usesSynth()) {
+            this.createBassNote(note, octave, time, duration);
+        }
+    }
+
     /**
      * Enable or disable percussion
      * @param {boolean} enabled - Whether percussion should be enabled
@@ -1921,13 +2385,9 @@ class AudioEngine {
      * @param {boolean} enabled - Whether looping should be enabled
      */
     setLoopingEnabled(enabled) {
-        if (!enabled && this.loopState.enabled) {
-            // Disable looping - clear timeout but let current iteration finish
-            if (this.loopState.timeoutId) {
-                clearTimeout(this.loopState.timeoutId);
-                this.loopState.timeoutId = null;
-            }
-            this.loopState.enabled = false;
+        if (!enabled) {
+            // Disable looping - let the current iteration finish
+            this.sequencer.setLoop(false);
         }
         // Note: enabling is handled by playProgressionLoop
     }
@@ -1937,7 +2397,7 @@ class AudioEngine {
      * @returns {boolean} True if looping is active
      */
     isLooping() {
-        return this.loopState.enabled;
+        return this.sequencer.isPlaying() && this.sequencer.loop;
     }
 
     /**
@@ -1965,21 +2425,64 @@ class AudioEngine {
     }
 
     /**
-     * Stop all currently playing audio
+     * Count scales and progressions in with a bar of clicks, or start them at once
+     * @param {boolean} enabled - Whether to count in
      */
-    stopAll() {
-        // Clear loop timeout if active
-        if (this.loopState.timeoutId) {
-            clearTimeout(this.loopState.timeoutId);
-            this.loopState.timeoutId = null;
+    setCountInEnabled(enabled) {
+        this.settings.countInEnabled = enabled;
+    }
+
+    /**
+     * Check if scales and progressions are counted in
+     * @returns {boolean} True if count-in is on
+     */
+    isCountInEnabled() {
+        return this.settings.countInEnabled;
+    }
+
+    /**
+     * Set how many clicks the metronome gives each beat
+     * @param {number} subdivision - Clicks per beat, see METRONOME_SUBDIVISIONS
+     * @returns {boolean} False if the subdivision isn't supported
+     */
+    setMetronomeSubdivision(subdivision) {
+        if (!METRONOME_SUBDIVISIONS.includes(subdivision)) {
+            this.logger.warn(`Unsupported metronome subdivision: ${subdivision}`);
+            return false;
         }
 
-        // Reset loop state
-        this.loopState.enabled = false;
-        this.loopState.currentKey = null;
-        this.loopState.currentMode = null;
-        this.loopState.currentProgression = null;
-        this.loopState.previousVoicing = null;
+        this.settings.metronomeSubdivision = subdivision;
+        return true;
+    }
+
+    /**
+     * Time music waits for its count-in
+     * @returns {number} Seconds: a bar with count-in on, otherwise 0
+     */
+    getCountInLength() {
+        return this.settings.countInEnabled ? this.getMusicalTime().getBarLength() : 0;
+    }
+
+    /**
+     * Click a bar's beats before music starting at a time, when count-in is on
+     * @param {number} startTime - Audio context time the count-in starts
+     * @returns {number} Audio context time the music starts, after the count-in
+     */
+    scheduleCountIn(startTime) {
+        if (this.settings.countInEnabled) {
+            this.metronome
+                .getClickEvents(startTime, 1, 1)
+                .forEach(({ time, level }) => this.scheduleClick(time, level));
+        }
+        return startTime + this.getCountInLength();
+    }
+
+    /**
+     * Stop all currently playing audio
+     */
+    stopAll() {
+        // Stop a looping progression and the steps it has scheduled
+        this.sequencer.stop();
 
         this.currentlyPlaying.forEach(oscillator => {
             try {
@@ -1993,6 +2496,12 @@ class AudioEngine {
             }
         });
         this.currentlyPlaying.clear();
+        this.activeVoices.clear();
+        this.output?.stopAll();
+
+        // Drop highlights for chords that will no longer sound
+        this.noteEventTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
+        this.noteEventTimeouts.clear();
     }
 
     /**
@@ -2011,22 +2520,44 @@ class AudioEngine {
 
     /**
      * Emit note event to all listeners
+     * @param {string} note - Note (or key, for 'tonicization') the event is about
+     * @param {string} [eventType='start'] - Event type
+     * @param {number} [duration] - How long the event lasts, in seconds
      */
-    emitNoteEvent(note, eventType = 'start') {
+    emitNoteEvent(note, eventType = 'start', duration = undefined) {
         this.noteEventListeners.forEach(callback => {
             try {
-                callback({ note, eventType, timestamp: this.audioContext.currentTime });
+                callback({ note, eventType, duration, timestamp: this.audioContext.currentTime });
             } catch (e) {
                 this.logger.warn('Error in note event listener:', e);
             }
         });
     }
 
+    /**
+     * Emit a note event when a scheduled sound starts rather than when it is scheduled
+     * @param {string} note - Note (or key) the event is about
+     * @param {string} eventType - Event type
+     * @param {number} startTime - AudioContext time the sound starts
+     * @param {number} duration - How long the sound lasts, in seconds
+     */
+    scheduleNoteEvent(note, eventType, startTime, duration) {
+        const delay = (startTime - this.audioContext.currentTime) * 1000;
+        const timeoutId = setTimeout(
+            () => {
+                this.noteEventTimeouts.delete(timeoutId);
+                this.emitNoteEvent(note, eventType, duration);
+            },
+            Math.max(0, delay)
+        );
+        this.noteEventTimeouts.add(timeoutId);
+    }
+
     /**
      * Set master volume (0-1)
      */
     setVolume(volume) {
-        this.settings.masterVolume = Math.max(0, Math.min(1, volume));
+        this.settings.masterVolume = clampSetting('masterVolume', volume);
         if (this.masterGain) {
             this.masterGain.gain.setValueAtTime(
                 this.settings.masterVolume,
@@ -2037,26 +2568,33 @@ class AudioEngine {
 
     /**
      * Change waveform type
+     * @param {string} waveform - Basic or custom waveform name, see WAVEFORMS
+     * @returns {boolean} False if the waveform is unknown
      */
     setWaveform(waveform) {
-        const validWaveforms = ['sine', 'square', 'sawtooth', 'triangle'];
-        if (validWaveforms.includes(waveform)) {
-            this.settings.waveform = waveform;
+        if (!WAVEFORMS.includes(waveform)) {
+            return false;
         }
+
+        this.settings.waveform = waveform;
+        return true;
     }
 
     /**
-     * Set note duration
+     * Set how long single notes last; the length is kept in quarter notes, so it
+     * follows later tempo changes
+     * @param {number} duration - Seconds at the current tempo, 0.1 to 3
      */
     setNoteDuration(duration) {
-        this.settings.noteLength = Math.max(0.1, Math.min(3.0, duration));
+        const seconds = Math.max(0.1, Math.min(3.0, duration));
+        this.settings.noteQuarters = seconds / this.getMusicalTime().getQuarterLength();
     }
 
     /**
      * Control effects settings
      */
     setFilterCutoff(frequency) {
-        this.settings.filterCutoff = Math.max(100, Math.min(20000, frequency));
+        this.settings.filterCutoff = clampSetting('filterCutoff', frequency);
         if (this.effectsChain && this.effectsChain.nodes) {
             this.effectsChain.nodes.lowPassFilter.frequency.setValueAtTime(
                 this.settings.filterCutoff,
@@ -2065,22 +2603,135 @@ class AudioEngine {
         }
     }
 
+    /**
+     * Set the resonance of the effects filter and of every note's filter, sounding
+     * notes included
+     * @param {number} resonance - Filter Q, 0.1 to 20
+     */
+    setFilterResonance(resonance) {
+        this.settings.filterResonance = clampSetting('filterResonance', resonance);
+        if (!this.audioContext) {
+            return;
+        }
+
+        const now = this.audioContext.currentTime;
+        this.effectsChain?.nodes?.lowPassFilter.Q.setValueAtTime(
+            this.settings.filterResonance,
+            now
+        );
+        this.activeVoices.forEach(({ filter }) => {
+            filter?.Q.setValueAtTime(this.settings.filterResonance, now);
+        });
+    }
+
+    /**
+     * Set how far the filter envelope opens above a note's frequency, sounding notes
+     * included
+     * @param {number} amount - Multiple of the note frequency, 1 to 10
+     */
+    setFilterEnvelopeAmount(amount) {
+        this.settings.filterEnvelopeAmount = clampSetting('filterEnvelopeAmount', amount);
+        this.rescheduleVoices();
+    }
+
+    /**
+     * Set the ADSR envelope of notes; sounding notes follow it for what is left of them
+     * @param {{attackTime?: number, decayTime?: number, sustainLevel?: number,
+     *   releaseTime?: number}} envelope - Times in seconds and the sustain level (0-1)
+     *   to change
+     * @example
+     * audioEngine.setEnvelope({ attackTime: 0.4, releaseTime: 1.2 });
+     */
+    setEnvelope({ attackTime, decayTime, sustainLevel, releaseTime }) {
+        const { settings } = this;
+
+        settings.attackTime = clampSetting('attackTime', attackTime, settings.attackTime);
+        settings.decayTime = clampSetting('decayTime', decayTime, settings.decayTime);
+        settings.sustainLevel = clampSetting('sustainLevel', sustainLevel, settings.sustainLevel);
+        settings.releaseTime = clampSetting('releaseTime', releaseTime, settings.releaseTime);
+        this.rescheduleVoices();
+    }
+
+    /**
+     * Schedule the envelopes of every synth voice again for the current settings
+     */
+    rescheduleVoices() {
+        if (this.audioContext) {
+            const now = this.audioContext.currentTime;
+            this.activeVoices.forEach(voice => this.rescheduleVoice(voice, now));
+        }
+    }
+
+    /**
+     * Set how far the stereo oscillators are detuned, sounding notes included
+     * @param {number} cents - Detune of each side, 0 to 50 cents
+     */
+    setDetuneAmount(cents) {
+        this.settings.detuneAmount = clampSetting('detuneAmount', cents);
+        if (!this.audioContext) {
+            return;
+        }
+
+        const now = this.audioContext.currentTime;
+        this.activeVoices.forEach(({ leftOscillator, rightOscillator }) => {
+            leftOscillator?.detune.setValueAtTime(-this.settings.detuneAmount, now);
+            rightOscillator?.detune.setValueAtTime(this.settings.detuneAmount, now);
+        });
+    }
+
+    /**
+     * Set the level of the sub-oscillator, sounding notes included
+     * @param {number} level - Gain, 0 to 1
+     */
+    setSubOscillatorLevel(level) {
+        this.settings.subOscillatorLevel = clampSetting('subOscillatorLevel', level);
+        if (!this.audioContext) {
+            return;
+        }
+
+        const now = this.audioContext.currentTime;
+        this.activeVoices.forEach(({ subGain }) => {
+            subGain?.gain.setValueAtTime(this.settings.subOscillatorLevel, now);
+        });
+    }
+
     setReverbLevel(level) {
-        this.settings.reverbLevel = Math.max(0, Math.min(1, level));
+        this.settings.reverbLevel = clampSetting('reverbLevel', level);
         if (this.effectsChain && this.effectsChain.nodes && this.effectsChain.nodes.reverb) {
-            const reverb = this.effectsChain.nodes.reverb;
-            // Update reverb wet/dry mix
-            reverb.delays.forEach(({ gain }) => {
-                gain.gain.setValueAtTime(
-                    (0.15 * this.settings.reverbLevel) / 10,
-                    this.audioContext.currentTime
-                );
+            const { wet, dry } = this.effectsChain.nodes.reverb;
+            const now = this.audioContext.currentTime;
+            // Update reverb wet/dry mix, the wet level shared between the reverb's paths
+            wet.forEach(({ gain }) => {
+                gain.setValueAtTime(this.settings.reverbLevel / wet.length, now);
             });
+            dry.gain.setValueAtTime(1 - this.settings.reverbLevel, now);
+        }
+    }
+
+    /**
+     * Change the reverb's room, rebuilding the effects chain if it is running
+     * @param {string} type - 'room', 'hall' or 'plate'
+     * @returns {boolean} False if the reverb type is unknown
+     */
+    setReverbType(type) {
+        if (!REVERB_TYPES.includes(type)) {
+            this.logger.warn(`Unknown reverb type: ${type}`);
+            return false;
+        }
+
+        this.settings.reverbType = type;
+        if (this.effectsChain) {
+            this.masterGain.disconnect();
+            this.effectsChain.output.disconnect();
+            this.effectsChain = this.createEffectsChain();
+            this.masterGain.connect(this.effectsChain.input);
+            this.effectsChain.output.connect(this.audioContext.destination);
         }
+        return true;
     }
 
     setDelayLevel(level) {
-        this.settings.delayLevel = Math.max(0, Math.min(1, level));
+        this.settings.delayLevel = clampSetting('delayLevel', level);
         if (this.effectsChain && this.effectsChain.nodes) {
             this.effectsChain.nodes.delayWet.gain.setValueAtTime(
                 this.settings.delayLevel,
@@ -2094,7 +2745,7 @@ class AudioEngine {
     }
 
     setDelayTime(time) {
-        this.settings.delayTime = Math.max(0.01, Math.min(1.0, time));
+        this.settings.delayTime = clampSetting('delayTime', time);
         if (this.effectsChain && this.effectsChain.nodes) {
             this.effectsChain.nodes.delay.delayTime.setValueAtTime(
                 this.settings.delayTime,
@@ -2103,6 +2754,58 @@ class AudioEngine {
         }
     }
 
+    /**
+     * Set how much of the delay is fed back into it
+     * @param {number} feedback - Gain, 0 to 0.9 so the echoes always die away
+     */
+    setDelayFeedback(feedback) {
+        this.settings.delayFeedback = clampSetting('delayFeedback', feedback);
+        if (this.effectsChain && this.effectsChain.nodes) {
+            this.effectsChain.nodes.delayFeedback.gain.setValueAtTime(
+                this.settings.delayFeedback,
+                this.audioContext.currentTime
+            );
+        }
+    }
+
+    /**
+     * Set the compressor and the makeup gain after it
+     * @param {{compressionThreshold?: number, compressionRatio?: number,
+     *   compressionKnee?: number, makeupGain?: number}} compression - Threshold (-60 to
+     *   0 dB), ratio (1 to 20), knee (0 to 40 dB) and makeup gain (0 to 4) to change
+     * @example
+     * audioEngine.setCompression({ compressionThreshold: -24, compressionRatio: 8 });
+     */
+    setCompression({ compressionThreshold, compressionRatio, compressionKnee, makeupGain }) {
+        const { settings } = this;
+
+        settings.compressionThreshold = clampSetting(
+            'compressionThreshold',
+            compressionThreshold,
+            settings.compressionThreshold
+        );
+        settings.compressionRatio = clampSetting(
+            'compressionRatio',
+            compressionRatio,
+            settings.compressionRatio
+        );
+        settings.compressionKnee = clampSetting(
+            'compressionKnee',
+            compressionKnee,
+            settings.compressionKnee
+        );
+        settings.makeupGain = clampSetting('makeupGain', makeupGain, settings.makeupGain);
+
+        if (this.effectsChain && this.effectsChain.nodes) {
+            const { compressor, makeupGain: makeupGainNode } = this.effectsChain.nodes;
+            const now = this.audioContext.currentTime;
+            compressor.threshold.setValueAtTime(settings.compressionThreshold, now);
+            compressor.ratio.setValueAtTime(settings.compressionRatio, now);
+            compressor.knee.setValueAtTime(settings.compressionKnee, now);
+            makeupGainNode.gain.setValueAtTime(settings.makeupGain, now);
+        }
+    }
+
     toggleEffects() {
         this.settings.useEffects = !this.settings.useEffects;
         // Note: Toggling effects requires reinitializing the audio context
@@ -2110,6 +2813,128 @@ class AudioEngine {
         this.logger.info(`Effects ${this.settings.useEffects ? 'enabled' : 'disabled'}`);
     }
 
+    /**
+     * Follow the audio settings of the app's shared state: they are applied now
+     * and again whenever they change, so every control, undo and redo reaches
+     * the engine the same way. Binding again replaces the previous state.
+     *
+     * @param {CircleState} state - Shared state whose audioSettings to follow
+     * @example
+     * audioEngine.bindState(state);
+     * state.setState({ audioSettings: { tempo: 90 } }); // Plays at 90 BPM
+     */
+    bindState(state) {
+        this.unbindState?.();
+        this.applySettings(state.getState('audioSettings'));
+        this.unbindState = state.subscribe('audioSettings', (settings, previous) =>
+            this.applySettings(settings, previous)
+        );
+    }
+
+    /**
+     * Apply the audio settings that differ from a previous set through their setters
+     * @param {Object} settings - Settings named as in this.settings, plus loopEnabled
+     * @param {Object} [previous={}] - Settings already applied
+     */
+    applySettings(settings, previous = {}) {
+        Object.keys(settings)
+            .filter(key => settings[key] !== previous[key])
+            .forEach(key => {
+                const value = settings[key];
+                switch (key) {
+                    case 'masterVolume':
+                        this.setVolume(value);
+                        break;
+                    case 'waveform':
+                        if (!this.setWaveform(value)) {
+                            this.logger.warn(`Unknown waveform: ${value}`);
+                        }
+                        break;
+                    case 'reverbType':
+                        this.setReverbType(value);
+                        break;
+                    case 'reverbLevel':
+                        this.setReverbLevel(value);
+                        break;
+                    case 'attackTime':
+                    case 'decayTime':
+                    case 'sustainLevel':
+                    case 'releaseTime':
+                        this.setEnvelope({ [key]: value });
+                        break;
+                    case 'filterCutoff':
+                        this.setFilterCutoff(value);
+                        break;
+                    case 'filterResonance':
+                        this.setFilterResonance(value);
+                        break;
+                    case 'filterEnvelopeAmount':
+                        this.setFilterEnvelopeAmount(value);
+                        break;
+                    case 'detuneAmount':
+                        this.setDetuneAmount(value);
+                        break;
+                    case 'subOscillatorLevel':
+                        this.setSubOscillatorLevel(value);
+                        break;
+                    case 'delayLevel':
+                        this.setDelayLevel(value);
+                        break;
+                    case 'delayTime':
+                        this.setDelayTime(value);
+                        break;
+                    case 'delayFeedback':
+                        this.setDelayFeedback(value);
+                        break;
+                    case 'compressionThreshold':
+                    case 'compressionRatio':
+                    case 'compressionKnee':
+                    case 'makeupGain':
+                        this.setCompression({ [key]: value });
+                        break;
+                    case 'tempo':
+                        this.setTempo(value);
+                        break;
+                    case 'rhythmStyle':
+                        // The settings carry the swing and meter to play the style in
+                        if (this.setRhythmStyle(value)) {
+                            this.setSwing(settings.swing);
+                            this.setTimeSignature(settings.beatsPerBar, settings.beatUnit);
+                        }
+                        break;
+                    case 'beatsPerBar':
+                    case 'beatUnit':
+                        this.setTimeSignature(settings.beatsPerBar, settings.beatUnit);
+                        break;
+                    case 'beatsPerChord':
+                        this.setBeatsPerChord(value);
+                        break;
+                    case 'swing':
+                        this.setSwing(value);
+                        break;
+                    case 'metronomeSubdivision':
+                        this.setMetronomeSubdivision(value);
+                        break;
+                    case 'percussionEnabled':
+                        this.setPercussionEnabled(value);
+                        break;
+                    case 'bassEnabled':
+                        this.setBassEnabled(value);
+                        break;
+                    case 'countInEnabled':
+                        this.setCountInEnabled(value);
+                        break;
+                    case 'loopEnabled':
+                        this.setLoopingEnabled(value);
+                        break;
+                    default:
+                        if (key in this.settings) {
+                            this.settings[key] = value;
+                        }
+                }
+            });
+    }
+
     /**
      * Get current audio context state
      */
@@ -2123,19 +2948,112 @@ class AudioEngine {
     }
 
     /**
-     * Create a simple metronome click
+     * Send notes to an external backend as well as, or instead of, the built-in synth.
+     * The backend receives every note scheduled through playNote, playChord,
+     * playScale, scheduleNote and progressions (with their bass and drums), with
+     * delays in seconds from now, and is silenced by stopAll.
+     *
+     * @param {{playNote: function(number, number, number): void,
+     *   playDrum: function(string, number): void, stopAll: function(): void}|null} output -
+     *   Backend such as MidiOutput, or null for the built-in synth only
+     * @example
+     * audioEngine.setOutput(new MidiOutput(midiAccess.outputs.get(id), { channel: 2 }));
      */
-    playClick(frequency = 800, duration = 0.1) {
+    setOutput(output) {
+        this.output?.stopAll();
+        this.output = output;
+    }
+
+    /**
+     * Whether the built-in synth sounds: always without an output backend, and
+     * alongside one when synthWithOutput is on
+     * @returns {boolean} True if notes are synthesized
+     */
+    usesSynth() {
+        return !this.output || this.settings.synthWithOutput;
+    }
+
+    /**
+     * MIDI note number of the pitch the synth plays. getNoteFrequency works by
+     * pitch class, so B# in octave 3 sounds as C3 rather than C4.
+     * @param {string} note - Note name
+     * @param {number} octave - Octave the synth plays it in
+     * @returns {number} MIDI note number (C4 = 60)
+     */
+    getMidiNumber(note, octave) {
+        return (octave + 1) * 12 + this.musicTheory.getNoteIndex(note);
+    }
+
+    /**
+     * Send a note to the output backend, if one is set
+     * @private
+     * @param {string} note - Note name
+     * @param {number} octave - Octave
+     * @param {number} startTime - Audio context time the note starts at
+     * @param {number} duration - Length in seconds
+     */
+    sendToOutput(note, octave, startTime, duration) {
+        if (this.output) {
+            this.output.playNote(
+                this.getMidiNumber(note, octave),
+                startTime - this.audioContext.currentTime,
+                duration
+            );
+        }
+    }
+
+    /**
+     * Play a metronome click: a short blip, highest and loudest on the downbeat
+     * @param {number} [startTime] - When to click; now if left out
+     * @param {string} [level='beat'] - 'accent', 'beat' or 'subdivision'
+     * @returns {{oscillator: OscillatorNode, gainNode: GainNode}|null} Click nodes, or
+     *   null before initialization
+     */
+    playClick(startTime = this.audioContext?.currentTime, level = 'beat') {
         if (!this.isInitialized) {
-            return;
+            return null;
         }
 
-        const startTime = this.audioContext.currentTime;
-        const { oscillator } = this.createOscillator(frequency, startTime, duration, 'square');
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        const { frequency, volume } = CLICK_SOUNDS[level];
+
+        osc.frequency.setValueAtTime(frequency, startTime);
+
+        // Volume envelope: instant attack, very short decay
+        gain.gain.setValueAtTime(0, startTime);
+        gain.gain.linearRampToValueAtTime(
+            this.settings.metronomeVolume * volume,
+            startTime + 0.001
+        );
+        gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.05);
+
+        osc.connect(gain);
+        gain.connect(this.masterGain);
+
+        osc.start(startTime);
+        osc.stop(startTime + 0.05);
 
-        if (oscillator) {
-            oscillator.start(startTime);
-            oscillator.stop(startTime + duration);
+        this.currentlyPlaying.add(osc);
+        osc.addEventListener('ended', () => {
+            this.currentlyPlaying.delete(osc);
+        });
+
+        return { oscillator: osc, gainNode: gain };
+    }
+
+    /**
+     * Click at a time, on the synth and on the output as a wood block
+     * @param {number} time - Audio context time to click at
+     * @param {string} [level='beat'] - 'accent', 'beat' or 'subdivision'
+     */
+    scheduleClick(time, level = 'beat') {
+        this.output?.playDrum(
+            level === 'accent' ? 'accentClick' : 'click',
+            time - this.audioContext.currentTime
+        );
+        if (this.usesSynth()) {
+            this.playClick(time, level);
         }
     }
 
@@ -2156,12 +3074,10 @@ class AudioEngine {
         }
 
         const frequency = this.musicTheory.getNoteFrequency(note, octave);
-        const synthResult = this.createOscillator(
-            frequency,
-            startTime,
-            duration,
-            this.settings.waveform
-        );
+        this.sendToOutput(note, octave, startTime, duration);
+        const synthResult = this.usesSynth()
+            ? this.createOscillator(frequency, startTime, duration, this.settings.waveform)
+            : null;
 
         if (synthResult) {
             const oscillators = synthResult.oscillators || [
@@ -2216,8 +3132,9 @@ class AudioEngine {
      * @param {Function} stepCallback - Function called for each step
      * @param {number} tempo - BPM
      * @param {number} totalSteps - Total number of steps
+     * @param {number|null} [startTime=null] - Audio context time of the first step, now if null
      */
-    startScheduler(stepCallback, tempo = 120, totalSteps = 16) {
+    startScheduler(stepCallback, tempo = 120, totalSteps = 16, startTime = null) {
         if (this.scheduler.isPlaying) {
             this.stopScheduler();
         }
@@ -2225,11 +3142,11 @@ class AudioEngine {
         this.scheduler.stepCallback = stepCallback;
         this.scheduler.currentStep = 0;
         this.scheduler.totalSteps = totalSteps;
-        this.scheduler.nextNoteTime = this.audioContext.currentTime;
+        this.scheduler.nextNoteTime = startTime ?? this.audioContext.currentTime;
         this.scheduler.isPlaying = true;
 
         // Calculate step duration (16th notes)
-        this.scheduler.stepDuration = 60.0 / tempo / 4;
+        this.scheduler.stepDuration = new MusicalTime({ tempo }).getStepLength();
 
         this.scheduleLoop();
     }
@@ -2238,14 +3155,17 @@ class AudioEngine {
      * Internal scheduling loop using lookahead
      */
     scheduleLoop() {
+        // The step callback may stop the scheduler, e.g. at the end of a sequence
         while (
+            this.scheduler.isPlaying &&
             this.scheduler.nextNoteTime <
-            this.audioContext.currentTime + this.scheduler.scheduleAheadTime
+                this.audioContext.currentTime + this.scheduler.scheduleAheadTime
         ) {
             if (this.scheduler.stepCallback) {
                 this.scheduler.stepCallback(
                     this.scheduler.currentStep,
-                    this.scheduler.nextNoteTime
+                    this.scheduler.nextNoteTime,
+                    this.scheduler.stepDuration
                 );
             }
 
@@ -2259,6 +3179,178 @@ class AudioEngine {
         }
     }
 
+    /**
+     * Musical time of the current settings, which every length played is worked out from
+     * @returns {MusicalTime} Tempo, time signature, chord length and swing
+     */
+    getMusicalTime() {
+        return new MusicalTime(this.settings);
+    }
+
+    /**
+     * Change the tempo of everything played from now on; a running scheduler
+     * speeds up or slows down from its next step
+     * @param {number} bpm - Quarter notes per minute
+     * @returns {boolean} False if the tempo isn't a positive number
+     */
+    setTempo(bpm) {
+        if (!(bpm > 0)) {
+            this.logger.warn(`Invalid tempo: ${bpm}`);
+            return false;
+        }
+
+        this.settings.tempo = bpm;
+        this.scheduler.stepDuration = this.getMusicalTime().getStepLength();
+        return true;
+    }
+
+    /**
+     * Length of a single note at the current tempo
+     * @returns {number} Seconds
+     */
+    getNoteLength() {
+        return this.getMusicalTime().toSeconds({ quarters: this.settings.noteQuarters });
+    }
+
+    /**
+     * Length of a single chord at the current tempo
+     * @returns {number} Seconds
+     */
+    getChordLength() {
+        return this.getMusicalTime().toSeconds({ quarters: this.settings.chordQuarters });
+    }
+
+    /**
+     * Accompaniment style progressions are played in
+     * @returns {Object} Style from RHYTHM_STYLES
+     */
+    getRhythmStyle() {
+        return RHYTHM_STYLES[this.settings.rhythmStyle] || RHYTHM_STYLES[DEFAULT_RHYTHM_STYLE];
+    }
+
+    /**
+     * Choose the accompaniment style, along with the swing and time signature it
+     * is played in; both can be changed afterwards
+     * @param {string} name - Style name, see RHYTHM_STYLES
+     * @returns {boolean} False if there is no such style
+     */
+    setRhythmStyle(name) {
+        const style = RHYTHM_STYLES[name];
+        if (!style) {
+            this.logger.warn(`Unknown rhythm style: ${name}`);
+            return false;
+        }
+
+        this.settings.rhythmStyle = name;
+        this.settings.swing = style.swing;
+        this.settings.beatsPerBar = style.beatsPerBar;
+        this.settings.beatUnit = 4;
+        return true;
+    }
+
+    /**
+     * Set how far offbeat eighths are delayed
+     * @param {number} amount - 0 for even eighths up to 1 for triplet swing
+     */
+    setSwing(amount) {
+        this.settings.swing = clampSetting('swing', amount);
+    }
+
+    /**
+     * Set the time signature music is played in. Unless set with setBeatsPerChord,
+     * progression chords last half a bar of 4/4 or 12/8 and a whole bar otherwise.
+     * @param {number} beatsPerBar - Beats per bar, see TIME_SIGNATURES
+     * @param {number} [beatUnit=4] - Note value of a beat, 4 or 8
+     * @returns {boolean} False if the time signature isn't supported
+     */
+    setTimeSignature(beatsPerBar, beatUnit = 4) {
+        if (!MusicalTime.isTimeSignature(beatsPerBar, beatUnit)) {
+            this.logger.warn(`Unsupported time signature: ${beatsPerBar}/${beatUnit}`);
+            return false;
+        }
+
+        this.settings.beatsPerBar = beatsPerBar;
+        this.settings.beatUnit = beatUnit;
+        return true;
+    }
+
+    /**
+     * Set how many beats of the time signature each progression chord lasts
+     * @param {number|null} beats - Beats per chord, or null for the time signature's default
+     * @returns {boolean} False if the beats aren't a positive number
+     */
+    setBeatsPerChord(beats) {
+        if (beats !== null && !(beats > 0)) {
+            this.logger.warn(`Invalid beats per chord: ${beats}`);
+            return false;
+        }
+
+        this.settings.beatsPerChord = beats;
+        return true;
+    }
+
+    /**
+     * Length of a quarter note, the beat rhythm styles count in, at the current tempo
+     * @returns {number} Seconds per beat
+     */
+    getBeatLength() {
+        return this.getMusicalTime().getQuarterLength();
+    }
+
+    /**
+     * Length of a progression chord in the current time signature
+     * @returns {number} Seconds per chord
+     */
+    getProgressionChordLength() {
+        return this.getMusicalTime().getChordLength();
+    }
+
+    /**
+     * Audio context time of a position in a chord, swung
+     * @private
+     * @param {number} startTime - Audio context time the chord starts at
+     * @param {number} startBeat - Beats from the start of the progression to the chord
+     * @param {number} beat - Position, in beats from the start of the progression
+     */
+    getStyleTime(startTime, startBeat, beat) {
+        return startTime + this.getMusicalTime().getSwungLength(startBeat, beat);
+    }
+
+    /**
+     * How much the rhythm style's patterns are stretched in the current time signature:
+     * compound meters fit the style's bar to their own, so its beats become pulses
+     * @private
+     * @returns {number} Length of a style beat in quarter notes
+     */
+    getStyleScale() {
+        const time = this.getMusicalTime();
+        return time.isCompound() ? time.getQuartersPerBar() / this.getRhythmStyle().beatsPerBar : 1;
+    }
+
+    /**
+     * Times of a style pattern that restarts with each chord, notes cut short at the chord's end
+     * @private
+     */
+    getStyleHits(pattern, patternBeats, startTime, duration, startBeat) {
+        const scale = this.getStyleScale();
+        const chordBeats = duration / this.getBeatLength();
+        const hits = getPatternHits(
+            fitPattern(pattern, scale),
+            patternBeats * scale,
+            0,
+            chordBeats
+        );
+        return hits.map(({ hit, beat }) => {
+            const time = this.getStyleTime(startTime, startBeat, startBeat + beat);
+            const end = this.getStyleTime(
+                startTime,
+                startBeat,
+                startBeat + Math.min(beat + hit.length, chordBeats)
+            );
+            return { hit, time, duration: end - time };
+        });
+    }
+
     /**
      * Advance to next step
      */
@@ -2318,41 +3410,22 @@ class AudioEngine {
             return;
         }
 
-        const progressions = this.musicTheory.getChordProgressions(key, mode);
-        const progression = progressions[progressionName];
-
-        if (!progression) {
-            this.logger.warn(`Progression ${progressionName} not found for ${key} ${mode}`);
+        const plan = this.planProgression(key, mode, progressionName, null, rhythm);
+        if (!plan) {
             return;
         }
 
-        const defaultRhythm = progression.roman.map(() => this.settings.progressionNoteLength);
-        const chordRhythm = rhythm || defaultRhythm;
-
-        let currentTime = this.audioContext.currentTime;
-        let previousVoicing = null;
-
-        progression.roman.forEach((romanNumeral, index) => {
-            const chordRoot = this.musicTheory.romanToChord(romanNumeral, key, mode);
-            const chordQuality = this.getChordQuality(romanNumeral, mode);
-            const chordNotes = this.musicTheory.getChordNotes(chordRoot, chordQuality);
-            const chordDuration = chordRhythm[index] || this.settings.progressionNoteLength;
-
-            // Optimize voice leading (octave 3 for better range)
-            const voicing = this.optimizeChordVoicing(chordNotes, previousVoicing, 3);
-            previousVoicing = voicing;
-
-            // Schedule chord with precise timing
-            this.scheduleChord(chordNotes, 3, currentTime, chordDuration);
-
-            currentTime += chordDuration;
-        });
+        // Schedule each chord with precise timing, voiced and accompanied as in playProgression
+        this.scheduleProgression(plan, this.scheduleCountIn(this.audioContext.currentTime));
     }
 
     /**
      * Cleanup resources
      */
     dispose() {
+        this.unbindState?.();
+        this.unbindState = null;
+        this.metronome.stop();
         this.stopScheduler();
         this.stopAll();
 
@@ -2374,7 +3447,12 @@ class AudioEngine {
             });
         }
 
-        if (this.audioContext && this.audioContext.state !== 'closed') {
+        // Offline contexts can't be closed; they finish when rendered
+        if (
+            this.audioContext &&
+            this.audioContext.state !== 'closed' &&
+            'close' in this.audioContext
+        ) {
             this.audioContext.close();
         }
         this.isInitialized = false;
@@ -0,0 +1,194 @@
+/**
+ * Audio Renderer
+ * Renders scales, chords and progressions offline to WAV files
+ */
+
+import { loggers } from './logger.js';
+import { AudioEngine } from './audioEngine.js';
+import { encodeWav } from './utils/WavEncoder.js';
+
+// Seconds rendered after the last note so releases and the longest reverb (hall) ring out
+const RENDER_TAIL = 3;
+
+// Seed for the noise in reverb impulses and drums, so renders are repeatable
+const DEFAULT_SEED = 0x5eed;
+
+/**
+ * Small seeded random number generator (mulberry32) standing in for Math.random
+ * @private
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Renders what the audio engine plays into an AudioBuffer or WAV file.
+ * Each render gets a fresh AudioEngine with the live engine's settings,
+ * initialized on an OfflineAudioContext, and plays through the same methods as
+ * the buttons (playScale, playChord, planProgression and scheduleProgression),
+ * so the synthesis path (createEnhancedOscillator, createEffectsChain and the
+ * limiter) is exactly the one heard live. Noise is seeded, so the same settings
+ * always render the same samples.
+ *
+ * @class AudioRenderer
+ * @example
+ * const renderer = new AudioRenderer(audioEngine);
+ * const buffer = await renderer.renderProgression('C', 'major', 'ii-V-I', { loops: 2 });
+ * const wav = renderer.toWav(buffer, 24);
+ */
+class AudioRenderer {
+    /**
+     * Creates a new AudioRenderer instance.
+     *
+     * @constructor
+     * @param {AudioEngine} audioEngine - Live audio engine whose settings are rendered
+     * @param {Object} [options] - Renderer options
+     * @param {number} [options.sampleRate=44100] - Sample rate of the render
+     * @param {number} [options.seed] - Seed for the noise in reverb and drums
+     * @param {function(number, number, number): OfflineAudioContext} [options.createContext] -
+     *   Creates the offline context from (channels, length, sampleRate); tests pass a fake
+     */
+    constructor(audioEngine, { sampleRate = 44100, seed = DEFAULT_SEED, createContext } = {}) {
+        this.audioEngine = audioEngine;
+        this.sampleRate = sampleRate;
+        this.seed = seed;
+        this.createContext = createContext || AudioRenderer.createOfflineContext;
+        this.logger = loggers?.audio || console;
+    }
+
+    /**
+     * Create a stereo OfflineAudioContext
+     * @param {number} channels - Channel count
+     * @param {number} length - Length in samples
+     * @param {number} sampleRate - Sample rate
+     * @returns {OfflineAudioContext} The context
+     * @throws {Error} If offline rendering isn't supported
+     */
+    static createOfflineContext(channels, length, sampleRate) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) {
+            throw new Error('OfflineAudioContext is not supported in this browser');
+        }
+        return new OfflineContext(channels, length, sampleRate);
+    }
+
+    /**
+     * Render duration seconds of whatever schedule() plays on a fresh engine
+     * @private
+     * @param {number} duration - Seconds of music before the tail
+     * @param {function(AudioEngine): (Promise<void>|void)} schedule - Plays into the engine
+     * @returns {Promise<AudioBuffer>} The rendered audio
+     */
+    async render(duration, schedule) {
+        const length = Math.ceil((duration + RENDER_TAIL) * this.sampleRate);
+        const context = this.createContext(2, length, this.sampleRate);
+
+        const engine = new AudioEngine(this.audioEngine.musicTheory);
+        engine.settings = { ...this.audioEngine.settings };
+        engine.logger = this.audioEngine.logger;
+        engine.random = createSeededRandom(this.seed);
+
+        try {
+            if (!(await engine.initialize(context))) {
+                throw new Error('Could not set up the audio engine for rendering');
+            }
+
+            await schedule(engine);
+            const buffer = await context.startRendering();
+            this.logger.info(`Rendered ${(length / this.sampleRate).toFixed(1)}s of audio`);
+            return buffer;
+        } finally {
+            engine.dispose();
+        }
+    }
+
+    /**
+     * Render the scale playScale plays
+     * @param {string} key - Scale root
+     * @param {string} [mode='major'] - Scale mode
+     * @returns {Promise<AudioBuffer>} The rendered audio
+     */
+    renderScale(key, mode = 'major') {
+        const events = this.audioEngine.getScaleEvents(key, mode);
+        const last = events[events.length - 1];
+
+        return this.render(last.time + last.duration, engine => engine.playScale(key, mode));
+    }
+
+    /**
+     * Render a chord as playChord plays it
+     * @param {string[]} notes - Chord notes, root first
+     * @returns {Promise<AudioBuffer>} The rendered audio
+     */
+    renderChord(notes) {
+        return this.render(this.audioEngine.getChordLength(), engine => engine.playChord(notes));
+    }
+
+    /**
+     * Render a progression as playProgression plays it, looped with voice leading
+     * carried across the repeats
+     * @param {string} key - Key signature
+     * @param {string} mode - Major, minor or a church mode
+     * @param {string} progressionName - Name of the progression
+     * @param {Object} [options] - Render options
+     * @param {number} [options.loops=1] - Times through the progression
+     * @returns {Promise<AudioBuffer|null>} The rendered audio, or null if the progression
+     *   doesn't exist
+     */
+    async renderProgression(key, mode, progressionName, { loops = 1 } = {}) {
+        const plans = [];
+        let previousVoicing = null;
+        for (let loop = 0; loop < loops; loop++) {
+            const plan = this.audioEngine.planProgression(
+                key,
+                mode,
+                progressionName,
+                previousVoicing
+            );
+            if (!plan) {
+                return null;
+            }
+            plans.push(plan);
+            previousVoicing = plan.finalVoicing;
+        }
+
+        const duration = plans.reduce((sum, plan) => sum + plan.totalDuration, 0);
+        return this.render(duration, engine => {
+            let startTime = 0;
+            plans.forEach((plan, index) => {
+                engine.scheduleProgression(
+                    plan,
+                    startTime,
+                    startTime / engine.getBeatLength(),
+                    plans[index + 1]?.chords[0] || null
+                );
+                startTime += plan.totalDuration;
+            });
+        });
+    }
+
+    /**
+     * Encode a render as a WAV file
+     * @param {AudioBuffer} buffer - Rendered audio
+     * @param {number} [bitDepth=16] - 16 or 24
+     * @returns {Uint8Array} WAV file bytes
+     */
+    toWav(buffer, bitDepth = 16) {
+        return encodeWav(buffer, bitDepth);
+    }
+}
+
+// ES6 module export
+export { AudioRenderer };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.AudioRenderer = AudioRenderer;
+}
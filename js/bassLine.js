@@ -0,0 +1,256 @@
+/**
+ * Bass Line Generator
+ * Writes bass lines from a progression's chords, leading each chord into the next
+ */
+
+// Kinds of bass line a rhythm style can ask for
+const BASS_LINE_TYPES = ['root', 'rootFifth', 'approach', 'walking'];
+
+// Note letters in order, for naming approach notes by the note they lead into
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+/**
+ * Bass player for AudioEngine's rhythm styles.
+ * Given a chord, the chord after it and how many notes the style's rhythm has
+ * room for, getLine() picks the pitches:
+ * - root: the bass note of the chord throughout
+ * - rootFifth: the bass note and the fifth below it, in turn
+ * - approach: the bass note, then the key's scale step next to the next chord's
+ *   bass note on the last hit, leading into it
+ * - walking: the bass note, a chord tone, then scale tones other than the bass
+ *   note heading for a chromatic approach a half step from the next chord's bass
+ *   note
+ * Approach notes are named by the note they lead into: C# into D, Eb into D.
+ * With no next chord (the end of a progression), approach lines stay on the
+ * bass note and walking lines walk up the chord instead.
+ *
+ * @class BassLineGenerator
+ * @example
+ * const bassLine = new BassLineGenerator(musicTheory);
+ * bassLine.getLine({ notes: ['D', 'F', 'A'] }, { notes: ['G', 'B', 'D', 'F'] },
+ *     { type: 'walking', count: 4, key: 'C' });
+ * // → D2, F2, E2, F#2
+ */
+class BassLineGenerator {
+    /**
+     * Creates a new BassLineGenerator instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance for scales and spelling
+     */
+    constructor(musicTheory) {
+        this.musicTheory = musicTheory;
+    }
+
+    /**
+     * Choose the notes of one chord's bass line
+     * @param {{notes: string[], root?: string}} chord - Chord, notes bass first; the root
+     *   is the first note unless given
+     * @param {{notes: string[]}|null} nextChord - Chord that follows, or null at the end
+     * @param {Object} [options] - Line options
+     * @param {string} [options.type='root'] - Kind of line, see BASS_LINE_TYPES
+     * @param {number} [options.count=1] - Notes the rhythm has room for
+     * @param {number} [options.octave=2] - Octave of the chord's bass note
+     * @param {string|null} [options.key=null] - Key whose scale the line walks in; the
+     *   chord's own notes without one
+     * @param {string} [options.mode='major'] - Mode of the key
+     * @returns {Array<{note: string, octave: number}>} One note per hit
+     */
+    getLine(
+        chord,
+        nextChord,
+        { type = 'root', count = 1, octave = 2, key = null, mode = 'major' } = {}
+    ) {
+        const bass = this.getPitch(chord.notes[0], octave);
+        let pitches;
+
+        if (type === 'rootFifth') {
+            const fifth = this.nearest(this.getFifth(chord), bass - 12, bass);
+            pitches = Array.from({ length: count }, (_, index) => (index % 2 ? fifth : bass));
+        } else if (type === 'approach' && nextChord && count > 1) {
+            pitches = Array(count - 1).fill(bass);
+            pitches.push(this.getScaleApproach(bass, nextChord, key, mode));
+        } else if (type === 'walking') {
+            pitches = this.walk(chord, nextChord, bass, count, key, mode);
+        } else {
+            pitches = Array(count).fill(bass);
+        }
+
+        const line = pitches.map(pitch => this.spell(pitch, chord, key, mode));
+        if (nextChord && count > 1 && (type === 'approach' || type === 'walking')) {
+            line[count - 1] =
+                this.spellApproach(pitches[count - 1], nextChord.notes[0]) ?? line[count - 1];
+        }
+        return line;
+    }
+
+    /**
+     * A walking line: bass note, chord tone, scale tones, approach
+     * @private
+     */
+    walk(chord, nextChord, bass, count, key, mode) {
+        const chordTones = chord.notes.map(note => this.musicTheory.getNoteIndex(note));
+
+        if (!nextChord) {
+            // Up the chord and back: root, third, fifth, third
+            const up = [0, 1, 2, 1].map(tone => chordTones[tone % chordTones.length]);
+            return Array.from({ length: count }, (_, index) =>
+                this.nearest(up[index % up.length], bass, bass + 11)
+            );
+        }
+
+        const target = this.nearest(
+            this.musicTheory.getNoteIndex(nextChord.notes[0]),
+            bass - 6,
+            bass + 5
+        );
+        // A half step from the next bass note, on the side the line comes from
+        const approach = target >= bass ? target - 1 : target + 1;
+        if (count === 1) {
+            return [bass];
+        }
+
+        const scaleTones = key
+            ? this.musicTheory
+                  .getScaleNotes(key, mode)
+                  .map(note => this.musicTheory.getNoteIndex(note))
+            : chordTones;
+        const line = [bass];
+        const between = count - 2;
+        for (let index = 1; index <= between; index++) {
+            // Head in a straight line for the approach: a chord tone first, then the scale
+            // away from the bass note, which the line has just left
+            const aim = bass + ((approach - bass) * index) / (between + 1);
+            const pitchClasses =
+                index === 1 ? chordTones : scaleTones.filter(pc => pc !== bass % 12);
+            const avoid = [line[line.length - 1], ...(index === between ? [approach] : [])];
+            line.push(this.closestTo(aim, pitchClasses, avoid));
+        }
+        line.push(approach);
+        return line;
+    }
+
+    /**
+     * The key's scale tone a step from the next chord's bass note, below it when
+     * coming from below; a half step when the key has no step there
+     * @private
+     */
+    getScaleApproach(bass, nextChord, key, mode) {
+        const target = this.nearest(
+            this.musicTheory.getNoteIndex(nextChord.notes[0]),
+            bass - 6,
+            bass + 5
+        );
+        const direction = target >= bass ? -1 : 1;
+        const scaleTones = key
+            ? this.musicTheory
+                  .getScaleNotes(key, mode)
+                  .map(note => this.musicTheory.getNoteIndex(note))
+            : [];
+
+        for (const step of [1, 2]) {
+            const pitch = target + direction * step;
+            if (scaleTones.includes(((pitch % 12) + 12) % 12)) {
+                return pitch;
+            }
+        }
+        return target + direction;
+    }
+
+    /**
+     * Pitch class of the chord's fifth, or a perfect fifth above the root if it has none
+     * @private
+     */
+    getFifth(chord) {
+        const root = this.musicTheory.getNoteIndex(chord.root || chord.notes[0]);
+        const fifth = chord.notes
+            .map(note => this.musicTheory.getNoteIndex(note))
+            .find(pc => [6, 7, 8].includes((pc - root + 12) % 12));
+        return fifth ?? (root + 7) % 12;
+    }
+
+    /**
+     * MIDI-style pitch number of a note in an octave
+     * @private
+     */
+    getPitch(note, octave) {
+        return (octave + 1) * 12 + this.musicTheory.getNoteIndex(note);
+    }
+
+    /**
+     * Pitch of a pitch class between two pitches (an octave apart at most)
+     * @private
+     */
+    nearest(pitchClass, low, high) {
+        const pitch = low + ((((pitchClass - low) % 12) + 12) % 12);
+        return pitch <= high ? pitch : pitch - 12;
+    }
+
+    /**
+     * Pitch of one of some pitch classes closest to an aim, skipping some pitches
+     * @private
+     */
+    closestTo(aim, pitchClasses, avoid) {
+        const candidates = [];
+        pitchClasses.forEach(pc => {
+            const below = this.nearest(pc, Math.floor(aim) - 11, Math.floor(aim));
+            candidates.push(below, below + 12);
+        });
+        const allowed = candidates.filter(pitch => !avoid.includes(pitch));
+        return (allowed.length > 0 ? allowed : candidates).reduce((best, pitch) =>
+            Math.abs(pitch - aim) < Math.abs(best - aim) ? pitch : best
+        );
+    }
+
+    /**
+     * Name a pitch as the chord spells it, or else as the key does
+     * @private
+     */
+    spell(pitch, chord, key, mode) {
+        const pitchClass = ((pitch % 12) + 12) % 12;
+        const note =
+            chord.notes.find(
+                chordNote => this.musicTheory.getNoteIndex(chordNote) === pitchClass
+            ) || this.musicTheory.spellPitchClass(pitchClass, key, mode);
+        return this.toNote(pitch, note);
+    }
+
+    /**
+     * Name a note leading into the next chord's bass note by that note's letter: from
+     * below it takes the letter below (C# into D, E# into F#), from above the letter
+     * above (Eb into D)
+     * @private
+     * @returns {{note: string, octave: number}|null} Named note, or null if the bass
+     *   note can't be read
+     */
+    spellApproach(pitch, target) {
+        const parsed = this.musicTheory.parseNote(target);
+        if (!parsed) {
+            return null;
+        }
+
+        const pitchClass = ((pitch % 12) + 12) % 12;
+        const below = (parsed.pitchClass - pitchClass + 12) % 12 <= 2;
+        const letter = LETTERS[(LETTERS.indexOf(parsed.letter) + (below ? 6 : 1)) % 7];
+        return this.toNote(pitch, this.musicTheory.spellWithLetter(letter, pitchClass));
+    }
+
+    /**
+     * A pitch as a note name and octave
+     * @private
+     */
+    toNote(pitch, note) {
+        return {
+            note,
+            octave: Math.round((pitch - this.musicTheory.getNoteIndex(note)) / 12) - 1
+        };
+    }
+}
+
+// ES6 module export
+export { BassLineGenerator, BASS_LINE_TYPES };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.BassLineGenerator = BassLineGenerator;
+}
@@ -0,0 +1,264 @@
+/**
+ * Chord Finder Panel Component
+ * Names the chord formed by notes clicked on the piano keyboard
+ */
+
+import { loggers } from './logger.js';
+
+const INVERSION_NAMES = ['root position', 'first inversion', 'second inversion', 'third inversion'];
+
+/**
+ * UI component for chord recognition.
+ * Clicking keys on #piano-keyboard toggles them into a chord (the first key
+ * clicked is the bass); the panel lists every reading from
+ * MusicTheory.identifyChord and marks the best reading's root on the circle.
+ *
+ * @class ChordFinderPanel
+ * @example
+ * const chordFinderPanel = new ChordFinderPanel(musicTheory, app);
+ */
+class ChordFinderPanel {
+    /**
+     * Creates a new ChordFinderPanel instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance used for recognition
+     * @param {Object} app - Application instance providing circleRenderer and getAudioEngine()
+     */
+    constructor(musicTheory, app) {
+        this.musicTheory = musicTheory;
+        this.app = app;
+        this.logger = loggers?.interactions || console;
+
+        this.selectedNotes = [];
+        this.readings = [];
+
+        this.elements = {
+            pianoKeyboard: document.getElementById('piano-keyboard'),
+            svg: document.getElementById('circle-svg'),
+            result: document.getElementById('chord-finder-result'),
+            readings: document.getElementById('chord-finder-readings'),
+            playBtn: document.getElementById('play-chord-finder'),
+            clearBtn: document.getElementById('clear-chord-finder')
+        };
+
+        // Bind methods
+        this.handleKeyClick = this.handleKeyClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleContextChange = this.handleContextChange.bind(this);
+        this.playChord = this.playChord.bind(this);
+        this.clear = this.clear.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        if (!this.elements.pianoKeyboard || !this.elements.result) {
+            this.logger.debug('Chord finder elements not found, skipping setup');
+            return;
+        }
+
+        // Make the keys operable from the keyboard as well as by pointer
+        this.elements.pianoKeyboard.querySelectorAll('.piano-key').forEach(pianoKey => {
+            pianoKey.setAttribute('role', 'button');
+            pianoKey.setAttribute('tabindex', '0');
+            pianoKey.setAttribute('aria-pressed', 'false');
+            pianoKey.setAttribute('aria-label', pianoKey.getAttribute('data-note'));
+        });
+
+        this.setupEventListeners();
+        this.update();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.pianoKeyboard.addEventListener('click', this.handleKeyClick);
+        this.elements.pianoKeyboard.addEventListener('keydown', this.handleKeyDown);
+        this.elements.svg?.addEventListener('keySelected', this.handleContextChange);
+        this.elements.svg?.addEventListener('modeChanged', this.handleContextChange);
+        this.elements.playBtn?.addEventListener('click', this.playChord);
+        this.elements.clearBtn?.addEventListener('click', this.clear);
+    }
+
+    /**
+     * Toggle a clicked piano key in or out of the chord
+     * @param {Event} event - Click event
+     */
+    handleKeyClick(event) {
+        const pianoKey = /** @type {HTMLElement} */ (event.target).closest('.piano-key');
+        if (pianoKey) {
+            this.toggleNote(pianoKey.getAttribute('data-note'));
+        }
+    }
+
+    /**
+     * Toggle the focused piano key with Enter or Space
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeyDown(event) {
+        if (event.key !== 'Enter' && event.key !== ' ') {
+            return;
+        }
+
+        const pianoKey = /** @type {HTMLElement} */ (event.target).closest('.piano-key');
+        if (pianoKey) {
+            event.preventDefault();
+            this.toggleNote(pianoKey.getAttribute('data-note'));
+        }
+    }
+
+    /**
+     * Re-spell the readings when the selected key or mode changes
+     */
+    handleContextChange() {
+        this.update();
+    }
+
+    /**
+     * Add a note to the chord (playing it), or remove it if already selected
+     * @param {string} note - Note name from the key's data-note attribute
+     */
+    async toggleNote(note) {
+        const index = this.selectedNotes.indexOf(note);
+        if (index === -1) {
+            this.selectedNotes.push(note);
+        } else {
+            this.selectedNotes.splice(index, 1);
+        }
+        this.update();
+
+        if (index === -1) {
+            try {
+                const audioEngine = await this.app.getAudioEngine();
+                audioEngine.playNote(note, 4, 0.5);
+            } catch (error) {
+                this.logger.error('Failed to play piano key:', error);
+            }
+        }
+    }
+
+    /**
+     * Recognize the selected notes and refresh the piano, panel and circle
+     */
+    update() {
+        const { selectedKey = null, currentMode = 'major' } =
+            this.app.circleRenderer?.getState() || {};
+        this.readings = this.musicTheory.identifyChord(
+            this.selectedNotes,
+            selectedKey,
+            currentMode
+        );
+
+        this.elements.pianoKeyboard.querySelectorAll('.piano-key').forEach(pianoKey => {
+            const position = this.selectedNotes.indexOf(pianoKey.getAttribute('data-note'));
+            pianoKey.classList.toggle('selected', position !== -1);
+            pianoKey.classList.toggle('bass-note', position === 0);
+            pianoKey.setAttribute('aria-pressed', String(position !== -1));
+        });
+
+        this.renderResult(selectedKey);
+        this.app.circleRenderer?.setChordRoot(this.readings[0]?.root ?? null);
+
+        if (this.elements.playBtn) {
+            this.elements.playBtn.disabled = this.readings.length === 0;
+        }
+    }
+
+    /**
+     * Describe the best reading, where its root sits on the circle, and the alternatives
+     * @param {string|null} selectedKey - Key currently selected on the circle
+     */
+    renderResult(selectedKey) {
+        const { result, readings } = this.elements;
+        const [best, ...others] = this.readings;
+
+        if (this.selectedNotes.length === 0) {
+            result.textContent = 'Click piano keys to build a chord (the first key is the bass)';
+        } else if (!best) {
+            result.textContent = `${this.selectedNotes.join(' - ')}: no chord found`;
+        } else {
+            const inversion = INVERSION_NAMES[best.inversion] || `${best.bass} in the bass`;
+            result.textContent =
+                `${best.symbol} (${inversion}): ${best.notes.join(' - ')}. ` +
+                this.describeCirclePosition(best.root, selectedKey);
+        }
+
+        if (readings) {
+            readings.textContent = others.length
+                ? `Also: ${others.map(reading => reading.symbol).join(', ')}`
+                : '';
+        }
+    }
+
+    /**
+     * Describe where a chord root sits on the circle relative to the selected key
+     * @param {string} root - Chord root
+     * @param {string|null} selectedKey - Key currently selected on the circle
+     * @returns {string} Description, e.g. 'G is 1 step clockwise from C.'
+     */
+    describeCirclePosition(root, selectedKey) {
+        const distance = selectedKey ? this.musicTheory.getCircleDistance(selectedKey, root) : null;
+
+        if (distance === null) {
+            return '';
+        }
+        if (distance === 0) {
+            return `${root} is the selected key on the circle.`;
+        }
+
+        const steps = Math.abs(distance);
+        const direction = distance > 0 ? 'clockwise' : 'anticlockwise';
+        return `${root} is ${steps} step${steps === 1 ? '' : 's'} ${direction} from ${selectedKey}.`;
+    }
+
+    /**
+     * Play the best reading with its bass lowest
+     */
+    async playChord() {
+        const [best] = this.readings;
+        if (!best) {
+            return;
+        }
+
+        try {
+            const audioEngine = await this.app.getAudioEngine();
+            audioEngine.playChord(best.notes);
+        } catch (error) {
+            this.logger.error('Failed to play recognized chord:', error);
+        }
+    }
+
+    /**
+     * Deselect every key
+     */
+    clear() {
+        this.selectedNotes = [];
+        this.update();
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        const { pianoKeyboard, svg, playBtn, clearBtn } = this.elements;
+        pianoKeyboard?.removeEventListener('click', this.handleKeyClick);
+        pianoKeyboard?.removeEventListener('keydown', this.handleKeyDown);
+        svg?.removeEventListener('keySelected', this.handleContextChange);
+        svg?.removeEventListener('modeChanged', this.handleContextChange);
+        playBtn?.removeEventListener('click', this.playChord);
+        clearBtn?.removeEventListener('click', this.clear);
+    }
+}
+
+// ES6 module export
+export { ChordFinderPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.ChordFinderPanel = ChordFinderPanel;
+}
@@ -0,0 +1,136 @@
+/**
+ * Chord Symbol Panel Component
+ * Lets the user type a chord symbol, shows its spelled notes and plays it
+ */
+
+import { loggers } from './logger.js';
+
+/**
+ * UI component for entering chord symbols such as 'F#m7b5/C' or 'Bbmaj9'.
+ * The symbol is parsed with MusicTheory.parseChordSymbol as the user types and
+ * played through AudioEngine.playChord with the slash bass (if any) lowest.
+ *
+ * @class ChordSymbolPanel
+ * @example
+ * const chordSymbolPanel = new ChordSymbolPanel(musicTheory, app);
+ */
+class ChordSymbolPanel {
+    /**
+     * Creates a new ChordSymbolPanel instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance used to parse symbols
+     * @param {Object} app - Application instance providing getAudioEngine()
+     */
+    constructor(musicTheory, app) {
+        this.musicTheory = musicTheory;
+        this.app = app;
+        this.logger = loggers?.interactions || console;
+
+        this.elements = {
+            form: document.getElementById('chord-symbol-form'),
+            input: document.getElementById('chord-symbol-input'),
+            result: document.getElementById('chord-symbol-result')
+        };
+
+        // Bind methods
+        this.handleInput = this.handleInput.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        if (!this.elements.form || !this.elements.input) {
+            this.logger.debug('Chord symbol panel elements not found, skipping setup');
+            return;
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.input.addEventListener('input', this.handleInput);
+        this.elements.form.addEventListener('submit', this.handleSubmit);
+    }
+
+    /**
+     * Parse the current input
+     * @returns {Object|null} Parsed chord, or null if the input isn't a chord symbol
+     */
+    getChord() {
+        return this.musicTheory.parseChordSymbol(this.elements.input.value);
+    }
+
+    /**
+     * Update the spelled notes as the user types
+     */
+    handleInput() {
+        this.showResult(this.getChord());
+    }
+
+    /**
+     * Play the chord when the form is submitted (Enter or the Play button)
+     * @param {Event} event - Submit event
+     */
+    async handleSubmit(event) {
+        event.preventDefault();
+
+        const chord = this.getChord();
+        this.showResult(chord);
+        if (!chord) {
+            return;
+        }
+
+        try {
+            const audioEngine = await this.app.getAudioEngine();
+            audioEngine.playChord(chord.notes);
+        } catch (error) {
+            this.logger.error('Failed to play chord symbol:', error);
+        }
+    }
+
+    /**
+     * Show the spelled notes of a chord, or why the input couldn't be read
+     * @param {Object|null} chord - Parsed chord
+     */
+    showResult(chord) {
+        const { input, result } = this.elements;
+        if (!result) {
+            return;
+        }
+
+        const text = input.value.trim();
+        input.setAttribute('aria-invalid', String(Boolean(text) && !chord));
+
+        if (!text) {
+            result.textContent = '';
+        } else if (!chord) {
+            result.textContent = `"${text}" is not a chord symbol this app can read`;
+        } else {
+            result.textContent = `${chord.symbol}: ${chord.notes.join(' - ')}`;
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.elements.input?.removeEventListener('input', this.handleInput);
+        this.elements.form?.removeEventListener('submit', this.handleSubmit);
+    }
+}
+
+// ES6 module export
+export { ChordSymbolPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.ChordSymbolPanel = ChordSymbolPanel;
+}
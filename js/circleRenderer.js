@@ -5,6 +5,7 @@
 
 import { SVGPathBuilder } from './utils/SVGPathBuilder.js';
 import { CircleGeometry } from './utils/CircleGeometry.js';
+import { CircleState } from './state/CircleState.js';
 
 // Circle dimension constants (based on 800x800 viewBox)
 const SVG_SIZE = 800;
@@ -16,6 +17,9 @@ const KEYS_IN_CIRCLE = 12;
 /**
  * Renders and manages the interactive Circle of Fifths visualization using SVG.
  * Handles key selection, mode switching, highlighting, and visual feedback.
+ * The selected key and mode live in a CircleState shared with the rest of the
+ * app: selectKey and switchMode write to it, and the circle redraws whenever
+ * it changes, including on undo and redo.
  *
  * @class CircleRenderer
  * @example
@@ -31,14 +35,22 @@ class CircleRenderer {
      * @constructor
      * @param {SVGElement} svgElement - The SVG element to render the circle into
      * @param {MusicTheory} musicTheory - Music theory engine for key relationships
+     * @param {CircleState} [state] - Shared state holding the selected key and mode
      * @throws {Error} If svgElement is not a valid SVG element
      */
-    constructor(svgElement, musicTheory) {
+    constructor(svgElement, musicTheory, state = new CircleState()) {
         this.svg = svgElement;
         this.musicTheory = musicTheory;
-        this.currentMode = 'major';
-        this.selectedKey = 'C';
+        this.state = state;
+
+        // Key and mode drawn, following the shared state
+        this.currentMode = state.getState('mode');
+        this.selectedKey = state.getState('selectedKey');
         this.highlightedKeys = new Set();
+        this.unsubscribers = [
+            state.subscribe('selectedKey', key => this.showSelectedKey(key)),
+            state.subscribe('mode', mode => this.showMode(mode))
+        ];
 
         // Initialize geometry utility
         this.geometry = new CircleGeometry(SVG_SIZE, OUTER_RADIUS_RATIO, INNER_RADIUS_RATIO);
@@ -51,6 +63,10 @@ class CircleRenderer {
         this.segmentAngle = 360 / KEYS_IN_CIRCLE; // 30 degrees per segment
 
         this.keySegments = new Map();
+
+        // Timers of a modulation route being animated
+        this.routeTimeouts = new Set();
+
         this.init();
     }
 
@@ -305,13 +321,24 @@ class CircleRenderer {
             if (relationship) {
                 pathElement.classList.add(relationship);
             } else {
-                pathElement.classList.add(this.currentMode);
+                pathElement.classList.add(this.getModeColorClass());
             }
         } else {
-            pathElement.classList.add(this.currentMode);
+            pathElement.classList.add(this.getModeColorClass());
         }
     }
 
+    /**
+     * Get the segment color class for the current mode.
+     * Church modes are colored by the quality of their tonic chord,
+     * so Lydian and Mixolydian look major and Dorian, Phrygian and Locrian look minor.
+     * @returns {string} 'major' or 'minor'
+     */
+    getModeColorClass() {
+        const modeInfo = this.musicTheory.getModeInfo(this.currentMode);
+        return !modeInfo || modeInfo.quality === 'major' ? 'major' : 'minor';
+    }
+
     /**
      * Get relationship of a key to the selected key
      */
@@ -321,13 +348,16 @@ class CircleRenderer {
             return null;
         }
 
-        if (relatedKeys.dominant.key === key) {
+        const matches = related =>
+            related.key === key || this.musicTheory.getCircleKey(related.key) === key;
+
+        if (matches(relatedKeys.dominant)) {
             return 'dominant';
         }
-        if (relatedKeys.subdominant.key === key) {
+        if (matches(relatedKeys.subdominant)) {
             return 'subdominant';
         }
-        if (relatedKeys.relative.key === key) {
+        if (matches(relatedKeys.relative)) {
             return 'relative';
         }
 
@@ -348,8 +378,10 @@ class CircleRenderer {
         }
 
         if (centerMode) {
-            centerMode.textContent =
-                this.currentMode.charAt(0).toUpperCase() + this.currentMode.slice(1);
+            const modeInfo = this.musicTheory.getModeInfo(this.currentMode);
+            centerMode.textContent = modeInfo
+                ? modeInfo.name
+                : this.currentMode.charAt(0).toUpperCase() + this.currentMode.slice(1);
         }
 
         if (centerSignature) {
@@ -363,7 +395,12 @@ class CircleRenderer {
         if (centerRelative) {
             const relatedKeys = this.musicTheory.getRelatedKeys(this.selectedKey, this.currentMode);
             if (relatedKeys && relatedKeys.relative) {
-                centerRelative.textContent = `Relative: ${relatedKeys.relative.key} ${relatedKeys.relative.mode}`;
+                // Church modes show their parent major key instead of a relative key
+                const label =
+                    this.currentMode === 'major' || this.currentMode === 'minor'
+                        ? 'Relative'
+                        : 'Parent';
+                centerRelative.textContent = `${label}: ${relatedKeys.relative.key} ${relatedKeys.relative.mode}`;
             }
         }
     }
@@ -383,6 +420,15 @@ class CircleRenderer {
             return;
         }
 
+        this.state.setState({ selectedKey: key });
+    }
+
+    /**
+     * Draw a key of the shared state as selected
+     * @private
+     * @param {string} key - Selected key
+     */
+    showSelectedKey(key) {
         const previousKey = this.selectedKey;
         const previousHighlighted = new Set(this.highlightedKeys);
 
@@ -430,9 +476,17 @@ class CircleRenderer {
 
         const relatedKeys = this.musicTheory.getRelatedKeys(this.selectedKey, this.currentMode);
         if (relatedKeys) {
-            this.highlightedKeys.add(relatedKeys.dominant.key);
-            this.highlightedKeys.add(relatedKeys.subdominant.key);
-            this.highlightedKeys.add(relatedKeys.relative.key);
+            // Related keys are spelled from the selected key (e.g. Cb) while segments use
+            // circle names (B), so track both spellings
+            [relatedKeys.dominant, relatedKeys.subdominant, relatedKeys.relative].forEach(
+                related => {
+                    this.highlightedKeys.add(related.key);
+                    const circleKey = this.musicTheory.getCircleKey(related.key);
+                    if (circleKey) {
+                        this.highlightedKeys.add(circleKey);
+                    }
+                }
+            );
         }
     }
 
@@ -534,20 +588,30 @@ class CircleRenderer {
     }
 
     /**
-     * Switch between major and minor modes.
+     * Switch between the diatonic modes (major, minor, Dorian, Phrygian, Lydian,
+     * Mixolydian and Locrian). 'ionian' and 'aeolian' are accepted as aliases.
      * Updates the visualization to show the appropriate key relationships.
      *
-     * @param {string} mode - The mode to switch to ('major' or 'minor')
-     * @throws {Error} If mode is not 'major' or 'minor'
+     * @param {string} mode - The mode to switch to (e.g., 'minor', 'dorian')
      * @example
      * renderer.switchMode('minor'); // Switch to minor mode
+     * renderer.switchMode('dorian'); // Switch to Dorian mode
      */
     switchMode(mode) {
-        if (mode !== 'major' && mode !== 'minor') {
+        if (!this.musicTheory.isDiatonicMode(mode)) {
             console.warn(`Invalid mode: ${mode}`);
             return;
         }
 
+        this.state.setState({ mode: this.musicTheory.normalizeMode(mode) });
+    }
+
+    /**
+     * Draw the circle in a mode of the shared state
+     * @private
+     * @param {string} mode - Normalized mode
+     */
+    showMode(mode) {
         const previousMode = this.currentMode;
         this.currentMode = mode;
 
@@ -610,7 +674,8 @@ class CircleRenderer {
      * Highlight a specific note during playback
      */
     highlightNote(note, duration = 500, type = 'note') {
-        const segment = this.keySegments.get(note);
+        const segment =
+            this.keySegments.get(note) || this.keySegments.get(this.musicTheory.getCircleKey(note));
         if (segment) {
             // Clear any existing highlighting classes
             segment.classList.remove('note-playing', 'chord-playing', 'progression-playing');
@@ -632,12 +697,100 @@ class CircleRenderer {
         }
     }
 
+    /**
+     * Mark the segment of a chord root found by chord recognition.
+     * The marker stays until it is moved or cleared, unlike highlightNote.
+     * @param {string|null} note - Chord root (any spelling), or null to clear the marker
+     */
+    setChordRoot(note) {
+        this.keySegments.forEach(segment => segment.classList.remove('chord-root'));
+
+        const segment = note
+            ? this.keySegments.get(note) ||
+              this.keySegments.get(this.musicTheory.getCircleKey(note))
+            : null;
+        if (segment) {
+            segment.classList.add('chord-root');
+        }
+    }
+
+    /**
+     * Mark the key an applied chord tonicizes (D for V/ii in C) while it plays.
+     * Cleared with null or by clearNoteHighlights.
+     * @param {string|null} key - Tonicized key (any spelling), or null to clear the marker
+     */
+    setTonicizedKey(key) {
+        this.keySegments.forEach(segment => segment.classList.remove('tonicized'));
+
+        const segment = key
+            ? this.keySegments.get(key) || this.keySegments.get(this.musicTheory.getCircleKey(key))
+            : null;
+        if (segment) {
+            segment.classList.add('tonicized');
+        }
+    }
+
+    /**
+     * Animate a modulation route across the circle: every segment on the route is
+     * outlined, then the segments light up one after another in route order.
+     * Starting another route or calling clearRoute stops the animation.
+     * @param {string[]} keys - Segments the route crosses, in order (any spelling)
+     * @param {number} [stepDuration=400] - Milliseconds each segment stays lit
+     * @returns {number} Length of the animation in milliseconds
+     */
+    animateRoute(keys, stepDuration = 400) {
+        this.clearRoute();
+
+        const segments = keys
+            .map(
+                key =>
+                    this.keySegments.get(key) ||
+                    this.keySegments.get(this.musicTheory.getCircleKey(key))
+            )
+            .filter(Boolean);
+        segments.forEach(segment => segment.classList.add('modulation-route'));
+
+        const schedule = (callback, delay) => {
+            const timeoutId = setTimeout(() => {
+                this.routeTimeouts.delete(timeoutId);
+                callback();
+            }, delay);
+            this.routeTimeouts.add(timeoutId);
+        };
+        segments.forEach((segment, index) => {
+            schedule(() => {
+                segments.forEach(other => other.classList.remove('modulation-step'));
+                segment.classList.add('modulation-step');
+            }, index * stepDuration);
+        });
+
+        const totalDuration = segments.length * stepDuration;
+        schedule(() => this.clearRoute(), totalDuration);
+        return totalDuration;
+    }
+
+    /**
+     * Stop any route animation and remove its markers
+     */
+    clearRoute() {
+        this.routeTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
+        this.routeTimeouts.clear();
+        this.keySegments.forEach(segment => {
+            segment.classList.remove('modulation-route', 'modulation-step');
+        });
+    }
+
     /**
      * Clear all note highlighting
      */
     clearNoteHighlights() {
         this.keySegments.forEach(segment => {
-            segment.classList.remove('note-playing', 'chord-playing', 'progression-playing');
+            segment.classList.remove(
+                'note-playing',
+                'chord-playing',
+                'progression-playing',
+                'tonicized'
+            );
         });
     }
 
@@ -699,6 +852,9 @@ class CircleRenderer {
      * Clears all segments and resets state
      */
     destroy() {
+        // Stop any route animation
+        this.clearRoute();
+
         // Clear all segments
         this.clearCircle();
 
@@ -708,6 +864,10 @@ class CircleRenderer {
         // Clear highlights
         this.highlightedKeys.clear();
 
+        // Stop following the shared state
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
         // Reset state
         this.selectedKey = 'C';
         this.currentMode = 'major';
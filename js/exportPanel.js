@@ -0,0 +1,271 @@
+/**
+ * Export Panel Component
+ * Downloads the selected key's scale, chord or progression as a MIDI or WAV file
+ */
+
+import { loggers } from './logger.js';
+import { MidiExporter } from './midiExport.js';
+import { AudioRenderer } from './audioRenderer.js';
+import { getExportFileName, downloadFile } from './utils/fileDownload.js';
+
+// Most times a progression can be looped in one export
+const MAX_EXPORT_LOOPS = 16;
+
+/**
+ * UI component for exporting playback.
+ * Exports what the Scale, Chord and Progression buttons would play for the key
+ * and mode selected on the circle (the chosen progression, or else the first,
+ * as with the Progression button), looped as many times as asked, either as a
+ * type 0 or type 1 Standard MIDI File built by MidiExporter or as a 16 or 24-bit
+ * WAV rendered offline by AudioRenderer. Both follow the audio engine's current
+ * tempo, voicings, sound and bass and percussion toggles.
+ *
+ * @class ExportPanel
+ * @example
+ * const exportPanel = new ExportPanel(musicTheory, app);
+ */
+class ExportPanel {
+    /**
+     * Creates a new ExportPanel instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance
+     * @param {Object} app - Application instance providing circleRenderer and getAudioEngine()
+     */
+    constructor(musicTheory, app) {
+        this.musicTheory = musicTheory;
+        this.app = app;
+        this.logger = loggers?.interactions || console;
+
+        this.elements = {
+            form: document.getElementById('export-form'),
+            sourceSelect: document.getElementById('export-source'),
+            formatSelect: document.getElementById('export-format'),
+            loopsInput: document.getElementById('export-loops'),
+            submitBtn: document.getElementById('export-submit'),
+            message: document.getElementById('export-message')
+        };
+
+        // Bind methods
+        this.handleSubmit = this.handleSubmit.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        const { form, sourceSelect, formatSelect } = this.elements;
+        if (!form || !sourceSelect || !formatSelect) {
+            this.logger.debug('Export panel elements not found, skipping setup');
+            return;
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.form.addEventListener('submit', this.handleSubmit);
+    }
+
+    /**
+     * Export the selected source in the selected format
+     * @param {Event} event - Submit event
+     */
+    async handleSubmit(event) {
+        event.preventDefault();
+
+        const { sourceSelect, formatSelect, loopsInput, submitBtn } = this.elements;
+        const [kind, option] = formatSelect.value.split('-');
+        const loops = Math.min(MAX_EXPORT_LOOPS, Math.max(1, Number(loopsInput?.value) || 1));
+
+        if (submitBtn) {
+            submitBtn.disabled = true;
+        }
+        try {
+            if (kind === 'wav') {
+                this.showMessage('Rendering…');
+                await this.exportWav(sourceSelect.value, Number(option), loops);
+            } else {
+                await this.exportMidi(sourceSelect.value, Number(option), loops);
+            }
+        } finally {
+            // Whatever went wrong, the next export can be tried
+            if (submitBtn) {
+                submitBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Key, mode, tonic chord and chosen progression of the selection on the circle,
+     * which the Scale, Chord and Progression buttons play
+     * @returns {{key: string, mode: string, chordType: string, chordNotes: string[],
+     *   progression: string|undefined}}
+     */
+    getSelection() {
+        const { selectedKey = 'C', currentMode = 'major' } =
+            this.app.circleRenderer?.getState() || {};
+
+        // Tonic chord quality follows the mode, as with the Chord button
+        const modeInfo = this.musicTheory.getModeInfo(currentMode);
+        const chordType = modeInfo ? modeInfo.quality : 'major';
+        const progressions = this.musicTheory.getChordProgressions(selectedKey, currentMode);
+        const chosen = this.app.state?.getState('progression');
+
+        return {
+            key: selectedKey,
+            mode: currentMode,
+            chordType,
+            chordNotes: this.musicTheory.getChordNotes(selectedKey, chordType),
+            progression: chosen in progressions ? chosen : Object.keys(progressions)[0]
+        };
+    }
+
+    /**
+     * Name the file for a source in the selected key
+     * @private
+     */
+    getFileName(extension, source, selection, loops) {
+        const { key, mode, chordType, progression } = selection;
+        if (source === 'scale') {
+            return getExportFileName(extension, key, mode, 'scale');
+        }
+        if (source === 'chord') {
+            return getExportFileName(extension, key, chordType, 'chord');
+        }
+        return getExportFileName(extension, key, mode, progression, loops > 1 ? `x${loops}` : '');
+    }
+
+    /**
+     * Build the MIDI file for a source in the selected key and mode
+     * @param {MidiExporter} exporter - Exporter for the app's audio engine
+     * @param {string} source - 'scale', 'chord' or 'progression'
+     * @param {number} format - MIDI file format, 0 or 1
+     * @param {number} [loops=1] - Times through a progression
+     * @returns {{file: Object, fileName: string}|null} The MidiFile and its name, or null
+     *   if there is nothing to export
+     */
+    buildMidi(exporter, source, format, loops = 1) {
+        const selection = this.getSelection();
+        const { key, mode, chordType, chordNotes, progression } = selection;
+
+        let file = null;
+        if (source === 'scale') {
+            file = exporter.exportScale(key, mode, { format });
+        } else if (source === 'chord') {
+            file = exporter.exportChord(chordNotes, { format, name: `${key} ${chordType} chord` });
+        } else if (progression) {
+            file = exporter.exportProgression(key, mode, progression, { format, loops });
+        }
+
+        return file ? { file, fileName: this.getFileName('mid', source, selection, loops) } : null;
+    }
+
+    /**
+     * Render a source in the selected key and mode
+     * @param {AudioRenderer} renderer - Renderer for the app's audio engine
+     * @param {string} source - 'scale', 'chord' or 'progression'
+     * @param {number} [loops=1] - Times through a progression
+     * @returns {Promise<{buffer: AudioBuffer, fileName: string}|null>} The audio and its
+     *   file name, or null if there is nothing to render
+     */
+    async renderAudio(renderer, source, loops = 1) {
+        const selection = this.getSelection();
+        const { key, mode, chordNotes, progression } = selection;
+
+        let buffer = null;
+        if (source === 'scale') {
+            buffer = await renderer.renderScale(key, mode);
+        } else if (source === 'chord') {
+            buffer = await renderer.renderChord(chordNotes);
+        } else if (progression) {
+            buffer = await renderer.renderProgression(key, mode, progression, { loops });
+        }
+
+        return buffer
+            ? { buffer, fileName: this.getFileName('wav', source, selection, loops) }
+            : null;
+    }
+
+    /**
+     * Export a source as a MIDI file and download it
+     * @param {string} source - 'scale', 'chord' or 'progression'
+     * @param {number} [format=1] - MIDI file format, 0 or 1
+     * @param {number} [loops=1] - Times through a progression
+     * @returns {Promise<string|null>} Name of the downloaded file, or null if nothing was exported
+     */
+    async exportMidi(source, format = 1, loops = 1) {
+        try {
+            const audioEngine = await this.app.getAudioEngine();
+            const result = this.buildMidi(new MidiExporter(audioEngine), source, format, loops);
+            if (!result) {
+                this.showMessage('Nothing to export for this key');
+                return null;
+            }
+
+            downloadFile(result.file.toBytes(), result.fileName, 'audio/midi');
+            this.showMessage(`Saved ${result.fileName}`);
+            return result.fileName;
+        } catch (error) {
+            this.logger.error('Failed to export MIDI file:', error);
+            this.showMessage('The MIDI file could not be exported');
+            return null;
+        }
+    }
+
+    /**
+     * Render a source to a WAV file and download it
+     * @param {string} source - 'scale', 'chord' or 'progression'
+     * @param {number} [bitDepth=16] - 16 or 24
+     * @param {number} [loops=1] - Times through a progression
+     * @returns {Promise<string|null>} Name of the downloaded file, or null if nothing was exported
+     */
+    async exportWav(source, bitDepth = 16, loops = 1) {
+        try {
+            const audioEngine = await this.app.getAudioEngine();
+            const renderer = new AudioRenderer(audioEngine);
+            const result = await this.renderAudio(renderer, source, loops);
+            if (!result) {
+                this.showMessage('Nothing to export for this key');
+                return null;
+            }
+
+            downloadFile(renderer.toWav(result.buffer, bitDepth), result.fileName, 'audio/wav');
+            this.showMessage(`Saved ${result.fileName}`);
+            return result.fileName;
+        } catch (error) {
+            this.logger.error('Failed to render WAV file:', error);
+            this.showMessage('The WAV file could not be rendered');
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    showMessage(text) {
+        if (this.elements.message) {
+            this.elements.message.textContent = text;
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.elements.form?.removeEventListener('submit', this.handleSubmit);
+    }
+}
+
+// ES6 module export
+export { ExportPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.ExportPanel = ExportPanel;
+}
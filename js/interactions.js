@@ -4,6 +4,24 @@
  */
 
 import { loggers } from './logger.js';
+import { RHYTHM_STYLES } from './rhythmStyles.js';
+import { DEFAULT_AUDIO_SETTINGS } from './state/CircleState.js';
+
+// Input types that take typed text, and so have their own undo
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', 'number'];
+
+/**
+ * Whether a keyboard event's target takes typed text, unlike a slider, checkbox or button
+ * @param {EventTarget} target - Element with focus
+ * @returns {boolean} True for text inputs, textareas and editable content
+ */
+function isTextEntry(target) {
+    const element = /** @type {HTMLInputElement} */ (target);
+    if (element.tagName === 'INPUT') {
+        return TEXT_INPUT_TYPES.includes(element.type);
+    }
+    return element.tagName === 'TEXTAREA' || element.isContentEditable;
+}
 
 /**
  * Handles all user interactions with the Circle of Fifths interface.
@@ -33,21 +51,18 @@ class InteractionsHandler {
         // Initialize logger
         this.logger = loggers?.interactions || console;
 
-        // Audio playback state tracking
-        this.playbackState = {
-            scale: false,
-            chord: false,
-            progression: false,
-            percussion: true, // Default enabled
-            bass: false, // Default disabled
-            loop: true // Default enabled
-        };
+        // Shared state of the key, mode, difficulty, playback and audio settings
+        this.state = circleRenderer.state;
+        this.unsubscribers = [];
 
         // Track currently playing progression
         this.currentPlayingProgression = null;
 
-        // Current difficulty level (beginner or advanced)
-        this.currentDifficulty = 'beginner';
+        // Timeout clearing the tonicized key marker after an applied chord
+        this.tonicizationTimeoutId = null;
+
+        // Bind methods
+        this.handleProgressionsChanged = this.handleProgressionsChanged.bind(this);
 
         // Current relative key index for navigation
         this.currentRelativeIndex = 0;
@@ -67,6 +82,7 @@ class InteractionsHandler {
             svg: document.getElementById('circle-svg'),
             majorModeBtn: document.getElementById('major-mode'),
             minorModeBtn: document.getElementById('minor-mode'),
+            modeButtons: document.querySelectorAll('.mode-toggle .mode-btn[data-mode]'),
             playScaleBtn: document.getElementById('play-scale'),
             playChordBtn: document.getElementById('play-chord'),
             playProgressionBtn: document.getElementById('play-progression'),
@@ -74,6 +90,8 @@ class InteractionsHandler {
             togglePercussionBtn: document.getElementById('toggle-percussion'),
             toggleBassBtn: document.getElementById('toggle-bass'),
             toggleLoopBtn: document.getElementById('toggle-loop'),
+            toggleCountInBtn: document.getElementById('toggle-count-in'),
+            toggleMetronomeBtn: document.getElementById('toggle-metronome'),
             volumeSlider: document.getElementById('volume-slider'),
             volumeDisplay: document.getElementById('volume-display'),
             infoTitle: document.getElementById('info-title'),
@@ -93,17 +111,54 @@ class InteractionsHandler {
     }
 
     /**
-     * Get current key from circle renderer
+     * Get current key from the shared state
      */
     get currentKey() {
-        return this.circleRenderer.getState().selectedKey;
+        return this.state.getState('selectedKey');
     }
 
     /**
-     * Get current mode from circle renderer
+     * Get current mode from the shared state
      */
     get currentMode() {
-        return this.circleRenderer.getState().currentMode;
+        return this.state.getState('mode');
+    }
+
+    /**
+     * Name of the progression the Progression button plays: the one chosen for the
+     * key and mode, or else the first
+     * @returns {string|undefined} Progression name, undefined if the mode has none
+     */
+    get activeProgression() {
+        const progressions = this.musicTheory.getChordProgressions(
+            this.currentKey,
+            this.currentMode
+        );
+        const chosen = this.state.getState('progression');
+        return chosen in progressions ? chosen : Object.keys(progressions)[0];
+    }
+
+    /**
+     * Get current difficulty level (beginner or advanced) from the shared state
+     */
+    get currentDifficulty() {
+        return this.state.getState('difficulty');
+    }
+
+    /**
+     * What is playing, and which of percussion, bass, loop and count-in are on
+     * @returns {{scale: boolean, chord: boolean, progression: boolean, percussion: boolean,
+     *   bass: boolean, loop: boolean, countIn: boolean}} Playback state
+     */
+    get playbackState() {
+        const settings = this.state.getState('audioSettings');
+        return {
+            ...this.state.getState('playback'),
+            percussion: settings.percussionEnabled,
+            bass: settings.bassEnabled,
+            loop: settings.loopEnabled,
+            countIn: settings.countInEnabled
+        };
     }
 
     /**
@@ -147,32 +202,58 @@ class InteractionsHandler {
                     // Chord note highlighting - longer duration
                     this.circleRenderer.highlightNote(
                         note,
-                        audioEngine.settings.chordLength * 1000,
+                        audioEngine.getChordLength() * 1000,
                         'chord'
                     );
                     // Piano keyboard highlighting
                     this.highlightPianoNote(note);
                     setTimeout(
                         () => this.clearPianoHighlight(note),
-                        audioEngine.settings.chordLength * 900
+                        audioEngine.getChordLength() * 900
                     );
                     break;
                 case 'progression-chord':
                     // Progression chord highlighting - duration of chord in progression
                     this.circleRenderer.highlightNote(
                         note,
-                        audioEngine.settings.progressionNoteLength * 1000,
+                        audioEngine.getProgressionChordLength() * 1000,
                         'progression'
                     );
                     // Piano keyboard highlighting
                     this.highlightPianoNote(note);
                     setTimeout(
                         () => this.clearPianoHighlight(note),
-                        audioEngine.settings.progressionNoteLength * 900
+                        audioEngine.getProgressionChordLength() * 900
+                    );
+                    break;
+                case 'bass-note':
+                    // Bass line - marked on the piano apart from the chord while it sounds
+                    this.highlightPianoNote(note, 'bass-playing');
+                    setTimeout(
+                        () => this.clearPianoHighlight(note, 'bass-playing'),
+                        event.duration * 900
+                    );
+                    break;
+                case 'tonicization':
+                    // Applied chord - mark the key it tonicizes while it sounds
+                    this.circleRenderer.setTonicizedKey(note);
+                    clearTimeout(this.tonicizationTimeoutId);
+                    this.tonicizationTimeoutId = setTimeout(
+                        () => this.circleRenderer.setTonicizedKey(null),
+                        event.duration * 1000
                     );
                     break;
             }
         });
+
+        // Mark the metronome's downbeats on its button, and release it when it stops,
+        // including when a looping progression takes over the scheduler
+        audioEngine.metronome.addBeatListener(beat => {
+            this.elements.toggleMetronomeBtn?.classList.toggle('downbeat', beat === 0);
+            if (beat === null) {
+                this.updateToggleButtonState('metronome', false);
+            }
+        });
     }
 
     /**
@@ -191,8 +272,8 @@ class InteractionsHandler {
         this.setupKeyboardNavigation();
         this.setupInfoPanelInteractions();
         this.setupHelpModal();
+        this.setupStateSubscriptions();
         this.updateInfoPanel();
-        this.initializeDefaultToggleStates();
 
         // Hide loading screen after initialization
         setTimeout(() => this.hideLoading(), 500);
@@ -338,6 +419,20 @@ class InteractionsHandler {
     setupKeyboardNavigation() {
         // Global keyboard shortcuts
         document.addEventListener('keydown', event => {
+            // Ctrl+Z undoes key, mode and setting changes, Ctrl+Shift+Z redoes them, also
+            // from a slider or checkbox just changed; text fields keep their own undo
+            if ((event.ctrlKey || event.metaKey) && (event.key === 'z' || event.key === 'Z')) {
+                if (!isTextEntry(event.target)) {
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                }
+                return;
+            }
+
             // Skip if user is typing in an input
             if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
                 return;
@@ -554,7 +649,8 @@ class InteractionsHandler {
     }
 
     /**
-     * Toggle between major and minor modes
+     * Toggle between major and minor modes.
+     * From a church mode this returns to major.
      */
     toggleMode() {
         const newMode = this.currentMode === 'major' ? 'minor' : 'major';
@@ -570,10 +666,10 @@ class InteractionsHandler {
     }
 
     /**
-     * Setup mode toggle (Major/Minor)
+     * Setup mode toggle (Major/Minor and the church modes)
      */
     setupModeToggle() {
-        [this.elements.majorModeBtn, this.elements.minorModeBtn].forEach(btn => {
+        (this.elements.modeButtons || []).forEach(btn => {
             if (btn) {
                 btn.addEventListener('click', () => {
                     const mode = btn.getAttribute('data-mode');
@@ -623,6 +719,18 @@ class InteractionsHandler {
             });
         }
 
+        if (this.elements.toggleCountInBtn) {
+            this.elements.toggleCountInBtn.addEventListener('click', () => {
+                this.toggleCountIn();
+            });
+        }
+
+        if (this.elements.toggleMetronomeBtn) {
+            this.elements.toggleMetronomeBtn.addEventListener('click', () => {
+                this.toggleMetronome();
+            });
+        }
+
         if (this.elements.stopAudioBtn) {
             this.elements.stopAudioBtn.addEventListener('click', () => {
                 this.stopAudio();
@@ -631,60 +739,62 @@ class InteractionsHandler {
     }
 
     /**
-     * Initialize default toggle button states (percussion and loop enabled by default, bass disabled)
+     * Follow the shared state: the mode buttons, the audio controls and toggle
+     * buttons, the difficulty and the chosen progression, however they were changed
      */
-    initializeDefaultToggleStates() {
-        // Audio engine settings will be applied when it's loaded
-        // For now, just update button visual states
-        this.updateToggleButtonState('percussion', this.playbackState.percussion);
-        this.updateToggleButtonState('bass', this.playbackState.bass);
-        this.updateToggleButtonState('loop', this.playbackState.loop);
+    setupStateSubscriptions() {
+        this.unsubscribers = [
+            this.state.subscribe('mode', mode => this.updateModeButtons(mode)),
+            this.state.subscribe('audioSettings', settings => this.syncAudioControls(settings)),
+            this.state.subscribe('difficulty', difficulty => this.showDifficulty(difficulty)),
+            this.state.subscribe('progression', () => this.showActiveProgression())
+        ];
 
-        this.logger.info(
-            'Toggle buttons initialized: percussion and loop enabled, bass disabled by default'
-        );
+        this.updateModeButtons(this.currentMode);
+        this.syncAudioControls(this.state.getState('audioSettings'));
+    }
+
+    /**
+     * Change audio settings in the shared state; the audio engine follows it
+     * @param {Object} updates - Settings to change, named as in AudioEngine.settings
+     * @param {boolean} [addToHistory=true] - Whether the change can be undone; false for
+     *   the steps of a slider being dragged
+     */
+    updateAudioSettings(updates, addToHistory = true) {
+        this.state.setState({ audioSettings: updates }, addToHistory);
+    }
+
+    /**
+     * Record what is playing in the shared state
+     * @param {{scale?: boolean, chord?: boolean, progression?: boolean}} updates - Flags to set
+     */
+    setPlayback(updates) {
+        this.state.setState({ playback: updates }, false);
+    }
+
+    /**
+     * Keep a slider's setting in the shared state: every step while it is dragged,
+     * and one change to undo when it is let go
+     * @param {HTMLElement} slider - Range input
+     * @param {function(number): Object} toSettings - Audio settings for a slider value
+     */
+    bindSettingSlider(slider, toSettings) {
+        slider.addEventListener('input', event => {
+            this.updateAudioSettings(toSettings(parseFloat(event.target.value)), false);
+        });
+        slider.addEventListener('change', event => {
+            this.updateAudioSettings(toSettings(parseFloat(event.target.value)));
+        });
     }
 
     /**
      * Setup volume control slider
      */
     setupVolumeControl() {
-        if (this.elements.volumeSlider && this.elements.volumeDisplay) {
-            // Set initial volume (default 70% if audio engine not loaded yet)
-            const initialVolume = this.audioEngine
-                ? Math.round(this.audioEngine.settings.masterVolume * 100)
-                : 70;
-            this.elements.volumeSlider.value = initialVolume;
-            this.elements.volumeDisplay.textContent = `${initialVolume}%`;
-            this.elements.volumeSlider.setAttribute('aria-valuenow', String(initialVolume));
-            this.elements.volumeSlider.setAttribute('aria-valuetext', `${initialVolume}%`);
-
-            // Handle volume changes with debouncing for performance
-            let volumeTimeout;
-            this.elements.volumeSlider.addEventListener('input', event => {
-                const volume = parseInt(event.target.value, 10);
-                const volumeDecimal = volume / 100;
-
-                // Update display immediately for responsiveness
-                this.elements.volumeDisplay.textContent = `${volume}%`;
-                event.target.setAttribute('aria-valuenow', volume);
-                event.target.setAttribute('aria-valuetext', `${volume}%`);
-
-                // Update volume icon based on level
-                this.updateVolumeIcon(volume);
-
-                // Debounce audio engine updates to reduce CPU usage
-                // Only update if audio engine is loaded
-                clearTimeout(volumeTimeout);
-                volumeTimeout = setTimeout(async () => {
-                    if (this.isAudioInitialized && this.audioEngine) {
-                        this.audioEngine.setVolume(volumeDecimal);
-                    }
-                }, 50);
-            });
-
-            // Initialize volume icon
-            this.updateVolumeIcon(initialVolume);
+        if (this.elements.volumeSlider) {
+            this.bindSettingSlider(this.elements.volumeSlider, volume => ({
+                masterVolume: volume / 100
+            }));
         }
     }
 
@@ -735,115 +845,187 @@ class InteractionsHandler {
 
         // Waveform selection
         if (waveformSelect) {
-            // Set default value
-            waveformSelect.value = 'warm-sine';
-            waveformSelect.addEventListener('change', async e => {
-                const audioEngine = await this.getAudioEngine();
-                audioEngine.settings.waveform = e.target.value;
+            waveformSelect.addEventListener('change', e => {
+                this.updateAudioSettings({ waveform: e.target.value });
                 this.logger.info(`Waveform changed to: ${e.target.value}`);
             });
         }
 
-        // Reverb type selection
+        // Reverb type selection; the engine rebuilds its effects with the new reverb
         if (reverbTypeSelect) {
-            // Set default value
-            reverbTypeSelect.value = 'room';
-            reverbTypeSelect.addEventListener('change', async e => {
-                const audioEngine = await this.getAudioEngine();
-                audioEngine.settings.reverbType = e.target.value;
-                // Reinitialize audio engine to apply new reverb
-                audioEngine.isInitialized = false;
-                await this.initializeAudio();
+            reverbTypeSelect.addEventListener('change', e => {
+                this.updateAudioSettings({ reverbType: e.target.value });
                 this.logger.info(`Reverb type changed to: ${e.target.value}`);
             });
         }
 
-        // Stereo width slider
+        // Stereo width and reverb level sliders
         if (stereoWidthSlider) {
-            // Set default value
-            stereoWidthSlider.value = '0.25';
-            document.getElementById('stereo-width-value').textContent = '0.25';
-
-            stereoWidthSlider.addEventListener('input', async e => {
-                const value = parseFloat(e.target.value);
-                document.getElementById('stereo-width-value').textContent = value.toFixed(2);
-                if (this.isAudioInitialized && this.audioEngine) {
-                    this.audioEngine.settings.stereoWidth = value;
-                }
-            });
+            this.bindSettingSlider(stereoWidthSlider, stereoWidth => ({ stereoWidth }));
         }
-
-        // Reverb level slider
         if (reverbLevelSlider) {
-            // Set default value
-            reverbLevelSlider.value = '0.20';
-            document.getElementById('reverb-level-value').textContent = '0.20';
-
-            reverbLevelSlider.addEventListener('input', async e => {
-                const value = parseFloat(e.target.value);
-                document.getElementById('reverb-level-value').textContent = value.toFixed(2);
-                if (this.isAudioInitialized && this.audioEngine) {
-                    this.audioEngine.settings.reverbLevel = value;
-                }
-            });
+            this.bindSettingSlider(reverbLevelSlider, reverbLevel => ({ reverbLevel }));
         }
 
         // Filter envelope toggle
         if (filterEnvelopeToggle) {
-            // Set default value
-            filterEnvelopeToggle.checked = true;
-            filterEnvelopeToggle.addEventListener('change', async e => {
-                if (this.isAudioInitialized && this.audioEngine) {
-                    this.audioEngine.settings.useFilterEnvelope = e.target.checked;
-                    this.logger.info(
-                        `Filter envelope: ${e.target.checked ? 'enabled' : 'disabled'}`
-                    );
-                }
+            filterEnvelopeToggle.addEventListener('change', e => {
+                this.updateAudioSettings({ useFilterEnvelope: e.target.checked });
+                this.logger.info(`Filter envelope: ${e.target.checked ? 'enabled' : 'disabled'}`);
             });
         }
 
         // Stereo enhancement toggle
         if (stereoEnhancementToggle) {
-            // Set default value
-            stereoEnhancementToggle.checked = true;
-            stereoEnhancementToggle.addEventListener('change', async e => {
-                if (this.isAudioInitialized && this.audioEngine) {
-                    this.audioEngine.settings.useStereoEnhancement = e.target.checked;
-                    this.logger.info(
-                        `Stereo enhancement: ${e.target.checked ? 'enabled' : 'disabled'}`
-                    );
-                }
+            stereoEnhancementToggle.addEventListener('change', e => {
+                this.updateAudioSettings({ useStereoEnhancement: e.target.checked });
+                this.logger.info(
+                    `Stereo enhancement: ${e.target.checked ? 'enabled' : 'disabled'}`
+                );
             });
         }
 
-        // Tempo slider
+        // Tempo slider; everything played follows the tempo, a looping progression
+        // from its next step
         const tempoSlider = document.getElementById('tempo-slider');
-        const tempoValue = document.getElementById('tempo-value');
-        if (tempoSlider && tempoValue) {
-            // Set default value
-            tempoSlider.value = '120';
-            tempoValue.textContent = '120 BPM';
-
-            tempoSlider.addEventListener('input', async e => {
-                const bpm = parseInt(e.target.value, 10);
-                tempoValue.textContent = `${bpm} BPM`;
-
-                // Convert BPM to note durations
-                // At 120 BPM, a quarter note is 0.5 seconds
-                // We use this as a baseline for our note lengths
-                const quarterNoteDuration = 60 / bpm;
-
-                if (this.isAudioInitialized && this.audioEngine) {
-                    // Scale note lengths based on tempo
-                    // Base values at 120 BPM: noteLength=0.8, chordLength=1.5, progressionNoteLength=1.0
-                    const tempoRatio = 120 / bpm;
-                    this.audioEngine.settings.noteLength = 0.8 * tempoRatio;
-                    this.audioEngine.settings.chordLength = 1.5 * tempoRatio;
-                    this.audioEngine.settings.progressionNoteLength = quarterNoteDuration * 2; // Half note
-                    this.logger.info(`Tempo changed to: ${bpm} BPM`);
+        if (tempoSlider) {
+            this.bindSettingSlider(tempoSlider, tempo => ({ tempo }));
+        }
+
+        // Rhythm style, time signature, chord length and swing
+        const rhythmStyleSelect = document.getElementById('rhythm-style-select');
+        const timeSignatureSelect = document.getElementById('time-signature-select');
+        const chordLengthSelect = document.getElementById('chord-length-select');
+        const swingSlider = document.getElementById('swing-slider');
+        // Chord lengths are chosen in bars, so they are counted again in each time signature
+        const getBeatsPerChord = beatsPerBar => {
+            const bars = parseFloat(chordLengthSelect?.value);
+            return bars > 0 ? bars * beatsPerBar : null;
+        };
+
+        if (rhythmStyleSelect) {
+            rhythmStyleSelect.addEventListener('change', e => {
+                const style = RHYTHM_STYLES[e.target.value];
+                if (style) {
+                    // Styles bring their own feel and time signature
+                    this.updateAudioSettings({
+                        rhythmStyle: e.target.value,
+                        swing: style.swing,
+                        beatsPerBar: style.beatsPerBar,
+                        beatUnit: 4,
+                        beatsPerChord: getBeatsPerChord(style.beatsPerBar)
+                    });
+                    this.logger.info(`Rhythm style changed to: ${e.target.value}`);
                 }
             });
         }
+
+        if (timeSignatureSelect) {
+            timeSignatureSelect.addEventListener('change', e => {
+                const [beatsPerBar, beatUnit] = e.target.value.split('/').map(Number);
+                this.updateAudioSettings({
+                    beatsPerBar,
+                    beatUnit,
+                    beatsPerChord: getBeatsPerChord(beatsPerBar)
+                });
+                this.logger.info(`Time signature changed to: ${e.target.value}`);
+            });
+        }
+
+        if (chordLengthSelect) {
+            chordLengthSelect.addEventListener('change', e => {
+                const { beatsPerBar } = this.state.getState('audioSettings');
+                this.updateAudioSettings({ beatsPerChord: getBeatsPerChord(beatsPerBar) });
+                this.logger.info(`Chord length changed to: ${e.target.value}`);
+            });
+        }
+
+        if (swingSlider) {
+            this.bindSettingSlider(swingSlider, swing => ({ swing }));
+        }
+
+        const subdivisionSelect = document.getElementById('metronome-subdivision-select');
+        if (subdivisionSelect) {
+            subdivisionSelect.addEventListener('change', e => {
+                this.updateAudioSettings({ metronomeSubdivision: parseInt(e.target.value, 10) });
+                this.logger.info(`Metronome clicks per beat changed to: ${e.target.value}`);
+            });
+        }
+
+        const resetBtn = document.getElementById('reset-audio-settings');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => this.resetAudioSettings());
+        }
+    }
+
+    /**
+     * Put every audio setting and toggle back to its default; undo brings them back
+     */
+    resetAudioSettings() {
+        this.updateAudioSettings({ ...DEFAULT_AUDIO_SETTINGS });
+        this.announcePlaybackStatus('Audio settings reset to defaults');
+    }
+
+    /**
+     * Show audio settings on the controls of the settings panel, the volume slider
+     * and the toggle buttons
+     * @param {Object} settings - Audio settings of the shared state
+     */
+    syncAudioControls(settings) {
+        const setValue = (id, value) => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.value = String(value);
+            }
+        };
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = text;
+            }
+        };
+        const setChecked = (id, checked) => {
+            const toggle = document.getElementById(id);
+            if (toggle) {
+                toggle.checked = checked;
+            }
+        };
+
+        const volume = Math.round(settings.masterVolume * 100);
+        if (this.elements.volumeSlider) {
+            this.elements.volumeSlider.value = String(volume);
+            this.elements.volumeSlider.setAttribute('aria-valuenow', String(volume));
+            this.elements.volumeSlider.setAttribute('aria-valuetext', `${volume}%`);
+        }
+        if (this.elements.volumeDisplay) {
+            this.elements.volumeDisplay.textContent = `${volume}%`;
+        }
+        this.updateVolumeIcon(volume);
+
+        setValue('waveform-select', settings.waveform);
+        setValue('reverb-type-select', settings.reverbType);
+        setValue('stereo-width-slider', settings.stereoWidth);
+        setText('stereo-width-value', settings.stereoWidth.toFixed(2));
+        setValue('reverb-level-slider', settings.reverbLevel);
+        setText('reverb-level-value', settings.reverbLevel.toFixed(2));
+        setChecked('filter-envelope-toggle', settings.useFilterEnvelope);
+        setChecked('stereo-enhancement-toggle', settings.useStereoEnhancement);
+        setValue('tempo-slider', settings.tempo);
+        setText('tempo-value', `${settings.tempo} BPM`);
+        setValue('rhythm-style-select', settings.rhythmStyle);
+        setValue('time-signature-select', `${settings.beatsPerBar}/${settings.beatUnit}`);
+        setValue(
+            'chord-length-select',
+            settings.beatsPerChord ? settings.beatsPerChord / settings.beatsPerBar : 'auto'
+        );
+        setValue('swing-slider', settings.swing);
+        setText('swing-value', `${Math.round(settings.swing * 100)}%`);
+        setValue('metronome-subdivision-select', settings.metronomeSubdivision);
+
+        this.updateToggleButtonState('percussion', settings.percussionEnabled);
+        this.updateToggleButtonState('bass', settings.bassEnabled);
+        this.updateToggleButtonState('loop', settings.loopEnabled);
+        this.updateToggleButtonState('countIn', settings.countInEnabled);
     }
 
     /**
@@ -858,7 +1040,8 @@ class InteractionsHandler {
                     const keyText = relatedKey.textContent;
                     const key = keyText.split(':')[1]?.trim().split(' ')[0];
                     if (key) {
-                        this.selectKey(key);
+                        // Related keys may be spelled off the circle (Cb), select its segment (B)
+                        this.selectKey(this.musicTheory.getCircleKey(key) || key);
                     }
                 }
             });
@@ -870,10 +1053,22 @@ class InteractionsHandler {
                 const progressionBtn = event.target.closest('.progression-btn');
                 if (progressionBtn) {
                     const progression = progressionBtn.getAttribute('data-progression');
+                    this.state.setState({ progression }, false);
                     this.playSpecificProgression(progression);
                 }
             });
         }
+
+        // Show user-defined progressions as soon as they are added, edited or removed
+        document.addEventListener('progressionsChanged', this.handleProgressionsChanged);
+    }
+
+    /**
+     * Refresh the progression buttons after the user's progressions change
+     */
+    handleProgressionsChanged() {
+        const { selectedKey, currentMode } = this.circleRenderer.getState();
+        this.updateChordProgressions(selectedKey, currentMode);
     }
 
     /**
@@ -952,21 +1147,32 @@ class InteractionsHandler {
     }
 
     /**
-     * Switch between major and minor modes
+     * Switch to one of the diatonic modes (major, minor or a church mode)
+     * @param {string} mode - The mode to switch to (e.g., 'minor', 'dorian')
      */
     switchMode(mode) {
-        // Update button states
-        this.elements.majorModeBtn?.classList.toggle('active', mode === 'major');
-        this.elements.minorModeBtn?.classList.toggle('active', mode === 'minor');
-
-        this.elements.majorModeBtn?.setAttribute('aria-pressed', String(mode === 'major'));
-        this.elements.minorModeBtn?.setAttribute('aria-pressed', String(mode === 'minor'));
+        if (!this.musicTheory.isDiatonicMode(mode)) {
+            this.logger.warn(`Ignoring unknown mode: ${mode}`);
+            return;
+        }
 
-        // Update circle renderer
+        // Update circle renderer; the mode buttons follow the shared state
         this.circleRenderer.switchMode(mode);
         this.updateInfoPanel();
     }
 
+    /**
+     * Mark the button of the current mode as pressed
+     * @param {string} mode - Normalized mode
+     */
+    updateModeButtons(mode) {
+        (this.elements.modeButtons || []).forEach(btn => {
+            const isActive = btn.getAttribute('data-mode') === mode;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
     /**
      * Update the information panel
      */
@@ -976,13 +1182,19 @@ class InteractionsHandler {
 
         // Update title
         if (this.elements.infoTitle) {
-            this.elements.infoTitle.textContent = `${selectedKey} ${currentMode.charAt(0).toUpperCase() + currentMode.slice(1)}`;
+            const modeInfo = this.musicTheory.getModeInfo(currentMode);
+            const modeName = modeInfo
+                ? modeInfo.name
+                : currentMode.charAt(0).toUpperCase() + currentMode.slice(1);
+            this.elements.infoTitle.textContent = `${selectedKey} ${modeName}`;
         }
 
-        // Update key signature
+        // Update key signature (church modes also name their parent major key)
         if (this.elements.keySignature) {
             const keySignature = this.musicTheory.getKeySignature(selectedKey, currentMode);
-            this.elements.keySignature.textContent = keySignature.signature;
+            this.elements.keySignature.textContent = keySignature.parent
+                ? `${keySignature.signature} (from ${keySignature.parent} major)`
+                : keySignature.signature;
         }
 
         // Update scale notes
@@ -1004,7 +1216,7 @@ class InteractionsHandler {
     /**
      * Update related keys display in the info panel
      * @param {string} key - The key to show related keys for (e.g., 'C', 'G')
-     * @param {string} mode - The mode ('major' or 'minor')
+     * @param {string} mode - The mode ('major', 'minor' or a church mode)
      * @example
      * this.updateRelatedKeys('C', 'major');
      * // Displays: Dominant: G, Subdominant: F, Relative: Am
@@ -1062,10 +1274,10 @@ class InteractionsHandler {
     /**
      * Update chord progressions display in the info panel
      * @param {string} key - The key to show progressions for (e.g., 'C', 'G')
-     * @param {string} mode - The mode ('major' or 'minor')
+     * @param {string} mode - The mode ('major', 'minor' or a church mode)
      * @example
      * this.updateChordProgressions('C', 'major');
-     * // Displays buttons for: I-IV-V-I, I-V-vi-IV, etc.
+     * // Displays buttons for: I-IV-V-I, I-V-vi-IV, etc., then the user's own by name
      */
     updateChordProgressions(key, mode) {
         if (!this.elements.chordProgressions) {
@@ -1079,19 +1291,47 @@ class InteractionsHandler {
 
         Object.entries(progressions).forEach(([progressionKey, progression]) => {
             const button = document.createElement('button');
-            button.className = 'progression-btn';
+            button.className = progression.custom ? 'progression-btn custom' : 'progression-btn';
             button.setAttribute('data-progression', progressionKey);
-            button.textContent = progression.roman.join(' - ');
-            button.title = progression.description;
+            button.textContent = progression.custom
+                ? progression.name
+                : progression.roman.join(' - ');
+            button.title = progression.custom
+                ? progression.roman.join(' - ')
+                : progression.description;
 
             this.elements.chordProgressions.appendChild(button);
         });
+
+        // A progression chosen in another mode, or since deleted, is no longer chosen
+        const chosen = this.state.getState('progression');
+        if (chosen && !(chosen in progressions)) {
+            this.state.setState({ progression: null }, false);
+        } else {
+            this.showActiveProgression();
+        }
+    }
+
+    /**
+     * Mark the button of the active progression as pressed
+     */
+    showActiveProgression() {
+        if (!this.elements.chordProgressions) {
+            return;
+        }
+
+        const active = this.activeProgression;
+        this.elements.chordProgressions.querySelectorAll('.progression-btn').forEach(btn => {
+            const isActive = btn.getAttribute('data-progression') === active;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
     }
 
     /**
      * Update piano keyboard to show scale notes
      * @param {string} key - The root key (e.g., 'C', 'G')
-     * @param {string} mode - The mode ('major' or 'minor')
+     * @param {string} mode - The mode ('major', 'minor' or a church mode)
      */
     updatePianoKeyboard(key, mode) {
         if (!this.elements.pianoKeyboard) {
@@ -1101,22 +1341,8 @@ class InteractionsHandler {
         const pianoKeys = this.elements.pianoKeyboard.querySelectorAll('.piano-key');
         const scaleNotes = this.musicTheory.getScaleNotes(key, mode);
 
-        // Normalize note names for comparison (handle enharmonics)
-        const normalizeNote = note => {
-            const enharmonics = {
-                Db: 'C#',
-                Eb: 'D#',
-                Gb: 'F#',
-                Ab: 'G#',
-                Bb: 'A#',
-                'C#': 'C#',
-                'D#': 'D#',
-                'F#': 'F#',
-                'G#': 'G#',
-                'A#': 'A#'
-            };
-            return enharmonics[note] || note;
-        };
+        // Normalize note names for comparison (handles Db, E#, Cb, double sharps, etc.)
+        const normalizeNote = note => this.musicTheory.getChromaticNote(note);
 
         const normalizedScaleNotes = scaleNotes.map(normalizeNote);
         const rootNote = normalizeNote(key);
@@ -1142,30 +1368,20 @@ class InteractionsHandler {
     /**
      * Highlight a specific note on the piano keyboard during playback
      * @param {string} note - The note to highlight (e.g., 'C', 'F#')
+     * @param {string} [className='playing'] - Highlight class ('bass-playing' for the bass line)
      */
-    highlightPianoNote(note) {
+    highlightPianoNote(note, className = 'playing') {
         if (!this.elements.pianoKeyboard) {
             return;
         }
 
-        const normalizeNote = n => {
-            const enharmonics = {
-                Db: 'C#',
-                Eb: 'D#',
-                Gb: 'F#',
-                Ab: 'G#',
-                Bb: 'A#'
-            };
-            return enharmonics[n] || n;
-        };
-
-        const normalizedNote = normalizeNote(note);
+        const normalizedNote = this.musicTheory.getChromaticNote(note);
         const pianoKeys = this.elements.pianoKeyboard.querySelectorAll('.piano-key');
 
         pianoKeys.forEach(pianoKey => {
             const keyNote = pianoKey.getAttribute('data-note');
             if (keyNote === normalizedNote) {
-                pianoKey.classList.add('playing');
+                pianoKey.classList.add(className);
             }
         });
     }
@@ -1173,33 +1389,26 @@ class InteractionsHandler {
     /**
      * Clear playing highlight from piano keyboard
      * @param {string} [note] - Specific note to clear, or all if not provided
+     * @param {string} [className='playing'] - Highlight class to clear
      */
-    clearPianoHighlight(note) {
+    clearPianoHighlight(note, className = 'playing') {
         if (!this.elements.pianoKeyboard) {
             return;
         }
 
         if (note) {
-            const normalizeNote = n => {
-                const enharmonics = {
-                    Db: 'C#',
-                    Eb: 'D#',
-                    Gb: 'F#',
-                    Ab: 'G#',
-                    Bb: 'A#'
-                };
-                return enharmonics[n] || n;
-            };
-            const normalizedNote = normalizeNote(note);
+            const normalizedNote = this.musicTheory.getChromaticNote(note);
             const pianoKey = this.elements.pianoKeyboard.querySelector(
                 `.piano-key[data-note="${normalizedNote}"]`
             );
             if (pianoKey) {
-                pianoKey.classList.remove('playing');
+                pianoKey.classList.remove(className);
             }
         } else {
-            const pianoKeys = this.elements.pianoKeyboard.querySelectorAll('.piano-key.playing');
-            pianoKeys.forEach(key => key.classList.remove('playing'));
+            const pianoKeys = this.elements.pianoKeyboard.querySelectorAll(
+                `.piano-key.${className}`
+            );
+            pianoKeys.forEach(key => key.classList.remove(className));
         }
     }
 
@@ -1212,13 +1421,9 @@ class InteractionsHandler {
             this.announceAudioStatus('Initializing audio system');
 
             try {
-                // Lazy load audio engine
-                const audioEngine = await this.getAudioEngine();
-
-                // Apply saved playback states
-                audioEngine.setPercussionEnabled(this.playbackState.percussion);
-                audioEngine.setBassEnabled(this.playbackState.bass);
-                audioEngine.setLoopingEnabled(this.playbackState.loop);
+                // Lazy load audio engine; the app binds it to the shared state, so it
+                // already plays with the chosen settings and toggles
+                await this.getAudioEngine();
 
                 // Setup audio-visual sync on first load
                 if (!this.audioVisualSyncSetup) {
@@ -1269,7 +1474,7 @@ class InteractionsHandler {
 
             // Stop any other audio and start scale
             this.stopAudio();
-            this.playbackState.scale = true;
+            this.setPlayback({ scale: true });
             this.updateButtonState('scale', true);
             this.updateStopButtonState(true);
 
@@ -1282,12 +1487,12 @@ class InteractionsHandler {
 
             // Calculate approximate duration for scale playback
             // 16 notes (complete octave cycle) * note duration * overlap factor
-            const noteDuration = audioEngine.settings.noteLength * 0.6;
-            const totalDuration = 16 * noteDuration * 0.8 * 1000; // Convert to milliseconds
+            const noteDuration = audioEngine.getNoteLength() * 0.6;
+            const totalDuration = (audioEngine.getCountInLength() + 16 * noteDuration * 0.8) * 1000; // Convert to milliseconds
 
             // Reset state when playback completes
             setTimeout(() => {
-                this.playbackState.scale = false;
+                this.setPlayback({ scale: false });
                 this.updateButtonState('scale', false);
                 this.announcePlaybackStatus('Scale playback complete');
             }, totalDuration);
@@ -1321,12 +1526,14 @@ class InteractionsHandler {
 
             // Stop any other audio and start chord
             this.stopAudio();
-            this.playbackState.chord = true;
+            this.setPlayback({ chord: true });
             this.updateButtonState('chord', true);
             this.updateStopButtonState(true);
 
             const state = this.circleRenderer.getState();
-            const chordType = state.currentMode === 'major' ? 'major' : 'minor';
+            // Tonic chord quality follows the mode (e.g., Lydian major, Locrian diminished)
+            const modeInfo = this.musicTheory.getModeInfo(state.currentMode);
+            const chordType = modeInfo ? modeInfo.quality : 'major';
             const chordNotes = this.musicTheory.getChordNotes(state.selectedKey, chordType);
 
             // Announce to screen readers
@@ -1335,9 +1542,9 @@ class InteractionsHandler {
             this.audioEngine.playChord(chordNotes);
 
             // Reset state when chord completes
-            const chordDuration = this.audioEngine.settings.chordLength * 1000; // Convert to milliseconds
+            const chordDuration = this.audioEngine.getChordLength() * 1000; // Convert to milliseconds
             setTimeout(() => {
-                this.playbackState.chord = false;
+                this.setPlayback({ chord: false });
                 this.updateButtonState('chord', false);
                 this.updateStopButtonState(false);
                 this.announcePlaybackStatus('Chord playback complete');
@@ -1372,41 +1579,44 @@ class InteractionsHandler {
 
             // Stop any other audio and start progression
             this.stopAudio();
-            this.playbackState.progression = true;
+            this.setPlayback({ progression: true });
             this.updateButtonState('progression', true);
             this.updateStopButtonState(true);
 
             const state = this.circleRenderer.getState();
-            // Play the first available progression
+            // Play the chosen progression, or the first
             const progressions = this.musicTheory.getChordProgressions(
                 state.selectedKey,
                 state.currentMode
             );
-            const firstProgression = Object.keys(progressions)[0];
-            if (firstProgression) {
+            const progressionName = this.activeProgression;
+            if (progressionName) {
                 // Use looping if enabled
                 if (this.playbackState.loop) {
                     this.audioEngine.playProgressionLoop(
                         state.selectedKey,
                         state.currentMode,
-                        firstProgression
+                        progressionName
                     );
                 } else {
                     this.audioEngine.playProgression(
                         state.selectedKey,
                         state.currentMode,
-                        firstProgression
+                        progressionName
                     );
 
                     // Calculate approximate duration for progression
-                    const progression = progressions[firstProgression];
-                    const chordDuration = this.audioEngine.settings.progressionNoteLength;
-                    const totalDuration = progression.roman.length * chordDuration * 1000; // Convert to milliseconds
+                    const progression = progressions[progressionName];
+                    const chordDuration = this.audioEngine.getProgressionChordLength();
+                    const totalDuration =
+                        (this.audioEngine.getCountInLength() +
+                            this.musicTheory.getProgressionLength(progression) * chordDuration) *
+                        1000; // Convert to milliseconds
 
                     // Reset state when progression completes (only if not looping)
                     setTimeout(() => {
                         if (!this.playbackState.loop) {
-                            this.playbackState.progression = false;
+                            this.setPlayback({ progression: false });
                             this.updateButtonState('progression', false);
                         }
                     }, totalDuration);
@@ -1427,7 +1637,7 @@ class InteractionsHandler {
             // Stop any other audio and start this progression
             this.stopAudio();
             this.currentPlayingProgression = progressionName;
-            this.playbackState.progression = true;
+            this.setPlayback({ progression: true });
             this.updateProgressionButtonStates(progressionName, true);
             this.updateStopButtonState(true);
 
@@ -1454,14 +1664,17 @@ class InteractionsHandler {
                 );
                 const progression = progressions[progressionName];
                 if (progression) {
-                    const chordDuration = this.audioEngine.settings.progressionNoteLength;
-                    const totalDuration = progression.roman.length * chordDuration * 1000; // Convert to milliseconds
+                    const chordDuration = this.audioEngine.getProgressionChordLength();
+                    const totalDuration =
+                        (this.audioEngine.getCountInLength() +
+                            this.musicTheory.getProgressionLength(progression) * chordDuration) *
+                        1000; // Convert to milliseconds
 
                     // Reset state when progression completes (only if not looping)
                     setTimeout(() => {
                         if (!this.playbackState.loop) {
                             this.currentPlayingProgression = null;
-                            this.playbackState.progression = false;
+                            this.setPlayback({ progression: false });
                             this.updateProgressionButtonStates(progressionName, false);
                         }
                     }, totalDuration);
@@ -1474,54 +1687,68 @@ class InteractionsHandler {
      * Toggle percussion on/off
      */
     togglePercussion() {
-        this.playbackState.percussion = !this.playbackState.percussion;
-
-        // Only update audio engine if it's loaded
-        if (this.isAudioInitialized && this.audioEngine) {
-            this.audioEngine.setPercussionEnabled(this.playbackState.percussion);
-        }
-
-        this.updateToggleButtonState('percussion', this.playbackState.percussion);
+        const enabled = !this.playbackState.percussion;
+        this.updateAudioSettings({ percussionEnabled: enabled });
 
         // Announce to screen readers
-        const status = this.playbackState.percussion ? 'enabled' : 'disabled';
-        this.announcePlaybackStatus(`Percussion ${status}`);
+        this.announcePlaybackStatus(`Percussion ${enabled ? 'enabled' : 'disabled'}`);
     }
 
     /**
      * Toggle bass on/off
      */
     toggleBass() {
-        this.playbackState.bass = !this.playbackState.bass;
+        const enabled = !this.playbackState.bass;
+        this.updateAudioSettings({ bassEnabled: enabled });
 
-        // Only update audio engine if it's loaded
-        if (this.isAudioInitialized && this.audioEngine) {
-            this.audioEngine.setBassEnabled(this.playbackState.bass);
-        }
+        // Announce to screen readers
+        this.announcePlaybackStatus(`Bass ${enabled ? 'enabled' : 'disabled'}`);
+    }
 
-        this.updateToggleButtonState('bass', this.playbackState.bass);
+    /**
+     * Toggle loop on/off; turning it off lets a looping progression finish its pass
+     */
+    toggleLoop() {
+        const enabled = !this.playbackState.loop;
+        this.updateAudioSettings({ loopEnabled: enabled });
 
         // Announce to screen readers
-        const status = this.playbackState.bass ? 'enabled' : 'disabled';
-        this.announcePlaybackStatus(`Bass ${status}`);
+        this.announcePlaybackStatus(`Loop ${enabled ? 'enabled' : 'disabled'}`);
     }
 
     /**
-     * Toggle loop on/off
+     * Toggle the count-in before scales and progressions on/off
      */
-    toggleLoop() {
-        this.playbackState.loop = !this.playbackState.loop;
+    toggleCountIn() {
+        const enabled = !this.playbackState.countIn;
+        this.updateAudioSettings({ countInEnabled: enabled });
 
-        // If disabling loop while playing, stop the loop
-        if (!this.playbackState.loop && this.isAudioInitialized && this.audioEngine) {
-            this.audioEngine.setLoopingEnabled(false);
+        // Announce to screen readers
+        this.announcePlaybackStatus(`Count-in ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Start or stop the metronome, stopping anything else playing
+     */
+    async toggleMetronome() {
+        await this.initializeAudio();
+        if (!this.isAudioInitialized) {
+            return;
         }
 
-        this.updateToggleButtonState('loop', this.playbackState.loop);
+        const { metronome } = this.audioEngine;
+        if (metronome.isPlaying()) {
+            this.stopAudio();
+            return;
+        }
 
-        // Announce to screen readers
-        const status = this.playbackState.loop ? 'enabled' : 'disabled';
-        this.announcePlaybackStatus(`Loop ${status}`);
+        this.stopAudio();
+        metronome.start();
+        this.updateToggleButtonState('metronome', true);
+        this.updateStopButtonState(true);
+        this.announcePlaybackStatus(
+            `Metronome started in ${this.audioEngine.getMusicalTime().getTimeSignature()}`
+        );
     }
 
     /**
@@ -1532,13 +1759,12 @@ class InteractionsHandler {
     stopAudio() {
         // Only stop if audio engine is loaded
         if (this.isAudioInitialized && this.audioEngine) {
+            this.audioEngine.metronome.stop();
             this.audioEngine.stopAll();
         }
 
         // Reset all playback states
-        this.playbackState.scale = false;
-        this.playbackState.chord = false;
-        this.playbackState.progression = false;
+        this.setPlayback({ scale: false, chord: false, progression: false });
 
         // Reset progression state
         if (this.currentPlayingProgression) {
@@ -1630,7 +1856,9 @@ class InteractionsHandler {
         const buttonMap = {
             percussion: this.elements.togglePercussionBtn,
             bass: this.elements.toggleBassBtn,
-            loop: this.elements.toggleLoopBtn
+            loop: this.elements.toggleLoopBtn,
+            countIn: this.elements.toggleCountInBtn,
+            metronome: this.elements.toggleMetronomeBtn
         };
 
         const button = buttonMap[type];
@@ -1799,7 +2027,11 @@ class InteractionsHandler {
 
         // Update tooltip content
         this.tooltipKey.textContent = `${key} ${mode}`;
-        this.tooltipMode.textContent = mode === 'major' ? 'Major Key' : 'Minor Key';
+        const modeInfo = this.musicTheory.getModeInfo(mode);
+        this.tooltipMode.textContent =
+            mode === 'major' || mode === 'minor'
+                ? `${modeInfo.name} Key`
+                : `${modeInfo?.name || mode} Mode`;
         this.tooltipSignature.textContent = signatureText;
 
         // Position tooltip near cursor
@@ -1864,7 +2096,14 @@ class InteractionsHandler {
             return;
         }
 
-        this.currentDifficulty = difficulty;
+        this.state.setState({ difficulty });
+    }
+
+    /**
+     * Announce a difficulty level of the shared state to screen readers and components
+     * @param {string} difficulty - The difficulty level ('beginner' or 'advanced')
+     */
+    showDifficulty(difficulty) {
         this.logger.info(`Difficulty switched to: ${difficulty}`);
 
         // Announce to screen readers
@@ -1878,6 +2117,26 @@ class InteractionsHandler {
         );
     }
 
+    /**
+     * Undo the last key, mode or audio setting change
+     * @returns {boolean} False if there was nothing to undo
+     */
+    undo() {
+        const undone = this.state.undo();
+        this.announceToScreenReader(undone ? 'Change undone' : 'Nothing to undo');
+        return undone;
+    }
+
+    /**
+     * Redo the last undone key, mode or audio setting change
+     * @returns {boolean} False if there was nothing to redo
+     */
+    redo() {
+        const redone = this.state.redo();
+        this.announceToScreenReader(redone ? 'Change redone' : 'Nothing to redo');
+        return redone;
+    }
+
     /**
      * Cleanup and destroy the interactions handler
      * Removes event listeners and cleans up resources
@@ -1890,6 +2149,13 @@ class InteractionsHandler {
 
         // Clear any pending timeouts
         this.currentPlayingProgression = null;
+        clearTimeout(this.tonicizationTimeoutId);
+
+        document.removeEventListener('progressionsChanged', this.handleProgressionsChanged);
+
+        // Stop following the shared state
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
 
         // Remove live regions
         const liveRegion = document.getElementById('sr-live-region');
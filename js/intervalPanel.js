@@ -0,0 +1,319 @@
+/**
+ * Interval Panel Component
+ * Names the interval between two notes and plays it melodically or harmonically
+ */
+
+import { loggers } from './logger.js';
+
+// Spelled note choices offered in the panel
+const INTERVAL_PANEL_NOTES = [
+    'C',
+    'C#',
+    'Db',
+    'D',
+    'D#',
+    'Eb',
+    'E',
+    'F',
+    'F#',
+    'Gb',
+    'G',
+    'G#',
+    'Ab',
+    'A',
+    'A#',
+    'Bb',
+    'B'
+];
+
+// Intervals offered in the interval select, simple intervals first
+const INTERVAL_PANEL_INTERVALS = [
+    'P1',
+    'm2',
+    'M2',
+    'm3',
+    'M3',
+    'P4',
+    'A4',
+    'd5',
+    'P5',
+    'm6',
+    'M6',
+    'm7',
+    'M7',
+    'P8',
+    'm9',
+    'M9',
+    'm10',
+    'M10',
+    'P11',
+    'P12'
+];
+
+/**
+ * UI component for exploring intervals.
+ * The student picks a lower note and either an interval or an upper note;
+ * the panel names the interval (with its inversion) and plays it through
+ * AudioEngine.playNote, one note after the other or both together.
+ *
+ * @class IntervalPanel
+ * @example
+ * const intervalPanel = new IntervalPanel(musicTheory, app);
+ */
+class IntervalPanel {
+    /**
+     * Creates a new IntervalPanel instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance used to name and transpose
+     * @param {Object} app - Application instance providing getAudioEngine()
+     */
+    constructor(musicTheory, app) {
+        this.musicTheory = musicTheory;
+        this.app = app;
+        this.logger = loggers?.interactions || console;
+
+        this.lowerOctave = 4;
+        this.noteDuration = 0.8;
+        this.melodicTimeoutId = null;
+
+        this.elements = {
+            lowerSelect: document.getElementById('interval-lower-note'),
+            intervalSelect: document.getElementById('interval-select'),
+            upperSelect: document.getElementById('interval-upper-note'),
+            result: document.getElementById('interval-result'),
+            playMelodicBtn: document.getElementById('play-interval-melodic'),
+            playHarmonicBtn: document.getElementById('play-interval-harmonic')
+        };
+
+        // Bind methods
+        this.handleLowerChange = this.handleLowerChange.bind(this);
+        this.handleIntervalChange = this.handleIntervalChange.bind(this);
+        this.handleUpperChange = this.handleUpperChange.bind(this);
+        this.playMelodic = this.playMelodic.bind(this);
+        this.playHarmonic = this.playHarmonic.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        const { lowerSelect, intervalSelect, upperSelect } = this.elements;
+        if (!lowerSelect || !intervalSelect || !upperSelect) {
+            this.logger.debug('Interval panel elements not found, skipping setup');
+            return;
+        }
+
+        this.populateSelect(lowerSelect, INTERVAL_PANEL_NOTES, note => note);
+        this.populateSelect(intervalSelect, INTERVAL_PANEL_INTERVALS, interval =>
+            this.musicTheory.getIntervalName(interval)
+        );
+        lowerSelect.value = 'C';
+        intervalSelect.value = 'P5';
+
+        this.setupEventListeners();
+        this.handleIntervalChange();
+    }
+
+    /**
+     * Fill a select element with options
+     * @private
+     */
+    populateSelect(select, values, getLabel) {
+        select.replaceChildren();
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = getLabel(value);
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.lowerSelect.addEventListener('change', this.handleLowerChange);
+        this.elements.intervalSelect.addEventListener('change', this.handleIntervalChange);
+        this.elements.upperSelect.addEventListener('change', this.handleUpperChange);
+        this.elements.playMelodicBtn?.addEventListener('click', this.playMelodic);
+        this.elements.playHarmonicBtn?.addEventListener('click', this.playHarmonic);
+    }
+
+    /**
+     * Get the lower note with its octave (e.g., 'Eb4')
+     */
+    getLowerPitch() {
+        return `${this.elements.lowerSelect.value}${this.lowerOctave}`;
+    }
+
+    /**
+     * Get the upper note with its octave, derived from the selected interval
+     */
+    getUpperPitch() {
+        return this.musicTheory.transposeNote(
+            this.getLowerPitch(),
+            this.elements.intervalSelect.value
+        );
+    }
+
+    /**
+     * Keep the selected interval and rebuild the upper note choices for the new lower note
+     */
+    handleLowerChange() {
+        this.handleIntervalChange();
+    }
+
+    /**
+     * Recalculate the upper note from the lower note and interval
+     */
+    handleIntervalChange() {
+        const upperPitch = this.getUpperPitch();
+        this.updateUpperOptions(upperPitch);
+        this.updateResult();
+    }
+
+    /**
+     * Name the interval formed by the chosen upper note
+     */
+    handleUpperChange() {
+        const interval = this.musicTheory.getInterval(
+            this.getLowerPitch(),
+            this.elements.upperSelect.value
+        );
+
+        if (interval && INTERVAL_PANEL_INTERVALS.includes(interval.name)) {
+            this.elements.intervalSelect.value = interval.name;
+        }
+        this.updateResult();
+    }
+
+    /**
+     * Offer every spelled note from the lower note up to two octaves above it,
+     * so the upper select can name compound intervals as well
+     * @private
+     */
+    updateUpperOptions(selectedPitch) {
+        const lowerMidi = this.musicTheory.getMidiNumber(this.getLowerPitch());
+        const candidates = [];
+
+        [this.lowerOctave, this.lowerOctave + 1, this.lowerOctave + 2].forEach(octave => {
+            INTERVAL_PANEL_NOTES.forEach(note => {
+                const pitch = `${note}${octave}`;
+                const midi = this.musicTheory.getMidiNumber(pitch);
+                if (midi >= lowerMidi && midi <= lowerMidi + 19) {
+                    candidates.push(pitch);
+                }
+            });
+        });
+
+        if (selectedPitch && !candidates.includes(selectedPitch)) {
+            candidates.push(selectedPitch);
+            candidates.sort(
+                (a, b) => this.musicTheory.getMidiNumber(a) - this.musicTheory.getMidiNumber(b)
+            );
+        }
+
+        this.populateSelect(this.elements.upperSelect, candidates, pitch => pitch);
+        if (selectedPitch) {
+            this.elements.upperSelect.value = selectedPitch;
+        }
+    }
+
+    /**
+     * Show the interval name, size and inversion
+     */
+    updateResult() {
+        if (!this.elements.result) {
+            return;
+        }
+
+        const lowerPitch = this.getLowerPitch();
+        const upperPitch = this.elements.upperSelect.value;
+        const interval = this.musicTheory.getInterval(lowerPitch, upperPitch);
+
+        if (!interval) {
+            this.elements.result.textContent = `${lowerPitch} → ${upperPitch}: unnamed interval`;
+            return;
+        }
+
+        const compoundText = interval.compound ? `, compound ${interval.simpleName}` : '';
+        const inversion = this.musicTheory.invertInterval(interval.name);
+        this.elements.result.textContent =
+            `${lowerPitch} → ${upperPitch}: ${interval.fullName} (${interval.name}, ` +
+            `${interval.semitones} semitones${compoundText}). Inverts to ${inversion}.`;
+    }
+
+    /**
+     * Convert a spelled pitch to the note/octave pair AudioEngine.playNote expects.
+     * playNote treats the octave as belonging to the pitch class, so B#3 becomes C4.
+     * @private
+     */
+    toPlayable(pitch) {
+        const midi = this.musicTheory.getMidiNumber(pitch);
+        return {
+            note: this.musicTheory.getChromaticNote(pitch.replace(/-?\d+$/, '')),
+            octave: Math.floor(midi / 12) - 1
+        };
+    }
+
+    /**
+     * Play the lower note, then the upper note
+     */
+    async playMelodic() {
+        const lower = this.toPlayable(this.getLowerPitch());
+        const upper = this.toPlayable(this.elements.upperSelect.value);
+
+        try {
+            const audioEngine = await this.app.getAudioEngine();
+            clearTimeout(this.melodicTimeoutId);
+            audioEngine.playNote(lower.note, lower.octave, this.noteDuration);
+            this.melodicTimeoutId = setTimeout(() => {
+                audioEngine.playNote(upper.note, upper.octave, this.noteDuration);
+            }, this.noteDuration * 1000);
+        } catch (error) {
+            this.logger.error('Failed to play melodic interval:', error);
+        }
+    }
+
+    /**
+     * Play both notes together
+     */
+    async playHarmonic() {
+        const lower = this.toPlayable(this.getLowerPitch());
+        const upper = this.toPlayable(this.elements.upperSelect.value);
+
+        try {
+            const audioEngine = await this.app.getAudioEngine();
+            audioEngine.playNote(lower.note, lower.octave, this.noteDuration * 1.5);
+            audioEngine.playNote(upper.note, upper.octave, this.noteDuration * 1.5);
+        } catch (error) {
+            this.logger.error('Failed to play harmonic interval:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        clearTimeout(this.melodicTimeoutId);
+
+        const { lowerSelect, intervalSelect, upperSelect, playMelodicBtn, playHarmonicBtn } =
+            this.elements;
+        lowerSelect?.removeEventListener('change', this.handleLowerChange);
+        intervalSelect?.removeEventListener('change', this.handleIntervalChange);
+        upperSelect?.removeEventListener('change', this.handleUpperChange);
+        playMelodicBtn?.removeEventListener('click', this.playMelodic);
+        playHarmonicBtn?.removeEventListener('click', this.playHarmonic);
+    }
+}
+
+// ES6 module export
+export { IntervalPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.IntervalPanel = IntervalPanel;
+}
@@ -16,6 +16,23 @@ import { CircleRenderer } from './circleRenderer.js';
 import { InteractionsHandler } from './interactions.js';
 import { ThemeManager } from './themeManager.js';
 import { ThemeToggle } from './themeToggle.js';
+import { IntervalPanel } from './intervalPanel.js';
+import { ChordSymbolPanel } from './chordSymbolPanel.js';
+import { ChordFinderPanel } from './chordFinderPanel.js';
+import { AnalysisPanel } from './analysisPanel.js';
+import { ProgressionStore } from './progressionStore.js';
+import { ProgressionEditorPanel } from './progressionEditorPanel.js';
+import { ModulationPanel } from './modulationPanel.js';
+import { ExportPanel } from './exportPanel.js';
+import { MidiInputPanel } from './midiInputPanel.js';
+import { MidiOutputPanel } from './midiOutputPanel.js';
+import { SequencerPanel } from './sequencerPanel.js';
+import { PresetStore } from './presetStore.js';
+import { PresetPanel } from './presetPanel.js';
+import { SynthPanel } from './synthPanel.js';
+import { CircleState } from './state/CircleState.js';
+import { UrlState } from './urlState.js';
+import { SettingsStore } from './settingsStore.js';
 
 // Set loggers on window for components that need them (development only)
 if (window.location.hostname === 'localhost') {
@@ -33,10 +50,27 @@ class CircleOfFifthsApp {
         this.audioEngine = null;
         this.audioEngineLoading = false;
         this.audioEngineLoadPromise = null;
+        this.state = null;
+        this.urlState = null;
+        this.settingsStore = null;
         this.circleRenderer = null;
         this.interactionsHandler = null;
         this.themeManager = null;
         this.themeToggle = null;
+        this.progressionStore = null;
+        this.intervalPanel = null;
+        this.chordSymbolPanel = null;
+        this.chordFinderPanel = null;
+        this.analysisPanel = null;
+        this.progressionEditorPanel = null;
+        this.modulationPanel = null;
+        this.exportPanel = null;
+        this.midiInputPanel = null;
+        this.midiOutputPanel = null;
+        this.sequencerPanel = null;
+        this.presetStore = null;
+        this.presetPanel = null;
+        this.synthPanel = null;
         this.isInitialized = false;
     }
 
@@ -54,6 +88,12 @@ class CircleOfFifthsApp {
             this.musicTheory = new MusicTheory();
             this.themeManager = new ThemeManager();
 
+            // Load the user's progressions before the info panel first lists progressions
+            this.progressionStore = new ProgressionStore(this.musicTheory);
+
+            // Load the user's sound presets
+            this.presetStore = new PresetStore();
+
             // Audio engine will be lazy loaded on first use
             this.logger.info('Audio engine will be lazy loaded on first audio interaction');
 
@@ -67,8 +107,21 @@ class CircleOfFifthsApp {
                 throw new Error('Required SVG element not found');
             }
 
+            // Shared state of the key, mode and audio settings, with undo and redo, starting
+            // from the page's link and the saved settings (the link's take precedence), kept
+            // in the URL and saved as it changes (the link's settings only once they change)
+            this.urlState = new UrlState(this.musicTheory);
+            this.settingsStore = new SettingsStore();
+            const linked = this.urlState.read();
+            this.state = new CircleState({
+                ...linked,
+                audioSettings: { ...this.settingsStore.load(), ...linked.audioSettings }
+            });
+            this.urlState.bindState(this.state);
+            this.settingsStore.bindState(this.state);
+
             // Initialize renderer
-            this.circleRenderer = new CircleRenderer(svg, this.musicTheory);
+            this.circleRenderer = new CircleRenderer(svg, this.musicTheory, this.state);
 
             // Initialize interactions (pass app instance for lazy audio loading)
             this.interactionsHandler = new InteractionsHandler(
@@ -82,6 +135,45 @@ class CircleOfFifthsApp {
                 this.themeToggle = new ThemeToggle(this.themeManager);
             }
 
+            // Initialize interval panel (uses the lazily loaded audio engine)
+            this.intervalPanel = new IntervalPanel(this.musicTheory, this);
+
+            // Initialize chord symbol input
+            this.chordSymbolPanel = new ChordSymbolPanel(this.musicTheory, this);
+
+            // Initialize chord recognition on the piano keyboard
+            this.chordFinderPanel = new ChordFinderPanel(this.musicTheory, this);
+
+            // Initialize roman numeral analysis
+            this.analysisPanel = new AnalysisPanel(this.musicTheory, this);
+
+            // Initialize the editor for the user's own progressions
+            this.progressionEditorPanel = new ProgressionEditorPanel(this.musicTheory, this);
+
+            // Initialize the modulation planner
+            this.modulationPanel = new ModulationPanel(this.musicTheory, this);
+
+            // Initialize MIDI and WAV export
+            this.exportPanel = new ExportPanel(this.musicTheory, this);
+
+            // Initialize MIDI keyboard input
+            this.midiInputPanel = new MidiInputPanel(this.musicTheory, this);
+
+            // Initialize MIDI output to external synths
+            this.midiOutputPanel = new MidiOutputPanel(this.musicTheory, this);
+
+            // Initialize the step sequencer
+            this.sequencerPanel = new SequencerPanel(this.musicTheory, this);
+
+            // Initialize sound presets in the audio settings
+            this.presetPanel = new PresetPanel(this);
+
+            // Initialize the synth's voice and effects settings
+            this.synthPanel = new SynthPanel(this);
+
+            // Select the key the page was opened with
+            this.circleRenderer.selectKey(this.state.getState('selectedKey'));
+
             // Hide loading screen
             this.hideLoadingScreen();
 
@@ -121,11 +213,14 @@ class CircleOfFifthsApp {
             try {
                 this.logger.info('Lazy loading audio engine...');
 
-                // Create and initialize
-                this.audioEngine = new AudioEngine();
+                // Create and initialize, sharing the music theory instance so the
+                // user's progressions can be played
+                this.audioEngine = new AudioEngine(this.musicTheory);
                 this.audioEngine.logger = /** @type {Logger} */ (
                     /** @type {unknown} */ (loggers.audio)
                 );
+                // Start from the settings chosen so far, and follow them from now on
+                this.audioEngine.bindState(this.state);
                 await this.audioEngine.initialize();
 
                 this.logger.info('Audio engine loaded and initialized successfully');
@@ -220,6 +315,70 @@ class CircleOfFifthsApp {
             this.themeToggle.destroy();
         }
 
+        if (this.intervalPanel) {
+            this.intervalPanel.destroy();
+        }
+
+        if (this.chordSymbolPanel) {
+            this.chordSymbolPanel.destroy();
+        }
+
+        if (this.chordFinderPanel) {
+            this.chordFinderPanel.destroy();
+        }
+
+        if (this.analysisPanel) {
+            this.analysisPanel.destroy();
+        }
+
+        if (this.progressionEditorPanel) {
+            this.progressionEditorPanel.destroy();
+        }
+
+        if (this.modulationPanel) {
+            this.modulationPanel.destroy();
+        }
+
+        if (this.exportPanel) {
+            this.exportPanel.destroy();
+        }
+
+        if (this.midiInputPanel) {
+            this.midiInputPanel.destroy();
+        }
+
+        if (this.midiOutputPanel) {
+            this.midiOutputPanel.destroy();
+        }
+
+        if (this.sequencerPanel) {
+            this.sequencerPanel.destroy();
+        }
+
+        if (this.presetPanel) {
+            this.presetPanel.destroy();
+        }
+
+        if (this.synthPanel) {
+            this.synthPanel.destroy();
+        }
+
+        if (this.presetStore) {
+            this.presetStore.destroy();
+        }
+
+        if (this.urlState) {
+            this.urlState.destroy();
+        }
+
+        if (this.settingsStore) {
+            this.settingsStore.destroy();
+        }
+
+        if (this.progressionStore) {
+            this.progressionStore.destroy();
+        }
+
         if (this.themeManager) {
             this.themeManager.destroy();
         }
@@ -0,0 +1,227 @@
+/**
+ * Metronome
+ * Clicks the time signature's beats on the audio engine's lookahead scheduler
+ */
+
+import { loggers } from './logger.js';
+
+// Scheduler steps in a quarter note (the scheduler runs in sixteenths)
+const STEPS_PER_QUARTER = 4;
+
+// Clicks a beat can be divided into
+const METRONOME_SUBDIVISIONS = [1, 2, 4];
+
+/**
+ * Metronome on AudioEngine's lookahead scheduler.
+ * Clicks follow the engine's musical time: an accented click on each downbeat,
+ * a click on every other beat of the time signature, and quieter clicks
+ * between beats when the engine's `metronomeSubdivision` is above 1 (eighths
+ * in 4/4 with 2, sixteenths with 4). Beats of 8 time are eighths, so they
+ * divide in two at most. Clicks are scheduled on the audio clock just ahead of
+ * time, so they stay tight at any tempo; tempo and time signature changes take
+ * effect from the next step. getClickEvents plans the same clicks for a stretch
+ * of music, which the engine uses to count music in.
+ *
+ * The scheduler plays one thing at a time: starting the metronome stops a
+ * looping progression, and starting one stops the metronome.
+ *
+ * @class Metronome
+ * @example
+ * const metronome = new Metronome(audioEngine);
+ * audioEngine.setTimeSignature(6, 8);
+ * metronome.start();
+ */
+class Metronome {
+    /**
+     * Creates a new Metronome instance.
+     *
+     * @constructor
+     * @param {AudioEngine} audioEngine - Engine whose scheduler, time and clicks are used
+     */
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.logger = loggers?.audio || console;
+
+        // Step in the bar the next click falls on, counted in sixteenths
+        this.step = 0;
+
+        // Called with each beat as it sounds (0 is the downbeat), and null when stopped
+        this.beatListeners = new Set();
+        this.beatTimeouts = new Set();
+
+        this.handleStep = this.handleStep.bind(this);
+    }
+
+    /**
+     * Whether the metronome is clicking
+     * @returns {boolean} True while it has the scheduler
+     */
+    isPlaying() {
+        const { scheduler } = this.audioEngine;
+        return scheduler.isPlaying && scheduler.stepCallback === this.handleStep;
+    }
+
+    /**
+     * Start clicking from the next step, on a downbeat
+     */
+    start() {
+        this.audioEngine.sequencer.stop();
+        this.stop();
+
+        this.step = 0;
+        this.audioEngine.startScheduler(
+            this.handleStep,
+            this.audioEngine.settings.tempo,
+            this.getStepsPerBar()
+        );
+    }
+
+    /**
+     * Stop clicking at once, dropping clicks not yet heard
+     */
+    stop() {
+        const wasActive = this.isPlaying() || this.beatTimeouts.size > 0;
+        if (this.isPlaying()) {
+            this.audioEngine.stopScheduler();
+        }
+        this.beatTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
+        this.beatTimeouts.clear();
+
+        if (wasActive) {
+            this.notifyBeat(null);
+        }
+    }
+
+    /**
+     * Plan the clicks of some bars in the current musical time
+     * @param {number} startTime - Audio context time of the first downbeat
+     * @param {number} [bars=1] - Bars to click
+     * @param {number} [subdivision] - Clicks per beat, the engine's setting if not given
+     * @returns {Array<{time: number, level: string}>} Clicks, level 'accent' on
+     *   downbeats, 'beat' on other beats and 'subdivision' between them
+     */
+    getClickEvents(startTime, bars = 1, subdivision = undefined) {
+        const stepLength = this.audioEngine.getMusicalTime().getStepLength();
+        const stepsPerBar = this.getStepsPerBar();
+        const clicks = [];
+        for (let step = 0; step < bars * stepsPerBar; step++) {
+            const level = this.getClickLevel(step % stepsPerBar, subdivision);
+            if (level) {
+                clicks.push({ time: startTime + step * stepLength, level });
+            }
+        }
+        return clicks;
+    }
+
+    /**
+     * Schedule one step; called by the engine's scheduler
+     * @private
+     * @param {number} _step - Step of the scheduler, unused: the bar is counted here so
+     *   time signature changes are followed
+     * @param {number} time - Audio context time the step starts
+     */
+    handleStep(_step, time) {
+        const level = this.getClickLevel(this.step);
+        if (level) {
+            this.audioEngine.scheduleClick(time, level);
+        }
+        if (level && level !== 'subdivision') {
+            this.scheduleBeatNotification(this.getBeat(this.step), time);
+        }
+        this.step = (this.step + 1) % this.getStepsPerBar();
+    }
+
+    /**
+     * Steps in a bar of the current time signature
+     * @private
+     */
+    getStepsPerBar() {
+        return Math.round(
+            this.audioEngine.getMusicalTime().getQuartersPerBar() * STEPS_PER_QUARTER
+        );
+    }
+
+    /**
+     * Steps in a beat of the current time signature
+     * @private
+     */
+    getStepsPerBeat() {
+        return (STEPS_PER_QUARTER * 4) / this.audioEngine.getMusicalTime().beatUnit;
+    }
+
+    /**
+     * Beat of the bar a step falls in
+     * @private
+     */
+    getBeat(step) {
+        return Math.floor(step / this.getStepsPerBeat());
+    }
+
+    /**
+     * Kind of click on a step of the bar, or null for none
+     * @private
+     */
+    getClickLevel(step, subdivision = this.audioEngine.settings.metronomeSubdivision) {
+        const stepsPerBeat = this.getStepsPerBeat();
+        const stepsPerClick = Math.max(1, stepsPerBeat / (subdivision || 1));
+        if (step % stepsPerClick !== 0) {
+            return null;
+        }
+        if (step === 0) {
+            return 'accent';
+        }
+        return step % stepsPerBeat === 0 ? 'beat' : 'subdivision';
+    }
+
+    /**
+     * Add a listener called with each beat as it sounds, and null when stopped
+     * @param {function(number|null): void} callback - Beat listener
+     */
+    addBeatListener(callback) {
+        this.beatListeners.add(callback);
+    }
+
+    /**
+     * Remove a beat listener
+     * @param {function(number|null): void} callback - Beat listener
+     */
+    removeBeatListener(callback) {
+        this.beatListeners.delete(callback);
+    }
+
+    /**
+     * @private
+     */
+    scheduleBeatNotification(beat, time) {
+        const delay = (time - this.audioEngine.audioContext.currentTime) * 1000;
+        const timeoutId = setTimeout(
+            () => {
+                this.beatTimeouts.delete(timeoutId);
+                this.notifyBeat(beat);
+            },
+            Math.max(0, delay)
+        );
+        this.beatTimeouts.add(timeoutId);
+    }
+
+    /**
+     * @private
+     */
+    notifyBeat(beat) {
+        this.beatListeners.forEach(callback => {
+            try {
+                callback(beat);
+            } catch (error) {
+                this.logger.warn('Error in beat listener:', error);
+            }
+        });
+    }
+}
+
+// ES6 module export
+export { Metronome, METRONOME_SUBDIVISIONS };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.Metronome = Metronome;
+}
@@ -0,0 +1,239 @@
+/**
+ * MIDI Export
+ * Builds Standard MIDI Files of what the audio engine plays
+ */
+
+import { MidiFile, GM_DRUM_CHANNEL, GM_DRUM_NOTES } from './utils/MidiFile.js';
+
+// General MIDI programs (counting from zero) for the pitched tracks
+const PIANO_PROGRAM = 0;
+const BASS_PROGRAM = 33; // Electric Bass (finger)
+
+// Velocities roughly matching the mix of the synthesized parts
+const VELOCITIES = {
+    melody: 90,
+    chord: 80,
+    bass: 96,
+    kick: 110,
+    snare: 100,
+    hihat: 70
+};
+
+/**
+ * Exports scales, chords and progressions as Standard MIDI Files.
+ * Notes come from the same planning methods the AudioEngine plays from
+ * (getScaleEvents, createChordVoicing, planProgression and the rhythm style's
+ * getCompPatternEvents, getBassPatternEvents and getPercussionPatternEvents), so
+ * a file holds exactly the voicings and timing heard in the app, at the tempo
+ * and time signature set in the audio settings. Progressions get a
+ * Chords track, plus Bass and Drums tracks (GM channel 10) when those toggles are on.
+ *
+ * @class MidiExporter
+ * @example
+ * const exporter = new MidiExporter(audioEngine);
+ * const bytes = exporter.exportProgression('G', 'major', 'I-V-vi-IV').toBytes();
+ */
+class MidiExporter {
+    /**
+     * Creates a new MidiExporter instance.
+     *
+     * @constructor
+     * @param {AudioEngine} audioEngine - Audio engine whose settings and voicings are exported
+     */
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.musicTheory = audioEngine.musicTheory;
+    }
+
+    /**
+     * Start a file at the engine's tempo
+     * @private
+     */
+    createFile(name, format) {
+        return new MidiFile({
+            format,
+            name,
+            tempo: this.audioEngine.settings.tempo || 120,
+            timeSignature: [
+                this.audioEngine.settings.beatsPerBar || 4,
+                this.audioEngine.settings.beatUnit || 4
+            ]
+        });
+    }
+
+    /**
+     * Add timed notes (seconds) to a track
+     * @private
+     */
+    addNotes(file, track, notes, velocity) {
+        notes.forEach(({ note, octave, time, duration }) => {
+            track.addNote(
+                this.audioEngine.getMidiNumber(note, octave),
+                file.secondsToTicks(time),
+                file.secondsToTicks(duration),
+                velocity
+            );
+        });
+    }
+
+    /**
+     * Export the scale playScale plays
+     * @param {string} key - Scale root
+     * @param {string} [mode='major'] - Scale mode
+     * @param {Object} [options] - Export options
+     * @param {number} [options.format=1] - MIDI file format, 0 or 1
+     * @param {number} [options.octave=4] - Octave the scale starts in
+     * @returns {MidiFile} The file
+     */
+    exportScale(key, mode = 'major', { format = 1, octave = 4 } = {}) {
+        const file = this.createFile(`${key} ${mode} scale`, format);
+        const track = file.addTrack({ name: 'Scale', channel: 0, program: PIANO_PROGRAM });
+
+        this.addNotes(
+            file,
+            track,
+            this.audioEngine.getScaleEvents(key, mode, octave),
+            VELOCITIES.melody
+        );
+        return file;
+    }
+
+    /**
+     * Export a chord as playChord voices it
+     * @param {string[]} notes - Chord notes, root first
+     * @param {Object} [options] - Export options
+     * @param {number} [options.format=1] - MIDI file format, 0 or 1
+     * @param {number} [options.octave=4] - Base octave of the chord
+     * @param {number|null} [options.duration=null] - Length in seconds, the chord length if null
+     * @param {string} [options.name] - Song name stored in the file
+     * @returns {MidiFile} The file
+     */
+    exportChord(notes, { format = 1, octave = 4, duration = null, name = 'Chord' } = {}) {
+        const file = this.createFile(name, format);
+        const track = file.addTrack({ name: 'Chord', channel: 0, program: PIANO_PROGRAM });
+        const chordDuration = duration || this.audioEngine.getChordLength();
+
+        this.addNotes(
+            file,
+            track,
+            this.audioEngine
+                .createChordVoicing(notes, octave)
+                .map(({ note, octave: noteOctave }) => ({
+                    note,
+                    octave: noteOctave,
+                    time: 0,
+                    duration: chordDuration
+                })),
+            VELOCITIES.chord
+        );
+        return file;
+    }
+
+    /**
+     * Export a progression as playProgression (or playProgressionWithRhythm) plays it,
+     * with Bass and Drums tracks when bass and percussion are enabled
+     * @param {string} key - Key signature
+     * @param {string} mode - Major, minor or a church mode
+     * @param {string} progressionName - Name of the progression
+     * @param {Object} [options] - Export options
+     * @param {number} [options.format=1] - MIDI file format, 0 or 1
+     * @param {Array<number>|null} [options.rhythm=null] - Chord lengths in seconds
+     * @param {number} [options.loops=1] - Times through the progression, voice-led
+     *   across the repeats as when looping
+     * @returns {MidiFile|null} The file, or null if the progression doesn't exist
+     */
+    exportProgression(key, mode, progressionName, { format = 1, rhythm = null, loops = 1 } = {}) {
+        const plans = [];
+        let previousVoicing = null;
+        for (let loop = 0; loop < loops; loop++) {
+            const plan = this.audioEngine.planProgression(
+                key,
+                mode,
+                progressionName,
+                previousVoicing,
+                rhythm
+            );
+            if (!plan) {
+                return null;
+            }
+            plans.push(plan);
+            previousVoicing = plan.finalVoicing;
+        }
+
+        const { settings } = this.audioEngine;
+        const progression = this.musicTheory.getChordProgressions(key, mode)[progressionName];
+        const file = this.createFile(`${key} ${mode} ${progression.name}`, format);
+
+        const chordTrack = file.addTrack({ name: 'Chords', channel: 0, program: PIANO_PROGRAM });
+        const bassTrack = settings.bassEnabled
+            ? file.addTrack({ name: 'Bass', channel: 1, program: BASS_PROGRAM })
+            : null;
+        const drumTrack = settings.percussionEnabled
+            ? file.addTrack({ name: 'Drums', channel: GM_DRUM_CHANNEL })
+            : null;
+
+        let loopStart = 0;
+        plans.forEach((plan, planIndex) => {
+            plan.chords.forEach((chord, index) => {
+                const { voicing, time: chordTime, duration } = chord;
+                const time = loopStart + chordTime;
+                const beat = time / this.audioEngine.getBeatLength();
+
+                this.audioEngine
+                    .getCompPatternEvents(voicing, time, duration, beat)
+                    .forEach(hit => {
+                        this.addNotes(
+                            file,
+                            chordTrack,
+                            hit.voicing.map(({ note, octave }) => ({
+                                note,
+                                octave,
+                                time: hit.time,
+                                duration: hit.duration
+                            })),
+                            VELOCITIES.chord
+                        );
+                    });
+
+                if (bassTrack) {
+                    this.addNotes(
+                        file,
+                        bassTrack,
+                        this.audioEngine.getBassPatternEvents(chord, time, duration, beat, {
+                            nextChord:
+                                plan.chords[index + 1] || plans[planIndex + 1]?.chords[0] || null,
+                            key: plan.key,
+                            mode: plan.mode
+                        }),
+                        VELOCITIES.bass
+                    );
+                }
+
+                if (drumTrack) {
+                    this.audioEngine
+                        .getPercussionPatternEvents(time, duration, beat)
+                        .forEach(({ drum, time: hitTime }) => {
+                            // Drum hits are one-shots; a sixteenth is long enough for any kit
+                            drumTrack.addNote(
+                                GM_DRUM_NOTES[drum],
+                                file.secondsToTicks(hitTime),
+                                file.ppq / 4,
+                                VELOCITIES[drum]
+                            );
+                        });
+                }
+            });
+            loopStart += plan.totalDuration;
+        });
+
+        return file;
+    }
+}
+
+// ES6 module export
+export { MidiExporter };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.MidiExporter = MidiExporter;
+}
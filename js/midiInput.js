@@ -0,0 +1,225 @@
+/**
+ * MIDI Input
+ * Listens to MIDI keyboards through the Web MIDI API and tracks the keys held down
+ */
+
+import { loggers } from './logger.js';
+
+// Status bytes (high nibble; the low nibble is the channel)
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+
+// Controllers that silence every note on a channel
+const ALL_SOUND_OFF = 120;
+const ALL_NOTES_OFF = 123;
+
+/**
+ * Connects to every MIDI input and reports the keys played on them.
+ * Notes are tracked by MIDI number across all inputs and channels, so the same
+ * key held on two keyboards counts once. Access comes from requestAccess, which
+ * defaults to navigator.requestMIDIAccess; anything returning an object shaped
+ * like MIDIAccess (an inputs map whose ports take onmidimessage, and
+ * onstatechange) works, so tests drive it with plain objects instead of hardware.
+ *
+ * @class MidiInput
+ * @example
+ * const midiInput = new MidiInput({
+ *     onNoteOn: (pitch, velocity) => console.log('down', pitch, velocity),
+ *     onNoteOff: pitch => console.log('up', pitch)
+ * });
+ * const inputNames = await midiInput.connect();
+ */
+class MidiInput {
+    /**
+     * Creates a new MidiInput instance.
+     *
+     * @constructor
+     * @param {Object} [options] - Input options
+     * @param {function(): Promise<MIDIAccess>} [options.requestAccess] - Requests MIDI access;
+     *   navigator.requestMIDIAccess if omitted
+     * @param {function(number, number): void} [options.onNoteOn] - Called with the MIDI
+     *   number and velocity (1-127) of each key pressed
+     * @param {function(number): void} [options.onNoteOff] - Called with the MIDI number of
+     *   each key released
+     * @param {function(string[]): void} [options.onDevicesChange] - Called with the input
+     *   names when a device is plugged in or removed
+     */
+    constructor({ requestAccess, onNoteOn, onNoteOff, onDevicesChange } = {}) {
+        this.requestAccess = requestAccess || MidiInput.getBrowserAccess();
+        this.onNoteOn = onNoteOn || (() => {});
+        this.onNoteOff = onNoteOff || (() => {});
+        this.onDevicesChange = onDevicesChange || (() => {});
+        this.logger = loggers?.interactions || console;
+
+        this.access = null;
+        // Velocity of each held key by MIDI number
+        this.heldNotes = new Map();
+
+        // Bind methods
+        this.handleMessage = this.handleMessage.bind(this);
+        this.handleStateChange = this.handleStateChange.bind(this);
+    }
+
+    /**
+     * The browser's requestMIDIAccess, or null without Web MIDI
+     * @returns {function(): Promise<MIDIAccess>|null} Access request
+     */
+    static getBrowserAccess() {
+        if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+            return null;
+        }
+        return () => navigator.requestMIDIAccess();
+    }
+
+    /**
+     * Whether MIDI access can be requested
+     * @returns {boolean} True if connect() can succeed
+     */
+    isSupported() {
+        return typeof this.requestAccess === 'function';
+    }
+
+    /**
+     * Whether connect() has succeeded
+     * @returns {boolean} True if listening to inputs
+     */
+    isConnected() {
+        return this.access !== null;
+    }
+
+    /**
+     * Request MIDI access and listen to every connected input
+     * @returns {Promise<string[]>} Names of the inputs listened to
+     * @throws {Error} If Web MIDI isn't supported or access is refused
+     */
+    async connect() {
+        if (!this.isSupported()) {
+            throw new Error('Web MIDI is not supported in this browser');
+        }
+        if (this.access) {
+            return this.getInputNames();
+        }
+
+        this.access = await this.requestAccess();
+        this.access.onstatechange = this.handleStateChange;
+        this.attachInputs();
+
+        const names = this.getInputNames();
+        this.logger.info(`Listening to ${names.length} MIDI input(s)`);
+        return names;
+    }
+
+    /**
+     * Connected inputs
+     * @private
+     */
+    getInputs() {
+        if (!this.access) {
+            return [];
+        }
+        return Array.from(this.access.inputs.values()).filter(
+            input => input.state !== 'disconnected'
+        );
+    }
+
+    /**
+     * Names of the connected inputs
+     * @returns {string[]} Input names
+     */
+    getInputNames() {
+        return this.getInputs().map(input => input.name || 'MIDI input');
+    }
+
+    /**
+     * Listen to every connected input (setting onmidimessage also opens the port)
+     * @private
+     */
+    attachInputs() {
+        this.getInputs().forEach(input => {
+            input.onmidimessage = this.handleMessage;
+        });
+    }
+
+    /**
+     * Pick up inputs plugged in after connecting, and release the keys held
+     * when one is removed, since its note-offs will never arrive
+     * @param {MIDIConnectionEvent} event - State change event
+     */
+    handleStateChange(event) {
+        if (event.port && event.port.type !== 'input') {
+            return;
+        }
+
+        if (event.port?.state === 'disconnected') {
+            this.releaseAll();
+        }
+        this.attachInputs();
+        this.onDevicesChange(this.getInputNames());
+    }
+
+    /**
+     * Handle a message from an input
+     * @param {MIDIMessageEvent} event - MIDI message event
+     */
+    handleMessage(event) {
+        const [status, data1, data2] = event.data;
+        const command = status & 0xf0;
+
+        if (command === NOTE_ON && data2 > 0) {
+            this.heldNotes.set(data1, data2);
+            this.onNoteOn(data1, data2);
+        } else if (command === NOTE_OFF || command === NOTE_ON) {
+            // Note-on with velocity 0 is the running-status way of sending note-off
+            if (this.heldNotes.delete(data1)) {
+                this.onNoteOff(data1);
+            }
+        } else if (
+            command === CONTROL_CHANGE &&
+            (data1 === ALL_NOTES_OFF || data1 === ALL_SOUND_OFF)
+        ) {
+            this.releaseAll();
+        }
+    }
+
+    /**
+     * Keys currently held, lowest first
+     * @returns {number[]} MIDI numbers
+     */
+    getHeldNotes() {
+        return [...this.heldNotes.keys()].sort((a, b) => a - b);
+    }
+
+    /**
+     * Release every held key
+     */
+    releaseAll() {
+        const pitches = this.getHeldNotes();
+        this.heldNotes.clear();
+        pitches.forEach(pitch => this.onNoteOff(pitch));
+    }
+
+    /**
+     * Stop listening to every input
+     */
+    disconnect() {
+        if (!this.access) {
+            return;
+        }
+
+        this.getInputs().forEach(input => {
+            input.onmidimessage = null;
+        });
+        this.access.onstatechange = null;
+        this.access = null;
+        this.releaseAll();
+    }
+}
+
+// ES6 module export
+export { MidiInput };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.MidiInput = MidiInput;
+}
@@ -0,0 +1,285 @@
+/**
+ * MIDI Input Panel Component
+ * Shows the keys played on a MIDI keyboard and follows its chords around the circle
+ */
+
+import { loggers } from './logger.js';
+import { MidiInput } from './midiInput.js';
+
+// Milliseconds a circle segment stays lit for each key pressed
+const NOTE_HIGHLIGHT_DURATION = 600;
+
+// Triad qualities that select a key, and the mode they select it in
+const TRIAD_MODES = { major: 'major', minor: 'minor' };
+
+/**
+ * UI component for playing a MIDI keyboard into the app.
+ * Once connected, held keys light up on #piano-keyboard and each key pressed
+ * flashes its segment with CircleRenderer.highlightNote. The held keys (lowest
+ * as the bass) are named with MusicTheory.identifyChord, and when they form a
+ * major or minor triad and "Follow chords" is on, that key and mode are selected
+ * on the circle. Keys can also be sounded through the audio engine.
+ *
+ * @class MidiInputPanel
+ * @example
+ * const midiInputPanel = new MidiInputPanel(musicTheory, app);
+ */
+class MidiInputPanel {
+    /**
+     * Creates a new MidiInputPanel instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance used for recognition
+     * @param {Object} app - Application instance providing circleRenderer,
+     *   interactionsHandler and getAudioEngine()
+     * @param {Object} [options] - Panel options
+     * @param {function(): Promise<MIDIAccess>} [options.requestAccess] - Passed to MidiInput;
+     *   tests pass a fake
+     */
+    constructor(musicTheory, app, { requestAccess } = {}) {
+        this.musicTheory = musicTheory;
+        this.app = app;
+        this.logger = loggers?.interactions || console;
+
+        // Best reading of the held keys, or null
+        this.chord = null;
+
+        this.elements = {
+            connectBtn: document.getElementById('midi-input-connect'),
+            status: document.getElementById('midi-input-status'),
+            chord: document.getElementById('midi-input-chord'),
+            followToggle: document.getElementById('midi-input-follow'),
+            soundToggle: document.getElementById('midi-input-sound'),
+            pianoKeyboard: document.getElementById('piano-keyboard')
+        };
+
+        // Bind methods
+        this.connect = this.connect.bind(this);
+        this.handleNoteOn = this.handleNoteOn.bind(this);
+        this.handleNoteOff = this.handleNoteOff.bind(this);
+        this.handleDevicesChange = this.handleDevicesChange.bind(this);
+
+        this.midiInput = new MidiInput({
+            requestAccess,
+            onNoteOn: this.handleNoteOn,
+            onNoteOff: this.handleNoteOff,
+            onDevicesChange: this.handleDevicesChange
+        });
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        if (!this.elements.connectBtn || !this.elements.status) {
+            this.logger.debug('MIDI input elements not found, skipping setup');
+            return;
+        }
+
+        if (!this.midiInput.isSupported()) {
+            this.elements.connectBtn.disabled = true;
+            this.showStatus('Web MIDI is not supported in this browser');
+            return;
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.connectBtn.addEventListener('click', this.connect);
+    }
+
+    /**
+     * Ask for MIDI access and start listening
+     * @returns {Promise<boolean>} True if connected
+     */
+    async connect() {
+        const { connectBtn } = this.elements;
+        if (connectBtn) {
+            connectBtn.disabled = true;
+        }
+
+        try {
+            this.handleDevicesChange(await this.midiInput.connect());
+
+            // Start audio now, while handling a click, so keys can sound later
+            if (this.elements.soundToggle?.checked) {
+                await this.app.getAudioEngine();
+            }
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to connect to MIDI inputs:', error);
+            this.showStatus('MIDI access was refused or is unavailable');
+            if (connectBtn) {
+                connectBtn.disabled = false;
+            }
+            return false;
+        }
+    }
+
+    /**
+     * List the inputs being listened to
+     * @param {string[]} names - Input names
+     */
+    handleDevicesChange(names) {
+        this.showStatus(
+            names.length
+                ? `Listening to ${names.join(', ')}`
+                : 'No MIDI keyboard found. Plug one in to start playing'
+        );
+    }
+
+    /**
+     * Light up, name the chord and optionally sound a key pressed on the keyboard
+     * @param {number} pitch - MIDI number
+     */
+    handleNoteOn(pitch) {
+        const note = this.getNoteName(pitch);
+        this.app.circleRenderer?.highlightNote(note, NOTE_HIGHLIGHT_DURATION, 'note');
+        this.updateKeyboard();
+        this.updateChord();
+
+        if (this.elements.soundToggle?.checked) {
+            this.playNote(note, Math.floor(pitch / 12) - 1);
+        }
+    }
+
+    /**
+     * Unlight a key released on the keyboard. The chord stays named, so
+     * letting go of a chord one key at a time doesn't rename it on the way.
+     */
+    handleNoteOff() {
+        this.updateKeyboard();
+    }
+
+    /**
+     * Chromatic name of a MIDI number, as used by the piano keys
+     * @param {number} pitch - MIDI number
+     * @returns {string} Note name (sharps)
+     */
+    getNoteName(pitch) {
+        return this.musicTheory.getProperNoteName(pitch % 12);
+    }
+
+    /**
+     * Name the chord formed by the held keys, lowest as the bass
+     * @param {number[]} pitches - MIDI numbers, lowest first
+     * @returns {Object|null} Best reading from MusicTheory.identifyChord, or null
+     */
+    recognize(pitches) {
+        const { selectedKey = null, currentMode = 'major' } =
+            this.app.circleRenderer?.getState() || {};
+        const notes = pitches.map(pitch => this.getNoteName(pitch));
+        return this.musicTheory.identifyChord(notes, selectedKey, currentMode)[0] || null;
+    }
+
+    /**
+     * Light the held keys on the piano
+     */
+    updateKeyboard() {
+        const heldNotes = new Set(
+            this.midiInput.getHeldNotes().map(pitch => this.getNoteName(pitch))
+        );
+
+        this.elements.pianoKeyboard?.querySelectorAll('.piano-key').forEach(pianoKey => {
+            pianoKey.classList.toggle(
+                'midi-held',
+                heldNotes.has(pianoKey.getAttribute('data-note'))
+            );
+        });
+    }
+
+    /**
+     * Name the chord of the held keys, and follow it if it's a triad
+     */
+    updateChord() {
+        const pitches = this.midiInput.getHeldNotes();
+        this.chord = this.recognize(pitches);
+
+        if (this.elements.chord) {
+            this.elements.chord.textContent = this.chord
+                ? `${this.chord.symbol}: ${this.chord.notes.join(' - ')}`
+                : pitches.map(pitch => this.getNoteName(pitch)).join(' - ');
+        }
+
+        if (this.chord && this.elements.followToggle?.checked !== false) {
+            this.followChord(this.chord);
+        }
+    }
+
+    /**
+     * Select the key of a major or minor triad on the circle
+     * @param {Object} chord - Reading from MusicTheory.identifyChord
+     * @returns {boolean} True if the chord is a triad that selects a key
+     */
+    followChord(chord) {
+        const mode = TRIAD_MODES[chord.quality];
+        const circleRenderer = this.app.circleRenderer;
+        if (
+            !mode ||
+            chord.modifiers.length > 0 ||
+            chord.chordTones.length !== 3 ||
+            !circleRenderer
+        ) {
+            return false;
+        }
+
+        const key = this.musicTheory.getCircleKey(chord.root);
+        const { selectedKey, currentMode } = circleRenderer.getState();
+        if (currentMode !== mode) {
+            // Through the interactions handler so the mode buttons follow
+            if (this.app.interactionsHandler) {
+                this.app.interactionsHandler.switchMode(mode);
+            } else {
+                circleRenderer.switchMode(mode);
+            }
+        }
+        if (selectedKey !== key) {
+            circleRenderer.selectKey(key);
+        }
+        return true;
+    }
+
+    /**
+     * Sound a key through the audio engine
+     * @private
+     */
+    async playNote(note, octave) {
+        try {
+            const audioEngine = await this.app.getAudioEngine();
+            audioEngine.playNote(note, octave);
+        } catch (error) {
+            this.logger.error('Failed to play MIDI note:', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    showStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.elements.connectBtn?.removeEventListener('click', this.connect);
+        this.midiInput.disconnect();
+    }
+}
+
+// ES6 module export
+export { MidiInputPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.MidiInputPanel = MidiInputPanel;
+}
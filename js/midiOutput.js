@@ -0,0 +1,155 @@
+/**
+ * MIDI Output
+ * Sends the audio engine's notes to an external synth through a Web MIDI output port
+ */
+
+import { loggers } from './logger.js';
+import { GM_DRUM_CHANNEL, GM_DRUM_NOTES } from './utils/MidiFile.js';
+
+// Status bytes (high nibble; the low nibble is the channel)
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+const ALL_NOTES_OFF = 123;
+
+// Seconds a drum hit is held; GM drums are one-shots, so this only needs to be short
+const DRUM_HIT_LENGTH = 0.1;
+
+/**
+ * Anything that takes MIDI messages the way a Web MIDI MIDIOutput does:
+ * send(data, timestamp) with the timestamp in performance.now() milliseconds,
+ * and optionally clear() to drop messages waiting for their timestamp.
+ *
+ * @typedef {Object} MidiOutputPort
+ * @property {function(number[], number=): void} send - Send (or schedule) a message
+ * @property {function(): void} [clear] - Drop scheduled messages
+ */
+
+/**
+ * Output backend for AudioEngine.setOutput that plays notes on a MIDI port.
+ * Each note becomes a note-on and a note-off scheduled with send() timestamps,
+ * so timing follows the audio clock without timers. Notes go out on the chosen
+ * channel at the chosen velocity, and drum hits on General MIDI channel 10.
+ * stopAll() clears what is still scheduled and releases what is sounding.
+ *
+ * @class MidiOutput
+ * @example
+ * const access = await navigator.requestMIDIAccess();
+ * const [port] = access.outputs.values();
+ * audioEngine.setOutput(new MidiOutput(port, { channel: 0, velocity: 90 }));
+ */
+class MidiOutput {
+    /**
+     * Creates a new MidiOutput instance.
+     *
+     * @constructor
+     * @param {MidiOutputPort} port - Port to send to
+     * @param {Object} [options] - Output options
+     * @param {number} [options.channel=0] - MIDI channel, 0-15
+     * @param {number} [options.velocity=100] - Note-on velocity, 1-127
+     * @param {function(): number} [options.now] - Current time in milliseconds on the
+     *   port's clock; performance.now by default
+     */
+    constructor(port, { channel = 0, velocity = 100, now = () => performance.now() } = {}) {
+        this.port = port;
+        this.now = now;
+        this.logger = loggers?.audio || console;
+
+        this.setChannel(channel);
+        this.setVelocity(velocity);
+
+        // Notes sent whose note-off may still be waiting: {channel, pitch, endTime}
+        this.scheduled = [];
+    }
+
+    /**
+     * Set the channel notes are sent on
+     * @param {number} channel - MIDI channel, 0-15
+     * @throws {RangeError} If the channel is out of range
+     */
+    setChannel(channel) {
+        if (!Number.isInteger(channel) || channel < 0 || channel > 15) {
+            throw new RangeError(`MIDI channel must be 0-15, got ${channel}`);
+        }
+        this.channel = channel;
+    }
+
+    /**
+     * Set the velocity notes are sent with
+     * @param {number} velocity - Velocity, clamped to 1-127
+     */
+    setVelocity(velocity) {
+        this.velocity = Math.max(1, Math.min(127, Math.round(velocity) || 1));
+    }
+
+    /**
+     * Schedule a note on the output channel
+     * @param {number} pitch - MIDI note number
+     * @param {number} delay - Seconds from now until the note starts
+     * @param {number} duration - Length in seconds
+     */
+    playNote(pitch, delay, duration) {
+        this.sendNote(this.channel, pitch, delay, duration);
+    }
+
+    /**
+     * Schedule a drum hit on the General MIDI drum channel
+     * @param {string} drum - 'kick', 'snare' or 'hihat'
+     * @param {number} delay - Seconds from now until the hit
+     */
+    playDrum(drum, delay) {
+        if (drum in GM_DRUM_NOTES) {
+            this.sendNote(GM_DRUM_CHANNEL, GM_DRUM_NOTES[drum], delay, DRUM_HIT_LENGTH);
+        }
+    }
+
+    /**
+     * Schedule a note-on and its note-off
+     * @private
+     */
+    sendNote(channel, pitch, delay, duration) {
+        if (!Number.isInteger(pitch) || pitch < 0 || pitch > 127) {
+            this.logger.warn(`Skipping note ${pitch} outside the MIDI range`);
+            return;
+        }
+
+        const now = this.now();
+        const startTime = now + Math.max(0, delay) * 1000;
+        const endTime = startTime + duration * 1000;
+
+        this.port.send([NOTE_ON | channel, pitch, this.velocity], startTime);
+        this.port.send([NOTE_OFF | channel, pitch, 0], endTime);
+
+        this.scheduled = this.scheduled.filter(note => note.endTime > now);
+        this.scheduled.push({ channel, pitch, endTime });
+    }
+
+    /**
+     * Silence the output: drop scheduled messages, release every note that may
+     * be sounding, and send All Notes Off on the channels used. Ports without
+     * clear() still play notes scheduled to start later.
+     */
+    stopAll() {
+        const now = this.now();
+        this.port.clear?.();
+
+        const channels = new Set();
+        this.scheduled
+            .filter(note => note.endTime > now)
+            .forEach(({ channel, pitch }) => {
+                this.port.send([NOTE_OFF | channel, pitch, 0]);
+                channels.add(channel);
+            });
+        channels.forEach(channel => this.port.send([CONTROL_CHANGE | channel, ALL_NOTES_OFF, 0]));
+
+        this.scheduled = [];
+    }
+}
+
+// ES6 module export
+export { MidiOutput };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.MidiOutput = MidiOutput;
+}
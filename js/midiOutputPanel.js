@@ -0,0 +1,306 @@
+/**
+ * MIDI Output Panel Component
+ * Picks the MIDI port, channel and velocity the audio engine plays through
+ */
+
+import { loggers } from './logger.js';
+import { MidiInput } from './midiInput.js';
+import { MidiOutput } from './midiOutput.js';
+
+/**
+ * UI component for playing through an external synth.
+ * "Find outputs" asks for Web MIDI access and lists the output ports next to
+ * the built-in synth. Choosing a port hands AudioEngine.setOutput a MidiOutput
+ * on the chosen channel and velocity, so everything the app plays is sent to
+ * it; the built-in synth goes quiet unless "Built-in synth too" is ticked.
+ * That toggle is the synthWithOutput audio setting of the shared state, so it
+ * is saved and undone with the others. Ports plugged in later are listed, and
+ * unplugging the chosen port returns to the built-in synth.
+ *
+ * @class MidiOutputPanel
+ * @example
+ * const midiOutputPanel = new MidiOutputPanel(musicTheory, app);
+ */
+class MidiOutputPanel {
+    /**
+     * Creates a new MidiOutputPanel instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance
+     * @param {Object} app - Application instance providing getAudioEngine() and the shared
+     *   state
+     * @param {Object} [options] - Panel options
+     * @param {function(): Promise<MIDIAccess>} [options.requestAccess] - Requests MIDI access;
+     *   navigator.requestMIDIAccess if omitted, tests pass a fake
+     */
+    constructor(musicTheory, app, { requestAccess } = {}) {
+        this.musicTheory = musicTheory;
+        this.app = app;
+        this.logger = loggers?.audio || console;
+
+        this.requestAccess = requestAccess || MidiInput.getBrowserAccess();
+        this.access = null;
+        // Backend handed to the audio engine, or null for the built-in synth
+        this.output = null;
+        this.unsubscribe = null;
+
+        this.elements = {
+            portSelect: document.getElementById('midi-output-select'),
+            connectBtn: document.getElementById('midi-output-connect'),
+            channelSelect: document.getElementById('midi-output-channel'),
+            velocitySlider: document.getElementById('midi-output-velocity'),
+            velocityValue: document.getElementById('midi-output-velocity-value'),
+            synthToggle: document.getElementById('midi-output-synth'),
+            status: document.getElementById('midi-output-status')
+        };
+
+        // Bind methods
+        this.connect = this.connect.bind(this);
+        this.handlePortChange = this.handlePortChange.bind(this);
+        this.handleChannelChange = this.handleChannelChange.bind(this);
+        this.handleVelocityInput = this.handleVelocityInput.bind(this);
+        this.handleSynthToggle = this.handleSynthToggle.bind(this);
+        this.showSynthToggle = this.showSynthToggle.bind(this);
+        this.handleStateChange = this.handleStateChange.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        const { portSelect, connectBtn, channelSelect, synthToggle } = this.elements;
+        if (!portSelect || !connectBtn) {
+            this.logger.debug('MIDI output elements not found, skipping setup');
+            return;
+        }
+
+        if (synthToggle && this.app.state) {
+            this.showSynthToggle(this.app.state.getState('audioSettings'));
+            this.unsubscribe = this.app.state.subscribe('audioSettings', this.showSynthToggle);
+        }
+
+        if (channelSelect) {
+            channelSelect.replaceChildren();
+            for (let channel = 0; channel < 16; channel++) {
+                const option = document.createElement('option');
+                option.value = String(channel);
+                option.textContent = `Channel ${channel + 1}`;
+                channelSelect.appendChild(option);
+            }
+            channelSelect.value = '0';
+        }
+
+        if (!this.requestAccess) {
+            connectBtn.disabled = true;
+            this.showStatus('Web MIDI is not supported in this browser');
+            return;
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { portSelect, connectBtn, channelSelect, velocitySlider, synthToggle } =
+            this.elements;
+        connectBtn.addEventListener('click', this.connect);
+        portSelect.addEventListener('change', this.handlePortChange);
+        channelSelect?.addEventListener('change', this.handleChannelChange);
+        velocitySlider?.addEventListener('input', this.handleVelocityInput);
+        synthToggle?.addEventListener('change', this.handleSynthToggle);
+    }
+
+    /**
+     * Ask for MIDI access and list the output ports
+     * @returns {Promise<boolean>} True if access was granted
+     */
+    async connect() {
+        try {
+            if (!this.access) {
+                this.access = await this.requestAccess();
+                this.access.onstatechange = this.handleStateChange;
+            }
+            this.listPorts();
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to get MIDI output access:', error);
+            this.showStatus('MIDI access was refused or is unavailable');
+            return false;
+        }
+    }
+
+    /**
+     * Connected output ports
+     * @returns {Array<MIDIOutput>} Ports
+     */
+    getPorts() {
+        if (!this.access) {
+            return [];
+        }
+        return Array.from(this.access.outputs.values()).filter(
+            port => port.state !== 'disconnected'
+        );
+    }
+
+    /**
+     * Fill the port list, keeping the chosen port if it is still connected
+     */
+    listPorts() {
+        const { portSelect } = this.elements;
+        if (!portSelect) {
+            return;
+        }
+
+        const ports = this.getPorts();
+        const selectedId = portSelect.value;
+
+        portSelect.replaceChildren();
+        [{ id: '', name: 'Built-in synth' }, ...ports].forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name || 'MIDI output';
+            portSelect.appendChild(option);
+        });
+
+        if (ports.some(port => port.id === selectedId)) {
+            portSelect.value = selectedId;
+        } else {
+            portSelect.value = '';
+            if (this.output) {
+                this.selectPort('');
+            }
+        }
+
+        this.showStatus(
+            ports.length
+                ? `${ports.length} MIDI output${ports.length === 1 ? '' : 's'} found`
+                : 'No MIDI outputs found'
+        );
+    }
+
+    /**
+     * Re-list ports when one is plugged in or removed
+     * @param {MIDIConnectionEvent} event - State change event
+     */
+    handleStateChange(event) {
+        if (!event.port || event.port.type === 'output') {
+            this.listPorts();
+        }
+    }
+
+    /**
+     * Play through the chosen port
+     */
+    handlePortChange() {
+        this.selectPort(this.elements.portSelect.value);
+    }
+
+    /**
+     * Send the audio engine's notes to a port, or back to the built-in synth
+     * @param {string} id - Port id, or '' for the built-in synth
+     * @returns {Promise<boolean>} True if the engine now plays through the choice
+     */
+    async selectPort(id) {
+        const { channelSelect, velocitySlider } = this.elements;
+        const port = id && this.access ? this.access.outputs.get(id) : null;
+
+        try {
+            const audioEngine = await this.app.getAudioEngine();
+            this.output = port
+                ? new MidiOutput(port, {
+                      channel: Number(channelSelect?.value) || 0,
+                      velocity: Number(velocitySlider?.value) || 100
+                  })
+                : null;
+            audioEngine.setOutput(this.output);
+
+            this.logger.info(`Playing through ${port ? port.name : 'the built-in synth'}`);
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to switch audio output:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Send on the chosen channel
+     */
+    handleChannelChange() {
+        this.output?.setChannel(Number(this.elements.channelSelect.value));
+    }
+
+    /**
+     * Send at the chosen velocity
+     */
+    handleVelocityInput() {
+        const velocity = Number(this.elements.velocitySlider.value);
+        if (this.elements.velocityValue) {
+            this.elements.velocityValue.textContent = String(velocity);
+        }
+        this.output?.setVelocity(velocity);
+    }
+
+    /**
+     * Keep the built-in synth sounding alongside the port, or not
+     */
+    handleSynthToggle() {
+        this.app.state?.setState({
+            audioSettings: { synthWithOutput: this.elements.synthToggle.checked }
+        });
+    }
+
+    /**
+     * Tick the toggle as the shared state has it, after undo or a change in another tab
+     * @private
+     * @param {Object} settings - Audio settings of the shared state
+     */
+    showSynthToggle(settings) {
+        this.elements.synthToggle.checked = Boolean(settings.synthWithOutput);
+    }
+
+    /**
+     * @private
+     */
+    showStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        const { portSelect, connectBtn, channelSelect, velocitySlider, synthToggle } =
+            this.elements;
+        connectBtn?.removeEventListener('click', this.connect);
+        portSelect?.removeEventListener('change', this.handlePortChange);
+        channelSelect?.removeEventListener('change', this.handleChannelChange);
+        velocitySlider?.removeEventListener('input', this.handleVelocityInput);
+        synthToggle?.removeEventListener('change', this.handleSynthToggle);
+
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.access) {
+            this.access.onstatechange = null;
+        }
+        if (this.output) {
+            this.app.audioEngine?.setOutput(null);
+            this.output = null;
+        }
+    }
+}
+
+// ES6 module export
+export { MidiOutputPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.MidiOutputPanel = MidiOutputPanel;
+}
@@ -0,0 +1,248 @@
+/**
+ * Modulation Panel Component
+ * Plans and plays pivot-chord routes from the selected key to another key
+ */
+
+import { loggers } from './logger.js';
+
+// Modes offered as modulation targets
+const MODULATION_PANEL_MODES = [
+    'major',
+    'minor',
+    'dorian',
+    'phrygian',
+    'lydian',
+    'mixolydian',
+    'locrian'
+];
+
+/**
+ * UI component for planning modulations.
+ * Lists the routes MusicTheory.planModulation finds from the key selected on the
+ * circle to the chosen target key, best first, with their pivot chords. Clicking a
+ * route plays it through AudioEngine.playModulation and animates it across the
+ * circle with CircleRenderer.animateRoute.
+ *
+ * @class ModulationPanel
+ * @example
+ * const modulationPanel = new ModulationPanel(musicTheory, app);
+ */
+class ModulationPanel {
+    /**
+     * Creates a new ModulationPanel instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance used to plan routes
+     * @param {Object} app - Application instance providing circleRenderer and getAudioEngine()
+     */
+    constructor(musicTheory, app) {
+        this.musicTheory = musicTheory;
+        this.app = app;
+        this.logger = loggers?.interactions || console;
+
+        // Routes currently listed, best first
+        this.routes = [];
+
+        this.elements = {
+            form: document.getElementById('modulation-form'),
+            keySelect: document.getElementById('modulation-target-key'),
+            modeSelect: document.getElementById('modulation-target-mode'),
+            summary: document.getElementById('modulation-summary'),
+            routeList: document.getElementById('modulation-routes'),
+            svg: document.getElementById('circle-svg')
+        };
+
+        // Bind methods
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleRouteClick = this.handleRouteClick.bind(this);
+        this.handleContextChange = this.handleContextChange.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        const { form, keySelect, modeSelect, routeList } = this.elements;
+        if (!form || !keySelect || !modeSelect || !routeList) {
+            this.logger.debug('Modulation panel elements not found, skipping setup');
+            return;
+        }
+
+        this.populateSelect(keySelect, this.musicTheory.getCircleOfFifthsKeys(), key => key);
+        this.populateSelect(
+            modeSelect,
+            MODULATION_PANEL_MODES,
+            mode => this.musicTheory.getModeInfo(mode)?.name || mode
+        );
+        keySelect.value = 'G';
+        modeSelect.value = 'major';
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Fill a select element with options
+     * @private
+     */
+    populateSelect(select, values, getLabel) {
+        select.replaceChildren();
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = getLabel(value);
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.form.addEventListener('submit', this.handleSubmit);
+        this.elements.routeList.addEventListener('click', this.handleRouteClick);
+        this.elements.svg?.addEventListener('keySelected', this.handleContextChange);
+        this.elements.svg?.addEventListener('modeChanged', this.handleContextChange);
+    }
+
+    /**
+     * Plan routes to the chosen key
+     * @param {Event} event - Submit event
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+        this.plan();
+    }
+
+    /**
+     * Re-plan from the newly selected key or mode
+     */
+    handleContextChange() {
+        if (this.routes.length > 0) {
+            this.app.circleRenderer?.clearRoute();
+            this.plan();
+        }
+    }
+
+    /**
+     * Play the clicked route
+     * @param {Event} event - Click event
+     */
+    handleRouteClick(event) {
+        const button = /** @type {HTMLElement} */ (event.target).closest('[data-route]');
+        if (button) {
+            this.playRoute(Number(button.getAttribute('data-route')));
+        }
+    }
+
+    /**
+     * Describe a key with its mode (e.g., 'A minor')
+     * @private
+     */
+    formatKey({ key, mode }) {
+        const modeName = this.musicTheory.getModeInfo(mode)?.name || mode;
+        return `${key} ${modeName.toLowerCase()}`;
+    }
+
+    /**
+     * Plan routes from the selected key to the target and list them
+     */
+    plan() {
+        const { selectedKey = 'C', currentMode = 'major' } =
+            this.app.circleRenderer?.getState() || {};
+        const from = { key: selectedKey, mode: currentMode };
+        const to = { key: this.elements.keySelect.value, mode: this.elements.modeSelect.value };
+
+        this.routes = this.musicTheory.planModulation(from.key, from.mode, to.key, to.mode);
+        this.render(from, to);
+    }
+
+    /**
+     * Render one button per route, best first
+     * @private
+     */
+    render(from, to) {
+        const { routeList, summary } = this.elements;
+        routeList.replaceChildren();
+
+        if (summary) {
+            const fromTo = `from ${this.formatKey(from)} to ${this.formatKey(to)}`;
+            const plural = this.routes.length === 1 ? 'route' : 'routes';
+            summary.textContent =
+                this.routes.length > 0
+                    ? `${this.routes.length} ${plural} ${fromTo}`
+                    : `No pivot-chord route ${fromTo}`;
+        }
+
+        this.routes.forEach((route, index) => {
+            const keysText = route.keys.map(key => this.formatKey(key)).join(' → ');
+            const chordsText = route.chords
+                .map(chord =>
+                    chord.role === 'pivot' ? `${chord.symbol} (${chord.numeral})` : chord.symbol
+                )
+                .join('  ');
+            const fifths = route.distance === 1 ? 'fifth' : 'fifths';
+
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'modulation-route-btn';
+            button.setAttribute('data-route', String(index));
+            button.setAttribute('aria-label', `Play route ${keysText}: ${chordsText}`);
+
+            const keys = document.createElement('span');
+            keys.className = 'modulation-route-keys';
+            keys.textContent = `${keysText} (${route.distance} ${fifths})`;
+
+            const chords = document.createElement('span');
+            chords.className = 'modulation-route-chords';
+            chords.textContent = chordsText;
+
+            button.append(keys, chords);
+            item.appendChild(button);
+            routeList.appendChild(item);
+        });
+    }
+
+    /**
+     * Play a route and animate it across the circle for as long as it sounds
+     * @param {number} index - Index of the route in the list
+     */
+    async playRoute(index) {
+        const route = this.routes[index];
+        if (!route) {
+            return;
+        }
+
+        let stepDuration;
+        try {
+            const audioEngine = await this.app.getAudioEngine();
+            const { totalDuration } = await audioEngine.playModulation(route);
+            stepDuration = (totalDuration * 1000) / route.path.length;
+        } catch (error) {
+            this.logger.error('Failed to play modulation route:', error);
+        }
+
+        this.app.circleRenderer?.animateRoute(route.path, stepDuration);
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        const { form, routeList, svg } = this.elements;
+        form?.removeEventListener('submit', this.handleSubmit);
+        routeList?.removeEventListener('click', this.handleRouteClick);
+        svg?.removeEventListener('keySelected', this.handleContextChange);
+        svg?.removeEventListener('modeChanged', this.handleContextChange);
+    }
+}
+
+// ES6 module export
+export { ModulationPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.ModulationPanel = ModulationPanel;
+}
@@ -195,11 +195,549 @@ const SCALE_PATTERNS = {
     major: [2, 2, 1, 2, 2, 2, 1], // W-W-H-W-W-W-H
     minor: [2, 1, 2, 2, 1, 2, 2], // W-H-W-W-H-W-W
     harmonicMinor: [2, 1, 2, 2, 1, 3, 1], // W-H-W-W-H-W+H-H
-    melodicMinor: [2, 1, 2, 2, 2, 2, 1] // W-H-W-W-W-W-H (ascending)
+    melodicMinor: [2, 1, 2, 2, 2, 2, 1], // W-H-W-W-W-W-H (ascending)
+    dorian: [2, 1, 2, 2, 2, 1, 2], // W-H-W-W-W-H-W
+    phrygian: [1, 2, 2, 2, 1, 2, 2], // H-W-W-W-H-W-W
+    lydian: [2, 2, 2, 1, 2, 2, 1], // W-W-W-H-W-W-H
+    mixolydian: [2, 2, 1, 2, 2, 1, 2], // W-W-H-W-W-H-W
+    locrian: [1, 2, 2, 1, 2, 2, 2] // H-W-W-H-W-W-W
 };
 
 /**
- * Chord Progressions for Major and Minor Modes
+ * The seven diatonic (church) modes.
+ *
+ * Each mode is a rotation of the major scale. `degree` is the degree of the parent
+ * major scale the mode starts on (D Dorian starts on the 2nd degree of C major), which
+ * is all that is needed to find the parent key and therefore the key signature.
+ * Ionian and Aeolian keep the app's existing 'major' and 'minor' names.
+ */
+const MODES = {
+    major: {
+        name: 'Major',
+        alias: 'ionian',
+        degree: 1,
+        quality: 'major',
+        romanNumerals: ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°']
+    },
+    dorian: {
+        name: 'Dorian',
+        degree: 2,
+        quality: 'minor',
+        romanNumerals: ['i', 'ii', 'III', 'IV', 'v', 'vi°', 'VII']
+    },
+    phrygian: {
+        name: 'Phrygian',
+        degree: 3,
+        quality: 'minor',
+        romanNumerals: ['i', 'II', 'III', 'iv', 'v°', 'VI', 'vii']
+    },
+    lydian: {
+        name: 'Lydian',
+        degree: 4,
+        quality: 'major',
+        romanNumerals: ['I', 'II', 'iii', 'iv°', 'V', 'vi', 'vii']
+    },
+    mixolydian: {
+        name: 'Mixolydian',
+        degree: 5,
+        quality: 'major',
+        romanNumerals: ['I', 'ii', 'iii°', 'IV', 'v', 'vi', 'VII']
+    },
+    minor: {
+        name: 'Minor',
+        alias: 'aeolian',
+        degree: 6,
+        quality: 'minor',
+        romanNumerals: ['i', 'ii°', 'III', 'iv', 'v', 'VI', 'VII']
+    },
+    locrian: {
+        name: 'Locrian',
+        degree: 7,
+        quality: 'diminished',
+        romanNumerals: ['i°', 'II', 'iii', 'iv', 'V', 'VI', 'vii']
+    }
+};
+
+// Natural note letters and their chromatic indices, used for letter-aware spelling
+const NATURAL_NOTES = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const NATURAL_INDICES = [0, 2, 4, 5, 7, 9, 11];
+
+// Interval qualities: abbreviation → name (repeated A/d are doubly augmented/diminished)
+const INTERVAL_QUALITIES = {
+    P: 'perfect',
+    M: 'major',
+    m: 'minor',
+    A: 'augmented',
+    d: 'diminished',
+    AA: 'doubly augmented',
+    dd: 'doubly diminished'
+};
+
+// Ordinal names for interval numbers 1-15 (unison through double octave)
+const INTERVAL_NUMBER_NAMES = [
+    'unison',
+    'second',
+    'third',
+    'fourth',
+    'fifth',
+    'sixth',
+    'seventh',
+    'octave',
+    'ninth',
+    'tenth',
+    'eleventh',
+    'twelfth',
+    'thirteenth',
+    'fourteenth',
+    'fifteenth'
+];
+
+/**
+ * Chord formulas as [interval number, semitones] pairs.
+ * The interval number fixes the letter of each chord tone (a third is always two
+ * letters above the root), so C# major is spelled C#-E#-G# rather than C#-F-G#.
+ */
+const CHORD_FORMULAS = {
+    major: [
+        [1, 0],
+        [3, 4],
+        [5, 7]
+    ],
+    minor: [
+        [1, 0],
+        [3, 3],
+        [5, 7]
+    ],
+    diminished: [
+        [1, 0],
+        [3, 3],
+        [5, 6]
+    ],
+    augmented: [
+        [1, 0],
+        [3, 4],
+        [5, 8]
+    ],
+    power: [
+        [1, 0],
+        [5, 7]
+    ],
+    dominant7: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 10]
+    ],
+    major7: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 11]
+    ],
+    minor7: [
+        [1, 0],
+        [3, 3],
+        [5, 7],
+        [7, 10]
+    ],
+    // Suspended chords replace the third
+    sus2: [
+        [1, 0],
+        [2, 2],
+        [5, 7]
+    ],
+    sus4: [
+        [1, 0],
+        [4, 5],
+        [5, 7]
+    ],
+    dominant7sus4: [
+        [1, 0],
+        [4, 5],
+        [5, 7],
+        [7, 10]
+    ],
+    // Added-tone chords
+    major6: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [6, 9]
+    ],
+    minor6: [
+        [1, 0],
+        [3, 3],
+        [5, 7],
+        [6, 9]
+    ],
+    sixNine: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [6, 9],
+        [9, 14]
+    ],
+    add9: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [9, 14]
+    ],
+    minorAdd9: [
+        [1, 0],
+        [3, 3],
+        [5, 7],
+        [9, 14]
+    ],
+    // Sevenths beyond the diatonic three (dim7 spells a diminished seventh, C-Eb-Gb-Bbb)
+    diminished7: [
+        [1, 0],
+        [3, 3],
+        [5, 6],
+        [7, 9]
+    ],
+    halfDiminished7: [
+        [1, 0],
+        [3, 3],
+        [5, 6],
+        [7, 10]
+    ],
+    minorMajor7: [
+        [1, 0],
+        [3, 3],
+        [5, 7],
+        [7, 11]
+    ],
+    augmented7: [
+        [1, 0],
+        [3, 4],
+        [5, 8],
+        [7, 10]
+    ],
+    augmentedMajor7: [
+        [1, 0],
+        [3, 4],
+        [5, 8],
+        [7, 11]
+    ],
+    // Extended chords stack thirds above the seventh
+    dominant9: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 10],
+        [9, 14]
+    ],
+    minor9: [
+        [1, 0],
+        [3, 3],
+        [5, 7],
+        [7, 10],
+        [9, 14]
+    ],
+    major9: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 11],
+        [9, 14]
+    ],
+    dominant11: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 10],
+        [9, 14],
+        [11, 17]
+    ],
+    minor11: [
+        [1, 0],
+        [3, 3],
+        [5, 7],
+        [7, 10],
+        [9, 14],
+        [11, 17]
+    ],
+    // Thirteenth chords leave out the eleventh, which clashes with the major third
+    dominant13: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 10],
+        [9, 14],
+        [13, 21]
+    ],
+    minor13: [
+        [1, 0],
+        [3, 3],
+        [5, 7],
+        [7, 10],
+        [9, 14],
+        [11, 17],
+        [13, 21]
+    ],
+    major13: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 11],
+        [9, 14],
+        [13, 21]
+    ],
+    // Altered dominants
+    dominant7b5: [
+        [1, 0],
+        [3, 4],
+        [5, 6],
+        [7, 10]
+    ],
+    'dominant7#5': [
+        [1, 0],
+        [3, 4],
+        [5, 8],
+        [7, 10]
+    ],
+    dominant7b9: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 10],
+        [9, 13]
+    ],
+    'dominant7#9': [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 10],
+        [9, 15]
+    ],
+    'dominant7#11': [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 10],
+        [11, 18]
+    ],
+    dominant7b13: [
+        [1, 0],
+        [3, 4],
+        [5, 7],
+        [7, 10],
+        [13, 20]
+    ],
+    // 7alt: root, third and seventh with b9, #9, #11 and b13 (no natural fifth)
+    altered: [
+        [1, 0],
+        [3, 4],
+        [7, 10],
+        [9, 13],
+        [9, 15],
+        [11, 18],
+        [13, 20]
+    ]
+};
+
+/**
+ * Chord symbol suffixes and alternative names mapped to CHORD_FORMULAS keys.
+ * Lookups are case-sensitive because 'M7' (major seventh) and 'm7' (minor seventh) differ.
+ */
+const CHORD_QUALITY_ALIASES = {
+    '': 'major',
+    maj: 'major',
+    M: 'major',
+    m: 'minor',
+    min: 'minor',
+    '-': 'minor',
+    dim: 'diminished',
+    '°': 'diminished',
+    o: 'diminished',
+    aug: 'augmented',
+    '+': 'augmented',
+    5: 'power',
+    7: 'dominant7',
+    dom7: 'dominant7',
+    maj7: 'major7',
+    M7: 'major7',
+    Δ: 'major7',
+    Δ7: 'major7',
+    m7: 'minor7',
+    min7: 'minor7',
+    '-7': 'minor7',
+    sus: 'sus4',
+    '7sus4': 'dominant7sus4',
+    '7sus': 'dominant7sus4',
+    6: 'major6',
+    m6: 'minor6',
+    '6/9': 'sixNine',
+    69: 'sixNine',
+    madd9: 'minorAdd9',
+    dim7: 'diminished7',
+    '°7': 'diminished7',
+    o7: 'diminished7',
+    m7b5: 'halfDiminished7',
+    ø: 'halfDiminished7',
+    ø7: 'halfDiminished7',
+    mMaj7: 'minorMajor7',
+    mM7: 'minorMajor7',
+    mmaj7: 'minorMajor7',
+    aug7: 'augmented7',
+    '+7': 'augmented7',
+    'maj7#5': 'augmentedMajor7',
+    9: 'dominant9',
+    m9: 'minor9',
+    maj9: 'major9',
+    M9: 'major9',
+    11: 'dominant11',
+    m11: 'minor11',
+    13: 'dominant13',
+    m13: 'minor13',
+    maj13: 'major13',
+    M13: 'major13',
+    '7b5': 'dominant7b5',
+    '7#5': 'dominant7#5',
+    '7b9': 'dominant7b9',
+    '7#9': 'dominant7#9',
+    '7#11': 'dominant7#11',
+    '7b13': 'dominant7b13',
+    '7alt': 'altered',
+    alt: 'altered'
+};
+
+/**
+ * Preferred chord symbol suffix for each CHORD_FORMULAS key, used when formatting.
+ */
+const CHORD_SYMBOLS = {
+    major: '',
+    minor: 'm',
+    diminished: 'dim',
+    augmented: 'aug',
+    power: '5',
+    dominant7: '7',
+    major7: 'maj7',
+    minor7: 'm7',
+    sus2: 'sus2',
+    sus4: 'sus4',
+    dominant7sus4: '7sus4',
+    major6: '6',
+    minor6: 'm6',
+    sixNine: '6/9',
+    add9: 'add9',
+    minorAdd9: 'madd9',
+    diminished7: 'dim7',
+    halfDiminished7: 'm7b5',
+    minorMajor7: 'mMaj7',
+    augmented7: 'aug7',
+    augmentedMajor7: 'maj7#5',
+    dominant9: '9',
+    minor9: 'm9',
+    major9: 'maj9',
+    dominant11: '11',
+    minor11: 'm11',
+    dominant13: '13',
+    minor13: 'm13',
+    major13: 'maj13',
+    dominant7b5: '7b5',
+    'dominant7#5': '7#5',
+    dominant7b9: '7b9',
+    'dominant7#9': '7#9',
+    'dominant7#11': '7#11',
+    dominant7b13: '7b13',
+    altered: '7alt'
+};
+
+/**
+ * Inversion number for each chord tone that can be in the bass
+ * (root → root position, third → first inversion, fifth → second, seventh → third).
+ */
+const INVERSIONS = { 1: 0, 3: 1, 5: 2, 7: 3 };
+
+/**
+ * Roman numeral analysis tables.
+ * Figured-bass suffixes are indexed by inversion; seventh chords carry a quality mark
+ * before the figure (IM7, vii°6/5, iiø4/3). Augmented sixths are identified by their
+ * pitch classes above the tonic (It+6 = b6, 1, #4).
+ */
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+const TRIAD_QUALITIES = { major: '', minor: '', diminished: '°', augmented: '+' };
+const TRIAD_FIGURES = ['', '6', '6/4'];
+const SEVENTH_QUALITIES = {
+    dominant7: '',
+    minor7: '',
+    major7: 'M',
+    minorMajor7: 'M',
+    diminished7: '°',
+    halfDiminished7: 'ø',
+    augmented7: '+',
+    augmentedMajor7: '+M'
+};
+const SEVENTH_FIGURES = ['7', '6/5', '4/3', '4/2'];
+const AUGMENTED_SIXTHS = {
+    'It+6': [0, 6, 8],
+    'Fr+6': [0, 2, 6, 8],
+    'Ger+6': [0, 3, 6, 8]
+};
+
+/**
+ * Roman numerals as written in progressions: an optional accidental relative to the
+ * key's own scale degree (bVII, #iv°), the numeral (case gives major or minor), a
+ * quality mark, a figured-bass figure and an optional applied target (V6/5/V).
+ * Compact figures (65, 43, 42, 64) are accepted alongside the slashed ones.
+ */
+const ROMAN_NUMERAL_PATTERN =
+    /^([b♭#♯]{0,2})(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)(°|o|ø|\+M|\+|M)?(7|6\/5|6\/4|4\/3|4\/2|65|64|43|42|6)?(?:\/(.+))?$/;
+const ROMAN_FIGURES = {
+    '': { seventh: false, inversion: 0 },
+    6: { seventh: false, inversion: 1 },
+    '6/4': { seventh: false, inversion: 2 },
+    64: { seventh: false, inversion: 2 },
+    7: { seventh: true, inversion: 0 },
+    '6/5': { seventh: true, inversion: 1 },
+    65: { seventh: true, inversion: 1 },
+    '4/3': { seventh: true, inversion: 2 },
+    43: { seventh: true, inversion: 2 },
+    '4/2': { seventh: true, inversion: 3 },
+    42: { seventh: true, inversion: 3 }
+};
+
+// Pivot chords are preferred by their degree in the new key: predominants (ii, IV) lead
+// into its cadence best, then vi, iii and the tonic; V and vii would pre-empt the cadence.
+// Diminished triads make weak pivots and come after all the others.
+const PIVOT_DEGREE_PREFERENCE = [1, 3, 5, 2, 0, 4, 6];
+
+// Modulation routes never go further than half way round the circle
+const MAX_MODULATION_DISTANCE = 6;
+
+// Chord a modulation confirms each mode with before its tonic, in the mode's own numerals.
+// Church modes use their parent key's V7 (Dorian IV7, Lydian II7, Locrian VI7), except
+// Phrygian and Mixolydian, where that is the mediant or the tonic: they close with their
+// modal cadences, bII - i and bVII - I.
+const MODE_CADENCES = {
+    major: { numeral: 'V7', role: 'dominant' },
+    dorian: { numeral: 'IV7', role: 'dominant' },
+    phrygian: { numeral: 'II', role: 'cadence' },
+    lydian: { numeral: 'II7', role: 'dominant' },
+    mixolydian: { numeral: 'VII', role: 'cadence' },
+    minor: { numeral: 'V7', role: 'dominant' },
+    locrian: { numeral: 'VI7', role: 'dominant' }
+};
+
+/**
+ * Chord tones that symbol alterations and additions may target, with the
+ * semitones of the unaltered tone above the root (b9 = 14 - 1, #11 = 17 + 1).
+ */
+const CHORD_TONE_SEMITONES = {
+    2: 2,
+    3: 4,
+    4: 5,
+    5: 7,
+    6: 9,
+    9: 14,
+    11: 17,
+    13: 21
+};
+
+/**
+ * Chord Progressions for Each Mode
  *
  * All progressions are defined using Roman numeral analysis:
  * - Uppercase (I, IV, V) = Major chords
@@ -207,6 +745,7 @@ const SCALE_PATTERNS = {
  * - Lowercase with ° (vii°) = Diminished chords
  *
  * All chords in each progression are diatonic to the key (with noted exceptions in minor mode).
+ * The modal entries use the numerals from MODES, so 'IV' in Dorian is a major chord.
  * When played, roman numerals are converted to actual chord roots based on the current key,
  * ensuring the progression stays in the same key throughout all iterations and loops.
  */
@@ -295,6 +834,77 @@ const CHORD_PROGRESSIONS = {
             // Voice leading: Very smooth, all voices move by step or stay
             // Perfect loop (ends on same chord it starts with)
         }
+    },
+    dorian: {
+        'i-IV': {
+            name: 'Dorian Vamp',
+            roman: ['i', 'IV'],
+            description: 'The characteristic Dorian sound built on the raised sixth'
+            // Example in D Dorian: Dm - G
+            // Function: The major IV (B natural in D Dorian) is what separates Dorian from minor
+        },
+        'i-VII-IV-i': {
+            name: 'Dorian Rock',
+            roman: ['i', 'VII', 'IV', 'i'],
+            description: 'Modal rock progression'
+            // Example in D Dorian: Dm - C - G - Dm
+        }
+    },
+    phrygian: {
+        'i-II': {
+            name: 'Phrygian Vamp',
+            roman: ['i', 'II'],
+            description: 'Half-step motion over the flat second'
+            // Example in E Phrygian: Em - F
+        },
+        'i-II-III-II': {
+            name: 'Phrygian Shuttle',
+            roman: ['i', 'II', 'III', 'II'],
+            description: 'Flamenco-flavoured stepwise motion'
+            // Example in E Phrygian: Em - F - G - F
+        }
+    },
+    lydian: {
+        'I-II': {
+            name: 'Lydian Vamp',
+            roman: ['I', 'II'],
+            description: 'Major II chord highlights the raised fourth'
+            // Example in F Lydian: F - G
+        },
+        'I-II-vii-I': {
+            name: 'Lydian Cadence',
+            roman: ['I', 'II', 'vii', 'I'],
+            description: 'Floating, film-score style progression'
+            // Example in F Lydian: F - G - Em - F
+        }
+    },
+    mixolydian: {
+        'I-VII-IV-I': {
+            name: 'Mixolydian Rock',
+            roman: ['I', 'VII', 'IV', 'I'],
+            description: 'Classic rock progression using the flat seventh'
+            // Example in G Mixolydian: G - F - C - G
+        },
+        'I-v-IV-I': {
+            name: 'Mixolydian Minor Five',
+            roman: ['I', 'v', 'IV', 'I'],
+            description: 'Minor dominant avoids a leading tone'
+            // Example in G Mixolydian: G - Dm - C - G
+        }
+    },
+    locrian: {
+        'i°-II-i°': {
+            name: 'Locrian Vamp',
+            roman: ['i°', 'II', 'i°'],
+            description: 'Unstable diminished tonic against the flat second'
+            // Example in B Locrian: B° - C - B°
+        },
+        'i°-iv-II-i°': {
+            name: 'Locrian Cadence',
+            roman: ['i°', 'iv', 'II', 'i°'],
+            description: 'Rare progression exploring the Locrian colour'
+            // Example in B Locrian: B° - Em - C - B°
+        }
     }
 };
 
@@ -319,6 +929,44 @@ class MusicTheory {
     constructor() {
         this.currentKey = 'C';
         this.currentMode = 'major';
+
+        // User-defined progressions by mode, registered by ProgressionStore
+        this.customProgressions = {};
+    }
+
+    /**
+     * Parse a spelled note into its letter and accidental.
+     * Accepts single and double accidentals ('#', 'b', '##', 'bb', and 'x' for a double sharp).
+     *
+     * @param {string} note - Note name (e.g., 'E#', 'Bbb', 'c')
+     * @returns {{letter: string, accidental: number, pitchClass: number}|null}
+     *   Parsed note (accidental is +1 per sharp and -1 per flat), or null if unparseable
+     * @example
+     * theory.parseNote('F##'); // { letter: 'F', accidental: 2, pitchClass: 7 }
+     */
+    parseNote(note) {
+        if (!note || typeof note !== 'string') {
+            return null;
+        }
+
+        const trimmed = note.trim();
+        const match = /^([A-G])(##|#|bb|b|x)?$/.exec(
+            trimmed.charAt(0).toUpperCase() + trimmed.slice(1)
+        );
+        if (!match) {
+            return null;
+        }
+
+        const [, letter, accidentalText = ''] = match;
+        let accidental = accidentalText.startsWith('#')
+            ? accidentalText.length
+            : -accidentalText.length;
+        if (accidentalText === 'x') {
+            accidental = 2;
+        }
+        const naturalIndex = NATURAL_INDICES[NATURAL_NOTES.indexOf(letter)];
+
+        return { letter, accidental, pitchClass: (naturalIndex + accidental + 12) % 12 };
     }
 
     /**
@@ -332,6 +980,12 @@ class MusicTheory {
         // Handle case insensitivity
         note = note.charAt(0).toUpperCase() + note.slice(1);
 
+        // Spelled notes, including double sharps and flats
+        const parsed = this.parseNote(note);
+        if (parsed) {
+            return parsed.pitchClass;
+        }
+
         // Handle special enharmonic cases
         const enharmonicMap = {
             'B#': 'C',
@@ -379,16 +1033,155 @@ class MusicTheory {
         return 0; // Default to C if note not found
     }
 
+    /**
+     * Normalize a mode name to the name used by MODES and SCALE_PATTERNS.
+     * Accepts 'ionian' and 'aeolian' as aliases for 'major' and 'minor'.
+     *
+     * @param {string} mode - Mode name in any case (e.g., 'Dorian', 'aeolian')
+     * @returns {string} Normalized mode name (e.g., 'dorian', 'minor')
+     */
+    normalizeMode(mode) {
+        if (!mode || typeof mode !== 'string') {
+            return 'major';
+        }
+
+        const lower = mode.toLowerCase();
+        const aliased = Object.keys(MODES).find(name => MODES[name].alias === lower);
+        return aliased || lower;
+    }
+
+    /**
+     * Check whether a mode is one of the seven diatonic modes
+     *
+     * @param {string} mode - Mode name
+     * @returns {boolean} True for major, minor and the five church modes
+     */
+    isDiatonicMode(mode) {
+        return this.normalizeMode(mode) in MODES;
+    }
+
+    /**
+     * Get descriptive data for a diatonic mode
+     *
+     * @param {string} mode - Mode name
+     * @returns {Object|null} Mode data ({name, degree, quality, romanNumerals}) or null
+     */
+    getModeInfo(mode) {
+        return MODES[this.normalizeMode(mode)] || null;
+    }
+
+    /**
+     * Spell a pitch class using a specific letter name.
+     *
+     * @param {string} letter - Natural letter ('C' to 'B')
+     * @param {number} pitchClass - Chromatic index (0-11)
+     * @returns {string} Spelled note (e.g., spellWithLetter('E', 5) → 'E#')
+     */
+    spellWithLetter(letter, pitchClass) {
+        const naturalIndex = NATURAL_INDICES[NATURAL_NOTES.indexOf(letter)];
+        const offset = ((((pitchClass - naturalIndex) % 12) + 18) % 12) - 6;
+        return letter + (offset > 0 ? '#'.repeat(offset) : 'b'.repeat(-offset));
+    }
+
+    /**
+     * Spell the note a given interval above a root.
+     * This is the core of the spelling engine: the interval number decides the
+     * letter and the semitone count decides the accidental, so a major third above
+     * F# is A# and a perfect fourth above Gb is Cb.
+     *
+     * @param {string} root - Spelled root note (e.g., 'F#')
+     * @param {number} number - Interval number (1 = unison, 3 = third, 9 = ninth...)
+     * @param {number} semitones - Size of the interval in semitones
+     * @returns {string|null} Spelled note, or null if the root can't be parsed
+     * @example
+     * theory.spellInterval('F#', 3, 4); // 'A#'
+     * theory.spellInterval('Gb', 4, 5); // 'Cb'
+     */
+    spellInterval(root, number, semitones) {
+        const parsed = this.parseNote(root);
+        if (!parsed) {
+            return null;
+        }
+
+        const letterIndex = NATURAL_NOTES.indexOf(parsed.letter);
+        const letter = NATURAL_NOTES[(letterIndex + number - 1) % 7];
+        return this.spellWithLetter(letter, (parsed.pitchClass + semitones) % 12);
+    }
+
+    /**
+     * Get the sharp-based chromatic name for any spelling (Db → C#, E# → F, Cb → B).
+     * Used to match spelled notes against fixed keys such as the piano keyboard.
+     *
+     * @param {string} note - Spelled note
+     * @returns {string} Name from NOTES.chromatic
+     */
+    getChromaticNote(note) {
+        return NOTES.chromatic[this.getNoteIndex(note)];
+    }
+
+    /**
+     * Get the name a key has on the circle of fifths (C# → Db, Gb → F#, Cb → B).
+     *
+     * @param {string} key - Spelled key name
+     * @returns {string|null} The matching CIRCLE_OF_FIFTHS entry, or null if unparseable
+     */
+    getCircleKey(key) {
+        const parsed = this.parseNote(key);
+        if (!parsed) {
+            return null;
+        }
+        return CIRCLE_OF_FIFTHS.find(
+            circleKey => this.getNoteIndex(circleKey) === parsed.pitchClass
+        );
+    }
+
+    /**
+     * Get the parent major key of a key in a diatonic mode.
+     * D Dorian, E Phrygian, F Lydian, G Mixolydian, A minor and B Locrian all
+     * return 'C'. When the letter-correct parent would need double accidentals
+     * (Db Phrygian → Bbb), the enharmonic key from MAJOR_KEYS is returned instead.
+     *
+     * @param {string} key - The tonic of the mode (e.g., 'D')
+     * @param {string} [mode='major'] - Mode name
+     * @returns {string|null} Parent major key, or null if it can't be determined
+     * @example
+     * theory.getParentKey('D', 'dorian'); // 'C'
+     * theory.getParentKey('Bb', 'lydian'); // 'F'
+     */
+    getParentKey(key, mode = 'major') {
+        const modeInfo = this.getModeInfo(mode);
+        if (!key || typeof key !== 'string' || !modeInfo) {
+            return null;
+        }
+
+        // Step down (degree - 1) letters, written as the inversion going up
+        // (down a second = up a seventh) so the spelling engine picks the letter
+        const steps = modeInfo.degree - 1;
+        const parent = this.spellInterval(key, 8 - steps, 12 - NATURAL_INDICES[steps]);
+        if (!parent) {
+            return null;
+        }
+
+        if (MAJOR_KEYS[parent]) {
+            return parent;
+        }
+
+        // Fall back to the enharmonic key that appears on the circle
+        return this.getCircleKey(parent);
+    }
+
     /**
      * Generate scale notes for a given key and mode.
      * Returns the seven notes of the scale in order.
      *
      * @param {string} key - The root key (e.g., 'C', 'F#', 'Bb')
-     * @param {string} [mode='major'] - The mode ('major' or 'minor')
+     * @param {string} [mode='major'] - The mode ('major', 'minor', a church mode such as
+     *   'dorian', 'harmonicMinor' or 'melodicMinor')
      * @returns {string[]} Array of note names in the scale
      * @example
      * theory.getScaleNotes('G', 'major'); // ['G', 'A', 'B', 'C', 'D', 'E', 'F#']
      * theory.getScaleNotes('A', 'minor'); // ['A', 'B', 'C', 'D', 'E', 'F', 'G']
+     * theory.getScaleNotes('D', 'dorian'); // ['D', 'E', 'F', 'G', 'A', 'B', 'C']
      */
     getScaleNotes(key, mode = 'major') {
         if (!key || typeof key !== 'string') {
@@ -400,46 +1193,74 @@ class MusicTheory {
 
         // Normalize mode names to match SCALE_PATTERNS keys
         const modeMap = {
-            major: 'major',
-            minor: 'minor',
             harmonicminor: 'harmonicMinor',
             melodicminor: 'melodicMinor'
         };
 
-        const normalizedMode = modeMap[mode.toLowerCase()] || mode.toLowerCase();
+        const normalizedMode = modeMap[mode.toLowerCase()] || this.normalizeMode(mode);
         const pattern = SCALE_PATTERNS[normalizedMode];
         if (!pattern) {
             return [];
         }
 
-        const startIndex = this.getNoteIndex(key);
-        const notes = [];
-        let currentIndex = startIndex;
+        if (!this.parseNote(key)) {
+            return [];
+        }
 
-        // Get the key signature to determine proper accidentals
         // For harmonic and melodic minor, use the natural minor key signature as base
         const baseMode =
             normalizedMode === 'harmonicMinor' || normalizedMode === 'melodicMinor'
                 ? 'minor'
                 : normalizedMode;
-        const keySignature = this.getKeySignature(key, baseMode === 'minor' ? 'minor' : 'major');
-        const useFlats = keySignature.flats > 0;
+        const tonic = this.getSpellingTonic(key, baseMode);
 
-        // Add the root note
-        notes.push(this.getProperNoteName(currentIndex, key, useFlats));
-
-        // Generate the rest of the scale
-        for (let i = 0; i < pattern.length - 1; i++) {
-            currentIndex = (currentIndex + pattern[i]) % 12;
-            const noteName = this.getProperNoteName(currentIndex, null, useFlats);
-            notes.push(noteName);
+        // One letter per scale degree: degree n is spelled as an nth above the tonic,
+        // which yields E# in F# major, Cb in Gb major and F## in G# harmonic minor
+        const notes = [];
+        let semitones = 0;
+        for (let degree = 1; degree <= pattern.length; degree++) {
+            notes.push(this.spellInterval(tonic, degree, semitones));
+            semitones += pattern[degree - 1];
         }
 
         return notes;
     }
 
     /**
-     * Get the proper note name based on key signature context
+     * Get the tonic spelling that matches the key signature shown for a key.
+     * Keys whose letter-correct signature would be theoretical are written from their
+     * enharmonic tonic: Db minor is spelled as C# minor because MINOR_KEYS gives it
+     * four sharps. Every other key is returned unchanged.
+     *
+     * @param {string} key - The tonic as selected (e.g., 'Db')
+     * @param {string} mode - Normalized diatonic mode name
+     * @returns {string} The tonic to spell the scale from (e.g., 'C#')
+     */
+    getSpellingTonic(key, mode) {
+        const modeInfo = MODES[mode];
+        if (!modeInfo || modeInfo.degree === 1) {
+            return key;
+        }
+
+        const parent =
+            mode === 'minor' && MINOR_KEYS[key]
+                ? MINOR_KEYS[key].relative
+                : this.getParentKey(key, mode);
+        if (!parent) {
+            return key;
+        }
+
+        const tonic = this.spellInterval(
+            parent,
+            modeInfo.degree,
+            NATURAL_INDICES[modeInfo.degree - 1]
+        );
+        return this.getNoteIndex(tonic) === this.getNoteIndex(key) ? tonic : key;
+    }
+
+    /**
+     * Get the proper note name based on key signature context.
+     * This only knows pitch classes; use spellInterval() when the letter matters.
      */
     getProperNoteName(noteIndex, _rootNote = null, useFlats = false) {
         const chromaticNote = NOTES.chromatic[noteIndex];
@@ -458,7 +1279,9 @@ class MusicTheory {
     }
 
     /**
-     * Get key signature information
+     * Get key signature information.
+     * Church modes use the signature of their parent major key, which is
+     * reported in the `parent` property (e.g., D Dorian → parent 'C').
      */
     getKeySignature(key, mode = 'major') {
         if (!key || typeof key !== 'string') {
@@ -467,9 +1290,17 @@ class MusicTheory {
 
         // Handle case insensitivity
         key = key.charAt(0).toUpperCase() + key.slice(1);
-        mode = mode.toLowerCase();
+        mode = this.normalizeMode(mode);
 
-        const keyData = mode === 'major' ? MAJOR_KEYS[key] : MINOR_KEYS[key];
+        let keyData;
+        if (mode === 'major') {
+            keyData = MAJOR_KEYS[key];
+        } else if (mode in MODES && mode !== 'minor') {
+            const parent = this.isValidKey(key, mode) ? this.getParentKey(key, mode) : null;
+            keyData = parent ? { ...MAJOR_KEYS[parent], parent } : null;
+        } else {
+            keyData = MINOR_KEYS[key];
+        }
         return keyData || { sharps: 0, flats: 0, signature: 'Unknown key', accidentals: [] };
     }
 
@@ -478,11 +1309,11 @@ class MusicTheory {
      * Returns an object with the three most important related keys.
      *
      * @param {string} key - The root key (e.g., 'C', 'F#', 'Bb')
-     * @param {string} [mode='major'] - The mode ('major' or 'minor')
+     * @param {string} [mode='major'] - The mode ('major', 'minor' or a church mode)
      * @returns {Object|null} Object with properties:
      *   - dominant {Object} - Dominant key information
      *   - subdominant {Object} - Subdominant key information
-     *   - relative {Object} - Relative key information
+     *   - relative {Object} - Relative key information (the parent major key for church modes)
      * @example
      * theory.getRelatedKeys('C', 'major');
      * // Returns: { dominant: {key: 'G', mode: 'major'}, subdominant: {key: 'F', mode: 'major'}, relative: {key: 'A', mode: 'minor'} }
@@ -494,7 +1325,7 @@ class MusicTheory {
 
         // Handle case insensitivity
         key = key.charAt(0).toUpperCase() + key.slice(1);
-        mode = mode.toLowerCase();
+        mode = this.normalizeMode(mode);
 
         // Enharmonic normalization map - converts both sharps and flats to the notation used in CIRCLE_OF_FIFTHS
         // This allows the method to work with both C# and Db, F# and Gb, etc.
@@ -523,32 +1354,23 @@ class MusicTheory {
         // Normalize the key to match CIRCLE_OF_FIFTHS notation
         const normalizedKey = enharmonicMap[key] || key;
 
-        const keyIndex = CIRCLE_OF_FIFTHS.indexOf(normalizedKey);
-        if (keyIndex === -1) {
+        if (CIRCLE_OF_FIFTHS.indexOf(normalizedKey) === -1) {
             return null;
         }
 
-        // Determine if we should use flat notation based on the key signature
-        // For minor mode, check the minor key signature; for major, check major key signature
-        const keySignature = this.getKeySignature(key, mode);
-        const useFlats = keySignature.flats > 0;
-
-        const dominantRaw = CIRCLE_OF_FIFTHS[(keyIndex + 1) % 12];
-        const subdominantRaw = CIRCLE_OF_FIFTHS[(keyIndex - 1 + 12) % 12];
-
-        // Convert to proper enharmonic equivalents if needed
-        const dominant =
-            useFlats && NOTES.enharmonic[dominantRaw] ? NOTES.enharmonic[dominantRaw] : dominantRaw;
-        const subdominant =
-            useFlats && NOTES.enharmonic[subdominantRaw]
-                ? NOTES.enharmonic[subdominantRaw]
-                : subdominantRaw;
+        // Spell related keys from the key itself rather than from the circle's labels,
+        // so the subdominant of Gb is Cb and the dominant of F# is C#.
+        // Use getCircleKey() to find the matching segment on the circle.
+        const dominant = this.spellInterval(key, 5, 7);
+        const subdominant = this.spellInterval(key, 4, 5);
 
         let relative;
         if (mode === 'major') {
-            // Relative minor is a minor third down
-            const relativeIndex = (this.getNoteIndex(key) - 3 + 12) % 12;
-            relative = this.getProperNoteName(relativeIndex, null, useFlats);
+            // Relative minor is a minor third down (a major sixth up)
+            relative = this.spellInterval(key, 6, 9);
+        } else if (mode !== 'minor') {
+            // Church modes share their signature with the parent major key
+            relative = this.getParentKey(key, mode);
         } else {
             // Relative major is a minor third up
             // Use the stored relative from MINOR_KEYS if available for correct enharmonic spelling
@@ -556,8 +1378,7 @@ class MusicTheory {
             if (minorKeyData && minorKeyData.relative) {
                 relative = minorKeyData.relative;
             } else {
-                const relativeIndex = (this.getNoteIndex(key) + 3) % 12;
-                relative = this.getProperNoteName(relativeIndex, null, useFlats);
+                relative = this.spellInterval(key, 3, 3);
             }
         }
 
@@ -569,10 +1390,82 @@ class MusicTheory {
     }
 
     /**
-     * Get chord progressions for a key
+     * Get chord progressions for a key: the built-ins for the mode followed by
+     * any user-defined progressions registered for it. Every mode has the ii-V-I,
+     * its degrees named as the mode has them (D Dorian: ii-v-i, Em - Am - Dm)
      */
     getChordProgressions(key, mode = 'major') {
-        return CHORD_PROGRESSIONS[mode] || {};
+        const normalizedMode = this.normalizeMode(mode);
+        const builtIns = CHORD_PROGRESSIONS[normalizedMode] || {};
+        const romanNumerals = MODES[normalizedMode]?.romanNumerals;
+        const cadence =
+            romanNumerals && !builtIns['ii-V-I']
+                ? {
+                      'ii-V-I': {
+                          name: 'Jazz Progression',
+                          roman: [1, 4, 0].map(degree => romanNumerals[degree]),
+                          description: 'The jazz cadence on the degrees of the mode'
+                      }
+                  }
+                : {};
+        return {
+            ...builtIns,
+            ...cadence,
+            ...(this.customProgressions[normalizedMode] || {})
+        };
+    }
+
+    /**
+     * Replace the user-defined progressions offered by getChordProgressions.
+     * Entries use the built-in shape plus optional per-chord `qualities`
+     * (CHORD_FORMULAS keys, null for the numeral's default) and `durations`
+     * (in multiples of the progression chord length).
+     *
+     * @param {Object<string, Object<string, Object>>} progressions - Progressions by mode, keyed by id
+     * @example
+     * musicTheory.setCustomProgressions({
+     *     major: { 'custom-1': { name: 'Turnaround', roman: ['I', 'vi', 'ii', 'V'], durations: [2, 2, 1, 1] } }
+     * });
+     */
+    setCustomProgressions(progressions) {
+        this.customProgressions = progressions || {};
+    }
+
+    /**
+     * Total length of a progression in chord lengths, counting per-chord durations
+     *
+     * @param {Object} progression - Progression with `roman` and optional `durations`
+     * @returns {number} Sum of the chord durations (the chord count when none are set)
+     * @example
+     * getProgressionLength({ roman: ['ii', 'V', 'I'], durations: [1, 1, 2] }) // 4
+     */
+    getProgressionLength(progression) {
+        return progression.roman.reduce(
+            (total, _roman, index) => total + (progression.durations?.[index] ?? 1),
+            0
+        );
+    }
+
+    /**
+     * Find the scale degree a roman numeral names in a mode
+     *
+     * @param {string} roman - Roman numeral (e.g., 'ii', 'V', 'vii°')
+     * @param {string} mode - 'major', 'minor' or a church mode
+     * @returns {number} Zero-based scale degree, or -1 if the numeral isn't one of the mode's
+     * @example
+     * getRomanNumeralDegree('V', 'major') // 4
+     * getRomanNumeralDegree('iv', 'minor') // 3
+     */
+    getRomanNumeralDegree(roman, mode = 'major') {
+        if (!roman || typeof roman !== 'string') {
+            return -1;
+        }
+
+        // Major: I ii iii IV V vi vii°
+        // Minor: i ii° III iv v VI VII
+        // Church modes use the numerals listed in MODES (Dorian: i ii III IV v vi° VII)
+        const romanNumerals = (MODES[this.normalizeMode(mode)] || MODES.minor).romanNumerals;
+        return romanNumerals.findIndex(r => r.toLowerCase() === roman.toLowerCase());
     }
 
     /**
@@ -583,7 +1476,7 @@ class MusicTheory {
      *
      * @param {string} roman - Roman numeral (e.g., 'ii', 'V', 'I')
      * @param {string} key - The key to use (e.g., 'C', 'G', 'F#')
-     * @param {string} mode - 'major' or 'minor'
+     * @param {string} mode - 'major', 'minor' or a church mode (e.g., 'dorian')
      * @returns {string} The chord root note in the specified key
      *
      * @example
@@ -597,12 +1490,22 @@ class MusicTheory {
      * romanToChord('V', 'G', 'major')   // Returns 'D' (D major)
      * romanToChord('I', 'G', 'major')   // Returns 'G' (G major)
      *
+     * // In D Dorian:
+     * romanToChord('IV', 'D', 'dorian') // Returns 'G' (G major)
+     *
+     * // Applied chords and mixture in C major:
+     * romanToChord('V7/ii', 'C', 'major') // Returns 'A' (A7, in the key of D minor)
+     * romanToChord('bVII', 'C', 'major')  // Returns 'Bb' (Bb major)
+     *
      * @description
      * This method ensures that all chords in a progression are diatonic to the key:
      * 1. Gets the scale notes for the specified key and mode
      * 2. Maps the roman numeral to a scale degree (I=1st, ii=2nd, iii=3rd, etc.)
      * 3. Returns the corresponding note from the scale
      *
+     * Numerals outside the mode's own list (applied chords, accidentals, sevenths,
+     * inversions) are resolved with resolveRomanNumeral.
+     *
      * This guarantees that progressions never modulate or change keys unless
      * explicitly requested by changing the key parameter.
      */
@@ -613,7 +1516,7 @@ class MusicTheory {
 
         // Handle case insensitivity
         key = key.charAt(0).toUpperCase() + key.slice(1);
-        mode = mode.toLowerCase();
+        mode = this.normalizeMode(mode);
 
         // Get the scale notes for this key - this is what keeps us in the same key
         const scaleNotes = this.getScaleNotes(key, mode);
@@ -621,104 +1524,1333 @@ class MusicTheory {
             return roman;
         }
 
-        // Define the roman numerals for each scale degree
-        // Major: I ii iii IV V vi vii°
-        // Minor: i ii° III iv v VI VII
-        const romanNumerals =
-            mode === 'major'
-                ? ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°']
-                : ['i', 'ii°', 'III', 'iv', 'v', 'VI', 'VII'];
-
         // Find which scale degree this roman numeral represents
-        const index = romanNumerals.findIndex(r => r.toLowerCase() === roman.toLowerCase());
+        const index = this.getRomanNumeralDegree(roman, mode);
 
         // Return the corresponding note from the scale
         // This ensures the chord is diatonic to the key
         if (index !== -1 && scaleNotes[index]) {
             return scaleNotes[index];
         }
-        return roman; // Return as-is if not found
+
+        // Applied chords, mixture, sevenths and inversions (V/ii, bVII, V6/5)
+        const resolved = this.resolveRomanNumeral(roman, key, mode);
+        return resolved ? resolved.root : roman; // Return as-is if not found
     }
 
     /**
-     * Get chord notes for a given root and quality.
-     * Returns the notes that make up the specified chord.
+     * Parse a roman numeral from a progression, without reference to a key.
+     * Case gives major or minor; °, ø, + and M mark diminished, half-diminished,
+     * augmented and major-seventh chords; 7 and the figured-bass figures (6, 6/4, 6/5,
+     * 4/3, 4/2) give sevenths and inversions; b or # moves the root off the scale
+     * degree; and '/numeral' applies the chord to the key of another major or minor
+     * degree.
      *
-     * @param {string} root - The root note of the chord (e.g., 'C', 'F#', 'Bb')
-     * @param {string} [quality='major'] - The chord quality ('major', 'minor', 'diminished', 'augmented')
-     * @returns {string[]} Array of note names in the chord
+     * @param {string} roman - Roman numeral (e.g., 'V7', 'bVII', 'viiø6/5', 'V/ii')
+     * @returns {{numeral: string, degree: number, accidental: number, quality: string,
+     *   inversion: number, target: Object|null}|null} Parsed numeral (degree is zero-based,
+     *   accidental in semitones, target the parsed applied-to numeral), or null if unreadable
      * @example
-     * theory.getChordNotes('C', 'major'); // ['C', 'E', 'G']
-     * theory.getChordNotes('A', 'minor'); // ['A', 'C', 'E']
-     * theory.getChordNotes('B', 'diminished'); // ['B', 'D', 'F']
+     * theory.parseRomanNumeral('V6/5/ii');
+     * // { numeral: 'V6/5/ii', degree: 4, accidental: 0, quality: 'dominant7', inversion: 1,
+     * //   target: { numeral: 'ii', degree: 1, ... } }
      */
-    getChordNotes(root, quality = 'major') {
-        if (!root) {
-            return [];
+    parseRomanNumeral(roman) {
+        if (!roman || typeof roman !== 'string') {
+            return null;
         }
 
-        // Handle case insensitivity
-        root = root.charAt(0).toUpperCase() + root.slice(1);
-
-        const rootIndex = this.getNoteIndex(root);
-        const intervals = {
-            major: [0, 4, 7],
-            minor: [0, 3, 7],
-            diminished: [0, 3, 6],
-            augmented: [0, 4, 8],
-            dominant7: [0, 4, 7, 10],
-            major7: [0, 4, 7, 11],
-            minor7: [0, 3, 7, 10]
-        };
-
-        const chordIntervals = intervals[quality] || intervals.major;
+        const match = ROMAN_NUMERAL_PATTERN.exec(roman.trim());
+        if (!match) {
+            return null;
+        }
 
-        // Determine if we should use flats based on the root note and chord context
-        const useFlats = root.includes('b') || ['F', 'Bb', 'Eb', 'Ab', 'Db', 'Gb'].includes(root);
+        const [numeral, accidentals, degreeText, mark = '', figure = '', targetText] = match;
+        const isUpper = degreeText === degreeText.toUpperCase();
+        const { seventh, inversion } = ROMAN_FIGURES[figure];
 
-        return chordIntervals.map(interval => {
-            const noteIndex = (rootIndex + interval) % 12;
-            const chromaticNote = NOTES.chromatic[noteIndex];
+        // ø and M only exist on seventh chords, so they imply the 7 but can't take triad figures
+        const impliesSeventh = ['ø', '+M', 'M'].includes(mark);
+        if (impliesSeventh && !seventh && figure) {
+            return null;
+        }
 
-            // For specific chord contexts, override the general flat/sharp preference
-            if (quality === 'dominant7' && interval === 10) {
-                // Dominant 7th should use flat notation (e.g., Bb not A#)
-                return NOTES.enharmonic[chromaticNote] || chromaticNote;
-            }
+        let quality;
+        if (mark === '°' || mark === 'o') {
+            quality = seventh ? 'diminished7' : 'diminished';
+        } else if (mark === 'ø') {
+            quality = 'halfDiminished7';
+        } else if (mark === '+') {
+            quality = seventh ? 'augmented7' : 'augmented';
+        } else if (mark === '+M') {
+            quality = 'augmentedMajor7';
+        } else if (mark === 'M') {
+            quality = isUpper ? 'major7' : 'minorMajor7';
+        } else if (seventh) {
+            quality = isUpper ? 'dominant7' : 'minor7';
+        } else {
+            quality = isUpper ? 'major' : 'minor';
+        }
 
-            // For augmented chords, prefer sharp notation for consistency
-            if (quality === 'augmented') {
-                return chromaticNote; // Use the sharp version from chromatic scale
+        // Only a major or minor triad can be tonicized
+        let target = null;
+        if (targetText !== undefined) {
+            target = this.parseRomanNumeral(targetText);
+            if (!target || target.inversion !== 0 || !['major', 'minor'].includes(target.quality)) {
+                return null;
             }
+        }
 
-            return this.getProperNoteName(noteIndex, null, useFlats);
-        });
+        return {
+            numeral,
+            degree: ROMAN_NUMERALS.indexOf(degreeText.toUpperCase()),
+            accidental: [...accidentals].reduce(
+                (sum, sign) => sum + ('#♯'.includes(sign) ? 1 : -1),
+                0
+            ),
+            quality,
+            inversion,
+            target
+        };
     }
 
     /**
-     * Get frequency for a note (A4 = 440Hz)
+     * Resolve a roman numeral to a spelled chord in a key.
+     * Applied chords are built in the key of their target (V/ii in C is A major, in
+     * the key of D minor), and in minor the diminished vii chords use the raised
+     * leading tone (vii°7 in A minor is G#°7, while VII is G).
+     *
+     * @param {string|Object} roman - Roman numeral, or one already parsed by parseRomanNumeral
+     * @param {string} key - Tonic of the key
+     * @param {string} [mode='major'] - Mode of the key
+     * @returns {{numeral: string, root: string, quality: string, inversion: number,
+     *   bass: string, notes: string[], tonicizedKey: {key: string, mode: string}|null}|null}
+     *   Chord with its notes bass-first and the key it tonicizes, or null if unreadable
+     * @example
+     * theory.resolveRomanNumeral('V6/5/ii', 'C');
+     * // { root: 'A', quality: 'dominant7', inversion: 1, bass: 'C#',
+     * //   notes: ['C#', 'E', 'G', 'A'], tonicizedKey: { key: 'D', mode: 'minor' }, ... }
+     * theory.resolveRomanNumeral('bVII', 'C').notes; // ['Bb', 'D', 'F']
      */
-    getNoteFrequency(note, octave = 4) {
-        const noteIndex = this.getNoteIndex(note);
-        const A4_INDEX = 9; // A is at index 9 in chromatic scale
-        const semitoneOffset = noteIndex - A4_INDEX + (octave - 4) * 12;
-        return 440 * Math.pow(2, semitoneOffset / 12);
+    resolveRomanNumeral(roman, key, mode = 'major') {
+        const parsed = typeof roman === 'string' ? this.parseRomanNumeral(roman) : roman;
+        const keyMode = this.normalizeMode(mode);
+        const tonic = this.getScaleNotes(key, keyMode)[0];
+        if (!parsed || !tonic) {
+            return null;
+        }
+
+        let chordTonic = tonic;
+        let chordMode = keyMode;
+        let tonicizedKey = null;
+        if (parsed.target) {
+            const target = this.resolveRomanNumeral(parsed.target, key, keyMode);
+            chordTonic = target.root;
+            chordMode = target.quality;
+            tonicizedKey = { key: target.root, mode: target.quality };
+        }
+
+        const raiseLeadingTone =
+            chordMode === 'minor' &&
+            parsed.degree === 6 &&
+            parsed.accidental === 0 &&
+            ['diminished', 'diminished7', 'halfDiminished7'].includes(parsed.quality);
+        const semitones =
+            SCALE_PATTERNS[chordMode].slice(0, parsed.degree).reduce((sum, step) => sum + step, 0) +
+            parsed.accidental +
+            (raiseLeadingTone ? 1 : 0);
+        const root = this.spellInterval(chordTonic, parsed.degree + 1, semitones + 12);
+
+        const chordTones = this.getChordNotes(root, parsed.quality);
+        const notes = [
+            ...chordTones.slice(parsed.inversion),
+            ...chordTones.slice(0, parsed.inversion)
+        ];
+
+        return {
+            numeral: parsed.numeral,
+            root,
+            quality: parsed.quality,
+            inversion: parsed.inversion,
+            bass: notes[0],
+            notes,
+            tonicizedKey
+        };
     }
 
     /**
-     * Validate if a key exists in our system
+     * Resolve a chord quality name or symbol suffix to its CHORD_FORMULAS key.
+     *
+     * @param {string} quality - Quality name ('dominant7') or symbol suffix ('7', 'm7b5', 'maj9')
+     * @returns {string|null} The CHORD_FORMULAS key, or null if the quality is unknown
+     * @example
+     * theory.normalizeChordQuality('m7b5'); // 'halfDiminished7'
+     * theory.normalizeChordQuality('minor'); // 'minor'
+     * theory.normalizeChordQuality('7b10'); // null
      */
-    isValidKey(key, mode = 'major') {
-        if (!key || typeof key !== 'string') {
-            return false;
+    normalizeChordQuality(quality) {
+        if (typeof quality !== 'string') {
+            return null;
+        }
+        if (Object.prototype.hasOwnProperty.call(CHORD_FORMULAS, quality)) {
+            return quality;
+        }
+        if (Object.prototype.hasOwnProperty.call(CHORD_QUALITY_ALIASES, quality)) {
+            return CHORD_QUALITY_ALIASES[quality];
         }
+        return null;
+    }
 
-        // Handle case insensitivity
-        key = key.charAt(0).toUpperCase() + key.slice(1);
-        mode = mode.toLowerCase();
+    /**
+     * Check whether a chord quality (name or symbol suffix) is known.
+     *
+     * @param {string} quality - Quality to check
+     * @returns {boolean} True if getChordNotes can build the chord
+     */
+    isValidChordQuality(quality) {
+        return this.normalizeChordQuality(quality) !== null;
+    }
+
+    /**
+     * Get the names of all chord qualities understood by getChordNotes.
+     *
+     * @returns {string[]} CHORD_FORMULAS keys
+     */
+    getChordQualities() {
+        return Object.keys(CHORD_FORMULAS);
+    }
 
-        const keyData = mode === 'major' ? MAJOR_KEYS : MINOR_KEYS;
-        return key in keyData;
+    /**
+     * Get chord notes for a given root and quality.
+     * Returns the notes that make up the specified chord, spelled by letter.
+     * The quality may be a name from CHORD_FORMULAS or a symbol suffix such as
+     * 'sus4', 'm6', 'add9', 'maj9', '13', 'm7b5', 'dim7', '7#9' or '7alt'.
+     * Unknown qualities return an empty array (with a warning) rather than a guessed chord.
+     *
+     * @param {string} root - The root note of the chord (e.g., 'C', 'F#', 'Bb')
+     * @param {string} [quality='major'] - The chord quality ('major', 'minor', 'halfDiminished7', '9', ...)
+     * @returns {string[]} Array of note names in the chord, or [] for an unknown quality
+     * @example
+     * theory.getChordNotes('C', 'major'); // ['C', 'E', 'G']
+     * theory.getChordNotes('A', 'minor'); // ['A', 'C', 'E']
+     * theory.getChordNotes('B', 'diminished'); // ['B', 'D', 'F']
+     * theory.getChordNotes('C#', 'major'); // ['C#', 'E#', 'G#']
+     * theory.getChordNotes('C', 'dim7'); // ['C', 'Eb', 'Gb', 'Bbb']
+     * theory.getChordNotes('C', '7#9'); // ['C', 'E', 'G', 'Bb', 'D#']
+     */
+    getChordNotes(root, quality = 'major') {
+        if (!root) {
+            return [];
+        }
+
+        const chordQuality = this.normalizeChordQuality(quality);
+        if (!chordQuality) {
+            console.warn(`Unknown chord quality: "${quality}"`);
+            return [];
+        }
+
+        // Handle case insensitivity
+        root = root.charAt(0).toUpperCase() + root.slice(1);
+
+        // Unparseable roots fall back to their chromatic index (getNoteIndex warns)
+        if (!this.parseNote(root)) {
+            root = NOTES.chromatic[this.getNoteIndex(root)];
+        }
+
+        // Each chord tone is spelled by its interval number, e.g. Db7 → Db-F-Ab-Cb
+        return CHORD_FORMULAS[chordQuality].map(([number, semitones]) =>
+            this.spellInterval(root, number, semitones)
+        );
+    }
+
+    /**
+     * Apply symbol modifiers ('b9', '#11', 'add9', 'sus4', 'no3') to a chord formula.
+     * Altering a tone replaces its unaltered form; b9 and #9 may sit side by side.
+     *
+     * @private
+     * @param {number[][]} formula - [interval number, semitones] pairs
+     * @param {string[]} modifiers - Modifier tokens in the order they were written
+     * @returns {number[][]|null} The modified formula sorted by pitch, or null if a
+     *   modifier doesn't apply (e.g. 'b4')
+     */
+    applyChordModifiers(formula, modifiers) {
+        let result = formula.map(pair => [...pair]);
+
+        for (const modifier of modifiers) {
+            const [, type, numberText] = /^(b|#|add|sus|no)(\d+)$/.exec(modifier) || [];
+            const number = parseInt(numberText, 10);
+            const natural = CHORD_TONE_SEMITONES[number];
+            if (!type || natural === undefined) {
+                return null;
+            }
+
+            if (type === 'b' || type === '#') {
+                if (![5, 9, 11, 13].includes(number)) {
+                    return null;
+                }
+                const semitones = natural + (type === '#' ? 1 : -1);
+                // Keep other alterations of the same tone (7b9#9) but drop the natural one
+                result = result.filter(
+                    ([n, st]) => n !== number || (st !== natural && st !== semitones)
+                );
+                result.push([number, semitones]);
+            } else if (type === 'add') {
+                if (![2, 4, 6, 9, 11, 13].includes(number)) {
+                    return null;
+                }
+                if (!result.some(([n, st]) => n === number && st === natural)) {
+                    result.push([number, natural]);
+                }
+            } else if (type === 'sus') {
+                if (number !== 2 && number !== 4) {
+                    return null;
+                }
+                result = result.filter(([n]) => n !== 3);
+                result.push([number, natural]);
+            } else {
+                if (number !== 3 && number !== 5) {
+                    return null;
+                }
+                result = result.filter(([n]) => n !== number);
+            }
+        }
+
+        return result.sort((a, b) => a[1] - b[1]);
+    }
+
+    /**
+     * Parse a chord symbol such as 'F#m7b5/C', 'Bbmaj9', 'C7(b9,#11)' or 'Dsus4'.
+     * The suffix is matched against the chord quality symbols (longest first);
+     * anything left over must be alterations or additions (b5, #9, add11, sus4, no3).
+     * A slash bass is moved to the front of the notes, so notes[0] is always the bass.
+     *
+     * @param {string} symbol - Chord symbol to parse
+     * @returns {{symbol: string, root: string, quality: string, modifiers: string[],
+     *   bass: string|null, inversion: number|null, chordTones: string[], notes: string[]}|null}
+     *   Parsed chord (chordTones in root position, notes with the bass first, inversion
+     *   0-3 or null for a bass outside the chord), or null if the symbol can't be read
+     * @example
+     * theory.parseChordSymbol('F#m7b5/C');
+     * // { root: 'F#', quality: 'halfDiminished7', bass: 'C',
+     * //   chordTones: ['F#', 'A', 'C', 'E'], notes: ['C', 'F#', 'A', 'E'], ... }
+     * theory.parseChordSymbol('C7(b9,#11)').chordTones; // ['C', 'E', 'G', 'Bb', 'Db', 'F#']
+     * theory.parseChordSymbol('H7'); // null
+     */
+    parseChordSymbol(symbol) {
+        if (!symbol || typeof symbol !== 'string') {
+            return null;
+        }
+
+        const cleaned = symbol.trim().replace(/♭/g, 'b').replace(/♯/g, '#').replace(/\s+/g, '');
+        const match = /^([A-Ga-g](?:##|#|bb|b|x)?)(.*?)(?:\/([A-Ga-g](?:##|#|bb|b|x)?))?$/.exec(
+            cleaned
+        );
+        if (!match) {
+            return null;
+        }
+
+        const [, rootText, suffixText, bassText] = match;
+        const rootNote = this.parseNote(rootText);
+        const bassNote = bassText ? this.parseNote(bassText) : null;
+        if (!rootNote || (bassText && !bassNote)) {
+            return null;
+        }
+
+        // '6/9' is a quality, not a slash chord, so only parentheses and commas are stripped
+        const suffix = suffixText.replace(/[(),]/g, '');
+
+        // Longest known quality at the start of the suffix, remainder as modifiers
+        let quality = null;
+        let rest = '';
+        for (let length = suffix.length; length >= 0; length--) {
+            quality = this.normalizeChordQuality(suffix.slice(0, length));
+            if (quality) {
+                rest = suffix.slice(length);
+                break;
+            }
+        }
+        if (!quality) {
+            return null;
+        }
+
+        const modifiers = rest.match(/(b|#|add|sus|no)\d+/g) || [];
+        if (modifiers.join('') !== rest) {
+            return null;
+        }
+
+        const root = this.spellWithLetter(rootNote.letter, rootNote.pitchClass);
+        const formula = this.applyChordModifiers(CHORD_FORMULAS[quality], modifiers);
+        if (!formula) {
+            return null;
+        }
+
+        const chordTones =
+            modifiers.length === 0
+                ? this.getChordNotes(root, quality)
+                : formula.map(([number, semitones]) => this.spellInterval(root, number, semitones));
+
+        const bass = bassNote ? this.spellWithLetter(bassNote.letter, bassNote.pitchClass) : null;
+        const notes = bass ? [bass, ...chordTones.filter(note => note !== bass)] : [...chordTones];
+
+        // Bass notes outside the chord (C/D) are not inversions
+        const bassIndex = bass
+            ? chordTones.findIndex(note => this.getNoteIndex(note) === bassNote.pitchClass)
+            : 0;
+        const inversion = bassIndex === -1 ? null : (INVERSIONS[formula[bassIndex][0]] ?? null);
+
+        return {
+            symbol: this.formatChordSymbol({ root, quality, modifiers, bass }),
+            root,
+            quality,
+            modifiers,
+            bass,
+            inversion,
+            chordTones,
+            notes
+        };
+    }
+
+    /**
+     * Format a chord as a symbol, using the preferred suffix for its quality.
+     * Accepts the object returned by parseChordSymbol, so parse → format normalizes
+     * symbols ('C-7' → 'Cm7', 'BbM9' → 'Bbmaj9').
+     *
+     * @param {{root: string, quality?: string, modifiers?: string[], bass?: string|null}} chord
+     *   Chord to format; quality may be a CHORD_FORMULAS key or a symbol suffix
+     * @returns {string|null} Chord symbol, or null for an unknown quality
+     * @example
+     * theory.formatChordSymbol({ root: 'F#', quality: 'halfDiminished7', bass: 'C' }); // 'F#m7b5/C'
+     * theory.formatChordSymbol({ root: 'C', quality: 'dominant7', modifiers: ['b9', '#11'] }); // 'C7b9#11'
+     */
+    formatChordSymbol({ root, quality = 'major', modifiers = [], bass = null }) {
+        const chordQuality = this.normalizeChordQuality(quality);
+        if (!root || !chordQuality) {
+            return null;
+        }
+
+        return `${root}${CHORD_SYMBOLS[chordQuality]}${modifiers.join('')}${bass ? `/${bass}` : ''}`;
+    }
+
+    /**
+     * Spell a pitch class the way a key would write it.
+     * Scale tones use the scale's spelling; other pitch classes follow the key
+     * signature (sharps in sharp keys, flats otherwise, as on the circle).
+     *
+     * @param {number} pitchClass - Pitch class (0-11, C = 0)
+     * @param {string|null} [key=null] - Key giving the spelling context
+     * @param {string} [mode='major'] - Mode of the key
+     * @returns {string} Spelled note
+     * @example
+     * theory.spellPitchClass(6, 'Db', 'major'); // 'Gb'
+     * theory.spellPitchClass(10, 'C', 'major'); // 'Bb'
+     * theory.spellPitchClass(10, 'E', 'major'); // 'A#'
+     */
+    spellPitchClass(pitchClass, key = null, mode = 'major') {
+        const pc = ((pitchClass % 12) + 12) % 12;
+
+        if (key) {
+            const scaleNote = this.getScaleNotes(key, mode).find(
+                note => this.getNoteIndex(note) === pc
+            );
+            if (scaleNote) {
+                return scaleNote;
+            }
+
+            const signature = this.getKeySignature(key, mode);
+            if (signature && signature.sharps > 0) {
+                return NOTES.chromatic[pc];
+            }
+        }
+
+        return CIRCLE_OF_FIFTHS.find(circleKey => this.getNoteIndex(circleKey) === pc);
+    }
+
+    /**
+     * Name the chord(s) a set of notes forms. This is the inverse of getChordNotes.
+     * The first note is taken as the bass, so ['E', 'G', 'C'] is C major in first
+     * inversion. Every exact reading is returned, best first: root position before
+     * inversions, and simpler chords before extended ones, so ['C', 'E', 'G', 'A']
+     * gives C6 then Am7/C. If nothing matches exactly, seventh and extended chords
+     * with the fifth left out are tried (C-E-Bb → C7no5).
+     *
+     * @param {string[]} notes - Note names, bass first (octaves are ignored)
+     * @param {string|null} [key=null] - Key used to spell chord roots (Bb rather than A# in F);
+     *   without one, roots keep the spelling they were given
+     * @param {string} [mode='major'] - Mode of the key
+     * @returns {Array<{symbol: string, root: string, quality: string, modifiers: string[],
+     *   bass: string, inversion: number|null, chordTones: string[], notes: string[]}>}
+     *   Readings (inversion is 0-3 for root/first/second/third inversion, null when
+     *   another chord tone is in the bass), or [] if the notes don't form a known chord
+     * @example
+     * theory.identifyChord(['E', 'G', 'C'])[0].symbol; // 'C/E'
+     * theory.identifyChord(['C', 'E', 'G', 'A']).map(chord => chord.symbol); // ['C6', 'Am7/C']
+     */
+    identifyChord(notes, key = null, mode = 'major') {
+        if (!Array.isArray(notes)) {
+            return [];
+        }
+
+        const pitchClasses = [];
+        const spellings = {};
+        for (const note of notes) {
+            const parsed = this.parseNote(String(note).replace(/-?\d+$/, ''));
+            if (!parsed) {
+                return [];
+            }
+            if (!pitchClasses.includes(parsed.pitchClass)) {
+                pitchClasses.push(parsed.pitchClass);
+                spellings[parsed.pitchClass] = this.spellWithLetter(
+                    parsed.letter,
+                    parsed.pitchClass
+                );
+            }
+        }
+        if (pitchClasses.length < 2) {
+            return [];
+        }
+
+        const target = [...pitchClasses].sort((a, b) => a - b).join(',');
+        const qualities = Object.keys(CHORD_FORMULAS);
+
+        const findReadings = modifiers => {
+            const readings = [];
+            pitchClasses.forEach(rootPc => {
+                // The first quality in CHORD_FORMULAS order wins for identical sets
+                // (aug7 over 7#5), so each root gets at most one reading
+                const quality = qualities.find(name => {
+                    const formula = this.applyChordModifiers(CHORD_FORMULAS[name], modifiers);
+                    if (!formula || (modifiers.includes('no5') && formula.length < 3)) {
+                        return false;
+                    }
+                    const pcs = [...new Set(formula.map(([, st]) => (rootPc + st) % 12))];
+                    return pcs.sort((a, b) => a - b).join(',') === target;
+                });
+                if (quality) {
+                    readings.push(
+                        this.buildChordReading(
+                            key ? this.spellPitchClass(rootPc, key, mode) : spellings[rootPc],
+                            rootPc,
+                            quality,
+                            modifiers,
+                            pitchClasses[0]
+                        )
+                    );
+                }
+            });
+            return readings;
+        };
+
+        let readings = findReadings([]);
+        if (readings.length === 0) {
+            readings = findReadings(['no5']).filter(reading => reading.chordTones.length >= 3);
+        }
+
+        return readings.sort(
+            (a, b) =>
+                (a.inversion === 0 ? 0 : 1) - (b.inversion === 0 ? 0 : 1) ||
+                (a.inversion ?? 4) - (b.inversion ?? 4) ||
+                qualities.indexOf(a.quality) - qualities.indexOf(b.quality)
+        );
+    }
+
+    /**
+     * Build one chord reading for identifyChord.
+     *
+     * @private
+     * @param {string} root - Spelled root
+     * @param {number} rootPc - Pitch class of the root
+     * @param {string} quality - CHORD_FORMULAS key
+     * @param {string[]} modifiers - Symbol modifiers ('no5')
+     * @param {number} bassPc - Pitch class of the lowest note
+     * @returns {Object} Reading in the shape returned by identifyChord
+     */
+    buildChordReading(root, rootPc, quality, modifiers, bassPc) {
+        const formula = this.applyChordModifiers(CHORD_FORMULAS[quality], modifiers);
+        const tones = formula.map(([number, semitones]) => ({
+            number,
+            note: this.spellInterval(root, number, semitones),
+            pitchClass: (rootPc + semitones) % 12
+        }));
+
+        const bassTone = tones.find(tone => tone.pitchClass === bassPc);
+        const inversion = INVERSIONS[bassTone.number] ?? null;
+        const bass = bassTone.note;
+        const chordTones = tones.map(tone => tone.note);
+
+        return {
+            symbol: this.formatChordSymbol({
+                root,
+                quality,
+                modifiers,
+                bass: bass === root ? null : bass
+            }),
+            root,
+            quality,
+            modifiers,
+            bass,
+            inversion,
+            chordTones,
+            notes: [bass, ...chordTones.filter(note => note !== bass)]
+        };
+    }
+
+    /**
+     * Count the steps around the circle of fifths between two keys.
+     * Positive distances are clockwise (towards the sharp side), negative ones
+     * anticlockwise, and the shorter way round is always used (-5 to 6).
+     * Keys in other modes are placed by their key signature (parent key), so
+     * keys sharing a signature are no distance apart.
+     *
+     * @param {string} fromKey - Starting key (any spelling)
+     * @param {string} toKey - Target key (any spelling)
+     * @param {string} [fromMode='major'] - Mode of the starting key
+     * @param {string} [toMode=fromMode] - Mode of the target key
+     * @returns {number|null} Signed number of fifths, or null if either key is unparseable
+     * @example
+     * theory.getCircleDistance('C', 'G'); // 1
+     * theory.getCircleDistance('C', 'Bb'); // -2
+     * theory.getCircleDistance('C', 'Gb'); // 6
+     * theory.getCircleDistance('C', 'C', 'major', 'minor'); // -3
+     */
+    getCircleDistance(fromKey, toKey, fromMode = 'major', toMode = fromMode) {
+        const from = this.getSignaturePosition(fromKey, fromMode);
+        const to = this.getSignaturePosition(toKey, toMode);
+        if (from === -1 || to === -1) {
+            return null;
+        }
+
+        const steps = (((to - from) % 12) + 12) % 12;
+        return steps > 6 ? steps - 12 : steps;
+    }
+
+    /**
+     * Position of a key's signature (its parent key) on the circle of fifths
+     * @private
+     * @param {string} key - Tonic of the key
+     * @param {string} mode - Mode of the key
+     * @returns {number} Index in CIRCLE_OF_FIFTHS, or -1 if the key is unparseable
+     */
+    getSignaturePosition(key, mode) {
+        const parent = this.getParentKey(key, mode);
+        return parent ? this.getKeyPosition(this.getCircleKey(parent)) : -1;
+    }
+
+    /**
+     * Get the triads on each degree of a key, built from the mode's roman numerals.
+     *
+     * @param {string} key - Tonic of the key
+     * @param {string} [mode='major'] - Mode of the key
+     * @returns {Object[]} One resolveRomanNumeral result per degree, with its zero-based degree
+     * @example
+     * theory.getDiatonicTriads('G').map(chord => chord.root); // ['G', 'A', 'B', 'C', 'D', 'E', 'F#']
+     */
+    getDiatonicTriads(key, mode = 'major') {
+        const modeInfo = this.getModeInfo(mode);
+        if (!modeInfo || this.getScaleNotes(key, mode).length === 0) {
+            return [];
+        }
+        return modeInfo.romanNumerals.map((numeral, degree) => ({
+            ...this.resolveRomanNumeral(numeral, key, mode),
+            degree
+        }));
+    }
+
+    /**
+     * Find the pivot chords of a modulation: triads diatonic to both keys, with their
+     * numeral in each. The best pivots (predominants of the new key) come first.
+     *
+     * @param {string} fromKey - Tonic of the starting key
+     * @param {string} fromMode - Mode of the starting key
+     * @param {string} toKey - Tonic of the new key
+     * @param {string} toMode - Mode of the new key
+     * @returns {Array<{root: string, quality: string, symbol: string, notes: string[],
+     *   fromNumeral: string, toNumeral: string, fromDegree: number, toDegree: number}>}
+     *   Pivot chords, spelled in the starting key
+     * @example
+     * theory.getPivotChords('C', 'major', 'G', 'major').map(p => `${p.fromNumeral} = ${p.toNumeral}`);
+     * // ['vi = ii', 'I = IV', 'iii = vi', 'V = I']
+     */
+    getPivotChords(fromKey, fromMode, toKey, toMode) {
+        const toTriads = this.getDiatonicTriads(toKey, toMode);
+        const pivots = [];
+
+        this.getDiatonicTriads(fromKey, fromMode).forEach(chord => {
+            const match = toTriads.find(
+                other =>
+                    other.quality === chord.quality &&
+                    this.getNoteIndex(other.root) === this.getNoteIndex(chord.root)
+            );
+            if (match) {
+                pivots.push({
+                    root: chord.root,
+                    quality: chord.quality,
+                    symbol: this.formatChordSymbol({ root: chord.root, quality: chord.quality }),
+                    notes: chord.notes,
+                    fromNumeral: chord.numeral,
+                    toNumeral: match.numeral,
+                    fromDegree: chord.degree,
+                    toDegree: match.degree
+                });
+            }
+        });
+
+        const rank = pivot =>
+            PIVOT_DEGREE_PREFERENCE.indexOf(pivot.toDegree) +
+            (pivot.quality === 'diminished' ? PIVOT_DEGREE_PREFERENCE.length : 0);
+        return pivots.sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * Plan routes for modulating from one key to another with pivot chords.
+     * Besides the direct pivot modulation, routes step one key signature at a time
+     * round either side of the circle (through the new key's mode on each signature,
+     * and no more than half way round), each step pivoting into the next key and
+     * confirming it with a cadence: V7 - I, or the MODE_CADENCES chord of a church mode.
+     * Pivots are never the tonic chord being left.
+     * Routes are ranked by the key signatures they travel (getCircleDistance), then by
+     * how few modulations they need; hops without a pivot chord rule a route out.
+     *
+     * @param {string} fromKey - Tonic of the starting key
+     * @param {string} fromMode - Mode of the starting key
+     * @param {string} toKey - Tonic of the new key
+     * @param {string} [toMode=fromMode] - Mode of the new key
+     * @returns {Array<{keys: Object[], path: string[], distance: number,
+     *   modulations: Object[], chords: Object[]}>} Routes, best first. keys are the
+     *   {key, mode} visited, path the circle segments crossed, modulations one
+     *   {from, to, pivot, pivots} per hop and chords the sequence to play, each with
+     *   its numeral, symbol, notes (bass first), key, mode and role ('tonic', 'pivot',
+     *   'dominant' or a modal 'cadence'). Empty if the keys are the same or unreadable.
+     * @example
+     * const [route] = theory.planModulation('C', 'major', 'G');
+     * route.chords.map(chord => chord.symbol); // ['C', 'Am', 'D7', 'G']
+     * route.chords[1].numeral; // 'vi = ii'
+     */
+    planModulation(fromKey, fromMode, toKey, toMode = fromMode) {
+        const from = { key: fromKey, mode: this.normalizeMode(fromMode) };
+        const to = { key: toKey, mode: this.normalizeMode(toMode) };
+        const distance = this.getCircleDistance(fromKey, toKey, from.mode, to.mode);
+        if (
+            distance === null ||
+            this.getDiatonicTriads(from.key, from.mode).length === 0 ||
+            this.getDiatonicTriads(to.key, to.mode).length === 0 ||
+            (distance === 0 && from.mode === to.mode)
+        ) {
+            return [];
+        }
+
+        const start = this.getSignaturePosition(fromKey, from.mode);
+        const degree = MODES[to.mode].degree;
+        const clockwise = (distance + 12) % 12;
+        const candidates = [[from, to]];
+        [1, -1].forEach(direction => {
+            const steps = direction > 0 ? clockwise : 12 - clockwise;
+            if (clockwise === 0 || steps < 2 || steps > MAX_MODULATION_DISTANCE) {
+                return;
+            }
+            const keys = [from];
+            for (let step = 1; step < steps; step++) {
+                // The new key's mode on the signature of the parent key at this step
+                const parent = CIRCLE_OF_FIFTHS[(start + direction * step + 12) % 12];
+                keys.push({
+                    key: this.spellInterval(parent, degree, NATURAL_INDICES[degree - 1]),
+                    mode: to.mode
+                });
+            }
+            keys.push(to);
+            candidates.push(keys);
+        });
+
+        return candidates
+            .map(keys => this.buildModulationRoute(keys))
+            .filter(Boolean)
+            .sort((a, b) => a.distance - b.distance || a.keys.length - b.keys.length);
+    }
+
+    /**
+     * Build a route through a list of keys, or null if a hop has no pivot chord.
+     * @private
+     * @param {Array<{key: string, mode: string}>} keys - Keys visited, in order
+     * @returns {Object|null} Route as described in planModulation
+     */
+    buildModulationRoute(keys) {
+        const chord = (numeral, { key, mode }, role, label = numeral) => {
+            const resolved = this.resolveRomanNumeral(numeral, key, mode);
+            return {
+                numeral: label,
+                symbol: this.formatChordSymbol({ root: resolved.root, quality: resolved.quality }),
+                root: resolved.root,
+                quality: resolved.quality,
+                notes: resolved.notes,
+                key,
+                mode,
+                role
+            };
+        };
+        const tonic = keyInfo => chord(MODES[keyInfo.mode].romanNumerals[0], keyInfo, 'tonic');
+
+        const modulations = [];
+        const chords = [tonic(keys[0])];
+        const path = [this.getCircleKey(this.getParentKey(keys[0].key, keys[0].mode))];
+        let distance = 0;
+
+        for (let index = 1; index < keys.length; index++) {
+            const previous = keys[index - 1];
+            const next = keys[index];
+            const cadence = chord(
+                MODE_CADENCES[next.mode].numeral,
+                next,
+                MODE_CADENCES[next.mode].role
+            );
+            // The tonic being left can't also be the chord that leads away from it, and
+            // a pivot on the cadence chord's root would sound it twice, so comes last
+            const onCadence = pivot =>
+                Number(this.getNoteIndex(pivot.root) === this.getNoteIndex(cadence.root));
+            const pivots = this.getPivotChords(previous.key, previous.mode, next.key, next.mode)
+                .filter(pivot => pivot.fromDegree !== 0)
+                .sort((a, b) => onCadence(a) - onCadence(b));
+            if (pivots.length === 0) {
+                return null;
+            }
+
+            const [pivot] = pivots;
+            modulations.push({ from: previous, to: next, pivot, pivots });
+            chords.push(
+                chord(pivot.toNumeral, next, 'pivot', `${pivot.fromNumeral} = ${pivot.toNumeral}`),
+                cadence,
+                tonic(next)
+            );
+
+            // Walk the signatures between the two keys the short way round
+            const hop = this.getCircleDistance(previous.key, next.key, previous.mode, next.mode);
+            const position = this.getKeyPosition(path[path.length - 1]);
+            for (let step = 1; step <= Math.abs(hop); step++) {
+                path.push(CIRCLE_OF_FIFTHS[(position + Math.sign(hop) * step + 12) % 12]);
+            }
+            distance += Math.abs(hop);
+        }
+
+        return { keys, path, distance, modulations, chords };
+    }
+
+    /**
+     * Write the roman numeral for a chord on a scale degree, with its quality mark,
+     * figured-bass inversion and any extension (V7, vii°6/5, IM7, ii9, Vsus4, bVI).
+     *
+     * @private
+     * @param {Object} chord - Parsed chord (from parseChordSymbol)
+     * @param {number} degree - Scale degree index (0 = I)
+     * @param {string} [prefix=''] - Accidental before the numeral ('b', '#')
+     * @returns {string} Roman numeral
+     */
+    formatRomanNumeral(chord, degree, prefix = '') {
+        const isMinor = this.getChordToneSemitones(chord, 3) === 3;
+        const numeral = isMinor ? ROMAN_NUMERALS[degree].toLowerCase() : ROMAN_NUMERALS[degree];
+        const inversion = chord.inversion ?? 0;
+
+        let suffix;
+        if (chord.quality in TRIAD_QUALITIES) {
+            suffix = TRIAD_QUALITIES[chord.quality] + (TRIAD_FIGURES[inversion] ?? '');
+        } else if (chord.quality in SEVENTH_QUALITIES) {
+            suffix = SEVENTH_QUALITIES[chord.quality] + SEVENTH_FIGURES[inversion];
+        } else {
+            // Extensions keep their symbol (maj → M), minus the 'm' a lowercase numeral shows;
+            // added sixths are written 'add6' so they can't be mistaken for first inversion
+            suffix = CHORD_SYMBOLS[chord.quality].replace(/^maj/, 'M');
+            if (isMinor && /^m(?!aj)/.test(suffix)) {
+                suffix = suffix.slice(1);
+            }
+            if (suffix.startsWith('6')) {
+                suffix = `add${suffix}`;
+            }
+        }
+
+        return `${prefix}${numeral}${suffix}${chord.modifiers.join('')}`;
+    }
+
+    /**
+     * Get the size of a chord tone above the root by its interval number, so the
+     * third of E7#9 is G# even though the #9 (F##) sounds like a minor third.
+     *
+     * @private
+     * @param {Object} chord - Parsed chord (from parseChordSymbol)
+     * @param {number} number - Interval number of the chord tone (3, 5, 7...)
+     * @returns {number|null} Semitones above the root, or null if the chord has no such tone
+     */
+    getChordToneSemitones(chord, number) {
+        const formula = this.applyChordModifiers(CHORD_FORMULAS[chord.quality], chord.modifiers);
+        const tone = formula?.find(([toneNumber]) => toneNumber === number);
+        return tone ? tone[1] : null;
+    }
+
+    /**
+     * Analyze one chord in a key, returning its roman numeral and what explains it.
+     * Chords are tried in this order: diatonic (in minor, the raised leading tone of
+     * harmonic minor counts as diatonic), augmented sixth, Neapolitan, applied
+     * (secondary) dominant or leading-tone chord, and borrowed from a parallel mode.
+     * Chords none of these explain get a numeral but are flagged with explained: false.
+     *
+     * @param {string|Object} chord - Chord symbol ('D7/F#') or a parsed chord
+     * @param {string} key - Tonic of the key
+     * @param {string} [mode='major'] - Mode of the key
+     * @returns {{symbol: string, numeral: string|null, type: string|null, explained: boolean,
+     *   description: string}} Analysis; type is 'diatonic', 'augmentedSixth', 'neapolitan',
+     *   'secondaryDominant', 'secondaryLeadingTone', 'borrowed' or null
+     * @example
+     * theory.analyzeChord('D7/F#', 'C').numeral; // 'V6/5/V'
+     * theory.analyzeChord('Fm', 'C').numeral; // 'iv' (borrowed from C minor)
+     * theory.analyzeChord('Db/F', 'C').numeral; // 'bII6'
+     * theory.analyzeChord('Ab7', 'C').numeral; // 'Ger+6'
+     */
+    analyzeChord(chord, key, mode = 'major') {
+        const parsed = typeof chord === 'string' ? this.parseChordSymbol(chord) : chord;
+        if (!parsed) {
+            return {
+                symbol: String(chord),
+                numeral: null,
+                type: null,
+                explained: false,
+                description: 'Not a chord symbol'
+            };
+        }
+
+        const keyMode = this.normalizeMode(mode);
+        const scale = this.getScaleNotes(key, keyMode);
+        if (scale.length === 0) {
+            return {
+                symbol: parsed.symbol,
+                numeral: null,
+                type: null,
+                explained: false,
+                description: `Unknown key: ${key}`
+            };
+        }
+
+        const tonic = scale[0];
+        const tonicPc = this.getNoteIndex(tonic);
+        const rootPc = this.getNoteIndex(parsed.root);
+        const chordPcs = parsed.chordTones.map(note => this.getNoteIndex(note));
+        const bassPc = this.getNoteIndex(parsed.bass || parsed.root);
+        const result = (numeral, type, description) => ({
+            symbol: parsed.symbol,
+            numeral,
+            type,
+            explained: type !== null,
+            description
+        });
+
+        // Scale degree from the letter names; the accidental compares the root with the scale
+        const degree =
+            (NATURAL_NOTES.indexOf(parsed.root.charAt(0)) -
+                NATURAL_NOTES.indexOf(tonic.charAt(0)) +
+                7) %
+            7;
+        let offset = ((((rootPc - this.getNoteIndex(scale[degree])) % 12) + 18) % 12) - 6;
+        if (keyMode === 'minor' && degree === 6 && offset === 1) {
+            offset = 0; // vii° in minor uses the raised leading tone
+        }
+        const prefix = offset > 0 ? '#'.repeat(offset) : 'b'.repeat(-offset);
+
+        // Chords fit a mode on this tonic by spelling, so F# is not Gb from Locrian
+        // (minor includes the raised seventh of harmonic minor)
+        const fitsMode = modeName => {
+            let semitones = 0;
+            const modeNotes = SCALE_PATTERNS[modeName].map((step, index) => {
+                const note = this.spellInterval(tonic, index + 1, semitones);
+                semitones += step;
+                return note;
+            });
+            if (modeName === 'minor') {
+                modeNotes.push(this.spellInterval(tonic, 7, 11));
+            }
+            return parsed.chordTones.every(note => modeNotes.includes(note));
+        };
+
+        if (!prefix && fitsMode(keyMode)) {
+            return result(this.formatRomanNumeral(parsed, degree), 'diatonic', 'Diatonic');
+        }
+
+        const fromTonic = [...new Set(chordPcs.map(pc => (pc - tonicPc + 12) % 12))].sort(
+            (a, b) => a - b
+        );
+        const raisedFourth = this.spellInterval(tonic, 4, 6);
+        const augmentedSixth = Object.keys(AUGMENTED_SIXTHS).find(
+            name =>
+                AUGMENTED_SIXTHS[name].join(',') === fromTonic.join(',') &&
+                ((bassPc - tonicPc + 12) % 12 === 8 || parsed.chordTones.includes(raisedFourth))
+        );
+        if (augmentedSixth) {
+            const nationality = { It: 'Italian', Fr: 'French', Ger: 'German' }[
+                augmentedSixth.split('+')[0]
+            ];
+            return result(augmentedSixth, 'augmentedSixth', `${nationality} augmented sixth`);
+        }
+
+        if (
+            degree === 1 &&
+            offset === -1 &&
+            parsed.quality === 'major' &&
+            parsed.modifiers.length === 0
+        ) {
+            const numeral = `bII${TRIAD_FIGURES[parsed.inversion ?? 0] ?? ''}`;
+            return result(numeral, 'neapolitan', 'Neapolitan');
+        }
+
+        // Plain triads from the parallel major or minor read as mixture (IV in minor,
+        // Picardy I) rather than as applied chords
+        const borrowed = sourceMode =>
+            result(
+                this.formatRomanNumeral(parsed, degree, prefix),
+                'borrowed',
+                `Borrowed from ${tonic} ${MODES[sourceMode].name.toLowerCase()}`
+            );
+        const parallelMode = ['major', 'minor'].find(
+            modeName => modeName !== keyMode && fitsMode(modeName)
+        );
+        if (parallelMode && parsed.quality in TRIAD_QUALITIES) {
+            return borrowed(parallelMode);
+        }
+
+        // Applied chords: a dominant a fifth above, or a leading-tone chord a half step
+        // below, a major or minor scale degree other than the tonic
+        const seventh = this.getChordToneSemitones(parsed, 7);
+        const isDominant =
+            this.getChordToneSemitones(parsed, 3) === 4 &&
+            (seventh === 10 || (seventh === null && parsed.quality === 'major'));
+        const isLeadingTone = ['diminished', 'diminished7', 'halfDiminished7'].includes(
+            parsed.quality
+        );
+        if (isDominant || isLeadingTone) {
+            const target = isDominant
+                ? this.spellInterval(parsed.root, 4, 5)
+                : this.spellInterval(parsed.root, 2, 1);
+            const targetDegree = scale.indexOf(target);
+            const targetNumeral = MODES[keyMode].romanNumerals[targetDegree];
+
+            if (targetDegree > 0 && !/[°+]/.test(targetNumeral)) {
+                const numeral = this.formatRomanNumeral(parsed, isDominant ? 4 : 6);
+                return isDominant
+                    ? result(
+                          `${numeral}/${targetNumeral}`,
+                          'secondaryDominant',
+                          `Secondary dominant of ${targetNumeral}`
+                      )
+                    : result(
+                          `${numeral.toLowerCase()}/${targetNumeral}`,
+                          'secondaryLeadingTone',
+                          `Secondary leading-tone chord of ${targetNumeral}`
+                      );
+            }
+        }
+
+        const source = Object.keys(MODES).find(
+            modeName => modeName !== keyMode && fitsMode(modeName)
+        );
+        if (source) {
+            return borrowed(source);
+        }
+
+        return result(
+            this.formatRomanNumeral(parsed, degree, prefix),
+            null,
+            'Chromatic chord not explained by mixture, applied chords or augmented sixths'
+        );
+    }
+
+    /**
+     * Analyze a chord sequence in a key.
+     * A string is split on spaces, commas and bar lines ('Dm7 G7 | Cmaj7').
+     *
+     * @param {string|Array<string|Object>} chords - Chord symbols or parsed chords
+     * @param {string} key - Tonic of the key
+     * @param {string} [mode='major'] - Mode of the key
+     * @returns {Object[]} One analyzeChord result per chord
+     * @example
+     * theory.analyzeProgression('Dm7 G7 Cmaj7', 'C').map(a => a.numeral); // ['ii7', 'V7', 'IM7']
+     */
+    analyzeProgression(chords, key, mode = 'major') {
+        const list = typeof chords === 'string' ? chords.split(/[\s,|]+/).filter(Boolean) : chords;
+        if (!Array.isArray(list)) {
+            return [];
+        }
+        return list.map(chord => this.analyzeChord(chord, key, mode));
+    }
+
+    /**
+     * Split a note with an optional octave number ('Eb4', 'F#', 'B#3').
+     * @private
+     */
+    parsePitch(pitch) {
+        if (!pitch || typeof pitch !== 'string') {
+            return null;
+        }
+
+        const match = /^(.+?)(-?\d+)?$/.exec(pitch.trim());
+        const parsed = match ? this.parseNote(match[1]) : null;
+        if (!parsed) {
+            return null;
+        }
+
+        return { ...parsed, octave: match[2] === undefined ? null : parseInt(match[2], 10) };
+    }
+
+    /**
+     * Get the MIDI note number of a spelled note (C4 = 60).
+     * The octave belongs to the letter, so B#3 is 60 and Cb4 is 59.
+     *
+     * @param {string} note - Spelled note, optionally with octave (e.g., 'C#', 'Bb3')
+     * @param {number} [octave=4] - Octave used when the note doesn't include one
+     * @returns {number|null} MIDI note number, or null for an unparseable note
+     */
+    getMidiNumber(note, octave = 4) {
+        const pitch = this.parsePitch(note);
+        if (!pitch) {
+            return null;
+        }
+
+        const pitchOctave = pitch.octave === null ? octave : pitch.octave;
+        const naturalIndex = NATURAL_INDICES[NATURAL_NOTES.indexOf(pitch.letter)];
+        return (pitchOctave + 1) * 12 + naturalIndex + pitch.accidental;
+    }
+
+    /**
+     * Parse an interval abbreviation such as 'm3', 'P5', 'A4', 'd7' or 'M10'.
+     *
+     * @param {string} name - Interval abbreviation (quality followed by number)
+     * @returns {Object|null} { name, quality, number, semitones, simpleNumber, compound },
+     *   or null if the abbreviation isn't a valid interval (e.g., 'M5' or 'P3')
+     * @example
+     * theory.parseInterval('A4'); // { name: 'A4', quality: 'A', number: 4, semitones: 6, ... }
+     */
+    parseInterval(name) {
+        const match = /^(P|M|m|A{1,2}|d{1,2})(\d+)$/.exec(String(name || '').trim());
+        if (!match) {
+            return null;
+        }
+
+        const quality = match[1];
+        const number = parseInt(match[2], 10);
+        if (number < 1) {
+            return null;
+        }
+
+        const simpleIndex = (number - 1) % 7;
+        const isPerfectType = [0, 3, 4].includes(simpleIndex);
+        if (
+            (isPerfectType && (quality === 'M' || quality === 'm')) ||
+            (!isPerfectType && quality === 'P')
+        ) {
+            return null;
+        }
+
+        // Start from the major/perfect size and adjust for the quality
+        let semitones = NATURAL_INDICES[simpleIndex] + 12 * Math.floor((number - 1) / 7);
+        if (quality === 'm') {
+            semitones -= 1;
+        } else if (quality.startsWith('A')) {
+            semitones += quality.length;
+        } else if (quality.startsWith('d')) {
+            semitones -= isPerfectType ? quality.length : quality.length + 1;
+        }
+
+        return {
+            name: `${quality}${number}`,
+            quality,
+            number,
+            semitones,
+            simpleNumber: simpleIndex + 1,
+            compound: number > 8
+        };
+    }
+
+    /**
+     * Name an interval from its number and size in semitones.
+     *
+     * @param {number} number - Interval number (3 = third, 10 = tenth)
+     * @param {number} semitones - Size in semitones
+     * @returns {string|null} Abbreviation (e.g., 'm3'), or null if more than doubly altered
+     */
+    formatInterval(number, semitones) {
+        const simpleIndex = (number - 1) % 7;
+        const isPerfectType = [0, 3, 4].includes(simpleIndex);
+        const reference = NATURAL_INDICES[simpleIndex] + 12 * Math.floor((number - 1) / 7);
+        const difference = semitones - reference;
+
+        const qualities = isPerfectType
+            ? { '-2': 'dd', '-1': 'd', 0: 'P', 1: 'A', 2: 'AA' }
+            : { '-3': 'dd', '-2': 'd', '-1': 'm', 0: 'M', 1: 'A', 2: 'AA' };
+        const quality = qualities[difference];
+
+        return quality ? `${quality}${number}` : null;
+    }
+
+    /**
+     * Get the full name of an interval ('m3' → 'minor third', 'P12' → 'perfect twelfth').
+     *
+     * @param {string} interval - Interval abbreviation
+     * @returns {string|null} Full name, or null for an invalid interval
+     */
+    getIntervalName(interval) {
+        const parsed = this.parseInterval(interval);
+        if (!parsed) {
+            return null;
+        }
+
+        const numberName = INTERVAL_NUMBER_NAMES[parsed.number - 1] || `${parsed.number}th`;
+        return `${INTERVAL_QUALITIES[parsed.quality]} ${numberName}`;
+    }
+
+    /**
+     * Name the interval between two spelled notes.
+     * Without octave numbers the second note is taken as the nearest one above the
+     * first. With octave numbers ('C4', 'E5') compound intervals are reported, and a
+     * lower second note gives a descending interval.
+     *
+     * @param {string} from - First note (e.g., 'C', 'F#4')
+     * @param {string} to - Second note (e.g., 'Eb', 'A5')
+     * @returns {Object|null} { name, fullName, number, semitones, compound, simpleName,
+     *   direction } or null if either note can't be parsed or the interval can't be named
+     * @example
+     * theory.getInterval('C', 'Eb'); // { name: 'm3', fullName: 'minor third', ... }
+     * theory.getInterval('C4', 'E5'); // { name: 'M10', compound: true, simpleName: 'M3', ... }
+     * theory.getInterval('F', 'B'); // { name: 'A4', fullName: 'augmented fourth', ... }
+     */
+    getInterval(from, to) {
+        let lower = this.parsePitch(from);
+        let upper = this.parsePitch(to);
+        if (!lower || !upper) {
+            return null;
+        }
+
+        const position = pitch => ({
+            step: NATURAL_NOTES.indexOf(pitch.letter) + 7 * (pitch.octave || 0),
+            semitone:
+                NATURAL_INDICES[NATURAL_NOTES.indexOf(pitch.letter)] +
+                pitch.accidental +
+                12 * (pitch.octave || 0)
+        });
+
+        let direction = 'up';
+        if (lower.octave === null || upper.octave === null) {
+            // Pitch classes only: place the second note in the octave above the first
+            lower = { ...lower, octave: 0 };
+            upper = { ...upper, octave: position(upper).step < position(lower).step ? 1 : 0 };
+        }
+
+        let start = position(lower);
+        let end = position(upper);
+        if (end.step < start.step || (end.step === start.step && end.semitone < start.semitone)) {
+            [start, end] = [end, start];
+            direction = 'down';
+        }
+
+        const number = end.step - start.step + 1;
+        const semitones = end.semitone - start.semitone;
+        const name = this.formatInterval(number, semitones);
+        if (!name) {
+            return null;
+        }
+
+        const simpleNumber = ((number - 1) % 7) + 1;
+        const compound = number > 8;
+        return {
+            name,
+            fullName: this.getIntervalName(name),
+            number,
+            semitones,
+            compound,
+            simpleName: compound
+                ? this.formatInterval(simpleNumber, semitones - 12 * Math.floor((number - 1) / 7))
+                : name,
+            direction
+        };
+    }
+
+    /**
+     * Transpose a note by a named interval, keeping correct spelling.
+     * Notes with an octave number keep one ('C4' up 'M10' → 'E5').
+     *
+     * @param {string} note - Spelled note, optionally with octave
+     * @param {string} interval - Interval abbreviation (e.g., 'm3', 'P5', 'A4')
+     * @param {string} [direction='up'] - 'up' or 'down'
+     * @returns {string|null} Transposed note, or null for invalid input
+     * @example
+     * theory.transposeNote('D', 'm3'); // 'F'
+     * theory.transposeNote('E', 'A4'); // 'A#'
+     * theory.transposeNote('C4', 'P5', 'down'); // 'F3'
+     */
+    transposeNote(note, interval, direction = 'up') {
+        const pitch = this.parsePitch(note);
+        const parsed = this.parseInterval(interval);
+        if (!pitch || !parsed) {
+            return null;
+        }
+
+        const sign = direction === 'down' ? -1 : 1;
+        const octave = pitch.octave === null ? 4 : pitch.octave;
+        const letterIndex = NATURAL_NOTES.indexOf(pitch.letter);
+
+        const targetStep = letterIndex + 7 * octave + sign * (parsed.number - 1);
+        const targetSemitone =
+            NATURAL_INDICES[letterIndex] + pitch.accidental + 12 * octave + sign * parsed.semitones;
+
+        const targetLetterIndex = ((targetStep % 7) + 7) % 7;
+        const targetOctave = Math.floor(targetStep / 7);
+        const accidental =
+            targetSemitone - (NATURAL_INDICES[targetLetterIndex] + 12 * targetOctave);
+        const accidentalText = accidental > 0 ? '#'.repeat(accidental) : 'b'.repeat(-accidental);
+        const spelled = `${NATURAL_NOTES[targetLetterIndex]}${accidentalText}`;
+
+        return pitch.octave === null ? spelled : `${spelled}${targetOctave}`;
+    }
+
+    /**
+     * Invert an interval (m3 → M6, A4 → d5, P1 → P8).
+     * Compound intervals are reduced to their simple form first (M10 → m6).
+     *
+     * @param {string} interval - Interval abbreviation
+     * @returns {string|null} The inverted interval, or null for invalid input
+     */
+    invertInterval(interval) {
+        const parsed = this.parseInterval(interval);
+        if (!parsed) {
+            return null;
+        }
+
+        const inversions = { P: 'P', M: 'm', m: 'M', A: 'd', d: 'A', AA: 'dd', dd: 'AA' };
+        const simpleNumber = parsed.number === 8 ? 8 : parsed.simpleNumber;
+        return `${inversions[parsed.quality]}${9 - simpleNumber}`;
+    }
+
+    /**
+     * Get frequency for a note (A4 = 440Hz)
+     */
+    getNoteFrequency(note, octave = 4) {
+        const noteIndex = this.getNoteIndex(note);
+        const A4_INDEX = 9; // A is at index 9 in chromatic scale
+        const semitoneOffset = noteIndex - A4_INDEX + (octave - 4) * 12;
+        return 440 * Math.pow(2, semitoneOffset / 12);
+    }
+
+    /**
+     * Validate if a key exists in our system.
+     * A church mode is valid on any tonic that names a major or minor key.
+     */
+    isValidKey(key, mode = 'major') {
+        if (!key || typeof key !== 'string') {
+            return false;
+        }
+
+        // Handle case insensitivity
+        key = key.charAt(0).toUpperCase() + key.slice(1);
+        mode = this.normalizeMode(mode);
+
+        if (mode === 'major') {
+            return key in MAJOR_KEYS;
+        }
+        if (mode in MODES && mode !== 'minor') {
+            return key in MAJOR_KEYS || key in MINOR_KEYS;
+        }
+        return key in MINOR_KEYS;
     }
 
     /**
@@ -751,7 +2883,12 @@ export {
     MINOR_KEYS,
     CHORD_PROGRESSIONS,
     NOTES,
-    SCALE_PATTERNS
+    SCALE_PATTERNS,
+    MODES,
+    CHORD_FORMULAS,
+    CHORD_QUALITY_ALIASES,
+    CHORD_SYMBOLS,
+    INTERVAL_QUALITIES
 };
 
 // Set on window for debugging in console (development only)
@@ -761,4 +2898,5 @@ if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
     window.MAJOR_KEYS = MAJOR_KEYS;
     window.MINOR_KEYS = MINOR_KEYS;
     window.CHORD_PROGRESSIONS = CHORD_PROGRESSIONS;
+    window.MODES = MODES;
 }
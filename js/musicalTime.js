@@ -0,0 +1,185 @@
+/**
+ * Musical Time
+ * Tempo, time signature, chord length and swing, and the lengths in seconds they give
+ */
+
+import { swingBeat } from './rhythmStyles.js';
+
+// Time signatures music can be played in, by name
+const TIME_SIGNATURES = {
+    '2/4': { beatsPerBar: 2, beatUnit: 4 },
+    '3/4': { beatsPerBar: 3, beatUnit: 4 },
+    '4/4': { beatsPerBar: 4, beatUnit: 4 },
+    '6/8': { beatsPerBar: 6, beatUnit: 8 },
+    '9/8': { beatsPerBar: 9, beatUnit: 8 },
+    '12/8': { beatsPerBar: 12, beatUnit: 8 }
+};
+
+/**
+ * Musical time of AudioEngine's settings.
+ * The tempo counts quarter notes per minute whatever the time signature, so
+ * changing the meter never changes how fast a quarter note is. Beats are the
+ * time signature's own (eighths in 6/8), and progression chords last
+ * `beatsPerChord` of them: by default half a bar when the bar splits into four
+ * pulses (4/4, 12/8) and a whole bar otherwise. Swing works on eighths, in
+ * quarter notes, and is left out of compound meters, whose eighths already
+ * split each dotted-quarter pulse in three.
+ *
+ * @class MusicalTime
+ * @example
+ * const time = new MusicalTime({ tempo: 90, beatsPerBar: 6, beatUnit: 8 });
+ * time.getChordLength(); // 2 (one bar of 6/8)
+ * time.toSeconds({ bars: 2 }); // 4
+ */
+class MusicalTime {
+    /**
+     * Creates a new MusicalTime instance.
+     *
+     * @constructor
+     * @param {Object} [settings] - Time settings, such as AudioEngine.settings
+     * @param {number} [settings.tempo=120] - Quarter notes per minute
+     * @param {number} [settings.beatsPerBar=4] - Top of the time signature
+     * @param {number} [settings.beatUnit=4] - Bottom of the time signature
+     * @param {number|null} [settings.beatsPerChord=null] - Beats a progression chord
+     *   lasts; null for the time signature's default
+     * @param {number} [settings.swing=0] - 0 (even eighths) to 1 (triplet swing)
+     */
+    constructor({
+        tempo = 120,
+        beatsPerBar = 4,
+        beatUnit = 4,
+        beatsPerChord = null,
+        swing = 0
+    } = {}) {
+        this.tempo = tempo;
+        this.beatsPerBar = beatsPerBar;
+        this.beatUnit = beatUnit;
+        this.beatsPerChord = beatsPerChord;
+        this.swing = swing;
+    }
+
+    /**
+     * Whether a time signature is one of TIME_SIGNATURES
+     * @param {number} beatsPerBar - Top of the time signature
+     * @param {number} [beatUnit=4] - Bottom of the time signature
+     * @returns {boolean} True if supported
+     */
+    static isTimeSignature(beatsPerBar, beatUnit = 4) {
+        return Object.values(TIME_SIGNATURES).some(
+            signature => signature.beatsPerBar === beatsPerBar && signature.beatUnit === beatUnit
+        );
+    }
+
+    /**
+     * Name of the time signature
+     * @returns {string} Such as '6/8'
+     */
+    getTimeSignature() {
+        return `${this.beatsPerBar}/${this.beatUnit}`;
+    }
+
+    /**
+     * Length of a quarter note in seconds
+     * @returns {number} Seconds per quarter note
+     */
+    getQuarterLength() {
+        return 60 / this.tempo;
+    }
+
+    /**
+     * Length of one of the time signature's beats in seconds
+     * @returns {number} Seconds per beat
+     */
+    getBeatLength() {
+        return (this.getQuarterLength() * 4) / this.beatUnit;
+    }
+
+    /**
+     * Length of a bar in seconds
+     * @returns {number} Seconds per bar
+     */
+    getBarLength() {
+        return this.getBeatLength() * this.beatsPerBar;
+    }
+
+    /**
+     * Whether the time signature groups its eighths in threes, as 6/8, 9/8 and 12/8 do
+     * @returns {boolean} True for compound meters
+     */
+    isCompound() {
+        return this.beatUnit === 8 && this.beatsPerBar % 3 === 0;
+    }
+
+    /**
+     * Length of a bar in quarter notes
+     * @returns {number} Quarter notes per bar
+     */
+    getQuartersPerBar() {
+        return (this.beatsPerBar * 4) / this.beatUnit;
+    }
+
+    /**
+     * Length of a sixteenth note (a sequencer step) in seconds
+     * @returns {number} Seconds per sixteenth
+     */
+    getStepLength() {
+        return this.getQuarterLength() / 4;
+    }
+
+    /**
+     * Beats a progression chord lasts
+     * @returns {number} Beats per chord
+     */
+    getBeatsPerChord() {
+        if (this.beatsPerChord) {
+            return this.beatsPerChord;
+        }
+        // Compound meters group their beats in threes
+        const pulses = this.isCompound() ? this.beatsPerBar / 3 : this.beatsPerBar;
+        return pulses % 2 === 0 && pulses >= 4 ? this.beatsPerBar / 2 : this.beatsPerBar;
+    }
+
+    /**
+     * Length of progression chords in seconds
+     * @param {number} [chords=1] - Chord lengths, as in a progression's durations
+     * @returns {number} Seconds
+     */
+    getChordLength(chords = 1) {
+        return this.getBeatsPerChord() * this.getBeatLength() * chords;
+    }
+
+    /**
+     * Length of some bars, beats and quarter notes in seconds
+     * @param {Object} length - Parts of the length, each optional
+     * @param {number} [length.bars=0] - Bars
+     * @param {number} [length.beats=0] - Beats of the time signature
+     * @param {number} [length.quarters=0] - Quarter notes
+     * @returns {number} Seconds
+     */
+    toSeconds({ bars = 0, beats = 0, quarters = 0 }) {
+        return (
+            bars * this.getBarLength() +
+            beats * this.getBeatLength() +
+            quarters * this.getQuarterLength()
+        );
+    }
+
+    /**
+     * Seconds from one position to another, offbeat eighths swung
+     * @param {number} from - Position in quarter notes
+     * @param {number} to - Later position in quarter notes
+     * @returns {number} Seconds between them
+     */
+    getSwungLength(from, to) {
+        const swing = this.isCompound() ? 0 : this.swing;
+        return (swingBeat(to, swing) - swingBeat(from, swing)) * this.getQuarterLength();
+    }
+}
+
+// ES6 module export
+export { MusicalTime, TIME_SIGNATURES };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.MusicalTime = MusicalTime;
+}
@@ -0,0 +1,255 @@
+/**
+ * Preset Panel Component
+ * Switch between, save, delete, export and import named sound presets
+ */
+
+import { loggers } from './logger.js';
+import { DEFAULT_AUDIO_SETTINGS } from './state/CircleState.js';
+import { getExportFileName, downloadFile } from './utils/fileDownload.js';
+
+/**
+ * UI component for sound presets in the audio settings panel.
+ * Lists the presets of the app's PresetStore; choosing one puts its settings
+ * in the shared state, where the audio engine and the other controls pick
+ * them up and undo can take them back. The list shows the preset the current
+ * settings match, if any. Saving stores the current settings under a name,
+ * and presets are shared as JSON files through Export and Import.
+ *
+ * @class PresetPanel
+ * @example
+ * const presetPanel = new PresetPanel(app);
+ */
+class PresetPanel {
+    /**
+     * Creates a new PresetPanel instance.
+     *
+     * @constructor
+     * @param {Object} app - Application instance providing presetStore and state
+     */
+    constructor(app) {
+        this.app = app;
+        this.logger = loggers?.interactions || console;
+
+        this.unsubscribe = null;
+
+        this.elements = {
+            select: document.getElementById('preset-select'),
+            deleteBtn: document.getElementById('preset-delete'),
+            form: document.getElementById('preset-save-form'),
+            nameInput: document.getElementById('preset-name-input'),
+            exportBtn: document.getElementById('preset-export'),
+            importBtn: document.getElementById('preset-import'),
+            fileInput: /** @type {HTMLInputElement} */ (
+                document.getElementById('preset-import-file')
+            ),
+            message: document.getElementById('preset-message')
+        };
+
+        // Bind methods
+        this.handleSelect = this.handleSelect.bind(this);
+        this.handleDelete = this.handleDelete.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleExport = this.handleExport.bind(this);
+        this.handleImportClick = this.handleImportClick.bind(this);
+        this.handleFileChosen = this.handleFileChosen.bind(this);
+        this.render = this.render.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        const { select, form, nameInput } = this.elements;
+        if (!select || !form || !nameInput || !this.app.presetStore || !this.app.state) {
+            this.logger.debug('Preset panel elements not found, skipping setup');
+            return;
+        }
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { select, deleteBtn, form, exportBtn, importBtn, fileInput } = this.elements;
+        select.addEventListener('change', this.handleSelect);
+        deleteBtn?.addEventListener('click', this.handleDelete);
+        form.addEventListener('submit', this.handleSubmit);
+        exportBtn?.addEventListener('click', this.handleExport);
+        importBtn?.addEventListener('click', this.handleImportClick);
+        fileInput?.addEventListener('change', this.handleFileChosen);
+        document.addEventListener('presetsChanged', this.render);
+        this.unsubscribe = this.app.state.subscribe('audioSettings', () => this.showCurrent());
+    }
+
+    /**
+     * Switch to the chosen preset
+     */
+    handleSelect() {
+        const preset = this.app.presetStore.getPreset(this.elements.select.value);
+        if (!preset) {
+            return;
+        }
+
+        this.app.state.setState({ audioSettings: { ...preset.settings } });
+        this.showMessage(`Using "${preset.name}"`);
+    }
+
+    /**
+     * Delete the preset shown in the list
+     */
+    handleDelete() {
+        const preset = this.app.presetStore.getPreset(this.elements.select.value);
+        if (preset && this.app.presetStore.remove(preset.id)) {
+            this.showMessage(`Deleted "${preset.name}"`);
+        }
+    }
+
+    /**
+     * Save the current settings under the name entered
+     * @param {Event} event - Submit event
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+
+        const saved = this.app.presetStore.create(
+            this.elements.nameInput.value,
+            this.app.state.getState('audioSettings')
+        );
+        if (!saved) {
+            this.showMessage('Enter a name of up to 40 characters');
+            return;
+        }
+
+        this.elements.nameInput.value = '';
+        this.showMessage(`Saved "${saved.name}"`);
+    }
+
+    /**
+     * Download every preset as a JSON file
+     */
+    handleExport() {
+        const presets = this.app.presetStore.getPresets();
+        if (presets.length === 0) {
+            this.showMessage('Save a preset to export it');
+            return;
+        }
+
+        const json = this.app.presetStore.exportPresets();
+        downloadFile(json, getExportFileName('json', 'presets'), 'application/json');
+        this.showMessage(`Exported ${presets.length} preset${presets.length === 1 ? '' : 's'}`);
+    }
+
+    /**
+     * Ask for a preset file
+     */
+    handleImportClick() {
+        this.elements.fileInput?.click();
+    }
+
+    /**
+     * Add the presets of the chosen file
+     */
+    async handleFileChosen() {
+        const { fileInput } = this.elements;
+        const file = fileInput.files?.[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            const { presets, error } = this.app.presetStore.importPresets(await file.text());
+            this.showMessage(
+                error ||
+                    `Imported ${presets.map(preset => `"${preset.name}"`).join(', ')} from ${file.name}`
+            );
+        } catch (error) {
+            this.logger.warn('Failed to read preset file:', error);
+            this.showMessage(`${file.name} could not be read`);
+        } finally {
+            // Choosing the same file again imports it again
+            fileInput.value = '';
+        }
+    }
+
+    /**
+     * List the presets
+     */
+    render() {
+        const { select } = this.elements;
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'Current settings';
+
+        select.replaceChildren(none);
+        this.app.presetStore.getPresets().forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
+
+        this.showCurrent();
+    }
+
+    /**
+     * Show the preset the current settings match, if any
+     */
+    showCurrent() {
+        const current = this.app.presetStore.getPresets().find(preset => this.isCurrent(preset));
+        this.elements.select.value = current ? current.id : '';
+        if (this.elements.deleteBtn) {
+            this.elements.deleteBtn.disabled = !current;
+        }
+    }
+
+    /**
+     * Whether the shared state has a preset's settings
+     * @private
+     */
+    isCurrent(preset) {
+        const settings = this.app.state.getState('audioSettings');
+        return Object.keys(DEFAULT_AUDIO_SETTINGS).every(
+            name => settings[name] === preset.settings[name]
+        );
+    }
+
+    /**
+     * @private
+     */
+    showMessage(text) {
+        if (this.elements.message) {
+            this.elements.message.textContent = text;
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        const { select, deleteBtn, form, exportBtn, importBtn, fileInput } = this.elements;
+        select?.removeEventListener('change', this.handleSelect);
+        deleteBtn?.removeEventListener('click', this.handleDelete);
+        form?.removeEventListener('submit', this.handleSubmit);
+        exportBtn?.removeEventListener('click', this.handleExport);
+        importBtn?.removeEventListener('click', this.handleImportClick);
+        fileInput?.removeEventListener('change', this.handleFileChosen);
+        document.removeEventListener('presetsChanged', this.render);
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+}
+
+// ES6 module export
+export { PresetPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.PresetPanel = PresetPanel;
+}
@@ -0,0 +1,321 @@
+/**
+ * Preset Store
+ * Keeps named sound presets in localStorage and reads and writes them as JSON files
+ */
+
+import { loggers } from './logger.js';
+import { DEFAULT_AUDIO_SETTINGS } from './state/CircleState.js';
+import { pickValidSettings } from './settingsStore.js';
+
+// Bump when the stored shape changes; older data is discarded rather than misread
+const PRESET_STORE_VERSION = 1;
+
+// Marks a JSON file as presets of this app
+const PRESET_FILE_FORMAT = 'circle-of-fifths-presets';
+
+// Longest preset name, as the name field allows
+const MAX_PRESET_NAME_LENGTH = 40;
+
+/**
+ * Stores named presets of the audio settings.
+ * A preset is a name and a full set of audio settings as in AudioEngine.settings:
+ * envelope, oscillators, filter, stereo width, reverb, delay, compression,
+ * accompaniment levels, tempo and toggles. Names are unique regardless of case,
+ * so saving under a name in use replaces that preset. Changes are saved to
+ * localStorage and announced with a 'presetsChanged' event on document (also
+ * when another tab changes them). exportPresets and importPresets read and
+ * write the JSON files presets are shared as; settings a file doesn't name, or
+ * gives values of the wrong kind, take their defaults.
+ *
+ * @class PresetStore
+ * @example
+ * const presetStore = new PresetStore();
+ * presetStore.create('Classroom piano', state.getState('audioSettings'));
+ * const json = presetStore.exportPresets();
+ */
+class PresetStore {
+    /**
+     * Creates a new PresetStore instance and loads the saved presets.
+     *
+     * @constructor
+     */
+    constructor() {
+        this.storageKey = 'circle-of-fifths-presets';
+
+        // Presets in the order they were added: {id, name, settings}
+        this.presets = [];
+
+        // Initialize logger
+        this.logger = loggers?.audio || console;
+
+        // Bind methods
+        this.handleStorageChange = this.handleStorageChange.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the store
+     */
+    init() {
+        this.load();
+        this.setupStorageListener();
+    }
+
+    /**
+     * Load presets from localStorage, dropping any entry that no longer validates
+     */
+    load() {
+        this.presets = [];
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved || saved.version !== PRESET_STORE_VERSION || !Array.isArray(saved.presets)) {
+                return;
+            }
+
+            this.presets = saved.presets
+                .map(preset => this.normalizePreset(preset))
+                .filter(Boolean);
+        } catch (error) {
+            this.logger.warn('Failed to load presets from localStorage:', error);
+        }
+    }
+
+    /**
+     * Save presets to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(
+                this.storageKey,
+                JSON.stringify({ version: PRESET_STORE_VERSION, presets: this.presets })
+            );
+        } catch (error) {
+            this.logger.warn('Failed to save presets to localStorage:', error);
+        }
+    }
+
+    /**
+     * Setup storage change listener for cross-tab synchronization
+     */
+    setupStorageListener() {
+        window.addEventListener('storage', this.handleStorageChange);
+    }
+
+    /**
+     * Reload when another tab changes the saved presets
+     * @param {StorageEvent} event - Storage event
+     */
+    handleStorageChange(event) {
+        if (event.key === this.storageKey) {
+            this.logger.debug('Presets changed in another tab');
+            this.load();
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Dispatch a 'presetsChanged' event for components showing presets
+     */
+    notifyChange() {
+        document.dispatchEvent(
+            new CustomEvent('presetsChanged', {
+                detail: { presets: this.getPresets() }
+            })
+        );
+    }
+
+    /**
+     * Persist and announce a change
+     * @private
+     */
+    commit() {
+        this.save();
+        this.notifyChange();
+    }
+
+    /**
+     * Get the presets in the order they were added
+     * @returns {Array<Object>} Presets ({id, name, settings})
+     */
+    getPresets() {
+        return [...this.presets];
+    }
+
+    /**
+     * Find a preset by id
+     * @param {string} id - Preset id
+     * @returns {Object|null} The preset, or null if there is none with that id
+     */
+    getPreset(id) {
+        return this.presets.find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * Find a preset by name, in any case
+     * @param {string} name - Preset name
+     * @returns {Object|null} The preset, or null if no preset has that name
+     */
+    findByName(name) {
+        const wanted = typeof name === 'string' ? name.trim().toLowerCase() : '';
+        return this.presets.find(preset => preset.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Save settings as a preset, replacing the settings of a preset with the same name
+     * @param {string} name - Preset name
+     * @param {Object} settings - Audio settings, named as in AudioEngine.settings
+     * @returns {Object|null} The saved preset, or null if the name is empty or too long
+     */
+    create(name, settings) {
+        const saved = this.add({ name, settings });
+        if (saved) {
+            this.commit();
+        }
+        return saved;
+    }
+
+    /**
+     * Delete a preset
+     * @param {string} id - Preset id
+     * @returns {boolean} True if a preset was deleted
+     */
+    remove(id) {
+        const preset = this.getPreset(id);
+        if (!preset) {
+            return false;
+        }
+
+        this.presets.splice(this.presets.indexOf(preset), 1);
+        this.commit();
+        return true;
+    }
+
+    /**
+     * Write presets as the JSON of a preset file
+     * @param {string[]} [ids] - Presets to write, all of them if not given
+     * @returns {string} File contents
+     */
+    exportPresets(ids = undefined) {
+        const presets = ids ? this.presets.filter(preset => ids.includes(preset.id)) : this.presets;
+        return JSON.stringify(
+            {
+                format: PRESET_FILE_FORMAT,
+                version: PRESET_STORE_VERSION,
+                presets: presets.map(({ name, settings }) => ({ name, settings }))
+            },
+            null,
+            2
+        );
+    }
+
+    /**
+     * Add the presets of a preset file, replacing presets of the same names
+     * @param {string} json - File contents
+     * @returns {{presets: Array<Object>, error: string|null}} Presets added, or why the
+     *   file could not be read
+     */
+    importPresets(json) {
+        let file;
+        try {
+            file = JSON.parse(json);
+        } catch {
+            return { presets: [], error: 'The file is not JSON' };
+        }
+
+        if (file?.format !== PRESET_FILE_FORMAT || !Array.isArray(file.presets)) {
+            return { presets: [], error: 'The file does not hold presets' };
+        }
+        if (file.version !== PRESET_STORE_VERSION) {
+            return { presets: [], error: `Preset files of version ${file.version} can't be read` };
+        }
+
+        const imported = file.presets.map(preset => this.add(preset)).filter(Boolean);
+        if (imported.length === 0) {
+            return { presets: [], error: 'The file has no presets with a name' };
+        }
+
+        this.commit();
+        return { presets: imported, error: null };
+    }
+
+    /**
+     * Add or replace a preset without saving
+     * @private
+     * @param {*} preset - Preset with a name and settings, as read from a file
+     * @returns {Object|null} The preset, or null if invalid
+     */
+    add(preset) {
+        if (!preset || typeof preset !== 'object') {
+            this.logger.warn('Invalid preset not saved:', preset);
+            return null;
+        }
+
+        const { name, settings } = preset;
+        const existing = this.findByName(name);
+        const normalized = this.normalizePreset({ id: existing?.id, name, settings });
+        if (!normalized) {
+            this.logger.warn('Invalid preset not saved:', name);
+            return null;
+        }
+
+        if (existing) {
+            this.presets[this.presets.indexOf(existing)] = normalized;
+        } else {
+            this.presets.push(normalized);
+        }
+        return normalized;
+    }
+
+    /**
+     * Validate a preset and bring it to its stored shape, with every setting
+     * @private
+     * @param {*} preset - Stored preset
+     * @returns {Object|null} Normalized preset, or null if it isn't an object or its
+     *   name is empty or too long
+     */
+    normalizePreset(preset) {
+        if (!preset || typeof preset !== 'object') {
+            return null;
+        }
+
+        const { id, name, settings } = preset;
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (!trimmedName || trimmedName.length > MAX_PRESET_NAME_LENGTH) {
+            return null;
+        }
+
+        return {
+            id: typeof id === 'string' && id ? id : this.createId(),
+            name: trimmedName,
+            settings: { ...DEFAULT_AUDIO_SETTINGS, ...pickValidSettings(settings) }
+        };
+    }
+
+    /**
+     * @private
+     */
+    createId() {
+        let id;
+        do {
+            id = `preset-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        } while (this.getPreset(id));
+        return id;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        window.removeEventListener('storage', this.handleStorageChange);
+    }
+}
+
+// ES6 module export
+export { PresetStore, PRESET_FILE_FORMAT };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.PresetStore = PresetStore;
+}
@@ -0,0 +1,321 @@
+/**
+ * Progression Editor Panel Component
+ * Create, rename, edit, reorder and delete the user's own chord progressions
+ */
+
+import { loggers } from './logger.js';
+
+/**
+ * UI component for the user's chord progressions.
+ * Lists the progressions saved in the app's ProgressionStore for the mode
+ * selected on the circle, and edits them with a name field and a chords field
+ * in the store's text format (roman[:quality][*duration]). Playing goes through
+ * InteractionsHandler.playSpecificProgression, exactly like the built-ins.
+ *
+ * @class ProgressionEditorPanel
+ * @example
+ * const progressionEditorPanel = new ProgressionEditorPanel(musicTheory, app);
+ */
+class ProgressionEditorPanel {
+    /**
+     * Creates a new ProgressionEditorPanel instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance
+     * @param {Object} app - Application instance providing progressionStore,
+     *   circleRenderer and interactionsHandler
+     */
+    constructor(musicTheory, app) {
+        this.musicTheory = musicTheory;
+        this.app = app;
+        this.logger = loggers?.interactions || console;
+
+        // Id of the progression loaded into the form, or null when adding
+        this.editingId = null;
+
+        this.elements = {
+            list: document.getElementById('custom-progressions-list'),
+            form: document.getElementById('progression-editor-form'),
+            nameInput: document.getElementById('progression-name-input'),
+            chordsInput: document.getElementById('progression-chords-input'),
+            saveBtn: document.getElementById('save-progression'),
+            cancelBtn: document.getElementById('cancel-progression-edit'),
+            message: document.getElementById('progression-editor-message'),
+            svg: document.getElementById('circle-svg')
+        };
+
+        // Bind methods
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleListClick = this.handleListClick.bind(this);
+        this.handleProgressionsChanged = this.handleProgressionsChanged.bind(this);
+        this.render = this.render.bind(this);
+        this.cancelEdit = this.cancelEdit.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        const { list, form, nameInput, chordsInput } = this.elements;
+        if (!list || !form || !nameInput || !chordsInput || !this.app.progressionStore) {
+            this.logger.debug('Progression editor elements not found, skipping setup');
+            return;
+        }
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.form.addEventListener('submit', this.handleSubmit);
+        this.elements.list.addEventListener('click', this.handleListClick);
+        this.elements.cancelBtn?.addEventListener('click', this.cancelEdit);
+        this.elements.svg?.addEventListener('modeChanged', this.render);
+        document.addEventListener('progressionsChanged', this.handleProgressionsChanged);
+    }
+
+    /**
+     * Mode selected on the circle, which new progressions are saved for
+     */
+    getMode() {
+        return this.app.circleRenderer?.getState().currentMode || 'major';
+    }
+
+    /**
+     * Save the form as a new progression, or over the one being edited
+     * @param {Event} event - Submit event
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+
+        const store = this.app.progressionStore;
+        const editing = this.editingId ? store.getProgression(this.editingId) : null;
+        const mode = editing ? editing.mode : this.getMode();
+        const { chords, error } = store.parseChords(this.elements.chordsInput.value);
+
+        this.elements.chordsInput.setAttribute('aria-invalid', String(Boolean(error)));
+        if (error) {
+            this.showMessage(error);
+            return;
+        }
+
+        const name = this.elements.nameInput.value;
+        const saved = editing
+            ? store.update(editing.id, { name, chords })
+            : store.create({ name, mode, chords });
+
+        if (!saved) {
+            this.showMessage('The progression could not be saved');
+            return;
+        }
+
+        this.resetForm();
+        this.showMessage(`Saved "${saved.name}"`);
+    }
+
+    /**
+     * Run the action of a button in the list
+     * @param {Event} event - Click event
+     */
+    handleListClick(event) {
+        const button = /** @type {HTMLElement} */ (event.target).closest('[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const id = button.getAttribute('data-id');
+        const store = this.app.progressionStore;
+
+        switch (button.getAttribute('data-action')) {
+            case 'play':
+                this.app.interactionsHandler?.playSpecificProgression(id);
+                break;
+            case 'edit':
+                this.startEdit(id);
+                break;
+            case 'up':
+                store.move(id, -1);
+                break;
+            case 'down':
+                store.move(id, 1);
+                break;
+            case 'delete':
+                if (this.editingId === id) {
+                    this.resetForm();
+                }
+                store.remove(id);
+                break;
+        }
+    }
+
+    /**
+     * Re-render after a change here or in another tab
+     */
+    handleProgressionsChanged() {
+        if (this.editingId && !this.app.progressionStore.getProgression(this.editingId)) {
+            this.resetForm();
+        }
+        this.render();
+    }
+
+    /**
+     * Load a progression into the form for editing
+     * @param {string} id - Progression id
+     */
+    startEdit(id) {
+        const progression = this.app.progressionStore.getProgression(id);
+        if (!progression) {
+            return;
+        }
+
+        this.editingId = id;
+        this.elements.nameInput.value = progression.name;
+        this.elements.chordsInput.value = this.app.progressionStore.formatChords(
+            progression.chords
+        );
+        this.setSaveLabel('Save');
+        if (this.elements.cancelBtn) {
+            this.elements.cancelBtn.hidden = false;
+        }
+        this.showMessage(`Editing "${progression.name}"`);
+        this.elements.chordsInput.focus();
+    }
+
+    /**
+     * Leave editing without saving
+     */
+    cancelEdit() {
+        this.resetForm();
+        this.showMessage('');
+    }
+
+    /**
+     * Clear the form back to adding a new progression
+     */
+    resetForm() {
+        this.editingId = null;
+        this.elements.nameInput.value = '';
+        this.elements.chordsInput.value = '';
+        this.elements.chordsInput.setAttribute('aria-invalid', 'false');
+        this.setSaveLabel('Add');
+        if (this.elements.cancelBtn) {
+            this.elements.cancelBtn.hidden = true;
+        }
+    }
+
+    /**
+     * @private
+     */
+    setSaveLabel(label) {
+        const text = this.elements.saveBtn?.querySelector('.btn-text');
+        if (text) {
+            text.textContent = label;
+        }
+    }
+
+    /**
+     * @private
+     */
+    showMessage(text) {
+        if (this.elements.message) {
+            this.elements.message.textContent = text;
+        }
+    }
+
+    /**
+     * List the progressions saved for the selected mode
+     */
+    render() {
+        const mode = this.getMode();
+        const progressions = this.app.progressionStore.getProgressions(mode);
+        const list = this.elements.list;
+
+        list.replaceChildren();
+        if (progressions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'custom-progression-empty';
+            empty.textContent = `No ${mode} progressions saved yet`;
+            list.appendChild(empty);
+            return;
+        }
+
+        progressions.forEach((progression, index) => {
+            const item = document.createElement('li');
+            item.className = 'custom-progression';
+
+            const name = document.createElement('span');
+            name.className = 'custom-progression-name';
+            name.textContent = progression.name;
+
+            const chords = document.createElement('span');
+            chords.className = 'custom-progression-chords';
+            chords.textContent = this.app.progressionStore.formatChords(progression.chords);
+
+            const actions = document.createElement('span');
+            actions.className = 'custom-progression-actions';
+            actions.append(
+                this.createActionButton('play', progression, '▶', `Play ${progression.name}`),
+                this.createActionButton('edit', progression, '✎', `Edit ${progression.name}`),
+                this.createActionButton(
+                    'up',
+                    progression,
+                    '↑',
+                    `Move ${progression.name} up`,
+                    index === 0
+                ),
+                this.createActionButton(
+                    'down',
+                    progression,
+                    '↓',
+                    `Move ${progression.name} down`,
+                    index === progressions.length - 1
+                ),
+                this.createActionButton('delete', progression, '✕', `Delete ${progression.name}`)
+            );
+
+            item.append(name, chords, actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * @private
+     */
+    createActionButton(action, progression, symbol, label, disabled = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'custom-progression-btn';
+        button.setAttribute('data-action', action);
+        button.setAttribute('data-id', progression.id);
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.textContent = symbol;
+        button.disabled = disabled;
+        return button;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        const { form, list, cancelBtn, svg } = this.elements;
+        form?.removeEventListener('submit', this.handleSubmit);
+        list?.removeEventListener('click', this.handleListClick);
+        cancelBtn?.removeEventListener('click', this.cancelEdit);
+        svg?.removeEventListener('modeChanged', this.render);
+        document.removeEventListener('progressionsChanged', this.handleProgressionsChanged);
+    }
+}
+
+// ES6 module export
+export { ProgressionEditorPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.ProgressionEditorPanel = ProgressionEditorPanel;
+}
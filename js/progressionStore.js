@@ -0,0 +1,422 @@
+/**
+ * Progression Store
+ * Keeps user-defined chord progressions in localStorage and offers them to MusicTheory
+ */
+
+import { loggers } from './logger.js';
+
+// Bump when the stored shape changes; older data is discarded rather than misread
+const PROGRESSION_STORE_VERSION = 1;
+
+// Per-chord durations are multiples of the progression chord length
+const MIN_CHORD_DURATION = 0.25;
+const MAX_CHORD_DURATION = 8;
+
+// One chord in the text format: roman[:quality][*duration], e.g. 'ii:minor7*2'
+const CHORD_TOKEN = /^([^:*]+)(?::([^*]+))?(?:\*(\d+(?:\.\d+)?))?$/;
+
+/**
+ * Stores the user's own chord progressions.
+ * Each progression belongs to one mode and is a named list of chords, each a
+ * roman numeral (anything MusicTheory.parseRomanNumeral reads, such as V7/ii or
+ * bVII) with an optional chord quality and a duration. Changes are
+ * saved to localStorage, registered with MusicTheory.setCustomProgressions so
+ * they play through AudioEngine.playProgression like the built-ins, and
+ * announced with a 'progressionsChanged' event on document (also when another
+ * tab changes them).
+ *
+ * @class ProgressionStore
+ * @example
+ * const store = new ProgressionStore(musicTheory);
+ * store.create({
+ *     name: 'Turnaround',
+ *     mode: 'major',
+ *     chords: store.parseChords('I*2 vi ii:minor7 V:dominant7').chords
+ * });
+ */
+class ProgressionStore {
+    /**
+     * Creates a new ProgressionStore instance and loads the saved progressions.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance the progressions are registered with
+     */
+    constructor(musicTheory) {
+        this.musicTheory = musicTheory;
+        this.storageKey = 'circle-of-fifths-progressions';
+
+        // Progression lists by mode, in display order
+        this.progressions = {};
+
+        // Initialize logger
+        this.logger = loggers?.app || console;
+
+        // Bind methods
+        this.handleStorageChange = this.handleStorageChange.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the store
+     */
+    init() {
+        this.load();
+        this.register();
+        this.setupStorageListener();
+    }
+
+    /**
+     * Load progressions from localStorage, dropping any entry that no longer validates
+     */
+    load() {
+        this.progressions = {};
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved || saved.version !== PROGRESSION_STORE_VERSION) {
+                return;
+            }
+
+            Object.entries(saved.progressions || {}).forEach(([mode, list]) => {
+                if (!Array.isArray(list)) {
+                    return;
+                }
+                const valid = list
+                    .map(progression => this.normalizeProgression({ ...progression, mode }))
+                    .filter(Boolean);
+                if (valid.length > 0) {
+                    this.progressions[mode] = valid;
+                }
+            });
+        } catch (error) {
+            this.logger.warn('Failed to load custom progressions from localStorage:', error);
+        }
+    }
+
+    /**
+     * Save progressions to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(
+                this.storageKey,
+                JSON.stringify({
+                    version: PROGRESSION_STORE_VERSION,
+                    progressions: this.progressions
+                })
+            );
+        } catch (error) {
+            this.logger.warn('Failed to save custom progressions to localStorage:', error);
+        }
+    }
+
+    /**
+     * Setup storage change listener for cross-tab synchronization
+     */
+    setupStorageListener() {
+        window.addEventListener('storage', this.handleStorageChange);
+    }
+
+    /**
+     * Reload when another tab changes the saved progressions
+     * @param {StorageEvent} event - Storage event
+     */
+    handleStorageChange(event) {
+        if (event.key === this.storageKey) {
+            this.logger.debug('Custom progressions changed in another tab');
+            this.load();
+            this.register();
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Offer the progressions to MusicTheory.getChordProgressions, keyed by id
+     */
+    register() {
+        const byMode = {};
+        Object.entries(this.progressions).forEach(([mode, list]) => {
+            byMode[mode] = {};
+            list.forEach(({ id, name, chords }) => {
+                byMode[mode][id] = {
+                    name,
+                    roman: chords.map(chord => chord.roman),
+                    qualities: chords.map(chord => chord.quality),
+                    durations: chords.map(chord => chord.duration),
+                    description: `Custom progression: ${name}`,
+                    custom: true
+                };
+            });
+        });
+        this.musicTheory.setCustomProgressions(byMode);
+    }
+
+    /**
+     * Dispatch a 'progressionsChanged' event for components showing progressions
+     */
+    notifyChange() {
+        document.dispatchEvent(
+            new CustomEvent('progressionsChanged', {
+                detail: { progressions: this.progressions }
+            })
+        );
+    }
+
+    /**
+     * Persist, register and announce a change
+     * @private
+     */
+    commit() {
+        this.save();
+        this.register();
+        this.notifyChange();
+    }
+
+    /**
+     * Get the progressions saved for a mode, in display order
+     * @param {string} mode - 'major', 'minor' or a church mode
+     * @returns {Array<Object>} Progressions ({id, name, mode, chords})
+     */
+    getProgressions(mode) {
+        return [...(this.progressions[this.musicTheory.normalizeMode(mode)] || [])];
+    }
+
+    /**
+     * Find a progression by id
+     * @param {string} id - Progression id
+     * @returns {Object|null} The progression, or null if there is none with that id
+     */
+    getProgression(id) {
+        for (const list of Object.values(this.progressions)) {
+            const progression = list.find(entry => entry.id === id);
+            if (progression) {
+                return progression;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Validate a progression and bring it to its stored shape
+     * @private
+     * @returns {Object|null} Normalized progression, or null if anything is invalid
+     */
+    normalizeProgression({ id, name, mode, chords }) {
+        const normalizedMode = this.musicTheory.normalizeMode(mode);
+        if (!this.musicTheory.isDiatonicMode(normalizedMode) || !Array.isArray(chords)) {
+            return null;
+        }
+
+        const normalizedChords = chords.map(chord => this.normalizeChord(chord));
+        if (normalizedChords.length === 0 || normalizedChords.includes(null)) {
+            return null;
+        }
+
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        return {
+            id: typeof id === 'string' && id ? id : this.createId(),
+            name: trimmedName || normalizedChords.map(chord => chord.roman).join(' - '),
+            mode: normalizedMode,
+            chords: normalizedChords
+        };
+    }
+
+    /**
+     * Validate one chord
+     * @private
+     * @returns {{roman: string, quality: string|null, duration: number}|null}
+     */
+    normalizeChord(chord) {
+        const roman = typeof chord?.roman === 'string' ? chord.roman.trim() : '';
+        if (!this.musicTheory.parseRomanNumeral(roman)) {
+            return null;
+        }
+
+        let quality = null;
+        if (chord.quality) {
+            quality = this.musicTheory.normalizeChordQuality(chord.quality);
+            if (!quality) {
+                return null;
+            }
+        }
+
+        const duration = chord.duration ?? 1;
+        if (
+            typeof duration !== 'number' ||
+            !(duration >= MIN_CHORD_DURATION && duration <= MAX_CHORD_DURATION)
+        ) {
+            return null;
+        }
+
+        return { roman, quality, duration };
+    }
+
+    /**
+     * Create an id that can't collide with the built-in progression names
+     * @private
+     */
+    createId() {
+        let id;
+        do {
+            id = `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        } while (this.getProgression(id));
+        return id;
+    }
+
+    /**
+     * Add a progression at the end of its mode's list
+     * @param {{name: string, mode: string, chords: Array<Object>}} progression - New progression
+     * @returns {Object|null} The saved progression, or null if it is invalid
+     */
+    create(progression) {
+        const normalized = this.normalizeProgression({ ...progression, id: null });
+        if (!normalized) {
+            this.logger.warn('Invalid custom progression not saved:', progression);
+            return null;
+        }
+
+        if (!this.progressions[normalized.mode]) {
+            this.progressions[normalized.mode] = [];
+        }
+        this.progressions[normalized.mode].push(normalized);
+        this.commit();
+        return normalized;
+    }
+
+    /**
+     * Rename a progression or replace its chords, keeping its mode and position
+     * @param {string} id - Progression id
+     * @param {{name?: string, chords?: Array<Object>}} changes - New name and/or chords
+     * @returns {Object|null} The updated progression, or null if not found or invalid
+     */
+    update(id, changes) {
+        const existing = this.getProgression(id);
+        if (!existing) {
+            return null;
+        }
+
+        const normalized = this.normalizeProgression({ ...existing, ...changes, id });
+        if (!normalized) {
+            this.logger.warn('Invalid custom progression changes not saved:', changes);
+            return null;
+        }
+
+        const list = this.progressions[existing.mode];
+        list[list.indexOf(existing)] = normalized;
+        this.commit();
+        return normalized;
+    }
+
+    /**
+     * Move a progression up (negative offset) or down its mode's list
+     * @param {string} id - Progression id
+     * @param {number} offset - Positions to move by
+     * @returns {boolean} True if the progression moved
+     */
+    move(id, offset) {
+        const progression = this.getProgression(id);
+        if (!progression) {
+            return false;
+        }
+
+        const list = this.progressions[progression.mode];
+        const from = list.indexOf(progression);
+        const to = Math.max(0, Math.min(list.length - 1, from + offset));
+        if (to === from) {
+            return false;
+        }
+
+        list.splice(from, 1);
+        list.splice(to, 0, progression);
+        this.commit();
+        return true;
+    }
+
+    /**
+     * Delete a progression
+     * @param {string} id - Progression id
+     * @returns {boolean} True if a progression was deleted
+     */
+    remove(id) {
+        const progression = this.getProgression(id);
+        if (!progression) {
+            return false;
+        }
+
+        const list = this.progressions[progression.mode];
+        list.splice(list.indexOf(progression), 1);
+        if (list.length === 0) {
+            delete this.progressions[progression.mode];
+        }
+        this.commit();
+        return true;
+    }
+
+    /**
+     * Parse chords typed as roman[:quality][*duration], separated by spaces, commas or bars
+     *
+     * @param {string} text - Chords, e.g. 'I*2 vi ii:m7 V7/IV IV'
+     * @returns {{chords: Array<Object>, error: string|null}} Parsed chords, or why they can't be read
+     * @example
+     * parseChords('ii:m7 V:7 I*2').chords
+     * // [{roman: 'ii', quality: 'minor7', duration: 1}, {roman: 'V', quality: 'dominant7', duration: 1},
+     * //  {roman: 'I', quality: null, duration: 2}]
+     */
+    parseChords(text) {
+        const tokens = String(text ?? '')
+            .split(/[\s,|]+/)
+            .filter(Boolean);
+        if (tokens.length === 0) {
+            return { chords: [], error: 'Enter at least one roman numeral' };
+        }
+
+        const chords = [];
+        for (const token of tokens) {
+            const match = token.match(CHORD_TOKEN);
+            const chord = match
+                ? this.normalizeChord({
+                      roman: match[1],
+                      quality: match[2] ?? null,
+                      duration: match[3] === undefined ? 1 : Number(match[3])
+                  })
+                : null;
+
+            if (!chord) {
+                return { chords: [], error: `"${token}" is not a roman numeral chord` };
+            }
+            chords.push(chord);
+        }
+
+        return { chords, error: null };
+    }
+
+    /**
+     * Write chords back in the text format read by parseChords
+     * @param {Array<Object>} chords - Chords ({roman, quality, duration})
+     * @returns {string} Text such as 'I*2 vi ii:minor7 V:dominant7'
+     */
+    formatChords(chords) {
+        return chords
+            .map(
+                ({ roman, quality, duration }) =>
+                    `${roman}${quality ? `:${quality}` : ''}${duration === 1 ? '' : `*${duration}`}`
+            )
+            .join(' ');
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        window.removeEventListener('storage', this.handleStorageChange);
+    }
+}
+
+// ES6 module export
+export { ProgressionStore };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.ProgressionStore = ProgressionStore;
+}
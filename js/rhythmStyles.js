@@ -0,0 +1,214 @@
+/**
+ * Rhythm Styles
+ * Drum, bass and comping patterns progressions are accompanied with
+ */
+
+// Style used when none is chosen: the accompaniment progressions always had
+const DEFAULT_RHYTHM_STYLE = 'straight';
+
+// Every eighth note in a number of beats
+const eighths = beats => Array.from({ length: beats * 2 }, (_, index) => index / 2);
+
+/**
+ * Accompaniment styles, by name.
+ * Times are in beats (quarter notes). Each style's patterns cover `beats` beats and repeat:
+ * - drums: beats in the bar each drum is hit on, counted from the barline
+ * - bass: notes counted from the start of each chord, their pitches chosen by
+ *   BassLineGenerator as the kind of line in `bassLine`
+ * - comp: how the chord is played, counted from the start of each chord; each
+ *   hit strikes the whole voicing, or the single `voice` (0 lowest, -1 highest)
+ *   for broken chords. null holds the chord for its full length.
+ * Notes are cut short where the chord ends. `swing` and `beatsPerBar` are the
+ * feel and the quarter notes to the bar the style is played in unless changed.
+ * In compound meters a style's bar is fitted to the meter's (see fitPattern),
+ * so its beats fall on the dotted-quarter pulses.
+ * @type {Object<string, Object>}
+ */
+const RHYTHM_STYLES = {
+    straight: {
+        name: 'Straight',
+        beats: 4,
+        swing: 0,
+        beatsPerBar: 4,
+        drums: { kick: [0, 2], snare: [1, 3], hihat: eighths(4) },
+        bass: [0, 1, 2, 3].map(beat => ({ beat, length: 1 })),
+        bassLine: 'root',
+        comp: null
+    },
+    rock: {
+        name: 'Straight Rock',
+        beats: 4,
+        swing: 0,
+        beatsPerBar: 4,
+        drums: { kick: [0, 1.5, 2], snare: [1, 3], hihat: eighths(4) },
+        bass: eighths(4).map(beat => ({ beat, length: 0.45 })),
+        bassLine: 'approach',
+        comp: [0, 1, 2, 3].map(beat => ({ beat, length: 0.9 }))
+    },
+    swing: {
+        name: 'Swing',
+        beats: 4,
+        swing: 1,
+        beatsPerBar: 4,
+        // Ride pattern on the hi-hat: "ding, ding-a, ding, ding-a"
+        drums: { kick: [0, 2], snare: [1, 3], hihat: [0, 1, 1.5, 2, 3, 3.5] },
+        // Two-feel: root and fifth in half notes
+        bass: [
+            { beat: 0, length: 2 },
+            { beat: 2, length: 2 }
+        ],
+        bassLine: 'rootFifth',
+        // Four to the bar
+        comp: [0, 1, 2, 3].map(beat => ({ beat, length: 0.5 }))
+    },
+    bossa: {
+        name: 'Bossa Nova',
+        beats: 4,
+        swing: 0,
+        beatsPerBar: 4,
+        drums: { kick: [0, 1.5, 2, 3.5], snare: [1, 2.5], hihat: eighths(4) },
+        bass: [
+            { beat: 0, length: 1.5 },
+            { beat: 1.5, length: 0.5 },
+            { beat: 2, length: 1.5 },
+            { beat: 3.5, length: 0.5 }
+        ],
+        bassLine: 'rootFifth',
+        comp: [
+            { beat: 0, length: 1 },
+            { beat: 1.5, length: 1 },
+            { beat: 3, length: 1 }
+        ]
+    },
+    waltz: {
+        name: 'Waltz',
+        beats: 3,
+        swing: 0,
+        beatsPerBar: 3,
+        drums: { kick: [0], snare: [1, 2], hihat: [0, 1, 2] },
+        // "Oom-pah-pah": bass on the downbeat, the chord on two and three
+        bass: [{ beat: 0, length: 1 }],
+        bassLine: 'root',
+        comp: [
+            { beat: 1, length: 0.9 },
+            { beat: 2, length: 0.9 }
+        ]
+    },
+    ballad: {
+        name: 'Ballad Arpeggio',
+        beats: 4,
+        swing: 0,
+        beatsPerBar: 4,
+        drums: { kick: [0, 2], snare: [], hihat: [0, 1, 2, 3] },
+        bass: [{ beat: 0, length: 4 }],
+        bassLine: 'root',
+        // Rolling up the voicing in eighths, each note left to ring for a beat
+        comp: eighths(4).map((beat, index) => ({ beat, length: 1, voice: index }))
+    },
+    alberti: {
+        name: 'Alberti Bass',
+        beats: 4,
+        swing: 0,
+        beatsPerBar: 4,
+        drums: { kick: [0, 2], snare: [], hihat: [0, 1, 2, 3] },
+        bass: [
+            { beat: 0, length: 2 },
+            { beat: 2, length: 2 }
+        ],
+        bassLine: 'root',
+        // Lowest, highest, middle, highest
+        comp: eighths(4).map((beat, index) => ({
+            beat,
+            length: 0.5,
+            voice: [0, -1, 1, -1][index % 4]
+        }))
+    },
+    walking: {
+        name: 'Walking Bass',
+        beats: 4,
+        swing: 1,
+        beatsPerBar: 4,
+        drums: { kick: [0, 2], snare: [], hihat: [0, 1, 1.5, 2, 3, 3.5] },
+        // A note on every beat, walking to the next chord
+        bass: [0, 1, 2, 3].map(beat => ({ beat, length: 1 })),
+        bassLine: 'walking',
+        // Charleston: on one and the "and" of two
+        comp: [
+            { beat: 0, length: 0.75 },
+            { beat: 1.5, length: 0.5 },
+            { beat: 2, length: 0.75 },
+            { beat: 3.5, length: 0.5 }
+        ]
+    }
+};
+
+/**
+ * Move an offbeat eighth later for a swung feel
+ * @param {number} beat - Position in beats
+ * @param {number} swing - 0 plays eighths evenly, 1 swings them to the last triplet
+ * @returns {number} Swung position in beats
+ */
+function swingBeat(beat, swing) {
+    const whole = Math.floor(beat);
+    const fraction = beat - whole;
+    // Where the offbeat eighth lands: halfway (straight) up to two thirds (triplet)
+    const offbeat = 0.5 + swing / 6;
+    return fraction < 0.5
+        ? whole + fraction * 2 * offbeat
+        : whole + offbeat + (fraction - 0.5) * 2 * (1 - offbeat);
+}
+
+/**
+ * Find the hits of a repeating pattern between two positions
+ * @param {Array<{beat: number}>} pattern - Hits, with beats from the pattern's start
+ * @param {number} patternBeats - Length of the pattern in beats
+ * @param {number} from - First position, in beats from where the pattern starts repeating
+ * @param {number} to - Position to stop before
+ * @returns {Array<{hit: Object, beat: number}>} Hits and their positions, in order
+ */
+function getPatternHits(pattern, patternBeats, from, to) {
+    const hits = [];
+    const firstStart = Math.floor(from / patternBeats) * patternBeats;
+    for (let start = firstStart; start < to; start += patternBeats) {
+        pattern.forEach(hit => {
+            const beat = start + hit.beat;
+            // Positions worked out from times in seconds may be a hair off the beat
+            if (beat >= from - 1e-6 && beat < to - 1e-6) {
+                hits.push({ hit, beat });
+            }
+        });
+    }
+    return hits.sort((a, b) => a.beat - b.beat);
+}
+
+/**
+ * Stretch a pattern to another length, moving each hit to the nearest eighth
+ * note. Hits of the same drum or voice that land together are played once.
+ * @param {Array<{beat: number, length?: number, drum?: string, voice?: number}>} pattern - Hits,
+ *   with beats from the pattern's start
+ * @param {number} scale - Length of the fitted pattern over the pattern's own
+ * @returns {Array<Object>} Fitted hits
+ */
+function fitPattern(pattern, scale) {
+    const fitted = [];
+    pattern.forEach(hit => {
+        const beat = Math.round(hit.beat * scale * 2) / 2;
+        const lane = hit.drum ?? hit.voice;
+        if (!fitted.some(other => other.beat === beat && (other.drum ?? other.voice) === lane)) {
+            fitted.push(
+                hit.length === undefined
+                    ? { ...hit, beat }
+                    : { ...hit, beat, length: hit.length * scale }
+            );
+        }
+    });
+    return fitted;
+}
+
+// ES6 module export
+export { RHYTHM_STYLES, DEFAULT_RHYTHM_STYLE, swingBeat, getPatternHits, fitPattern };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.RHYTHM_STYLES = RHYTHM_STYLES;
+}
@@ -0,0 +1,364 @@
+/**
+ * Sequencer Panel Component
+ * Edits the step sequencer's pattern and loops progressions through it
+ */
+
+import { loggers } from './logger.js';
+import { MusicalTime } from './musicalTime.js';
+import { SEQUENCER_LANES, getPulseSteps, createDefaultPattern } from './stepSequencer.js';
+
+// Lane labels, in SEQUENCER_LANES order
+const LANE_LABELS = {
+    chords: 'Chords',
+    bass: 'Bass',
+    kick: 'Kick',
+    snare: 'Snare',
+    hihat: 'Hi-hat'
+};
+
+/**
+ * UI component for the step sequencer.
+ * Shows the pattern as a grid of one bar of sixteenth steps per lane, rebuilt
+ * when the time signature changes; clicking a step turns it on or off, live
+ * while playing. Until a step is clicked, and again after
+ * "Follow Style", progressions play in the engine's rhythm style instead.
+ * "Play" loops the chosen progression of the selected key through the
+ * sequencer until stopped, with the step being heard marked in the grid. The
+ * bass and drum lanes sound when Bass and Percussion are on.
+ *
+ * @class SequencerPanel
+ * @example
+ * const sequencerPanel = new SequencerPanel(musicTheory, app);
+ */
+class SequencerPanel {
+    /**
+     * Creates a new SequencerPanel instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance listing the progressions
+     * @param {Object} app - Application instance providing circleRenderer, state and
+     *   getAudioEngine()
+     */
+    constructor(musicTheory, app) {
+        this.musicTheory = musicTheory;
+        this.app = app;
+        this.logger = loggers?.audio || console;
+
+        // The panel's copy of the pattern, handed to the sequencer once a step is clicked
+        this.pattern = createDefaultPattern(this.getMusicalTime());
+        this.followStyle = true;
+        this.sequencer = null;
+        this.unsubscribe = null;
+
+        this.elements = {
+            grid: document.getElementById('sequencer-grid'),
+            progressionSelect: document.getElementById('sequencer-progression'),
+            playBtn: document.getElementById('sequencer-play'),
+            followStyleBtn: document.getElementById('sequencer-follow-style'),
+            status: document.getElementById('sequencer-status'),
+            svg: document.getElementById('circle-svg')
+        };
+
+        // Bind methods
+        this.handleGridClick = this.handleGridClick.bind(this);
+        this.handlePlayClick = this.handlePlayClick.bind(this);
+        this.handleFollowStyleClick = this.handleFollowStyleClick.bind(this);
+        this.handleStep = this.handleStep.bind(this);
+        this.handleSettingsChange = this.handleSettingsChange.bind(this);
+        this.listProgressions = this.listProgressions.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        const { grid, progressionSelect, playBtn } = this.elements;
+        if (!grid || !progressionSelect || !playBtn) {
+            this.logger.debug('Sequencer elements not found, skipping setup');
+            return;
+        }
+
+        this.renderGrid();
+        this.listProgressions();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { grid, playBtn, followStyleBtn, svg } = this.elements;
+        grid.addEventListener('click', this.handleGridClick);
+        playBtn.addEventListener('click', this.handlePlayClick);
+        followStyleBtn?.addEventListener('click', this.handleFollowStyleClick);
+        svg?.addEventListener('keySelected', this.listProgressions);
+        svg?.addEventListener('modeChanged', this.listProgressions);
+        document.addEventListener('progressionsChanged', this.listProgressions);
+        if (this.app.state) {
+            this.unsubscribe = this.app.state.subscribe('audioSettings', this.handleSettingsChange);
+        }
+    }
+
+    /**
+     * Musical time of the shared audio settings, whose bar the grid shows
+     * @private
+     * @returns {MusicalTime} Musical time
+     */
+    getMusicalTime() {
+        return new MusicalTime(this.app.state?.getState('audioSettings'));
+    }
+
+    /**
+     * Build one row of step buttons per lane
+     * @private
+     */
+    renderGrid() {
+        const { grid } = this.elements;
+        const pulseSteps = getPulseSteps(this.getMusicalTime());
+        grid.replaceChildren();
+        grid.classList.toggle('following-style', this.followStyle);
+
+        SEQUENCER_LANES.forEach(lane => {
+            const row = document.createElement('div');
+            row.className = 'sequencer-lane';
+            row.setAttribute('role', 'group');
+            row.setAttribute('aria-label', `${LANE_LABELS[lane]} steps`);
+
+            const label = document.createElement('span');
+            label.className = 'sequencer-lane-label';
+            label.textContent = LANE_LABELS[lane];
+            row.appendChild(label);
+
+            this.pattern[lane].forEach((on, step) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className =
+                    step % pulseSteps === 0 ? 'sequencer-step beat-start' : 'sequencer-step';
+                button.setAttribute('data-lane', lane);
+                button.setAttribute('data-step', String(step));
+                button.setAttribute('aria-label', `${LANE_LABELS[lane]} step ${step + 1}`);
+                button.setAttribute('aria-pressed', String(on));
+                row.appendChild(button);
+            });
+
+            grid.appendChild(row);
+        });
+    }
+
+    /**
+     * Fill the progression list for the selected key and mode, keeping the choice
+     */
+    listProgressions() {
+        const { progressionSelect } = this.elements;
+        if (!progressionSelect) {
+            return;
+        }
+
+        const { selectedKey = 'C', currentMode = 'major' } =
+            this.app.circleRenderer?.getState() || {};
+        const names = Object.keys(this.musicTheory.getChordProgressions(selectedKey, currentMode));
+        const selected = progressionSelect.value;
+
+        progressionSelect.replaceChildren();
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            progressionSelect.appendChild(option);
+        });
+        progressionSelect.value = names.includes(selected) ? selected : names[0] || '';
+    }
+
+    /**
+     * Turn the clicked step on or off
+     * @param {Event} event - Click event
+     */
+    handleGridClick(event) {
+        const button = /** @type {HTMLElement} */ (event.target).closest('[data-step]');
+        if (!button) {
+            return;
+        }
+
+        const lane = button.getAttribute('data-lane');
+        const step = Number(button.getAttribute('data-step'));
+        this.pattern[lane][step] = !this.pattern[lane][step];
+        button.setAttribute('aria-pressed', String(this.pattern[lane][step]));
+        this.setFollowStyle(false);
+
+        // Progressions looped from the main controls use the pattern too, once audio is loaded
+        if (this.app.audioEngine) {
+            this.attach(this.app.audioEngine.sequencer);
+        }
+        this.sequencer?.setPattern(this.pattern);
+    }
+
+    /**
+     * Fit the grid to a new time signature: the default pattern while following
+     * the style, otherwise the edited steps that still fit in the bar
+     * @param {Object} settings - Audio settings
+     * @param {Object} [previous] - Audio settings before the change
+     */
+    handleSettingsChange(settings, previous = {}) {
+        if (
+            ['beatsPerBar', 'beatUnit', 'beatsPerChord'].every(
+                name => settings[name] === previous[name]
+            )
+        ) {
+            return;
+        }
+
+        const fitted = createDefaultPattern(this.getMusicalTime());
+        if (!this.followStyle) {
+            SEQUENCER_LANES.forEach(lane => {
+                fitted[lane] = fitted[lane].map((_, step) => Boolean(this.pattern[lane][step]));
+            });
+            this.sequencer?.setPattern(fitted);
+        }
+        this.pattern = fitted;
+        if (this.elements.grid) {
+            this.renderGrid();
+        }
+    }
+
+    /**
+     * Go back to playing the rhythm style, resetting the grid to the default pattern
+     */
+    handleFollowStyleClick() {
+        this.pattern = createDefaultPattern(this.getMusicalTime());
+        this.setFollowStyle(true);
+        this.renderGrid();
+        this.sequencer?.setPattern(null);
+    }
+
+    /**
+     * @private
+     */
+    setFollowStyle(followStyle) {
+        this.followStyle = followStyle;
+        this.elements.grid.classList.toggle('following-style', followStyle);
+        this.elements.followStyleBtn?.setAttribute('aria-pressed', String(followStyle));
+    }
+
+    /**
+     * Start or stop the loop
+     */
+    handlePlayClick() {
+        if (this.sequencer?.isPlaying()) {
+            this.stop();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Loop the chosen progression of the selected key through the sequencer
+     * @returns {Promise<boolean>} True if it started
+     */
+    async play() {
+        const progressionName = this.elements.progressionSelect.value;
+        const { selectedKey = 'C', currentMode = 'major' } =
+            this.app.circleRenderer?.getState() || {};
+
+        try {
+            const audioEngine = await this.app.getAudioEngine();
+            this.attach(audioEngine.sequencer);
+            audioEngine.stopAll();
+            this.sequencer.setPattern(this.followStyle ? null : this.pattern);
+
+            if (
+                !(await audioEngine.playProgressionLoop(selectedKey, currentMode, progressionName))
+            ) {
+                this.showStatus(`No progression ${progressionName} in ${selectedKey}`);
+                return false;
+            }
+
+            this.elements.playBtn.textContent = 'Stop';
+            this.elements.playBtn.setAttribute('aria-pressed', 'true');
+            this.showStatus(`Looping ${progressionName} in ${selectedKey}`);
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to start the sequencer:', error);
+            this.showStatus('Could not start playback');
+            return false;
+        }
+    }
+
+    /**
+     * Stop the loop
+     */
+    stop() {
+        this.app.audioEngine?.stopAll();
+    }
+
+    /**
+     * Follow a sequencer's steps
+     * @private
+     */
+    attach(sequencer) {
+        if (this.sequencer !== sequencer) {
+            this.sequencer?.removeStepListener(this.handleStep);
+            this.sequencer = sequencer;
+            this.sequencer.addStepListener(this.handleStep);
+        }
+    }
+
+    /**
+     * Mark the step being heard, or reset when playback stops
+     * @param {number|null} step - Step sounding, or null when stopped
+     */
+    handleStep(step) {
+        const { grid, playBtn } = this.elements;
+        grid.querySelectorAll('.sequencer-step.current').forEach(button => {
+            button.classList.remove('current');
+        });
+
+        if (step === null) {
+            playBtn.textContent = 'Play';
+            playBtn.setAttribute('aria-pressed', 'false');
+            return;
+        }
+
+        grid.querySelectorAll(`[data-step="${step}"]`).forEach(button => {
+            button.classList.add('current');
+        });
+    }
+
+    /**
+     * @private
+     */
+    showStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        const { grid, playBtn, followStyleBtn, svg } = this.elements;
+        grid?.removeEventListener('click', this.handleGridClick);
+        playBtn?.removeEventListener('click', this.handlePlayClick);
+        followStyleBtn?.removeEventListener('click', this.handleFollowStyleClick);
+        svg?.removeEventListener('keySelected', this.listProgressions);
+        svg?.removeEventListener('modeChanged', this.listProgressions);
+        document.removeEventListener('progressionsChanged', this.listProgressions);
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+
+        this.sequencer?.removeStepListener(this.handleStep);
+        this.sequencer = null;
+    }
+}
+
+// ES6 module export
+export { SequencerPanel };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.SequencerPanel = SequencerPanel;
+}
@@ -0,0 +1,222 @@
+/**
+ * Settings Store
+ * Keeps the audio settings and playback toggles in localStorage between sessions
+ */
+
+import { loggers } from './logger.js';
+import {
+    DEFAULT_AUDIO_SETTINGS,
+    AUDIO_SETTING_RANGES,
+    WAVEFORMS,
+    REVERB_TYPES
+} from './state/CircleState.js';
+import { RHYTHM_STYLES } from './rhythmStyles.js';
+import { METRONOME_SUBDIVISIONS } from './metronome.js';
+import { MusicalTime } from './musicalTime.js';
+
+// Bump when the stored shape changes; older data is discarded rather than misread
+const SETTINGS_STORE_VERSION = 1;
+
+// Values a saved setting must be one of, for settings that name something
+const SETTING_CHOICES = {
+    waveform: WAVEFORMS,
+    reverbType: REVERB_TYPES,
+    rhythmStyle: Object.keys(RHYTHM_STYLES),
+    metronomeSubdivision: METRONOME_SUBDIVISIONS
+};
+
+/**
+ * Whether a value read from storage or a file can be used for a setting
+ * @param {string} name - Setting name, as in DEFAULT_AUDIO_SETTINGS
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value has the setting's type, is within its range
+ *   and names something known
+ */
+function isValidSetting(name, value) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_AUDIO_SETTINGS, name)) {
+        return false;
+    }
+    if (SETTING_CHOICES[name]) {
+        return SETTING_CHOICES[name].includes(value);
+    }
+
+    const defaultValue = DEFAULT_AUDIO_SETTINGS[name];
+    if (name === 'beatsPerChord') {
+        return value === null || (Number.isFinite(value) && value > 0);
+    }
+    if (typeof defaultValue === 'number') {
+        const range = AUDIO_SETTING_RANGES[name];
+        return (
+            Number.isFinite(value) && (range ? value >= range.min && value <= range.max : value > 0)
+        );
+    }
+    return typeof value === typeof defaultValue;
+}
+
+/**
+ * The settings of an object that can be used, dropping unknown names and invalid values;
+ * a time signature is dropped whole unless it is one of TIME_SIGNATURES
+ * @param {Object} settings - Settings read from storage or a file
+ * @returns {Object} Valid settings, named as in AudioEngine.settings
+ */
+function pickValidSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return {};
+    }
+    const valid = Object.fromEntries(
+        Object.entries(settings).filter(([name, value]) => isValidSetting(name, value))
+    );
+
+    const beatsPerBar = valid.beatsPerBar ?? DEFAULT_AUDIO_SETTINGS.beatsPerBar;
+    const beatUnit = valid.beatUnit ?? DEFAULT_AUDIO_SETTINGS.beatUnit;
+    if (!MusicalTime.isTimeSignature(beatsPerBar, beatUnit)) {
+        delete valid.beatsPerBar;
+        delete valid.beatUnit;
+    }
+    return valid;
+}
+
+/**
+ * Saves the audio settings of the shared state: sound, effects, tempo and
+ * meter, and the percussion, bass, loop and count-in toggles. Once bound to a
+ * CircleState, the settings each change touches are saved under a schema
+ * version, and a change saved in another tab is applied here too. Settings
+ * that came from a link are not saved until they are changed. load() gives the saved settings
+ * to start the state from; a saved setting of the wrong type, out of its
+ * range or naming something unknown is dropped, so it keeps its default.
+ *
+ * @class SettingsStore
+ * @example
+ * const settingsStore = new SettingsStore();
+ * const state = new CircleState({ audioSettings: settingsStore.load() });
+ * settingsStore.bindState(state);
+ */
+class SettingsStore {
+    /**
+     * Creates a new SettingsStore instance.
+     *
+     * @constructor
+     */
+    constructor() {
+        this.storageKey = 'circle-of-fifths-audio-settings';
+
+        this.state = null;
+        this.unsubscribe = null;
+
+        // Initialize logger
+        this.logger = loggers?.audio || console;
+
+        // Bind methods
+        this.save = this.save.bind(this);
+        this.handleStorageChange = this.handleStorageChange.bind(this);
+    }
+
+    /**
+     * Load the saved settings from localStorage
+     * @returns {Object} Saved settings that are still valid, named as in
+     *   AudioEngine.settings; empty if none are saved
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved || saved.version !== SETTINGS_STORE_VERSION) {
+                return {};
+            }
+
+            return pickValidSettings(saved.settings);
+        } catch (error) {
+            this.logger.warn('Failed to load audio settings from localStorage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save the settings that changed to localStorage, keeping the others as saved.
+     * Settings the state started with, such as those of the page's link, are only
+     * saved once they are changed here
+     * @param {Object} settings - Audio settings of the shared state
+     * @param {Object} [previous={}] - Settings before the change; without them every
+     *   setting is saved
+     */
+    save(settings, previous = {}) {
+        const changed = Object.keys(DEFAULT_AUDIO_SETTINGS).filter(
+            name => settings[name] !== previous[name]
+        );
+        if (changed.length === 0) {
+            return;
+        }
+
+        const saved = {
+            ...this.load(),
+            ...Object.fromEntries(changed.map(name => [name, settings[name]]))
+        };
+        try {
+            localStorage.setItem(
+                this.storageKey,
+                JSON.stringify({ version: SETTINGS_STORE_VERSION, settings: saved })
+            );
+        } catch (error) {
+            this.logger.warn('Failed to save audio settings to localStorage:', error);
+        }
+    }
+
+    /**
+     * Save the state's audio settings whenever they change, and apply changes
+     * saved in other tabs
+     * @param {CircleState} state - Shared state, usually started from load()
+     */
+    bindState(state) {
+        this.unbindState();
+        this.state = state;
+        this.unsubscribe = state.subscribe('audioSettings', this.save);
+        this.setupStorageListener();
+    }
+
+    /**
+     * Stop saving the state's settings and following other tabs
+     */
+    unbindState() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        window.removeEventListener('storage', this.handleStorageChange);
+        this.state = null;
+    }
+
+    /**
+     * Setup storage change listener for cross-tab synchronization
+     */
+    setupStorageListener() {
+        window.addEventListener('storage', this.handleStorageChange);
+    }
+
+    /**
+     * Apply settings saved in another tab; they are not a change to undo here
+     * @param {StorageEvent} event - Storage event
+     */
+    handleStorageChange(event) {
+        if (event.key === this.storageKey && this.state) {
+            this.logger.debug('Audio settings changed in another tab');
+            this.state.setState(
+                { audioSettings: { ...DEFAULT_AUDIO_SETTINGS, ...this.load() } },
+                false
+            );
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.unbindState();
+    }
+}
+
+// ES6 module export
+export { SettingsStore, pickValidSettings };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.SettingsStore = SettingsStore;
+}
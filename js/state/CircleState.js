@@ -10,39 +10,144 @@
  *     console.log(`Key changed from ${oldKey} to ${newKey}`);
  * });
  * state.setState({ selectedKey: 'G' });
+ * state.undo(); // Back to C
  */
+
+/**
+ * Audio settings the app starts with, named as in AudioEngine.settings.
+ * loopEnabled has no engine setting: it repeats progressions until stopped.
+ */
+export const DEFAULT_AUDIO_SETTINGS = Object.freeze({
+    masterVolume: 0.3,
+    waveform: 'warmSine',
+    reverbType: 'room',
+    reverbLevel: 0.2,
+    stereoWidth: 0.25,
+    useFilterEnvelope: true,
+    useStereoEnhancement: true,
+    tempo: 120,
+    rhythmStyle: 'straight',
+    beatsPerBar: 4,
+    beatUnit: 4,
+    beatsPerChord: null,
+    swing: 0,
+    metronomeSubdivision: 1,
+    percussionEnabled: true,
+    bassEnabled: false,
+    loopEnabled: true,
+    countInEnabled: false,
+    synthWithOutput: false,
+    // Synth voice
+    attackTime: 0.05,
+    decayTime: 0.1,
+    sustainLevel: 0.7,
+    releaseTime: 0.3,
+    useMultiOscillator: true,
+    subOscillatorLevel: 0.2,
+    detuneAmount: 5,
+    filterCutoff: 2000,
+    filterResonance: 2.5,
+    filterEnvelopeAmount: 4,
+    // Effects
+    delayLevel: 0.1,
+    delayTime: 0.15,
+    delayFeedback: 0.3,
+    compressionThreshold: -18,
+    compressionRatio: 4,
+    compressionKnee: 12,
+    makeupGain: 1.5,
+    // Accompaniment levels
+    percussionVolume: 0.4,
+    bassVolume: 1.2,
+    metronomeVolume: 0.5
+});
+
+/**
+ * Lowest and highest values of the number settings, as AudioEngine's setters and the
+ * tempo slider keep them; saved settings and preset files outside them are not used
+ */
+export const AUDIO_SETTING_RANGES = Object.freeze({
+    masterVolume: { min: 0, max: 1 },
+    reverbLevel: { min: 0, max: 1 },
+    stereoWidth: { min: 0, max: 1 },
+    tempo: { min: 60, max: 200 },
+    swing: { min: 0, max: 1 },
+    // Synth voice
+    attackTime: { min: 0.001, max: 2 },
+    decayTime: { min: 0.001, max: 2 },
+    sustainLevel: { min: 0, max: 1 },
+    releaseTime: { min: 0.01, max: 5 },
+    subOscillatorLevel: { min: 0, max: 1 },
+    detuneAmount: { min: 0, max: 50 },
+    filterCutoff: { min: 100, max: 20000 },
+    filterResonance: { min: 0.1, max: 20 },
+    filterEnvelopeAmount: { min: 1, max: 10 },
+    // Effects; delay feedback stays below 1 so the echoes always die away
+    delayLevel: { min: 0, max: 1 },
+    delayTime: { min: 0.01, max: 1 },
+    delayFeedback: { min: 0, max: 0.9 },
+    compressionThreshold: { min: -60, max: 0 },
+    compressionRatio: { min: 1, max: 20 },
+    compressionKnee: { min: 0, max: 40 },
+    makeupGain: { min: 0, max: 4 },
+    // Accompaniment levels
+    percussionVolume: { min: 0, max: 2 },
+    bassVolume: { min: 0, max: 2 },
+    metronomeVolume: { min: 0, max: 2 }
+});
+
+/**
+ * Sounds AudioEngine can play, the values of the waveform setting
+ */
+export const WAVEFORMS = Object.freeze([
+    'sine',
+    'square',
+    'sawtooth',
+    'triangle',
+    'piano',
+    'warmSine',
+    'softSquare',
+    'organ'
+]);
+
+/**
+ * Rooms AudioEngine's reverb can model, the values of the reverbType setting
+ */
+export const REVERB_TYPES = Object.freeze(['room', 'hall', 'plate']);
+
+// State keys whose changes undo and redo step through
+const HISTORY_KEYS = ['selectedKey', 'mode', 'audioSettings'];
+
 export class CircleState {
     /**
      * Creates a new CircleState instance
      * @constructor
-     * @param {Object} initialState - Initial state object
+     * @param {Object} initialState - Initial state object; audioSettings are merged
+     *   over DEFAULT_AUDIO_SETTINGS
      */
     constructor(initialState = {}) {
         this.state = {
             selectedKey: 'C',
             mode: 'major',
-            highlightedKeys: new Set(),
-            isPlaying: false,
-            audioSettings: {
-                volume: 0.3,
-                waveform: 'warmSine',
-                percussion: true,
-                bass: false,
-                loop: true,
-                tempo: 120,
-                reverb: 0.3,
-                attack: 0.01,
-                release: 0.5
+            // Name of the progression chosen for the key and mode; null plays the first
+            progression: null,
+            difficulty: 'beginner',
+            // What is sounding: a scale, a chord or a progression
+            playback: {
+                scale: false,
+                chord: false,
+                progression: false
             },
-            ...initialState
+            ...initialState,
+            audioSettings: { ...DEFAULT_AUDIO_SETTINGS, ...initialState.audioSettings }
         };
 
         // Map of state keys to sets of listener callbacks
         this.listeners = new Map();
 
-        // History for undo/redo functionality
-        this.history = [];
-        this.historyIndex = -1;
+        // Snapshots of the history keys after each change, the current one at historyIndex
+        this.history = [this.createSnapshot()];
+        this.historyIndex = 0;
         this.maxHistorySize = 50;
     }
 
@@ -73,7 +178,8 @@ export class CircleState {
     /**
      * Update state with new values
      * @param {Object} updates - Object with state updates
-     * @param {boolean} addToHistory - Whether to add this change to history
+     * @param {boolean} addToHistory - Whether this change can be undone; pass false
+     *   for steps on the way to a change, such as a slider being dragged
      */
     setState(updates, addToHistory = true) {
         const prevState = { ...this.state };
@@ -82,6 +188,7 @@ export class CircleState {
         Object.keys(updates).forEach(key => {
             if (
                 typeof updates[key] === 'object' &&
+                updates[key] !== null &&
                 !Array.isArray(updates[key]) &&
                 !(updates[key] instanceof Set)
             ) {
@@ -94,18 +201,10 @@ export class CircleState {
 
         // Add to history
         if (addToHistory) {
-            this.addToHistory(prevState);
+            this.addToHistory();
         }
 
-        // Notify subscribers
-        Object.keys(updates).forEach(key => {
-            const listeners = this.listeners.get(key);
-            if (listeners) {
-                listeners.forEach(callback => {
-                    callback(this.state[key], prevState[key]);
-                });
-            }
-        });
+        this.notify(Object.keys(updates), prevState);
     }
 
     /**
@@ -118,16 +217,20 @@ export class CircleState {
     }
 
     /**
-     * Add current state to history
+     * Add the current state to history, unless nothing undoable changed
      * @private
-     * @param {Object} state - State to add to history
      */
-    addToHistory(state) {
+    addToHistory() {
+        const snapshot = this.createSnapshot();
+        if (isEqual(snapshot, this.history[this.historyIndex])) {
+            return;
+        }
+
         // Remove any history after current index (for redo)
         this.history = this.history.slice(0, this.historyIndex + 1);
 
         // Add new state
-        this.history.push(state);
+        this.history.push(snapshot);
 
         // Limit history size
         if (this.history.length > this.maxHistorySize) {
@@ -137,29 +240,42 @@ export class CircleState {
         }
     }
 
+    /**
+     * Copy of the state keys history covers
+     * @private
+     * @returns {Object} Snapshot
+     */
+    createSnapshot() {
+        return Object.fromEntries(HISTORY_KEYS.map(key => [key, clone(this.state[key])]));
+    }
+
+    /**
+     * Whether there is a change to undo
+     * @returns {boolean} True if undo would do something
+     */
+    canUndo() {
+        return this.historyIndex > 0;
+    }
+
+    /**
+     * Whether there is an undone change to redo
+     * @returns {boolean} True if redo would do something
+     */
+    canRedo() {
+        return this.historyIndex < this.history.length - 1;
+    }
+
     /**
      * Undo last state change
      * @returns {boolean} True if undo was successful
      */
     undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            const previousState = this.history[this.historyIndex];
-            this.state = { ...previousState };
-
-            // Notify all listeners
-            Object.keys(this.state).forEach(key => {
-                const listeners = this.listeners.get(key);
-                if (listeners) {
-                    listeners.forEach(callback => {
-                        callback(this.state[key], this.state[key]);
-                    });
-                }
-            });
-
-            return true;
+        if (!this.canUndo()) {
+            return false;
         }
-        return false;
+        this.historyIndex--;
+        this.restore(this.history[this.historyIndex]);
+        return true;
     }
 
     /**
@@ -167,24 +283,45 @@ export class CircleState {
      * @returns {boolean} True if redo was successful
      */
     redo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            const nextState = this.history[this.historyIndex];
-            this.state = { ...nextState };
-
-            // Notify all listeners
-            Object.keys(this.state).forEach(key => {
-                const listeners = this.listeners.get(key);
-                if (listeners) {
-                    listeners.forEach(callback => {
-                        callback(this.state[key], this.state[key]);
-                    });
-                }
-            });
-
-            return true;
+        if (!this.canRedo()) {
+            return false;
         }
-        return false;
+        this.historyIndex++;
+        this.restore(this.history[this.historyIndex]);
+        return true;
+    }
+
+    /**
+     * Go back to a snapshot, notifying listeners of the keys it changes
+     * @private
+     * @param {Object} snapshot - Snapshot from history
+     */
+    restore(snapshot) {
+        const prevState = { ...this.state };
+        const changedKeys = Object.keys(snapshot).filter(
+            key => !isEqual(snapshot[key], this.state[key])
+        );
+        changedKeys.forEach(key => {
+            this.state[key] = clone(snapshot[key]);
+        });
+        this.notify(changedKeys, prevState);
+    }
+
+    /**
+     * Call the listeners of some keys with their new and old values
+     * @private
+     * @param {string[]} keys - Keys that were set
+     * @param {Object} prevState - State before they were set
+     */
+    notify(keys, prevState) {
+        keys.forEach(key => {
+            const listeners = this.listeners.get(key);
+            if (listeners) {
+                listeners.forEach(callback => {
+                    callback(this.state[key], prevState[key]);
+                });
+            }
+        });
     }
 
     /**
@@ -195,12 +332,31 @@ export class CircleState {
             {
                 selectedKey: 'C',
                 mode: 'major',
-                highlightedKeys: new Set(),
-                isPlaying: false
+                progression: null,
+                playback: { scale: false, chord: false, progression: false }
             },
             false
         );
-        this.history = [];
-        this.historyIndex = -1;
+        this.history = [this.createSnapshot()];
+        this.historyIndex = 0;
     }
 }
+
+/**
+ * Copy of a state value, one level deep like setState's merge
+ * @private
+ */
+function clone(value) {
+    if (value instanceof Set) {
+        return new Set(value);
+    }
+    return value && typeof value === 'object' ? { ...value } : value;
+}
+
+/**
+ * Whether two state values hold the same settings
+ * @private
+ */
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,415 @@
+/**
+ * Step Sequencer
+ * Plays progressions step by step from the audio engine's lookahead scheduler
+ */
+
+import { loggers } from './logger.js';
+import { MusicalTime } from './musicalTime.js';
+
+// Steps in a quarter note (sixteenths)
+const STEPS_PER_BEAT = 4;
+
+// Lanes of a pattern, top to bottom
+const SEQUENCER_LANES = ['chords', 'bass', 'kick', 'snare', 'hihat'];
+
+/**
+ * Steps in a bar of a time signature, one lane's length (16 in 4/4, 12 in 3/4 and 6/8)
+ * @param {MusicalTime} [time] - Musical time, 4/4 if not given
+ * @returns {number} Steps per bar
+ */
+function getBarSteps(time = new MusicalTime()) {
+    return time.getQuartersPerBar() * STEPS_PER_BEAT;
+}
+
+/**
+ * Steps in a pulse of a time signature: a quarter note, or a dotted quarter in compound meters
+ * @param {MusicalTime} [time] - Musical time, 4/4 if not given
+ * @returns {number} Steps per pulse
+ */
+function getPulseSteps(time = new MusicalTime()) {
+    return time.isCompound() ? STEPS_PER_BEAT * 1.5 : STEPS_PER_BEAT;
+}
+
+/**
+ * Pattern that plays progressions the way they always have: each chord struck
+ * as it arrives, the bass on every pulse, kick and snare on alternate pulses and
+ * hi-hats on the eighths, for one bar of the time signature.
+ * @param {MusicalTime} [time] - Musical time, 4/4 if not given
+ * @returns {Object<string, boolean[]>} Steps that sound, by lane
+ */
+function createDefaultPattern(time = new MusicalTime()) {
+    const chordSteps = Math.round(time.getChordLength() / time.getStepLength());
+    const pulseSteps = getPulseSteps(time);
+    const steps = hits => Array.from({ length: getBarSteps(time) }, (_, step) => hits(step));
+    return {
+        chords: steps(step => step % chordSteps === 0),
+        bass: steps(step => step % pulseSteps === 0),
+        kick: steps(step => step % (pulseSteps * 2) === 0),
+        snare: steps(step => step % (pulseSteps * 2) === pulseSteps),
+        hihat: steps(step => step % 2 === 0)
+    };
+}
+
+/**
+ * Step sequencer on AudioEngine's lookahead scheduler.
+ * A progression planned by AudioEngine.planProgression is walked a sixteenth
+ * at a time: each chord lasts as many steps as its length in the engine's
+ * musical time (8 for a chord of 4/4). With no pattern set, each
+ * chord is played in the engine's rhythm style as it arrives; a pattern's lanes
+ * instead say which steps strike
+ * the chord, play the bass and hit each drum. Lanes are one bar of the time
+ * signature long and start again at each barline. Bass and drums sound when the
+ * engine's bass and percussion are on. Every step is scheduled on the audio clock just
+ * ahead of time, so loops stay sample-accurate and tempo changes take effect
+ * from the next step. Looping re-plans each pass with voice leading from the
+ * last chord.
+ *
+ * @class StepSequencer
+ * @example
+ * const sequencer = new StepSequencer(audioEngine);
+ * sequencer.toggleStep('snare', 6);
+ * sequencer.start('C', 'major', 'ii-V-I', { loop: true });
+ */
+class StepSequencer {
+    /**
+     * Creates a new StepSequencer instance.
+     *
+     * @constructor
+     * @param {AudioEngine} audioEngine - Engine whose scheduler and sounds are used
+     */
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.logger = loggers?.audio || console;
+
+        // Steps that sound, by lane; null plays the engine's rhythm style
+        this.pattern = null;
+        this.loop = false;
+
+        // Progression being played: {key, mode, progressionName, plan, chordIndex, chordStep,
+        // beat}, beat counting from the start of the progression to the chord
+        this.playback = null;
+
+        // Called with each step as it sounds, and null when playback stops
+        this.stepListeners = new Set();
+        this.stepTimeouts = new Set();
+
+        this.handleStep = this.handleStep.bind(this);
+    }
+
+    /**
+     * Replace the pattern
+     * @param {Object<string, boolean[]>|null} pattern - Steps that sound, by lane; missing
+     *   lanes and steps past them are silent, and steps past a bar of the engine's time
+     *   signature are dropped. null goes back to the engine's rhythm style.
+     */
+    setPattern(pattern) {
+        if (!pattern) {
+            this.pattern = null;
+            return;
+        }
+
+        const barSteps = getBarSteps(this.audioEngine.getMusicalTime());
+        this.pattern = Object.fromEntries(
+            SEQUENCER_LANES.map(lane => [
+                lane,
+                Array.from({ length: barSteps }, (_, step) => Boolean(pattern[lane]?.[step]))
+            ])
+        );
+    }
+
+    /**
+     * Turn a step on or off, starting from the default pattern if none is set
+     * @param {string} lane - Lane name, see SEQUENCER_LANES
+     * @param {number} step - Step in the bar, from 0
+     * @returns {boolean} Whether the step now sounds
+     * @throws {RangeError} If the lane or step doesn't exist
+     */
+    toggleStep(lane, step) {
+        const time = this.audioEngine.getMusicalTime();
+        if (!SEQUENCER_LANES.includes(lane) || !(step >= 0 && step < getBarSteps(time))) {
+            throw new RangeError(`No sequencer step ${lane} ${step}`);
+        }
+        // Fits a pattern set in another time signature to the bar
+        this.setPattern(this.pattern || createDefaultPattern(time));
+        this.pattern[lane][step] = !this.pattern[lane][step];
+        return this.pattern[lane][step];
+    }
+
+    /**
+     * Repeat the progression until stopped, or end after the current pass
+     * @param {boolean} loop - Whether to loop
+     */
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    /**
+     * Whether a progression is playing
+     * @returns {boolean} True while playing
+     */
+    isPlaying() {
+        return this.playback !== null;
+    }
+
+    /**
+     * Play a progression from the next step
+     * @param {string} key - Key signature
+     * @param {string} mode - Major or minor
+     * @param {string} progressionName - Name of the progression
+     * @param {Object} [options] - Playback options
+     * @param {boolean} [options.loop=false] - Repeat until stopped
+     * @param {Array|null} [options.previousVoicing=null] - Voicing to lead from
+     * @param {number|null} [options.startTime=null] - Audio context time to start at, such
+     *   as the end of a count-in; the next step if null
+     * @returns {boolean} False if the progression doesn't exist
+     */
+    start(
+        key,
+        mode,
+        progressionName,
+        { loop = false, previousVoicing = null, startTime = null } = {}
+    ) {
+        const plan = this.audioEngine.planProgression(key, mode, progressionName, previousVoicing);
+        if (!plan || plan.chords.length === 0) {
+            return false;
+        }
+
+        // The scheduler plays one thing at a time
+        this.audioEngine.metronome.stop();
+        this.stop();
+        this.loop = loop;
+        this.playback = {
+            key,
+            mode,
+            progressionName,
+            plan,
+            chordIndex: 0,
+            chordStep: 0,
+            beat: 0
+        };
+        this.audioEngine.startScheduler(
+            this.handleStep,
+            this.audioEngine.settings.tempo,
+            getBarSteps(this.audioEngine.getMusicalTime()),
+            startTime
+        );
+        return true;
+    }
+
+    /**
+     * Stop at once, dropping steps not yet heard
+     */
+    stop() {
+        const wasActive = this.playback !== null || this.stepTimeouts.size > 0;
+        if (this.playback) {
+            this.audioEngine.stopScheduler();
+            this.playback = null;
+        }
+        this.stepTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
+        this.stepTimeouts.clear();
+
+        if (wasActive) {
+            this.notifyStep(null);
+        }
+    }
+
+    /**
+     * Schedule one step; called by the engine's scheduler
+     * @private
+     * @param {number} _step - Step of the scheduler, unused: the bar is counted here so
+     *   lanes start again at each barline of the current time signature
+     * @param {number} time - Audio context time the step starts
+     * @param {number} stepDuration - Length of a step in seconds at the current tempo
+     */
+    handleStep(_step, time, stepDuration) {
+        const { plan, chordIndex, chordStep, beat } = this.playback;
+        const chord = plan.chords[chordIndex];
+        const chordSteps = this.getChordSteps(chord);
+        const engine = this.audioEngine;
+        const step =
+            (Math.round(beat * STEPS_PER_BEAT) + chordStep) % getBarSteps(engine.getMusicalTime());
+
+        if (chordStep === 0 && chord.tonicizedKey) {
+            engine.scheduleNoteEvent(
+                chord.tonicizedKey,
+                'tonicization',
+                time,
+                chordSteps * stepDuration
+            );
+        }
+
+        if (!this.pattern) {
+            // The whole chord in the rhythm style, at the tempo it starts at
+            if (chordStep === 0) {
+                const { key, mode } = this.playback;
+                engine.scheduleProgressionChord(
+                    chord.voicing,
+                    chord,
+                    time,
+                    chordSteps * stepDuration,
+                    beat,
+                    {
+                        // Looping comes round to the first chord again
+                        nextChord:
+                            plan.chords[chordIndex + 1] || (this.loop ? plan.chords[0] : null),
+                        key,
+                        mode
+                    }
+                );
+            }
+        } else {
+            this.scheduleLanes(step, time, stepDuration, chord, chordSteps - chordStep);
+        }
+
+        this.scheduleStepNotification(step, time);
+        this.advance(chordSteps, time + stepDuration);
+    }
+
+    /**
+     * Schedule the pattern's lanes for one step
+     * @private
+     * @param {number} step - Step in the bar, from 0
+     * @param {number} time - Audio context time the step starts
+     * @param {number} stepDuration - Length of a step in seconds
+     * @param {Object} chord - Chord from the plan
+     * @param {number} stepsLeft - Steps until the chord ends
+     */
+    scheduleLanes(step, time, stepDuration, chord, stepsLeft) {
+        const engine = this.audioEngine;
+
+        if (this.pattern.chords[step]) {
+            const duration = this.getHitSteps('chords', step, stepsLeft) * stepDuration;
+            chord.voicing.forEach(({ note }) =>
+                engine.scheduleNoteEvent(note, 'progression-chord', time, duration)
+            );
+            engine.scheduleVoicing(chord.voicing, time, duration);
+        }
+
+        if (this.pattern.bass[step] && engine.settings.bassEnabled) {
+            const duration = this.getHitSteps('bass', step, stepsLeft) * stepDuration;
+            engine.scheduleBassNote(chord.notes[0], engine.settings.bassOctave, time, duration);
+        }
+
+        if (engine.settings.percussionEnabled) {
+            ['kick', 'snare', 'hihat']
+                .filter(drum => this.pattern[drum][step])
+                .forEach(drum => engine.scheduleDrum(drum, time));
+        }
+    }
+
+    /**
+     * Move to the next step, on to the next chord and round again when looping
+     * @private
+     * @param {number} chordSteps - Steps the current chord lasts
+     * @param {number} nextTime - Audio context time the next step starts
+     */
+    advance(chordSteps, nextTime) {
+        const playback = this.playback;
+        playback.chordStep++;
+        if (playback.chordStep < chordSteps) {
+            return;
+        }
+
+        playback.chordStep = 0;
+        playback.chordIndex++;
+        playback.beat += chordSteps / STEPS_PER_BEAT;
+        if (playback.chordIndex < playback.plan.chords.length) {
+            return;
+        }
+
+        if (!this.loop) {
+            // The last step is scheduled; stop the clock and tell listeners once it has played
+            this.audioEngine.stopScheduler();
+            this.playback = null;
+            this.scheduleStepNotification(null, nextTime);
+            return;
+        }
+
+        // Next pass, led from the last chord of this one
+        const { key, mode, progressionName, plan } = playback;
+        playback.plan =
+            this.audioEngine.planProgression(key, mode, progressionName, plan.finalVoicing) || plan;
+        playback.chordIndex = 0;
+    }
+
+    /**
+     * Steps a chord lasts, counted from its beats so the chords of a pass stay on
+     * the bar when the tempo changes during it
+     * @private
+     */
+    getChordSteps(chord) {
+        return Math.max(1, Math.round(chord.beats * STEPS_PER_BEAT));
+    }
+
+    /**
+     * Steps from a hit until the lane's next hit, or until the chord ends
+     * @private
+     */
+    getHitSteps(lane, step, stepsLeft) {
+        const barSteps = getBarSteps(this.audioEngine.getMusicalTime());
+        let steps = 1;
+        while (steps < stepsLeft && !this.pattern[lane][(step + steps) % barSteps]) {
+            steps++;
+        }
+        return steps;
+    }
+
+    /**
+     * Add a listener called with each step as it sounds, and null when playback stops
+     * @param {function(number|null): void} callback - Step listener
+     */
+    addStepListener(callback) {
+        this.stepListeners.add(callback);
+    }
+
+    /**
+     * Remove a step listener
+     * @param {function(number|null): void} callback - Step listener
+     */
+    removeStepListener(callback) {
+        this.stepListeners.delete(callback);
+    }
+
+    /**
+     * @private
+     */
+    scheduleStepNotification(step, time) {
+        const delay = (time - this.audioEngine.audioContext.currentTime) * 1000;
+        const timeoutId = setTimeout(
+            () => {
+                this.stepTimeouts.delete(timeoutId);
+                this.notifyStep(step);
+            },
+            Math.max(0, delay)
+        );
+        this.stepTimeouts.add(timeoutId);
+    }
+
+    /**
+     * @private
+     */
+    notifyStep(step) {
+        this.stepListeners.forEach(callback => {
+            try {
+                callback(step);
+            } catch (error) {
+                this.logger.warn('Error in step listener:', error);
+            }
+        });
+    }
+}
+
+// ES6 module export
+export {
+    StepSequencer,
+    STEPS_PER_BEAT,
+    SEQUENCER_LANES,
+    getBarSteps,
+    getPulseSteps,
+    createDefaultPattern
+};
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.StepSequencer = StepSequencer;
+}
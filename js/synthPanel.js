@@ -0,0 +1,383 @@
+/**
+ * Synth Panel Component
+ * Envelope, oscillator, filter, delay and compressor settings with a visual envelope editor
+ */
+
+import { loggers } from './logger.js';
+
+// Size of the envelope editor's viewBox, its margin, and the width the sustain is drawn at
+const EDITOR_WIDTH = 400;
+const EDITOR_HEIGHT = 120;
+const EDITOR_PADDING = 10;
+const SUSTAIN_WIDTH = 60;
+
+// Width each of attack, decay and release can be dragged across
+const STAGE_WIDTH = (EDITOR_WIDTH - 2 * EDITOR_PADDING - SUSTAIN_WIDTH) / 3;
+
+// Ranges and steps of the envelope settings, as on the panel's sliders
+const ENVELOPE_LIMITS = {
+    attackTime: { min: 0.005, max: 2, step: 0.005 },
+    decayTime: { min: 0.01, max: 2, step: 0.01 },
+    sustainLevel: { min: 0, max: 1, step: 0.01 },
+    releaseTime: { min: 0.01, max: 3, step: 0.01 }
+};
+
+const formatSeconds = value =>
+    value < 1 ? `${Math.round(value * 1000)} ms` : `${value.toFixed(2)} s`;
+const formatPercent = value => `${Math.round(value * 100)}%`;
+
+// Sliders of the panel ('<id>-slider', shown in '<id>-value'), and the setting each sets
+const SYNTH_SLIDERS = [
+    { id: 'synth-attack', setting: 'attackTime', format: formatSeconds },
+    { id: 'synth-decay', setting: 'decayTime', format: formatSeconds },
+    { id: 'synth-sustain', setting: 'sustainLevel', format: formatPercent },
+    { id: 'synth-release', setting: 'releaseTime', format: formatSeconds },
+    { id: 'synth-detune', setting: 'detuneAmount', format: value => `${value} cents` },
+    { id: 'synth-sub-level', setting: 'subOscillatorLevel', format: formatPercent },
+    {
+        id: 'synth-filter-cutoff',
+        setting: 'filterCutoff',
+        format: value => (value >= 1000 ? `${(value / 1000).toFixed(1)} kHz` : `${value} Hz`)
+    },
+    {
+        id: 'synth-filter-resonance',
+        setting: 'filterResonance',
+        format: value => `Q ${value.toFixed(1)}`
+    },
+    {
+        id: 'synth-filter-envelope',
+        setting: 'filterEnvelopeAmount',
+        format: value => `×${value.toFixed(1)}`
+    },
+    { id: 'synth-delay-level', setting: 'delayLevel', format: formatPercent },
+    { id: 'synth-delay-time', setting: 'delayTime', format: formatSeconds },
+    { id: 'synth-delay-feedback', setting: 'delayFeedback', format: formatPercent },
+    {
+        id: 'synth-compression-threshold',
+        setting: 'compressionThreshold',
+        format: value => `${value} dB`
+    },
+    { id: 'synth-compression-ratio', setting: 'compressionRatio', format: value => `${value}:1` },
+    { id: 'synth-compression-knee', setting: 'compressionKnee', format: value => `${value} dB` },
+    { id: 'synth-makeup-gain', setting: 'makeupGain', format: value => `×${value.toFixed(1)}` }
+];
+
+/**
+ * Where the points of an envelope are drawn in the editor. Attack, decay and
+ * release each get a third of the width left beside the sustain, on a square-root
+ * scale so short times, where most envelopes are, are easy to set.
+ * @param {{attackTime: number, decayTime: number, sustainLevel: number,
+ *   releaseTime: number}} envelope - Envelope settings
+ * @returns {Object<string, {x: number, y: number}>} Points of the envelope: start,
+ *   attack (peak), decay (sustain reached), sustain (handle, halfway along the
+ *   sustain), sustainEnd and release (silence)
+ */
+function getEnvelopePoints({ attackTime, decayTime, sustainLevel, releaseTime }) {
+    const stageX = (time, setting) => STAGE_WIDTH * Math.sqrt(time / ENVELOPE_LIMITS[setting].max);
+    const top = EDITOR_PADDING;
+    const bottom = EDITOR_HEIGHT - EDITOR_PADDING;
+    const sustainY = bottom - sustainLevel * (bottom - top);
+
+    const start = { x: EDITOR_PADDING, y: bottom };
+    const attack = { x: start.x + stageX(attackTime, 'attackTime'), y: top };
+    const decay = { x: attack.x + stageX(decayTime, 'decayTime'), y: sustainY };
+    const sustain = { x: decay.x + SUSTAIN_WIDTH / 2, y: sustainY };
+    const sustainEnd = { x: decay.x + SUSTAIN_WIDTH, y: sustainY };
+    const release = { x: sustainEnd.x + stageX(releaseTime, 'releaseTime'), y: bottom };
+
+    return { start, attack, decay, sustain, sustainEnd, release };
+}
+
+/**
+ * The envelope setting a handle of the editor sets when dragged to a point
+ * @param {string} stage - Handle dragged: 'attack', 'decay', 'sustain' or 'release'
+ * @param {number} x - Point in the editor's viewBox
+ * @param {number} y - Point in the editor's viewBox
+ * @param {Object} envelope - Current envelope settings
+ * @returns {Object} Setting to change, within its range and rounded to its step;
+ *   empty for an unknown stage
+ */
+function getEnvelopeUpdate(stage, x, y, envelope) {
+    const points = getEnvelopePoints(envelope);
+    const toSetting = (setting, value) => {
+        const { min, max, step } = ENVELOPE_LIMITS[setting];
+        const stepped = Number((Math.round(value / step) * step).toFixed(3));
+        return { [setting]: Math.max(min, Math.min(max, stepped)) };
+    };
+    const timeFrom = (setting, fromX) => {
+        const share = Math.max(0, Math.min(1, (x - fromX) / STAGE_WIDTH));
+        return toSetting(setting, ENVELOPE_LIMITS[setting].max * share * share);
+    };
+
+    switch (stage) {
+        case 'attack':
+            return timeFrom('attackTime', points.start.x);
+        case 'decay':
+            return timeFrom('decayTime', points.attack.x);
+        case 'sustain':
+            return toSetting(
+                'sustainLevel',
+                (points.start.y - y) / (points.start.y - points.attack.y)
+            );
+        case 'release':
+            return timeFrom('releaseTime', points.sustainEnd.x);
+        default:
+            return {};
+    }
+}
+
+/**
+ * UI component for the synth's voice and effects settings: the ADSR envelope,
+ * detuned and sub-oscillators, filter, delay and compressor. Every control
+ * writes to the shared state's audio settings, from which the audio engine
+ * applies them to the running graph, notes already sounding included; undo
+ * takes back a change once a slider or envelope point is let go. The envelope
+ * is drawn above its sliders, and its points can be dragged to shape it.
+ *
+ * @class SynthPanel
+ * @example
+ * const synthPanel = new SynthPanel(app);
+ */
+class SynthPanel {
+    /**
+     * Creates a new SynthPanel instance.
+     *
+     * @constructor
+     * @param {Object} app - Application instance providing state
+     */
+    constructor(app) {
+        this.app = app;
+        this.logger = loggers?.interactions || console;
+
+        this.unsubscribe = null;
+
+        // Envelope stage whose handle is being dragged
+        this.dragStage = null;
+
+        const editor = document.getElementById('envelope-editor');
+        this.elements = {
+            toggleBtn: document.getElementById('synth-panel-toggle'),
+            panel: document.getElementById('synth-panel'),
+            editor,
+            area: document.getElementById('envelope-area'),
+            line: document.getElementById('envelope-line'),
+            handles: editor ? [...editor.querySelectorAll('.envelope-handle')] : [],
+            sliders: SYNTH_SLIDERS.map(slider => ({
+                ...slider,
+                input: /** @type {HTMLInputElement} */ (
+                    document.getElementById(`${slider.id}-slider`)
+                ),
+                value: document.getElementById(`${slider.id}-value`)
+            })).filter(slider => slider.input)
+        };
+
+        // Bind methods
+        this.handleToggle = this.handleToggle.bind(this);
+        this.handleSliderInput = this.handleSliderInput.bind(this);
+        this.handleSliderChange = this.handleSliderChange.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.render = this.render.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        if (!this.elements.panel || !this.app.state) {
+            this.logger.debug('Synth panel elements not found, skipping setup');
+            return;
+        }
+
+        this.setupEventListeners();
+        this.render(this.app.state.getState('audioSettings'));
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { toggleBtn, editor, sliders } = this.elements;
+        toggleBtn?.addEventListener('click', this.handleToggle);
+        sliders.forEach(({ input }) => {
+            input.addEventListener('input', this.handleSliderInput);
+            input.addEventListener('change', this.handleSliderChange);
+        });
+        if (editor) {
+            editor.addEventListener('pointerdown', this.handlePointerDown);
+            editor.addEventListener('pointermove', this.handlePointerMove);
+            editor.addEventListener('pointerup', this.handlePointerUp);
+            editor.addEventListener('pointercancel', this.handlePointerUp);
+        }
+        this.unsubscribe = this.app.state.subscribe('audioSettings', this.render);
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    handleToggle() {
+        const { toggleBtn, panel } = this.elements;
+        const isHidden = panel.getAttribute('aria-hidden') === 'true';
+        panel.setAttribute('aria-hidden', String(!isHidden));
+        toggleBtn.setAttribute('aria-expanded', String(isHidden));
+    }
+
+    /**
+     * Apply a slider's setting every step while it is dragged
+     * @param {Event} event - Input event
+     */
+    handleSliderInput(event) {
+        this.updateSettings(this.getSliderSettings(event.target), false);
+    }
+
+    /**
+     * Apply a slider's setting as one change to undo once it is let go
+     * @param {Event} event - Change event
+     */
+    handleSliderChange(event) {
+        this.updateSettings(this.getSliderSettings(event.target));
+    }
+
+    /**
+     * The setting a slider shows, at the slider's value
+     * @private
+     */
+    getSliderSettings(input) {
+        const slider = this.elements.sliders.find(
+            ({ input: sliderInput }) => sliderInput === input
+        );
+        return slider ? { [slider.setting]: parseFloat(input.value) } : {};
+    }
+
+    /**
+     * Start dragging an envelope point
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerDown(event) {
+        const handle = /** @type {Element} */ (event.target).closest?.('.envelope-handle');
+        if (!handle) {
+            return;
+        }
+
+        event.preventDefault();
+        this.dragStage = handle.getAttribute('data-stage');
+        handle.classList.add('dragging');
+        this.elements.editor.setPointerCapture?.(event.pointerId);
+    }
+
+    /**
+     * Shape the envelope while a point is dragged
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerMove(event) {
+        if (!this.dragStage) {
+            return;
+        }
+
+        const rect = this.elements.editor.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) * EDITOR_WIDTH) / rect.width;
+        const y = ((event.clientY - rect.top) * EDITOR_HEIGHT) / rect.height;
+        const settings = this.app.state.getState('audioSettings');
+        const updates = getEnvelopeUpdate(this.dragStage, x, y, settings);
+
+        if (Object.keys(updates).some(setting => updates[setting] !== settings[setting])) {
+            this.updateSettings(updates, false);
+        }
+    }
+
+    /**
+     * Let go of an envelope point, making the envelope one change to undo
+     */
+    handlePointerUp() {
+        if (!this.dragStage) {
+            return;
+        }
+
+        this.dragStage = null;
+        this.elements.handles.forEach(handle => handle.classList.remove('dragging'));
+
+        const { attackTime, decayTime, sustainLevel, releaseTime } =
+            this.app.state.getState('audioSettings');
+        this.updateSettings({ attackTime, decayTime, sustainLevel, releaseTime });
+    }
+
+    /**
+     * Put settings in the shared state
+     * @private
+     * @param {Object} updates - Audio settings to change
+     * @param {boolean} [addToHistory=true] - Whether the change can be undone
+     */
+    updateSettings(updates, addToHistory = true) {
+        this.app.state.setState({ audioSettings: updates }, addToHistory);
+    }
+
+    /**
+     * Show settings on the sliders and the envelope editor
+     * @param {Object} settings - Audio settings of the shared state
+     */
+    render(settings) {
+        this.elements.sliders.forEach(({ input, value, setting, format }) => {
+            input.value = String(settings[setting]);
+            if (value) {
+                value.textContent = format(settings[setting]);
+            }
+        });
+        this.renderEnvelope(settings);
+    }
+
+    /**
+     * Draw the envelope and place its handles
+     * @private
+     */
+    renderEnvelope(settings) {
+        const { area, line, handles } = this.elements;
+        const points = getEnvelopePoints(settings);
+        const { start, attack, decay, sustainEnd, release } = points;
+        const path = [start, attack, decay, sustainEnd, release]
+            .map(({ x, y }, index) => `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`)
+            .join(' ');
+
+        line?.setAttribute('d', path);
+        area?.setAttribute('d', `${path} Z`);
+        handles.forEach(handle => {
+            const point = points[handle.getAttribute('data-stage')];
+            if (point) {
+                handle.setAttribute('cx', point.x.toFixed(1));
+                handle.setAttribute('cy', point.y.toFixed(1));
+            }
+        });
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        const { toggleBtn, editor, sliders } = this.elements;
+        toggleBtn?.removeEventListener('click', this.handleToggle);
+        sliders.forEach(({ input }) => {
+            input.removeEventListener('input', this.handleSliderInput);
+            input.removeEventListener('change', this.handleSliderChange);
+        });
+        if (editor) {
+            editor.removeEventListener('pointerdown', this.handlePointerDown);
+            editor.removeEventListener('pointermove', this.handlePointerMove);
+            editor.removeEventListener('pointerup', this.handlePointerUp);
+            editor.removeEventListener('pointercancel', this.handlePointerUp);
+        }
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+}
+
+// ES6 module export
+export { SynthPanel, getEnvelopePoints, getEnvelopeUpdate };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.SynthPanel = SynthPanel;
+}
@@ -7,6 +7,7 @@
 interface Window {
     // Audio context
     webkitAudioContext?: typeof AudioContext;
+    webkitOfflineAudioContext?: typeof OfflineAudioContext;
 
     // Touch and feature detection
     isTouchDevice: () => boolean;
@@ -48,12 +49,38 @@ interface Window {
     MAJOR_KEYS: any;
     MINOR_KEYS: any;
     CHORD_PROGRESSIONS: any;
+    MODES: any;
 
     AudioEngine: any;
     CircleRenderer: any;
     InteractionsHandler: any;
     ThemeManager: any;
     ThemeToggle: any;
+    IntervalPanel: any;
+    ChordSymbolPanel: any;
+    ChordFinderPanel: any;
+    AnalysisPanel: any;
+    ProgressionStore: any;
+    ProgressionEditorPanel: any;
+    ModulationPanel: any;
+    MidiExporter: any;
+    AudioRenderer: any;
+    ExportPanel: any;
+    MidiInput: any;
+    MidiInputPanel: any;
+    MidiOutput: any;
+    MidiOutputPanel: any;
+    RHYTHM_STYLES: any;
+    BassLineGenerator: any;
+    MusicalTime: any;
+    Metronome: any;
+    StepSequencer: any;
+    SequencerPanel: any;
+    PresetStore: any;
+    PresetPanel: any;
+    SynthPanel: any;
+    UrlState: any;
+    SettingsStore: any;
 
     CircleOfFifthsApp: any;
     circleOfFifthsApp: any;
@@ -119,9 +146,13 @@ interface Logger {
  */
 interface AudioEngineSettings {
     masterVolume: number;
-    noteLength: number;
-    chordLength: number;
-    progressionNoteLength: number;
+    tempo: number;
+    beatsPerBar: number;
+    beatUnit: number;
+    beatsPerChord: number | null;
+    swing: number;
+    noteQuarters: number;
+    chordQuarters: number;
     waveform: string;
     reverbType: string;
     reverbLevel: number;
@@ -133,6 +164,7 @@ interface AudioEngineSettings {
     detuneAmount: number;
     percussionVolume: number;
     bassVolume: number;
+    synthWithOutput: boolean;
     [key: string]: any;
 }
 
@@ -141,7 +173,7 @@ interface AudioEngineSettings {
  */
 interface NoteEvent {
     note: string;
-    eventType: 'start' | 'chord-start' | 'progression-chord' | 'end';
+    eventType: 'start' | 'chord-start' | 'progression-chord' | 'tonicization' | 'end';
     octave?: number;
     duration?: number;
 }
@@ -155,11 +187,38 @@ declare class MusicTheory {
     [key: string]: any;
 }
 
+/**
+ * CircleState class - shared state of the key, mode and audio settings
+ */
+declare class CircleState {
+    constructor(initialState?: any);
+    [key: string]: any;
+}
+
+/**
+ * SettingsStore class - saves the audio settings between sessions
+ */
+declare class SettingsStore {
+    constructor();
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * UrlState class - keeps the shared state in the page URL
+ */
+declare class UrlState {
+    constructor(musicTheory: MusicTheory, win?: Window);
+    destroy(): void;
+    [key: string]: any;
+}
+
 /**
  * CircleRenderer class - renders the circle of fifths SVG
  */
 declare class CircleRenderer {
-    constructor(svgElement: SVGElement, musicTheory: MusicTheory);
+    constructor(svgElement: SVGElement, musicTheory: MusicTheory, state?: CircleState);
+    state: CircleState;
     [key: string]: any;
 }
 
@@ -204,16 +263,159 @@ declare class ThemeToggle {
     [key: string]: any;
 }
 
+/**
+ * IntervalPanel class - UI component for naming and playing intervals
+ */
+declare class IntervalPanel {
+    constructor(musicTheory: MusicTheory, app: CircleOfFifthsApp);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * ChordSymbolPanel class - UI component for typing and playing chord symbols
+ */
+declare class ChordSymbolPanel {
+    constructor(musicTheory: MusicTheory, app: CircleOfFifthsApp);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * ChordFinderPanel class - UI component naming chords clicked on the piano keyboard
+ */
+declare class ChordFinderPanel {
+    constructor(musicTheory: MusicTheory, app: CircleOfFifthsApp);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * AnalysisPanel class - UI component for roman numeral analysis
+ */
+declare class AnalysisPanel {
+    constructor(musicTheory: MusicTheory, app: CircleOfFifthsApp);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * ProgressionStore class - persists the user's own chord progressions
+ */
+declare class ProgressionStore {
+    constructor(musicTheory: MusicTheory);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * ProgressionEditorPanel class - UI component for editing the user's progressions
+ */
+declare class ProgressionEditorPanel {
+    constructor(musicTheory: MusicTheory, app: CircleOfFifthsApp);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * ModulationPanel class - UI component for planning and playing modulations
+ */
+declare class ModulationPanel {
+    constructor(musicTheory: MusicTheory, app: CircleOfFifthsApp);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * ExportPanel class - UI component for downloading MIDI and WAV files
+ */
+declare class ExportPanel {
+    constructor(musicTheory: MusicTheory, app: CircleOfFifthsApp);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * MidiInputPanel class - UI component for playing a MIDI keyboard into the app
+ */
+declare class MidiInputPanel {
+    constructor(musicTheory: MusicTheory, app: CircleOfFifthsApp, options?: any);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * MidiOutputPanel class - UI component for playing through an external synth
+ */
+declare class MidiOutputPanel {
+    constructor(musicTheory: MusicTheory, app: CircleOfFifthsApp, options?: any);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * SequencerPanel class - UI component for the step sequencer
+ */
+declare class SequencerPanel {
+    constructor(musicTheory: MusicTheory, app: CircleOfFifthsApp, options?: any);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * PresetStore class - persists named sound presets
+ */
+declare class PresetStore {
+    constructor();
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * PresetPanel class - UI component for sound presets
+ */
+declare class PresetPanel {
+    constructor(app: CircleOfFifthsApp);
+    destroy(): void;
+    [key: string]: any;
+}
+
+/**
+ * SynthPanel class - UI component for synth voice and effects settings
+ */
+declare class SynthPanel {
+    constructor(app: CircleOfFifthsApp);
+    destroy(): void;
+    [key: string]: any;
+}
+
 /**
  * CircleOfFifthsApp class - main application class
  */
 declare class CircleOfFifthsApp {
     musicTheory: MusicTheory;
+    state: CircleState | null;
+    urlState: UrlState | null;
+    settingsStore: SettingsStore | null;
     circleRenderer: CircleRenderer;
     interactionsHandler: InteractionsHandler;
     audioEngine: AudioEngine | null;
     themeManager: ThemeManager;
     themeToggle: ThemeToggle;
+    intervalPanel: IntervalPanel | null;
+    chordSymbolPanel: ChordSymbolPanel | null;
+    chordFinderPanel: ChordFinderPanel | null;
+    analysisPanel: AnalysisPanel | null;
+    progressionStore: ProgressionStore | null;
+    progressionEditorPanel: ProgressionEditorPanel | null;
+    modulationPanel: ModulationPanel | null;
+    exportPanel: ExportPanel | null;
+    midiInputPanel: MidiInputPanel | null;
+    midiOutputPanel: MidiOutputPanel | null;
+    sequencerPanel: SequencerPanel | null;
+    presetStore: PresetStore | null;
+    presetPanel: PresetPanel | null;
+    synthPanel: SynthPanel | null;
     init(): Promise<boolean>;
     getAudioEngine(): Promise<AudioEngine>;
     destroy(): void;
@@ -0,0 +1,249 @@
+/**
+ * URL State
+ * Keeps the selected key, mode, progression and main audio settings in the page URL
+ */
+
+import { loggers } from './logger.js';
+import { WAVEFORMS, AUDIO_SETTING_RANGES } from './state/CircleState.js';
+
+// Query parameters of the on/off audio settings
+const TOGGLE_PARAMS = {
+    percussion: 'percussionEnabled',
+    bass: 'bassEnabled',
+    loop: 'loopEnabled',
+    countIn: 'countInEnabled'
+};
+
+// State keys the URL shows
+const URL_STATE_KEYS = ['selectedKey', 'mode', 'progression', 'audioSettings'];
+
+// Wait for changes to settle before adding a history entry, so dragging a slider or
+// clicking through keys is one step back
+const URL_UPDATE_DELAY = 500;
+
+/**
+ * Mirrors the shared state in the page's query string, so a link opens the app
+ * as it was: `?key=D&mode=dorian&progression=i-IV&tempo=90&waveform=piano&
+ * percussion=on&bass=off&loop=on&countIn=off`. read() turns a query string into
+ * state to start from; once bound to a CircleState, each settled change adds a
+ * history entry with the History API, and back and forward put the state of
+ * their entry back. Parameters a link leaves out keep their defaults, and ones
+ * that don't name a valid key, mode, progression of that key, tempo or waveform
+ * are ignored with a warning.
+ *
+ * @class UrlState
+ * @example
+ * const urlState = new UrlState(musicTheory);
+ * const state = new CircleState(urlState.read());
+ * urlState.bindState(state);
+ */
+class UrlState {
+    /**
+     * Creates a new UrlState instance.
+     *
+     * @constructor
+     * @param {MusicTheory} musicTheory - Music theory instance checking keys, modes and
+     *   progressions
+     * @param {Window} [win=window] - Window whose location and history are used
+     */
+    constructor(musicTheory, win = window) {
+        this.musicTheory = musicTheory;
+        this.window = win;
+        this.logger = loggers?.app || console;
+
+        this.state = null;
+        this.unsubscribers = [];
+        this.updateTimeoutId = null;
+
+        this.scheduleUpdate = this.scheduleUpdate.bind(this);
+        this.handlePopState = this.handlePopState.bind(this);
+    }
+
+    /**
+     * State a query string describes
+     * @param {string} [search] - Query string, the page's if not given
+     * @returns {Object} State updates for CircleState: selectedKey, mode, progression
+     *   (null for the first) and audioSettings, each only when the query sets it
+     */
+    read(search = this.window.location.search) {
+        const params = new URLSearchParams(search);
+        const updates = { progression: null };
+        const audioSettings = {};
+
+        const mode = params.get('mode');
+        if (mode !== null) {
+            if (this.musicTheory.isDiatonicMode(mode)) {
+                updates.mode = this.musicTheory.normalizeMode(mode);
+            } else {
+                this.logger.warn(`Ignoring unknown mode in link: ${mode}`);
+            }
+        }
+        const linkMode = updates.mode || 'major';
+
+        let key = params.get('key');
+        if (key !== null) {
+            key = key.charAt(0).toUpperCase() + key.slice(1);
+            if (this.musicTheory.isValidKey(key, linkMode)) {
+                updates.selectedKey = key;
+            } else {
+                this.logger.warn(`Ignoring unknown key in link: ${key}`);
+            }
+        }
+
+        const progression = params.get('progression');
+        if (progression !== null) {
+            const progressions = this.musicTheory.getChordProgressions(
+                updates.selectedKey || 'C',
+                linkMode
+            );
+            if (Object.prototype.hasOwnProperty.call(progressions, progression)) {
+                updates.progression = progression;
+            } else {
+                this.logger.warn(`Ignoring progression not in the linked key: ${progression}`);
+            }
+        }
+
+        const tempo = params.get('tempo');
+        if (tempo !== null) {
+            const bpm = Number(tempo);
+            const { min, max } = AUDIO_SETTING_RANGES.tempo;
+            if (Number.isInteger(bpm) && bpm >= min && bpm <= max) {
+                audioSettings.tempo = bpm;
+            } else {
+                this.logger.warn(`Ignoring tempo in link: ${tempo}`);
+            }
+        }
+
+        const waveform = params.get('waveform');
+        if (waveform !== null) {
+            if (WAVEFORMS.includes(waveform)) {
+                audioSettings.waveform = waveform;
+            } else {
+                this.logger.warn(`Ignoring unknown waveform in link: ${waveform}`);
+            }
+        }
+
+        Object.entries(TOGGLE_PARAMS).forEach(([param, setting]) => {
+            const value = params.get(param);
+            if (value === 'on' || value === 'off') {
+                audioSettings[setting] = value === 'on';
+            } else if (value !== null) {
+                this.logger.warn(`Ignoring ${param} in link: ${value}`);
+            }
+        });
+
+        if (Object.keys(audioSettings).length > 0) {
+            updates.audioSettings = audioSettings;
+        }
+        return updates;
+    }
+
+    /**
+     * Query string describing a state
+     * @param {CircleState} state - State to describe
+     * @returns {string} Query string, starting with '?'
+     */
+    write(state) {
+        const { selectedKey, mode, progression, audioSettings } = state.getState();
+        const params = new URLSearchParams({ key: selectedKey, mode });
+        if (progression) {
+            params.set('progression', progression);
+        }
+        params.set('tempo', String(audioSettings.tempo));
+        params.set('waveform', audioSettings.waveform);
+        Object.entries(TOGGLE_PARAMS).forEach(([param, setting]) => {
+            params.set(param, audioSettings[setting] ? 'on' : 'off');
+        });
+        return `?${params}`;
+    }
+
+    /**
+     * Show a state in the URL from now on, and follow back and forward
+     * @param {CircleState} state - Shared state, usually created from read()
+     */
+    bindState(state) {
+        this.unbindState();
+        this.state = state;
+
+        // The entry the page was opened with describes the state in full
+        this.window.history.replaceState(this.window.history.state, '', this.getUrl());
+
+        this.unsubscribers = URL_STATE_KEYS.map(key => state.subscribe(key, this.scheduleUpdate));
+        this.window.addEventListener('popstate', this.handlePopState);
+    }
+
+    /**
+     * Stop following the state and the history
+     */
+    unbindState() {
+        this.cancelUpdate();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.window.removeEventListener('popstate', this.handlePopState);
+        this.state = null;
+    }
+
+    /**
+     * Add a history entry for the state if the URL no longer describes it
+     */
+    update() {
+        this.cancelUpdate();
+        const { location, history } = this.window;
+        if (this.state && this.write(this.state) !== location.search) {
+            history.pushState(null, '', this.getUrl());
+        }
+    }
+
+    /**
+     * Update the URL once changes have settled
+     * @private
+     */
+    scheduleUpdate() {
+        this.cancelUpdate();
+        this.updateTimeoutId = setTimeout(() => this.update(), URL_UPDATE_DELAY);
+    }
+
+    /**
+     * @private
+     */
+    cancelUpdate() {
+        if (this.updateTimeoutId !== null) {
+            clearTimeout(this.updateTimeoutId);
+            this.updateTimeoutId = null;
+        }
+    }
+
+    /**
+     * Put back the state of the history entry moved to
+     * @private
+     */
+    handlePopState() {
+        // A change waiting to be added would replace the entry being returned to
+        this.cancelUpdate();
+        this.state.setState(this.read());
+    }
+
+    /**
+     * URL of the page showing the bound state
+     * @private
+     */
+    getUrl() {
+        const { pathname, hash } = this.window.location;
+        return `${pathname}${this.write(this.state)}${hash}`;
+    }
+
+    /**
+     * Stop following the state and the history
+     */
+    destroy() {
+        this.unbindState();
+    }
+}
+
+// ES6 module export
+export { UrlState };
+
+// Set on window for debugging in console (development only)
+if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
+    window.UrlState = UrlState;
+}
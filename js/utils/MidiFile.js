@@ -0,0 +1,337 @@
+/**
+ * MIDI File Utility
+ * Writes Standard MIDI Files (format 0 or 1) from notes placed in ticks
+ */
+
+// Ticks per quarter note; 480 divides evenly into triplets and sixteenths
+export const MIDI_PPQ = 480;
+
+// General MIDI percussion lives on channel 10, which is 9 counting from zero
+export const GM_DRUM_CHANNEL = 9;
+
+// General MIDI drum keys for the percussion pattern's drums and the metronome's clicks
+export const GM_DRUM_NOTES = {
+    kick: 36, // Bass Drum 1
+    snare: 38, // Acoustic Snare
+    hihat: 42, // Closed Hi-Hat
+    accentClick: 76, // Hi Wood Block, the metronome's downbeat
+    click: 77 // Low Wood Block
+};
+
+/**
+ * One track of a MidiFile: a name, a channel and its notes
+ *
+ * @class MidiTrack
+ */
+export class MidiTrack {
+    /**
+     * @constructor
+     * @param {Object} options - Track options
+     * @param {string} [options.name=''] - Track name shown by DAWs
+     * @param {number} [options.channel=0] - MIDI channel, 0-15
+     * @param {number|null} [options.program=null] - General MIDI program (0-127) set at the start
+     */
+    constructor({ name = '', channel = 0, program = null } = {}) {
+        if (!Number.isInteger(channel) || channel < 0 || channel > 15) {
+            throw new RangeError(`MIDI channel must be 0-15, got ${channel}`);
+        }
+
+        this.name = name;
+        this.channel = channel;
+        this.program = program;
+        this.notes = [];
+    }
+
+    /**
+     * Add a note
+     * @param {number} pitch - MIDI note number, 0-127 (C4 = 60)
+     * @param {number} startTick - Start in ticks from the beginning of the file
+     * @param {number} durationTicks - Length in ticks
+     * @param {number} [velocity=100] - Velocity, clamped to 1-127
+     * @returns {MidiTrack} This track, for chaining
+     */
+    addNote(pitch, startTick, durationTicks, velocity = 100) {
+        if (!Number.isInteger(pitch) || pitch < 0 || pitch > 127) {
+            throw new RangeError(`MIDI note must be 0-127, got ${pitch}`);
+        }
+
+        const start = Math.max(0, Math.round(startTick));
+        this.notes.push({
+            pitch,
+            start,
+            end: start + Math.max(1, Math.round(durationTicks)),
+            velocity: Math.min(127, Math.max(1, Math.round(velocity)))
+        });
+        return this;
+    }
+
+    /**
+     * Note-on and note-off events in time order. A note is cut short where the same
+     * key sounds again, so each note-off ends the note-on before it.
+     * @returns {Array<{tick: number, data: number[]}>} Channel events
+     */
+    getEvents() {
+        const byPitch = new Map();
+        this.notes.forEach(note => {
+            if (!byPitch.has(note.pitch)) {
+                byPitch.set(note.pitch, []);
+            }
+            byPitch.get(note.pitch).push(note);
+        });
+
+        const events = [];
+        byPitch.forEach(notes => {
+            notes.sort((a, b) => a.start - b.start);
+            notes.forEach((note, index) => {
+                const next = notes[index + 1];
+                const end = next ? Math.min(note.end, next.start) : note.end;
+                if (end <= note.start) {
+                    return;
+                }
+                events.push({
+                    tick: note.start,
+                    data: [0x90 | this.channel, note.pitch, note.velocity]
+                });
+                events.push({ tick: end, data: [0x80 | this.channel, note.pitch, 0x40] });
+            });
+        });
+
+        // Note-offs first at the same tick, so a repeated key isn't silenced by its own release
+        return events.sort((a, b) => a.tick - b.tick || (a.data[0] & 0xf0) - (b.data[0] & 0xf0));
+    }
+
+    /**
+     * Tick of the last note-off
+     * @returns {number} Length of the track in ticks
+     */
+    getLength() {
+        return this.notes.reduce((length, note) => Math.max(length, note.end), 0);
+    }
+}
+
+/**
+ * A Standard MIDI File being built. Format 1 files start with a conductor track
+ * holding the tempo and time signature, then one track per part; format 0 files
+ * merge everything into one track.
+ *
+ * @class MidiFile
+ * @example
+ * const midi = new MidiFile({ format: 1, tempo: 100 });
+ * const piano = midi.addTrack({ name: 'Piano', channel: 0, program: 0 });
+ * piano.addNote(60, 0, midi.secondsToTicks(1.2), 90);
+ * const bytes = midi.toBytes(); // Uint8Array ready to save as .mid
+ */
+export class MidiFile {
+    /**
+     * Creates a new MidiFile instance
+     * @constructor
+     * @param {Object} [options] - File options
+     * @param {number} [options.format=1] - 0 for one merged track, 1 for one track per part
+     * @param {number} [options.tempo=120] - Tempo in BPM
+     * @param {number[]} [options.timeSignature=[4, 4]] - Beats per bar and beat unit
+     * @param {string} [options.name=''] - Song name, stored on the first track
+     * @param {number} [options.ppq=MIDI_PPQ] - Ticks per quarter note
+     */
+    constructor({
+        format = 1,
+        tempo = 120,
+        timeSignature = [4, 4],
+        name = '',
+        ppq = MIDI_PPQ
+    } = {}) {
+        if (format !== 0 && format !== 1) {
+            throw new RangeError(`MIDI file format must be 0 or 1, got ${format}`);
+        }
+
+        this.format = format;
+        this.tempo = tempo;
+        this.timeSignature = timeSignature;
+        this.name = name;
+        this.ppq = ppq;
+        this.tracks = [];
+    }
+
+    /**
+     * Add a track
+     * @param {Object} [options] - Track options, see MidiTrack
+     * @returns {MidiTrack} The new track
+     */
+    addTrack(options = {}) {
+        const track = new MidiTrack(options);
+        this.tracks.push(track);
+        return track;
+    }
+
+    /**
+     * Convert seconds at the file's tempo to ticks
+     * @param {number} seconds - Time in seconds
+     * @returns {number} Whole ticks
+     */
+    secondsToTicks(seconds) {
+        return Math.round(((seconds * this.tempo) / 60) * this.ppq);
+    }
+
+    /**
+     * Encode the file
+     * @returns {Uint8Array} Standard MIDI File bytes
+     */
+    toBytes() {
+        const chunks = this.format === 0 ? [this.encodeMergedTrack()] : this.encodeTracks();
+
+        const header = [
+            ...ascii('MThd'),
+            ...uint32(6),
+            ...uint16(this.format),
+            ...uint16(chunks.length),
+            ...uint16(this.ppq)
+        ];
+
+        const bytes = [...header];
+        chunks.forEach(chunk => {
+            bytes.push(...ascii('MTrk'), ...uint32(chunk.length), ...chunk);
+        });
+        return Uint8Array.from(bytes);
+    }
+
+    /**
+     * Tempo, time signature and song name, at tick 0
+     * @private
+     */
+    getConductorEvents() {
+        const [beats, beatUnit] = this.timeSignature;
+        const microsecondsPerQuarter = Math.round(60000000 / this.tempo);
+
+        return [
+            { tick: 0, data: metaEvent(0x03, ascii(this.name)) },
+            {
+                tick: 0,
+                data: metaEvent(0x51, [
+                    (microsecondsPerQuarter >> 16) & 0xff,
+                    (microsecondsPerQuarter >> 8) & 0xff,
+                    microsecondsPerQuarter & 0xff
+                ])
+            },
+            {
+                tick: 0,
+                data: metaEvent(0x58, [beats, Math.log2(beatUnit), 24, 8])
+            }
+        ];
+    }
+
+    /**
+     * Program change for a track that sets one
+     * @private
+     */
+    getProgramEvents(track) {
+        return track.program === null
+            ? []
+            : [{ tick: 0, data: [0xc0 | track.channel, track.program & 0x7f] }];
+    }
+
+    /**
+     * Format 1: a conductor track followed by one track per part
+     * @private
+     */
+    encodeTracks() {
+        const length = this.getLength();
+        return [
+            encodeTrack(this.getConductorEvents(), length),
+            ...this.tracks.map(track =>
+                encodeTrack(
+                    [
+                        { tick: 0, data: metaEvent(0x03, ascii(track.name)) },
+                        ...this.getProgramEvents(track),
+                        ...track.getEvents()
+                    ],
+                    length
+                )
+            )
+        ];
+    }
+
+    /**
+     * Format 0: every part in one track, each keeping its own channel
+     * @private
+     */
+    encodeMergedTrack() {
+        const setup = this.tracks.flatMap(track => this.getProgramEvents(track));
+        const notes = this.tracks
+            .flatMap(track => track.getEvents())
+            .sort((a, b) => a.tick - b.tick || (a.data[0] & 0xf0) - (b.data[0] & 0xf0));
+
+        return encodeTrack([...this.getConductorEvents(), ...setup, ...notes], this.getLength());
+    }
+
+    /**
+     * Tick of the last note-off across all tracks
+     * @returns {number} Length of the file in ticks
+     */
+    getLength() {
+        return this.tracks.reduce((length, track) => Math.max(length, track.getLength()), 0);
+    }
+}
+
+/**
+ * Encode events (sorted by tick) as track data ending with End of Track
+ * @private
+ */
+function encodeTrack(events, endTick) {
+    const bytes = [];
+    let lastTick = 0;
+
+    events.forEach(({ tick, data }) => {
+        bytes.push(...variableLength(tick - lastTick), ...data);
+        lastTick = tick;
+    });
+
+    bytes.push(...variableLength(Math.max(0, endTick - lastTick)), 0xff, 0x2f, 0x00);
+    return bytes;
+}
+
+/**
+ * Encode a meta event (FF type length data)
+ * @private
+ */
+function metaEvent(type, data) {
+    return [0xff, type, ...variableLength(data.length), ...data];
+}
+
+/**
+ * Encode a number as a MIDI variable-length quantity, 7 bits per byte
+ * @param {number} value - Non-negative integer below 2^28
+ * @returns {number[]} Bytes, most significant first
+ */
+export function variableLength(value) {
+    const bytes = [value & 0x7f];
+    let remaining = value >> 7;
+    while (remaining > 0) {
+        bytes.unshift((remaining & 0x7f) | 0x80);
+        remaining >>= 7;
+    }
+    return bytes;
+}
+
+/**
+ * @private
+ */
+function uint32(value) {
+    return [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * @private
+ */
+function uint16(value) {
+    return [(value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Text as 7-bit ASCII bytes; anything else becomes '?'
+ * @private
+ */
+function ascii(text) {
+    return Array.from(String(text), char => {
+        const code = char.charCodeAt(0);
+        return code < 0x80 ? code : 0x3f;
+    });
+}
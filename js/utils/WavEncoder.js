@@ -0,0 +1,87 @@
+/**
+ * WAV Encoder Utility
+ * Writes rendered audio buffers as PCM WAV files
+ */
+
+// Bit depths the encoder writes
+export const WAV_BIT_DEPTHS = [16, 24];
+
+/**
+ * Encode an audio buffer as a 16 or 24-bit PCM WAV file.
+ * Samples are clipped to -1..1 and channels are interleaved.
+ *
+ * @param {{numberOfChannels: number, sampleRate: number, length: number,
+ *   getChannelData: function(number): Float32Array}} audioBuffer - Rendered audio,
+ *   such as the AudioBuffer from OfflineAudioContext.startRendering()
+ * @param {number} [bitDepth=16] - 16 or 24
+ * @returns {Uint8Array} WAV file bytes
+ * @example
+ * const buffer = await offlineContext.startRendering();
+ * const bytes = encodeWav(buffer, 24);
+ */
+export function encodeWav(audioBuffer, bitDepth = 16) {
+    if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+        throw new RangeError(`WAV bit depth must be 16 or 24, got ${bitDepth}`);
+    }
+
+    const { numberOfChannels, sampleRate, length } = audioBuffer;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+
+    const bytes = new Uint8Array(44 + dataSize);
+    const view = new DataView(bytes.buffer);
+
+    // RIFF header
+    writeAscii(bytes, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeAscii(bytes, 8, 'WAVE');
+
+    // Format chunk: uncompressed PCM
+    writeAscii(bytes, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    // Data chunk
+    writeAscii(bytes, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = Array.from({ length: numberOfChannels }, (_, channel) =>
+        audioBuffer.getChannelData(channel)
+    );
+    const maxValue = 2 ** (bitDepth - 1) - 1;
+    let offset = 44;
+
+    for (let i = 0; i < length; i++) {
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            const sample = Math.max(-1, Math.min(1, channels[channel][i] || 0));
+            const value = Math.round(sample * maxValue);
+
+            if (bitDepth === 16) {
+                view.setInt16(offset, value, true);
+            } else {
+                // 24-bit little-endian, two's complement
+                bytes[offset] = value & 0xff;
+                bytes[offset + 1] = (value >> 8) & 0xff;
+                bytes[offset + 2] = (value >> 16) & 0xff;
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return bytes;
+}
+
+/**
+ * @private
+ */
+function writeAscii(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        bytes[offset + i] = text.charCodeAt(i);
+    }
+}
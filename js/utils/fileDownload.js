@@ -0,0 +1,38 @@
+/**
+ * File Download Utility
+ * Names exported files and saves them from the browser
+ */
+
+/**
+ * Name an export after what it holds, e.g. 'circle-of-fifths-F-sharp-minor-scale.mid'
+ * @param {string} extension - File extension without the dot
+ * @param {...string} parts - Key, mode, content and so on
+ * @returns {string} File name safe on any file system
+ */
+export function getExportFileName(extension, ...parts) {
+    const slug = parts
+        .join('-')
+        .replace(/#/g, '-sharp')
+        .replace(/[^A-Za-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return `circle-of-fifths-${slug}.${extension}`;
+}
+
+/**
+ * Save bytes or text as a file through a temporary link
+ * @param {Uint8Array|string} bytes - File contents
+ * @param {string} fileName - Name to save under
+ * @param {string} type - MIME type, e.g. 'audio/midi'
+ */
+export function downloadFile(bytes, fileName, type) {
+    const contents = /** @type {BlobPart} */ (bytes);
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download after click() returns, so the URL is kept a moment
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -18,9 +18,38 @@ const STATIC_ASSETS = [
     './js/musicTheory.js',
     './js/audioEngine.js',
     './js/circleRenderer.js',
+    './js/state/CircleState.js',
+    './js/urlState.js',
+    './js/settingsStore.js',
     './js/interactions.js',
     './js/themeManager.js',
     './js/themeToggle.js',
+    './js/intervalPanel.js',
+    './js/chordSymbolPanel.js',
+    './js/chordFinderPanel.js',
+    './js/analysisPanel.js',
+    './js/progressionStore.js',
+    './js/progressionEditorPanel.js',
+    './js/modulationPanel.js',
+    './js/utils/MidiFile.js',
+    './js/midiExport.js',
+    './js/utils/WavEncoder.js',
+    './js/utils/fileDownload.js',
+    './js/audioRenderer.js',
+    './js/exportPanel.js',
+    './js/midiInput.js',
+    './js/midiInputPanel.js',
+    './js/midiOutput.js',
+    './js/midiOutputPanel.js',
+    './js/rhythmStyles.js',
+    './js/bassLine.js',
+    './js/musicalTime.js',
+    './js/metronome.js',
+    './js/stepSequencer.js',
+    './js/sequencerPanel.js',
+    './js/presetStore.js',
+    './js/presetPanel.js',
+    './js/synthPanel.js',
     './js/app.js',
     './assets/logo.svg',
     './assets/favicon.svg',
@@ -50,6 +50,7 @@ async function loadAllModules() {
         global.CHORD_PROGRESSIONS = musicTheoryModule.CHORD_PROGRESSIONS;
         global.NOTES = musicTheoryModule.NOTES;
         global.SCALE_PATTERNS = musicTheoryModule.SCALE_PATTERNS;
+        global.MODES = musicTheoryModule.MODES;
 
         // Load audioEngine
         const audioEngineModule = await loadES6Module('js/audioEngine.js');
@@ -71,6 +72,132 @@ async function loadAllModules() {
         const themeToggleModule = await loadES6Module('js/themeToggle.js');
         global.ThemeToggle = themeToggleModule.ThemeToggle;
 
+        // Load intervalPanel
+        const intervalPanelModule = await loadES6Module('js/intervalPanel.js');
+        global.IntervalPanel = intervalPanelModule.IntervalPanel;
+
+        // Load chordSymbolPanel
+        const chordSymbolPanelModule = await loadES6Module('js/chordSymbolPanel.js');
+        global.ChordSymbolPanel = chordSymbolPanelModule.ChordSymbolPanel;
+
+        // Load chordFinderPanel
+        const chordFinderPanelModule = await loadES6Module('js/chordFinderPanel.js');
+        global.ChordFinderPanel = chordFinderPanelModule.ChordFinderPanel;
+
+        // Load analysisPanel
+        const analysisPanelModule = await loadES6Module('js/analysisPanel.js');
+        global.AnalysisPanel = analysisPanelModule.AnalysisPanel;
+
+        // Load progressionStore
+        const progressionStoreModule = await loadES6Module('js/progressionStore.js');
+        global.ProgressionStore = progressionStoreModule.ProgressionStore;
+
+        // Load progressionEditorPanel
+        const progressionEditorPanelModule = await loadES6Module('js/progressionEditorPanel.js');
+        global.ProgressionEditorPanel = progressionEditorPanelModule.ProgressionEditorPanel;
+
+        // Load modulationPanel
+        const modulationPanelModule = await loadES6Module('js/modulationPanel.js');
+        global.ModulationPanel = modulationPanelModule.ModulationPanel;
+
+        // Load MidiFile
+        const midiFileModule = await loadES6Module('js/utils/MidiFile.js');
+        global.MidiFile = midiFileModule.MidiFile;
+        global.MidiTrack = midiFileModule.MidiTrack;
+        global.variableLength = midiFileModule.variableLength;
+
+        // Load midiExport
+        const midiExportModule = await loadES6Module('js/midiExport.js');
+        global.MidiExporter = midiExportModule.MidiExporter;
+
+        // Load WavEncoder
+        const wavEncoderModule = await loadES6Module('js/utils/WavEncoder.js');
+        global.encodeWav = wavEncoderModule.encodeWav;
+
+        // Load fileDownload
+        const fileDownloadModule = await loadES6Module('js/utils/fileDownload.js');
+        global.getExportFileName = fileDownloadModule.getExportFileName;
+
+        // Load audioRenderer
+        const audioRendererModule = await loadES6Module('js/audioRenderer.js');
+        global.AudioRenderer = audioRendererModule.AudioRenderer;
+
+        // Load exportPanel
+        const exportPanelModule = await loadES6Module('js/exportPanel.js');
+        global.ExportPanel = exportPanelModule.ExportPanel;
+
+        // Load midiInput
+        const midiInputModule = await loadES6Module('js/midiInput.js');
+        global.MidiInput = midiInputModule.MidiInput;
+
+        // Load midiInputPanel
+        const midiInputPanelModule = await loadES6Module('js/midiInputPanel.js');
+        global.MidiInputPanel = midiInputPanelModule.MidiInputPanel;
+
+        // Load midiOutput
+        const midiOutputModule = await loadES6Module('js/midiOutput.js');
+        global.MidiOutput = midiOutputModule.MidiOutput;
+
+        // Load midiOutputPanel
+        const midiOutputPanelModule = await loadES6Module('js/midiOutputPanel.js');
+        global.MidiOutputPanel = midiOutputPanelModule.MidiOutputPanel;
+
+        // Load rhythmStyles
+        const rhythmStylesModule = await loadES6Module('js/rhythmStyles.js');
+        global.RHYTHM_STYLES = rhythmStylesModule.RHYTHM_STYLES;
+        global.swingBeat = rhythmStylesModule.swingBeat;
+
+        // Load bassLine
+        const bassLineModule = await loadES6Module('js/bassLine.js');
+        global.BassLineGenerator = bassLineModule.BassLineGenerator;
+
+        // Load musicalTime
+        const musicalTimeModule = await loadES6Module('js/musicalTime.js');
+        global.MusicalTime = musicalTimeModule.MusicalTime;
+        global.TIME_SIGNATURES = musicalTimeModule.TIME_SIGNATURES;
+
+        // Load metronome
+        const metronomeModule = await loadES6Module('js/metronome.js');
+        global.Metronome = metronomeModule.Metronome;
+
+        // Load CircleState
+        const circleStateModule = await loadES6Module('js/state/CircleState.js');
+        global.CircleState = circleStateModule.CircleState;
+        global.DEFAULT_AUDIO_SETTINGS = circleStateModule.DEFAULT_AUDIO_SETTINGS;
+        global.WAVEFORMS = circleStateModule.WAVEFORMS;
+
+        // Load urlState
+        const urlStateModule = await loadES6Module('js/urlState.js');
+        global.UrlState = urlStateModule.UrlState;
+
+        // Load settingsStore
+        const settingsStoreModule = await loadES6Module('js/settingsStore.js');
+        global.SettingsStore = settingsStoreModule.SettingsStore;
+
+        // Load stepSequencer
+        const stepSequencerModule = await loadES6Module('js/stepSequencer.js');
+        global.StepSequencer = stepSequencerModule.StepSequencer;
+        global.getBarSteps = stepSequencerModule.getBarSteps;
+        global.createDefaultPattern = stepSequencerModule.createDefaultPattern;
+
+        // Load sequencerPanel
+        const sequencerPanelModule = await loadES6Module('js/sequencerPanel.js');
+        global.SequencerPanel = sequencerPanelModule.SequencerPanel;
+
+        // Load presetStore
+        const presetStoreModule = await loadES6Module('js/presetStore.js');
+        global.PresetStore = presetStoreModule.PresetStore;
+
+        // Load presetPanel
+        const presetPanelModule = await loadES6Module('js/presetPanel.js');
+        global.PresetPanel = presetPanelModule.PresetPanel;
+
+        // Load synthPanel
+        const synthPanelModule = await loadES6Module('js/synthPanel.js');
+        global.SynthPanel = synthPanelModule.SynthPanel;
+        global.getEnvelopePoints = synthPanelModule.getEnvelopePoints;
+        global.getEnvelopeUpdate = synthPanelModule.getEnvelopeUpdate;
+
         // Load app
         const appModule = await loadES6Module('js/app.js');
         global.CircleOfFifthsApp = appModule.CircleOfFifthsApp;
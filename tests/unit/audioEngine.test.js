@@ -42,9 +42,14 @@ describe('AudioEngine Module', () => {
         test('should have correct default settings', () => {
             expect(audioEngine.settings).toEqual({
                 masterVolume: 0.3,
-                noteLength: 0.8,
-                chordLength: 1.5,
-                progressionNoteLength: 1.0,
+                tempo: 120,
+                beatsPerBar: 4,
+                beatUnit: 4,
+                beatsPerChord: null,
+                swing: 0,
+                noteQuarters: 1.6,
+                chordQuarters: 3,
+                rhythmStyle: 'straight',
                 attackTime: 0.05,
                 decayTime: 0.1,
                 sustainLevel: 0.7,
@@ -73,8 +78,12 @@ describe('AudioEngine Module', () => {
                 bassEnabled: false,
                 bassVolume: 1.2,
                 bassOctave: 2,
+                metronomeVolume: 0.5,
+                metronomeSubdivision: 1,
+                countInEnabled: false,
                 percussionEnabled: false,
-                percussionVolume: 0.4
+                percussionVolume: 0.4,
+                synthWithOutput: false
             });
         });
     });
@@ -221,8 +230,8 @@ describe('AudioEngine Module', () => {
         test('should use default duration if not specified', async () => {
             await audioEngine.playNote('A', 4);
 
-            // Should use default noteLength setting
-            expect(audioEngine.settings.noteLength).toBe(0.8);
+            // Should use default note length
+            expect(audioEngine.getNoteLength()).toBeCloseTo(0.8, 9);
         });
 
         test('should initialize audio context if not initialized', async () => {
@@ -284,8 +293,8 @@ describe('AudioEngine Module', () => {
 
             await audioEngine.playChord(chordNotes, 4);
 
-            // Should use default chordLength setting
-            expect(audioEngine.settings.chordLength).toBe(1.5);
+            // Should use default chord length
+            expect(audioEngine.getChordLength()).toBe(1.5);
         });
 
         test('should spread notes across octaves if needed', async () => {
@@ -336,7 +345,7 @@ describe('AudioEngine Module', () => {
             await audioEngine.playScale('C', 'major', 4);
 
             // Note duration should be 60% of default noteLength
-            const expectedDuration = audioEngine.settings.noteLength * 0.6;
+            const expectedDuration = audioEngine.getNoteLength() * 0.6;
             expect(expectedDuration).toBeCloseTo(0.48, 2); // 0.8 * 0.6 = 0.48
         });
 
@@ -345,7 +354,7 @@ describe('AudioEngine Module', () => {
 
             await audioEngine.playScale('C', 'major', 4);
 
-            const expectedSpacing = audioEngine.settings.noteLength * 0.6 * 0.8;
+            const expectedSpacing = audioEngine.getNoteLength() * 0.6 * 0.8;
             expect(expectedSpacing).toBeCloseTo(0.384, 2); // 0.8 * 0.6 * 0.8 = 0.384
         });
 
@@ -393,8 +402,58 @@ describe('AudioEngine Module', () => {
 
             await audioEngine.playProgression('C', 'major', 'I-V-vi-IV');
 
-            const expectedSpacing = audioEngine.settings.progressionNoteLength;
-            expect(expectedSpacing).toBe(1.0); // Default progression note length
+            const expectedSpacing = audioEngine.getProgressionChordLength();
+            expect(expectedSpacing).toBe(1.0); // Half a bar of 4/4 at 120 BPM
+        });
+
+        test('should use per-chord qualities and durations of custom progressions', async () => {
+            audioEngine.musicTheory.setCustomProgressions({
+                major: {
+                    'custom-test': {
+                        name: 'Held Tonic',
+                        roman: ['ii', 'V', 'I'],
+                        qualities: ['minor7', 'dominant7', null],
+                        durations: [1, 1, 2]
+                    }
+                }
+            });
+            const getChordNotes = audioEngine.musicTheory.getChordNotes.bind(
+                audioEngine.musicTheory
+            );
+            const chordNotesSpy = jest.fn(getChordNotes);
+            audioEngine.musicTheory.getChordNotes = chordNotesSpy;
+
+            const result = await audioEngine.playProgression('C', 'major', 'custom-test');
+
+            expect(chordNotesSpy).toHaveBeenCalledWith('D', 'minor7');
+            expect(chordNotesSpy).toHaveBeenCalledWith('G', 'dominant7');
+            expect(chordNotesSpy).toHaveBeenCalledWith('C', 'major');
+            expect(result.totalDuration).toBe(4 * audioEngine.getProgressionChordLength());
+        });
+
+        test('should play a modulation route chord by chord', async () => {
+            const [route] = audioEngine.musicTheory.planModulation('C', 'major', 'G');
+            const events = [];
+            audioEngine.addNoteEventListener(event => events.push(event));
+
+            const result = await audioEngine.playModulation(route);
+
+            expect(result.totalDuration).toBe(
+                route.chords.length * audioEngine.getProgressionChordLength()
+            );
+            expect(result.finalVoicing.map(voice => voice.note).sort()).toEqual(['B', 'D', 'G']);
+            expect(events.filter(event => event.eventType === 'progression-chord').length).toBe(
+                route.chords.reduce((sum, chord) => sum + chord.notes.length, 0)
+            );
+            audioEngine.stopAll();
+        });
+
+        test('should share the music theory instance it is given', () => {
+            const musicTheory = new global.MusicTheory();
+            const sharedEngine = new global.AudioEngine(musicTheory);
+
+            expect(sharedEngine.musicTheory).toBe(musicTheory);
+            sharedEngine.dispose();
         });
     });
 
@@ -431,6 +490,13 @@ describe('AudioEngine Module', () => {
             expect(audioEngine.getChordQuality('VI', 'minor')).toBe('major');
             expect(audioEngine.getChordQuality('VII', 'minor')).toBe('major');
         });
+
+        test('should read sevenths and inversions from figured numerals', () => {
+            expect(audioEngine.getChordQuality('viiø6/5', 'major')).toBe('halfDiminished7');
+            expect(audioEngine.getChordQuality('IM7', 'major')).toBe('major7');
+            expect(audioEngine.getChordQuality('V4/2/IV', 'major')).toBe('dominant7');
+            expect(audioEngine.getChordQuality('bVII', 'major')).toBe('major');
+        });
     });
 
     describe('stopAll()', () => {
@@ -495,15 +561,105 @@ describe('AudioEngine Module', () => {
 
         test('should set note duration within valid range', () => {
             audioEngine.setNoteDuration(1.5);
-            expect(audioEngine.settings.noteLength).toBe(1.5);
+            expect(audioEngine.getNoteLength()).toBeCloseTo(1.5, 9);
         });
 
         test('should clamp note duration to valid range', () => {
             audioEngine.setNoteDuration(0.05);
-            expect(audioEngine.settings.noteLength).toBe(0.1);
+            expect(audioEngine.getNoteLength()).toBeCloseTo(0.1, 9);
 
             audioEngine.setNoteDuration(5.0);
-            expect(audioEngine.settings.noteLength).toBe(3.0);
+            expect(audioEngine.getNoteLength()).toBeCloseTo(3.0, 9);
+        });
+    });
+
+    describe('Live synth settings', () => {
+        beforeEach(async () => {
+            await audioEngine.initialize();
+        });
+
+        const soundingVoice = () => [...audioEngine.activeVoices][0];
+
+        test('should keep track of voices until they are stopped', async () => {
+            await audioEngine.playNote('C', 4, 2);
+
+            expect(audioEngine.activeVoices.size).toBe(1);
+
+            audioEngine.stopAll();
+
+            expect(audioEngine.activeVoices.size).toBe(0);
+        });
+
+        test('should change the filter resonance of sounding notes and the effects', async () => {
+            await audioEngine.playNote('C', 4, 2);
+
+            audioEngine.setFilterResonance(8);
+
+            expect(soundingVoice().filter.Q.value).toBe(8);
+            expect(audioEngine.effectsChain.nodes.lowPassFilter.Q.value).toBe(8);
+        });
+
+        test('should change the detune and sub-oscillator of sounding notes', async () => {
+            await audioEngine.playNote('C', 4, 2);
+
+            audioEngine.setDetuneAmount(20);
+            audioEngine.setSubOscillatorLevel(0.6);
+
+            const voice = soundingVoice();
+            expect(voice.leftOscillator.detune.value).toBe(-20);
+            expect(voice.rightOscillator.detune.value).toBe(20);
+            expect(voice.subGain.gain.value).toBe(0.6);
+        });
+
+        test('should reshape the envelope of sounding notes', async () => {
+            await audioEngine.playNote('C', 4, 2);
+            const voice = soundingVoice();
+            const { gain } = voice.gainNode;
+            jest.spyOn(gain, 'cancelAndHoldAtTime');
+            jest.spyOn(gain, 'setTargetAtTime');
+            // Halfway through the note, while it sustains
+            audioEngine.audioContext.currentTime = voice.startTime + 1;
+
+            audioEngine.setEnvelope({ sustainLevel: 0.5, releaseTime: 0.5 });
+
+            expect(gain.cancelAndHoldAtTime).toHaveBeenCalledWith(voice.startTime + 1);
+            expect(gain.setTargetAtTime).toHaveBeenCalledWith(0.15, voice.startTime + 1, 0.02);
+            expect(gain.setTargetAtTime).toHaveBeenCalledWith(0.00001, voice.startTime + 1.5, 0.1);
+        });
+
+        test('should keep envelope settings within their ranges', () => {
+            audioEngine.setEnvelope({ releaseTime: 1.2, sustainLevel: 2 });
+
+            expect(audioEngine.settings.releaseTime).toBe(1.2);
+            expect(audioEngine.settings.sustainLevel).toBe(1);
+            expect(audioEngine.settings.attackTime).toBe(0.05);
+        });
+
+        test('should change the delay and compressor of the running effects', () => {
+            const { delayFeedback, compressor, makeupGain } = audioEngine.effectsChain.nodes;
+
+            audioEngine.setDelayFeedback(1.5);
+            audioEngine.setCompression({ compressionThreshold: -30, makeupGain: 2 });
+
+            expect(delayFeedback.gain.value).toBe(0.9);
+            expect(compressor.threshold.value).toBe(-30);
+            expect(compressor.ratio.value).toBe(4);
+            expect(makeupGain.gain.value).toBe(2);
+        });
+
+        test('should apply synth settings from the shared state', async () => {
+            const state = new global.CircleState();
+            audioEngine.bindState(state);
+            await audioEngine.playNote('C', 4, 2);
+
+            state.setState({
+                audioSettings: { filterResonance: 6, delayTime: 0.4, compressionKnee: 20 }
+            });
+
+            const { delay, compressor } = audioEngine.effectsChain.nodes;
+            expect(soundingVoice().filter.Q.value).toBe(6);
+            expect(delay.delayTime.value).toBe(0.4);
+            expect(compressor.knee.value).toBe(20);
         });
     });
 
@@ -545,30 +701,36 @@ describe('AudioEngine Module', () => {
             await audioEngine.initialize();
         });
 
-        test('should play metronome click', () => {
-            const initialCount = audioEngine.currentlyPlaying.size;
+        test('should click now by default', () => {
+            const click = audioEngine.playClick();
 
-            audioEngine.playClick(800, 0.1);
+            expect(click.oscillator.started).toBe(true);
+            expect(click.oscillator.frequency.value).toBe(1000);
+            expect(audioEngine.currentlyPlaying.has(click.oscillator)).toBe(true);
+        });
+
+        test('should click higher on the downbeat and lower between beats', () => {
+            const accent = audioEngine.playClick(1, 'accent');
+            const subdivision = audioEngine.playClick(1.25, 'subdivision');
 
-            // Should add an oscillator temporarily
-            expect(audioEngine.currentlyPlaying.size).toBeGreaterThanOrEqual(initialCount);
+            expect(accent.oscillator.frequency.value).toBe(1600);
+            expect(subdivision.oscillator.frequency.value).toBe(800);
         });
 
-        test('should use default parameters', () => {
-            const initialCount = audioEngine.currentlyPlaying.size;
+        test('should be the click scheduled on the beat', () => {
+            const clicks = [];
+            audioEngine.playClick = (time, level) => clicks.push(`${level}@${time}`);
 
-            audioEngine.playClick();
+            audioEngine.scheduleClick(2, 'accent');
 
-            // Should use default frequency of 800Hz
-            expect(audioEngine.currentlyPlaying.size).toBeGreaterThanOrEqual(initialCount);
+            expect(clicks).toEqual(['accent@2']);
         });
 
         test('should not play if not initialized', () => {
             audioEngine.isInitialized = false;
             const initialCount = audioEngine.currentlyPlaying.size;
 
-            audioEngine.playClick();
-
+            expect(audioEngine.playClick()).toBeNull();
             expect(audioEngine.currentlyPlaying.size).toBe(initialCount);
         });
     });
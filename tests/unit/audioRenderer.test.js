@@ -0,0 +1,209 @@
+/**
+ * Unit Tests for Offline Rendering
+ * Tests covering AudioRenderer scheduling, repeatable noise and WAV encoding
+ */
+
+// AudioRenderer, AudioEngine and encodeWav are loaded as globals in the test environment
+
+/**
+ * Stand-in for OfflineAudioContext: records the oscillators started and the
+ * impulse responses generated, and renders silence of the requested length
+ */
+class FakeOfflineContext extends global.AudioContext {
+    constructor(channels, length, sampleRate) {
+        super();
+        this.channels = channels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.startTimes = [];
+        this.convolverBuffers = [];
+        this.rendered = false;
+    }
+
+    createOscillator() {
+        const oscillator = super.createOscillator();
+        const start = oscillator.start.bind(oscillator);
+        oscillator.start = when => {
+            this.startTimes.push(when);
+            start(when);
+        };
+        return oscillator;
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return {
+            numberOfChannels: channels,
+            length,
+            sampleRate,
+            getChannelData: channel => data[channel]
+        };
+    }
+
+    createConvolver() {
+        const convolver = this.createGain();
+        const context = this;
+        Object.defineProperty(convolver, 'buffer', {
+            set(buffer) {
+                context.convolverBuffers.push(buffer);
+            }
+        });
+        return convolver;
+    }
+
+    async resume() {
+        throw new Error('An offline context must not be resumed');
+    }
+
+    async startRendering() {
+        this.rendered = true;
+        return this.createBuffer(this.channels, this.length, this.sampleRate);
+    }
+}
+
+describe('Offline Rendering', () => {
+    let audioEngine;
+    let contexts;
+    let renderer;
+
+    beforeEach(() => {
+        audioEngine = new global.AudioEngine();
+        contexts = [];
+        renderer = new global.AudioRenderer(audioEngine, {
+            sampleRate: 8000,
+            createContext: (channels, length, sampleRate) => {
+                const context = new FakeOfflineContext(channels, length, sampleRate);
+                contexts.push(context);
+                return context;
+            }
+        });
+    });
+
+    afterEach(() => {
+        audioEngine.dispose();
+    });
+
+    describe('AudioRenderer', () => {
+        test('should render a progression looped N times with a tail for the reverb', async () => {
+            const plan = audioEngine.planProgression('C', 'major', 'ii-V-I');
+
+            const buffer = await renderer.renderProgression('C', 'major', 'ii-V-I', { loops: 2 });
+            const [context] = contexts;
+
+            expect(context.rendered).toBe(true);
+            expect(buffer.length).toBe(Math.ceil((plan.totalDuration * 2 + 3) * 8000));
+            expect(Math.max(...context.startTimes)).toBeCloseTo(
+                plan.totalDuration + plan.chords[2].time,
+                5
+            );
+        });
+
+        test('should render with the live settings without touching the live engine', async () => {
+            audioEngine.settings.tempo = 90;
+
+            const buffer = await renderer.renderChord(['C', 'E', 'G']);
+
+            expect(buffer.length).toBe((2 + 3) * 8000);
+            expect(contexts[0].startTimes.every(time => time === 0)).toBe(true);
+            expect(audioEngine.isInitialized).toBe(false);
+        });
+
+        test('should render the scale playScale plays', async () => {
+            const events = audioEngine.getScaleEvents('D', 'dorian');
+            const last = events[events.length - 1];
+
+            const buffer = await renderer.renderScale('D', 'dorian');
+
+            expect(buffer.length).toBe(Math.ceil((last.time + last.duration + 3) * 8000));
+            expect(new Set(contexts[0].startTimes).size).toBe(events.length);
+        });
+
+        test('should generate the same reverb noise on every render', async () => {
+            await renderer.renderChord(['C', 'E', 'G']);
+            await renderer.renderChord(['C', 'E', 'G']);
+
+            const [first, second] = contexts.map(context =>
+                Array.from(context.convolverBuffers[0].getChannelData(0).slice(0, 64))
+            );
+            expect(first).toEqual(second);
+            expect(first.some(sample => sample !== 0)).toBe(true);
+        });
+
+        test('should return null for an unknown progression', async () => {
+            audioEngine.logger = { ...audioEngine.logger, warn: jest.fn() };
+
+            expect(await renderer.renderProgression('C', 'major', 'nope')).toBeNull();
+            expect(contexts).toHaveLength(0);
+        });
+    });
+
+    describe('encodeWav()', () => {
+        const buffer = (channels, sampleRate = 44100) => ({
+            numberOfChannels: channels.length,
+            sampleRate,
+            length: channels[0].length,
+            getChannelData: channel => Float32Array.from(channels[channel])
+        });
+
+        const view = bytes => new DataView(bytes.buffer);
+        const ascii = (bytes, start) => String.fromCharCode(...bytes.slice(start, start + 4));
+
+        test('should write a 16-bit PCM header', () => {
+            const bytes = global.encodeWav(
+                buffer([
+                    [0, 0.5],
+                    [0, -0.5]
+                ]),
+                16
+            );
+
+            expect(ascii(bytes, 0)).toBe('RIFF');
+            expect(ascii(bytes, 8)).toBe('WAVE');
+            expect(ascii(bytes, 36)).toBe('data');
+            expect(view(bytes).getUint16(20, true)).toBe(1);
+            expect(view(bytes).getUint16(22, true)).toBe(2);
+            expect(view(bytes).getUint32(24, true)).toBe(44100);
+            expect(view(bytes).getUint16(34, true)).toBe(16);
+            expect(view(bytes).getUint32(40, true)).toBe(8);
+            expect(bytes.length).toBe(52);
+        });
+
+        test('should interleave channels and clip 16-bit samples', () => {
+            const bytes = global.encodeWav(
+                buffer([
+                    [1, 2],
+                    [-1, -2]
+                ]),
+                16
+            );
+            const data = new DataView(bytes.buffer, 44);
+
+            expect([0, 2, 4, 6].map(offset => data.getInt16(offset, true))).toEqual([
+                32767, -32767, 32767, -32767
+            ]);
+        });
+
+        test('should write 24-bit little-endian samples', () => {
+            const bytes = global.encodeWav(buffer([[0.5, -0.5]]), 24);
+
+            expect(view(bytes).getUint16(34, true)).toBe(24);
+            expect(view(bytes).getUint16(32, true)).toBe(3);
+            expect(Array.from(bytes.slice(44))).toEqual([0x00, 0x00, 0x40, 0x01, 0x00, 0xc0]);
+        });
+
+        test('should only write 16 or 24-bit files', () => {
+            expect(() => global.encodeWav(buffer([[0]]), 32)).toThrow(RangeError);
+        });
+    });
+
+    describe('getExportFileName()', () => {
+        test('should name downloads after their contents', () => {
+            expect(global.getExportFileName('mid', 'F#', 'minor', 'scale')).toBe(
+                'circle-of-fifths-F-sharp-minor-scale.mid'
+            );
+            expect(global.getExportFileName('wav', 'Bb', 'major', 'I-V-vi-IV', 'x4')).toBe(
+                'circle-of-fifths-Bb-major-I-V-vi-IV-x4.wav'
+            );
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for the Bass Line Generator
+ * Tests covering root/fifth, approach and walking lines led into the next
+ * chord, and AudioEngine playing them with bass note events
+ */
+
+// BassLineGenerator, MusicTheory and AudioEngine are loaded as globals in the test environment
+
+describe('Bass Line Generator', () => {
+    let bassLine;
+    const names = line => line.map(({ note, octave }) => `${note}${octave}`);
+    const dMinor = { root: 'D', notes: ['D', 'F', 'A'] };
+    const gSeven = { root: 'G', notes: ['G', 'B', 'D', 'F'] };
+    const cMajor = { root: 'C', notes: ['C', 'E', 'G'] };
+
+    beforeEach(() => {
+        bassLine = new global.BassLineGenerator(new global.MusicTheory());
+    });
+
+    test('should stay on the bass note for root lines', () => {
+        const line = bassLine.getLine({ notes: ['E', 'G', 'C'] }, cMajor, { count: 3 });
+
+        expect(names(line)).toEqual(['E2', 'E2', 'E2']);
+    });
+
+    test('should alternate the bass note with the fifth below', () => {
+        const line = bassLine.getLine(cMajor, null, { type: 'rootFifth', count: 4 });
+
+        expect(names(line)).toEqual(['C2', 'G1', 'C2', 'G1']);
+    });
+
+    test('should lead into the next chord from a scale step', () => {
+        const line = bassLine.getLine(
+            cMajor,
+            { notes: ['F', 'A', 'C'] },
+            {
+                type: 'approach',
+                count: 4,
+                key: 'C'
+            }
+        );
+
+        expect(names(line)).toEqual(['C2', 'C2', 'C2', 'E2']);
+    });
+
+    test('should walk through the key to a chromatic approach', () => {
+        const line = bassLine.getLine(dMinor, gSeven, { type: 'walking', count: 4, key: 'C' });
+
+        expect(names(line)).toEqual(['D2', 'F2', 'E2', 'F#2']);
+    });
+
+    test('should spell chromatic approaches from below with the letter below', () => {
+        const intoD = bassLine.getLine(cMajor, dMinor, { type: 'walking', count: 4, key: 'C' });
+        const intoFSharp = bassLine.getLine(
+            { root: 'C#', notes: ['C#', 'E', 'G#'] },
+            { root: 'F#', notes: ['F#', 'A', 'C#'] },
+            { type: 'walking', count: 4, key: 'E' }
+        );
+
+        expect(names(intoD)).toEqual(['C2', 'E2', 'D2', 'C#2']);
+        expect(intoFSharp[3].note).toBe('E#');
+    });
+
+    test('should not walk back to the bass note before the approach', () => {
+        [dMinor, gSeven, { root: 'F', notes: ['F', 'A', 'C'] }].forEach(next => {
+            const line = bassLine.getLine(cMajor, next, { type: 'walking', count: 4, key: 'C' });
+
+            expect(line[2].note).not.toBe('C');
+        });
+    });
+
+    test('should approach from above when the next chord is lower', () => {
+        const line = bassLine.getLine(
+            cMajor,
+            { notes: ['A', 'C', 'E'] },
+            { type: 'walking', count: 2, key: 'C' }
+        );
+
+        expect(names(line)).toEqual(['C2', 'Bb1']);
+    });
+
+    test('should spell notes as the key does', () => {
+        const line = bassLine.getLine(
+            { notes: ['Bb', 'D', 'F'] },
+            { notes: ['Eb', 'G', 'Bb'] },
+            {
+                type: 'walking',
+                count: 4,
+                key: 'Bb'
+            }
+        );
+
+        expect(line[0].note).toBe('Bb');
+        expect(line.every(({ note }) => !note.includes('#'))).toBe(true);
+    });
+
+    describe('AudioEngine', () => {
+        let audioEngine;
+
+        beforeEach(async () => {
+            audioEngine = new global.AudioEngine();
+            await audioEngine.initialize();
+            audioEngine.settings.bassEnabled = true;
+        });
+
+        afterEach(() => {
+            audioEngine.dispose();
+        });
+
+        test('should walk each chord of a progression into the next', async () => {
+            audioEngine.setRhythmStyle('walking');
+            const played = [];
+            audioEngine.scheduleBassNote = (note, octave) => played.push(`${note}${octave}`);
+
+            await audioEngine.playProgression('C', 'major', 'ii-V-I');
+
+            // Two beats a chord: the bass note, then a half step from the next one
+            expect(played).toEqual(['D2', 'F#2', 'G2', 'B2', 'C2', 'E2']);
+        });
+
+        test('should tell note listeners which bass notes sound', () => {
+            const events = [];
+            audioEngine.scheduleNoteEvent = (note, eventType, time, duration) =>
+                events.push({ note, eventType, time, duration });
+
+            audioEngine.scheduleBassNote('A', 2, 0.5, 0.25);
+
+            expect(events).toEqual([
+                { note: 'A', eventType: 'bass-note', time: 0.5, duration: 0.25 }
+            ]);
+        });
+    });
+});
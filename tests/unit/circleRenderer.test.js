@@ -467,6 +467,27 @@ describe('CircleRenderer Module', () => {
             consoleSpy.mockRestore();
         });
 
+        test('should switch to church modes', () => {
+            const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+            circleRenderer.switchMode('dorian');
+            expect(circleRenderer.currentMode).toBe('dorian');
+
+            circleRenderer.switchMode('Aeolian');
+            expect(circleRenderer.currentMode).toBe('minor');
+            expect(consoleSpy).not.toHaveBeenCalled();
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should color segments by the tonic quality of the mode', () => {
+            circleRenderer.switchMode('lydian');
+            expect(circleRenderer.getModeColorClass()).toBe('major');
+
+            circleRenderer.switchMode('phrygian');
+            expect(circleRenderer.getModeColorClass()).toBe('minor');
+        });
+
         test('should dispatch modeChanged event', () => {
             circleRenderer.switchMode('minor');
 
@@ -629,6 +650,115 @@ describe('CircleRenderer Module', () => {
         });
     });
 
+    describe('setChordRoot()', () => {
+        let fSharpSegment;
+        let cSegment;
+
+        beforeEach(() => {
+            const createSegment = () => ({
+                classList: {
+                    add: global.jest.fn(),
+                    remove: global.jest.fn()
+                }
+            });
+            fSharpSegment = createSegment();
+            cSegment = createSegment();
+            circleRenderer.keySegments.clear();
+            circleRenderer.keySegments.set('F#', fSharpSegment);
+            circleRenderer.keySegments.set('C', cSegment);
+        });
+
+        test('should mark the segment of a chord root in any spelling', () => {
+            circleRenderer.setChordRoot('Gb');
+
+            expect(fSharpSegment.classList.add).toHaveBeenCalledWith('chord-root');
+            expect(cSegment.classList.add).not.toHaveBeenCalled();
+        });
+
+        test('should clear the marker when given null', () => {
+            circleRenderer.setChordRoot(null);
+
+            expect(fSharpSegment.classList.remove).toHaveBeenCalledWith('chord-root');
+            expect(cSegment.classList.remove).toHaveBeenCalledWith('chord-root');
+            expect(fSharpSegment.classList.add).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('setTonicizedKey()', () => {
+        let dSegment;
+        let cSegment;
+
+        beforeEach(() => {
+            const createSegment = () => ({
+                classList: {
+                    add: global.jest.fn(),
+                    remove: global.jest.fn()
+                }
+            });
+            dSegment = createSegment();
+            cSegment = createSegment();
+            circleRenderer.keySegments.clear();
+            circleRenderer.keySegments.set('D', dSegment);
+            circleRenderer.keySegments.set('C', cSegment);
+        });
+
+        test('should mark the segment of the tonicized key', () => {
+            circleRenderer.setTonicizedKey('D');
+
+            expect(dSegment.classList.add).toHaveBeenCalledWith('tonicized');
+            expect(cSegment.classList.add).not.toHaveBeenCalled();
+        });
+
+        test('should clear the marker when given null', () => {
+            circleRenderer.setTonicizedKey(null);
+
+            expect(dSegment.classList.remove).toHaveBeenCalledWith('tonicized');
+            expect(dSegment.classList.add).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('animateRoute()', () => {
+        let segments;
+
+        beforeEach(() => {
+            const createSegment = () => ({
+                classList: {
+                    add: global.jest.fn(),
+                    remove: global.jest.fn()
+                }
+            });
+            segments = { C: createSegment(), G: createSegment(), 'F#': createSegment() };
+            circleRenderer.keySegments.clear();
+            Object.entries(segments).forEach(([key, segment]) => {
+                circleRenderer.keySegments.set(key, segment);
+            });
+        });
+
+        afterEach(() => {
+            circleRenderer.clearRoute();
+        });
+
+        test('should outline the route segments in any spelling', () => {
+            const totalDuration = circleRenderer.animateRoute(['C', 'G', 'Gb'], 300);
+
+            expect(totalDuration).toBe(900);
+            expect(segments.C.classList.add).toHaveBeenCalledWith('modulation-route');
+            expect(segments['F#'].classList.add).toHaveBeenCalledWith('modulation-route');
+            expect(circleRenderer.routeTimeouts.size).toBe(4);
+        });
+
+        test('should stop the animation when cleared', () => {
+            circleRenderer.animateRoute(['C', 'G']);
+            circleRenderer.clearRoute();
+
+            expect(circleRenderer.routeTimeouts.size).toBe(0);
+            expect(segments.G.classList.remove).toHaveBeenCalledWith(
+                'modulation-route',
+                'modulation-step'
+            );
+        });
+    });
+
     describe('State Management', () => {
         test('should return current state', () => {
             circleRenderer.selectedKey = 'F#';
@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for Circle State
+ * Tests covering undo and redo through key, mode and audio setting changes,
+ * and the renderer and audio engine following the shared state
+ */
+
+// CircleState, CircleRenderer, MusicTheory and AudioEngine are loaded as globals in the
+// test environment
+
+describe('Circle State', () => {
+    let state;
+
+    beforeEach(() => {
+        state = new global.CircleState();
+    });
+
+    describe('undo and redo', () => {
+        test('should step back and forward through changes one at a time', () => {
+            state.setState({ selectedKey: 'G' });
+            state.setState({ mode: 'dorian' });
+
+            expect(state.undo()).toBe(true);
+            expect(state.getState('mode')).toBe('major');
+            expect(state.getState('selectedKey')).toBe('G');
+
+            expect(state.undo()).toBe(true);
+            expect(state.getState('selectedKey')).toBe('C');
+            expect(state.undo()).toBe(false);
+
+            expect(state.redo()).toBe(true);
+            expect(state.redo()).toBe(true);
+            expect(state.getState('mode')).toBe('dorian');
+            expect(state.redo()).toBe(false);
+        });
+
+        test('should notify only the keys a step changes, with old and new values', () => {
+            const keyChanges = [];
+            const modeChanges = [];
+            state.subscribe('selectedKey', (key, previousKey) =>
+                keyChanges.push(`${previousKey}>${key}`)
+            );
+            state.subscribe('mode', mode => modeChanges.push(mode));
+
+            state.setState({ selectedKey: 'D' });
+            state.undo();
+
+            expect(keyChanges).toEqual(['C>D', 'D>C']);
+            expect(modeChanges).toEqual([]);
+        });
+
+        test('should undo a dragged slider as one change', () => {
+            [100, 95, 90].forEach(tempo => state.setState({ audioSettings: { tempo } }, false));
+            state.setState({ audioSettings: { tempo: 90 } });
+
+            state.undo();
+
+            expect(state.getState('audioSettings').tempo).toBe(120);
+            expect(state.canUndo()).toBe(false);
+        });
+
+        test('should leave out changes that undo would not see', () => {
+            state.setState({ selectedKey: 'C' });
+            state.setState({ difficulty: 'advanced' });
+            state.setState({ playback: { scale: true } }, false);
+
+            expect(state.canUndo()).toBe(false);
+        });
+
+        test('should drop undone changes when a new change is made', () => {
+            state.setState({ selectedKey: 'A' });
+            state.undo();
+            state.setState({ selectedKey: 'E' });
+
+            expect(state.canRedo()).toBe(false);
+            state.undo();
+            expect(state.getState('selectedKey')).toBe('C');
+        });
+
+        test('should merge nested settings and keep null values', () => {
+            state.setState({ audioSettings: { beatsPerChord: 3 } });
+            state.setState({ audioSettings: { beatsPerChord: null } });
+
+            expect(state.getState('audioSettings').beatsPerChord).toBeNull();
+            expect(state.getState('audioSettings').tempo).toBe(120);
+        });
+    });
+
+    describe('CircleRenderer', () => {
+        let renderer;
+        let events;
+
+        beforeEach(() => {
+            events = [];
+            const svg = {
+                querySelector: () => null,
+                querySelectorAll: () => [],
+                dispatchEvent: event => events.push(`${event.type}:${JSON.stringify(event.detail)}`)
+            };
+            renderer = new global.CircleRenderer(svg, new global.MusicTheory(), state);
+        });
+
+        afterEach(() => {
+            renderer.destroy();
+        });
+
+        test('should select keys and modes through the shared state', () => {
+            renderer.selectKey('G');
+            renderer.switchMode('aeolian');
+
+            expect(state.getState('selectedKey')).toBe('G');
+            expect(state.getState('mode')).toBe('minor');
+        });
+
+        test('should redraw and tell listeners when a change is undone', () => {
+            renderer.selectKey('D');
+            events = [];
+
+            state.undo();
+
+            expect(renderer.selectedKey).toBe('C');
+            expect(renderer.highlightedKeys.has('G')).toBe(true);
+            expect(events).toEqual(['keySelected:{"key":"C","mode":"major","previousKey":"D"}']);
+        });
+
+        test('should stop following the state when destroyed', () => {
+            renderer.destroy();
+            state.setState({ selectedKey: 'F' });
+
+            expect(renderer.selectedKey).toBe('C');
+        });
+    });
+
+    describe('AudioEngine', () => {
+        let audioEngine;
+
+        beforeEach(async () => {
+            audioEngine = new global.AudioEngine();
+            await audioEngine.initialize();
+        });
+
+        afterEach(() => {
+            audioEngine.dispose();
+        });
+
+        test('should start from the shared settings when bound', () => {
+            state.setState({ audioSettings: { tempo: 90, percussionEnabled: true } });
+
+            audioEngine.bindState(state);
+
+            expect(audioEngine.settings.tempo).toBe(90);
+            expect(audioEngine.settings.percussionEnabled).toBe(true);
+            expect(audioEngine.settings.masterVolume).toBe(0.3);
+        });
+
+        test('should follow setting changes and their undo', () => {
+            audioEngine.bindState(state);
+
+            state.setState({ audioSettings: { beatsPerBar: 6, beatUnit: 8, swing: 0.5 } });
+            expect(audioEngine.getMusicalTime().getTimeSignature()).toBe('6/8');
+            expect(audioEngine.settings.swing).toBe(0.5);
+
+            state.undo();
+            expect(audioEngine.getMusicalTime().getTimeSignature()).toBe('4/4');
+            expect(audioEngine.settings.swing).toBe(0);
+        });
+
+        test('should play a rhythm style in the swing and meter of the settings', () => {
+            audioEngine.bindState(state);
+
+            state.setState({
+                audioSettings: { rhythmStyle: 'waltz', swing: 0.25, beatsPerBar: 3 }
+            });
+
+            expect(audioEngine.settings.rhythmStyle).toBe('waltz');
+            expect(audioEngine.settings.swing).toBe(0.25);
+            expect(audioEngine.settings.beatsPerBar).toBe(3);
+        });
+
+        test('should rebuild the effects for a new reverb type', () => {
+            const effectsChain = audioEngine.effectsChain;
+
+            expect(audioEngine.setReverbType('hall')).toBe(true);
+            expect(audioEngine.effectsChain).not.toBe(effectsChain);
+            expect(audioEngine.settings.reverbType).toBe('hall');
+        });
+
+        test('should stop following the state when disposed', () => {
+            audioEngine.bindState(state);
+            audioEngine.dispose();
+
+            state.setState({ audioSettings: { tempo: 60 } });
+
+            expect(audioEngine.settings.tempo).toBe(120);
+        });
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * Unit Tests for ExportPanel Module
+ * Tests covering the export button while an export runs and after it fails
+ */
+
+// ExportPanel and MusicTheory are loaded as globals in the test environment
+
+describe('ExportPanel Module', () => {
+    let panel;
+
+    beforeEach(() => {
+        panel = new global.ExportPanel(new global.MusicTheory(), {});
+        panel.elements = {
+            sourceSelect: { value: 'scale' },
+            formatSelect: { value: 'midi-0' },
+            loopsInput: null,
+            submitBtn: { disabled: false },
+            message: null
+        };
+    });
+
+    test('should disable the export button while exporting', async () => {
+        let disabledDuringExport = null;
+        panel.exportMidi = async () => {
+            disabledDuringExport = panel.elements.submitBtn.disabled;
+        };
+
+        await panel.handleSubmit({ preventDefault: () => {} });
+
+        expect(disabledDuringExport).toBe(true);
+        expect(panel.elements.submitBtn.disabled).toBe(false);
+    });
+
+    test('should enable the export button again when an export throws', async () => {
+        panel.exportMidi = async () => {
+            throw new Error('No selection');
+        };
+
+        let thrown = null;
+        try {
+            await panel.handleSubmit({ preventDefault: () => {} });
+        } catch (error) {
+            thrown = error;
+        }
+
+        expect(thrown.message).toBe('No selection');
+        expect(panel.elements.submitBtn.disabled).toBe(false);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for the Metronome
+ * Tests covering accented and subdivided clicks in each time signature, the
+ * metronome on the lookahead scheduler and counting scales and progressions in
+ */
+
+// Metronome and AudioEngine are loaded as globals in the test environment
+
+describe('Metronome', () => {
+    let audioEngine;
+    let metronome;
+    let clicks;
+
+    beforeEach(async () => {
+        audioEngine = new global.AudioEngine();
+        await audioEngine.initialize();
+        metronome = audioEngine.metronome;
+
+        clicks = [];
+        audioEngine.scheduleClick = (time, level) => clicks.push(`${level}@${time}`);
+    });
+
+    afterEach(() => {
+        audioEngine.dispose();
+    });
+
+    describe('clicks', () => {
+        test('should accent the downbeat of each bar', () => {
+            audioEngine.setTimeSignature(3);
+
+            const levels = metronome.getClickEvents(0, 2).map(({ level }) => level);
+
+            expect(levels).toEqual(['accent', 'beat', 'beat', 'accent', 'beat', 'beat']);
+        });
+
+        test('should click between beats when subdivided', () => {
+            audioEngine.setMetronomeSubdivision(2);
+
+            const bar = metronome.getClickEvents(0).map(({ time, level }) => `${level}@${time}`);
+
+            expect(bar.slice(0, 3)).toEqual(['accent@0', 'subdivision@0.25', 'beat@0.5']);
+            expect(bar).toHaveLength(8);
+        });
+
+        test('should click the eighths of 6/8 and divide them no further than sixteenths', () => {
+            audioEngine.setTimeSignature(6, 8);
+            audioEngine.setMetronomeSubdivision(4);
+
+            const bar = metronome.getClickEvents(0);
+
+            expect(bar.filter(({ level }) => level !== 'subdivision')).toHaveLength(6);
+            expect(bar).toHaveLength(12);
+            expect(bar[bar.length - 1].time).toBe(1.375);
+        });
+
+        test('should reject subdivisions it does not have', () => {
+            audioEngine.logger = { ...audioEngine.logger, warn: jest.fn() };
+
+            expect(audioEngine.setMetronomeSubdivision(3)).toBe(false);
+            expect(audioEngine.settings.metronomeSubdivision).toBe(1);
+        });
+    });
+
+    describe('playback', () => {
+        test('should click on the lookahead scheduler until stopped', () => {
+            audioEngine.scheduler.scheduleAheadTime = 1.9;
+
+            metronome.start();
+
+            expect(metronome.isPlaying()).toBe(true);
+            expect(clicks).toEqual(['accent@0', 'beat@0.5', 'beat@1', 'beat@1.5']);
+
+            const beats = [];
+            metronome.addBeatListener(beat => beats.push(beat));
+            metronome.stop();
+
+            expect(metronome.isPlaying()).toBe(false);
+            expect(audioEngine.scheduler.isPlaying).toBe(false);
+            expect(beats).toEqual([null]);
+        });
+
+        test('should give the scheduler up to a looping progression', async () => {
+            metronome.start();
+
+            await audioEngine.playProgressionLoop('C', 'major', 'ii-V-I');
+
+            expect(metronome.isPlaying()).toBe(false);
+            expect(audioEngine.isLooping()).toBe(true);
+        });
+    });
+
+    describe('count-in', () => {
+        test('should count a bar in before a progression', async () => {
+            const chords = [];
+            audioEngine.scheduleVoicing = (voicing, time) => chords.push(time);
+            audioEngine.setCountInEnabled(true);
+            audioEngine.setMetronomeSubdivision(2);
+
+            await audioEngine.playProgression('C', 'major', 'ii-V-I');
+
+            expect(clicks).toEqual(['accent@0', 'beat@0.5', 'beat@1', 'beat@1.5']);
+            expect(chords).toEqual([2, 3, 4]);
+        });
+
+        test('should start scales and loops after the count-in', async () => {
+            audioEngine.setCountInEnabled(true);
+            audioEngine.setTimeSignature(6, 8);
+
+            const notes = [];
+            audioEngine.sendToOutput = (note, octave, time) => notes.push(time);
+
+            expect(audioEngine.getCountInLength()).toBe(1.5);
+            await audioEngine.playScale('C');
+            await audioEngine.playProgressionLoop('C', 'major', 'ii-V-I');
+
+            expect(clicks).toHaveLength(12);
+            expect(notes[0]).toBe(1.5);
+            expect(audioEngine.scheduler.nextNoteTime).toBe(1.5);
+        });
+
+        test('should start at once with count-in off', () => {
+            expect(audioEngine.scheduleCountIn(3)).toBe(3);
+            expect(clicks).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,267 @@
+/**
+ * Unit Tests for MIDI Export
+ * Tests covering the Standard MIDI File writer and the export of what the audio engine plays
+ */
+
+// MidiFile, MidiExporter and AudioEngine are loaded as globals in the test environment
+
+/**
+ * Read the chunks of a Standard MIDI File
+ */
+function readChunks(bytes) {
+    const chunks = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+        const type = String.fromCharCode(...bytes.slice(offset, offset + 4));
+        const length =
+            (bytes[offset + 4] << 24) |
+            (bytes[offset + 5] << 16) |
+            (bytes[offset + 6] << 8) |
+            bytes[offset + 7];
+        chunks.push({ type, data: bytes.slice(offset + 8, offset + 8 + length) });
+        offset += 8 + length;
+    }
+    return chunks;
+}
+
+/**
+ * Read the events of a track chunk as {tick, status, data}
+ */
+function readEvents(data) {
+    const events = [];
+    let offset = 0;
+    let tick = 0;
+    while (offset < data.length) {
+        let delta = 0;
+        let byte;
+        do {
+            byte = data[offset++];
+            delta = (delta << 7) | (byte & 0x7f);
+        } while (byte & 0x80);
+        tick += delta;
+
+        const status = data[offset++];
+        if (status === 0xff) {
+            const type = data[offset++];
+            const length = data[offset++];
+            events.push({
+                tick,
+                status,
+                type,
+                data: Array.from(data.slice(offset, offset + length))
+            });
+            offset += length;
+        } else {
+            const length = (status & 0xf0) === 0xc0 ? 1 : 2;
+            events.push({ tick, status, data: Array.from(data.slice(offset, offset + length)) });
+            offset += length;
+        }
+    }
+    return events;
+}
+
+const noteOns = events => events.filter(event => (event.status & 0xf0) === 0x90);
+
+describe('MIDI Export', () => {
+    describe('variableLength()', () => {
+        test('should encode values seven bits per byte', () => {
+            expect(global.variableLength(0)).toEqual([0x00]);
+            expect(global.variableLength(0x7f)).toEqual([0x7f]);
+            expect(global.variableLength(0x80)).toEqual([0x81, 0x00]);
+            expect(global.variableLength(0x3fff)).toEqual([0xff, 0x7f]);
+            expect(global.variableLength(0x0fffffff)).toEqual([0xff, 0xff, 0xff, 0x7f]);
+        });
+    });
+
+    describe('MidiFile', () => {
+        test('should write a type 1 header, a tempo track and one track per part', () => {
+            const midi = new global.MidiFile({ format: 1, tempo: 100 });
+            midi.addTrack({ name: 'Piano', channel: 0 }).addNote(60, 0, 480, 90);
+            midi.addTrack({ name: 'Drums', channel: 9 }).addNote(36, 480, 120, 110);
+
+            const chunks = readChunks(midi.toBytes());
+
+            expect(chunks.map(chunk => chunk.type)).toEqual(['MThd', 'MTrk', 'MTrk', 'MTrk']);
+            expect(Array.from(chunks[0].data)).toEqual([0, 1, 0, 3, 0x01, 0xe0]);
+
+            const tempo = readEvents(chunks[1].data).find(event => event.type === 0x51);
+            expect(tempo.data).toEqual([0x09, 0x27, 0xc0]); // 600000 microseconds per quarter
+
+            const drums = noteOns(readEvents(chunks[3].data));
+            expect(drums).toEqual([{ tick: 480, status: 0x99, data: [36, 110] }]);
+        });
+
+        test('should end every track with End of Track', () => {
+            const midi = new global.MidiFile();
+            midi.addTrack({ channel: 0 }).addNote(64, 0, 960);
+
+            readChunks(midi.toBytes())
+                .slice(1)
+                .forEach(chunk => {
+                    expect(Array.from(chunk.data.slice(-3))).toEqual([0xff, 0x2f, 0x00]);
+                });
+        });
+
+        test('should merge parts into one track for type 0, keeping their channels', () => {
+            const midi = new global.MidiFile({ format: 0 });
+            midi.addTrack({ channel: 0, program: 0 }).addNote(60, 0, 480);
+            midi.addTrack({ channel: 1, program: 33 }).addNote(36, 240, 480);
+
+            const chunks = readChunks(midi.toBytes());
+            const events = readEvents(chunks[1].data);
+
+            expect(chunks).toHaveLength(2);
+            expect(Array.from(chunks[0].data.slice(0, 4))).toEqual([0, 0, 0, 1]);
+            expect(events.filter(event => event.status === 0xc1)[0].data).toEqual([33]);
+            expect(noteOns(events).map(event => [event.tick, event.status])).toEqual([
+                [0, 0x90],
+                [240, 0x91]
+            ]);
+        });
+
+        test('should cut a note short where the same key sounds again', () => {
+            const midi = new global.MidiFile();
+            const track = midi.addTrack({ channel: 1 });
+            track.addNote(36, 0, 700).addNote(36, 480, 700);
+
+            const events = track.getEvents().map(event => [event.tick, event.data[0]]);
+
+            expect(events).toEqual([
+                [0, 0x91],
+                [480, 0x81],
+                [480, 0x91],
+                [1180, 0x81]
+            ]);
+        });
+
+        test('should reject notes and channels outside the MIDI range', () => {
+            const midi = new global.MidiFile();
+
+            expect(() => midi.addTrack({ channel: 16 })).toThrow(RangeError);
+            expect(() => midi.addTrack().addNote(128, 0, 10)).toThrow(RangeError);
+            expect(() => new global.MidiFile({ format: 2 })).toThrow(RangeError);
+        });
+    });
+
+    describe('MidiExporter', () => {
+        let audioEngine;
+        let exporter;
+
+        beforeEach(() => {
+            audioEngine = new global.AudioEngine();
+            exporter = new global.MidiExporter(audioEngine);
+        });
+
+        afterEach(() => {
+            audioEngine.dispose();
+        });
+
+        test('should export the scale as playScale plays it', () => {
+            const file = exporter.exportScale('C', 'major');
+            const events = audioEngine.getScaleEvents('C', 'major');
+            const notes = file.tracks[0].notes;
+
+            expect(notes).toHaveLength(16);
+            expect(notes.slice(0, 8).map(note => note.pitch)).toEqual([
+                60, 62, 64, 65, 67, 69, 71, 72
+            ]);
+            expect(notes[1].start).toBe(file.secondsToTicks(events[1].time));
+        });
+
+        test('should use the tempo set on the engine', () => {
+            audioEngine.settings.tempo = 90;
+
+            const file = exporter.exportChord(['C', 'E', 'G']);
+            const tempo = readEvents(readChunks(file.toBytes())[1].data).find(
+                event => event.type === 0x51
+            );
+
+            expect(file.tempo).toBe(90);
+            expect(tempo.data).toEqual([0x0a, 0x2c, 0x2b]); // 666667 microseconds per quarter
+        });
+
+        test('should export the chord voicing playChord uses', () => {
+            const file = exporter.exportChord(['A', 'C', 'E'], { octave: 4 });
+
+            expect(file.tracks[0].notes.map(note => note.pitch)).toEqual([69, 72, 76]);
+        });
+
+        test('should export progression chords with their voice-led voicings', () => {
+            const file = exporter.exportProgression('C', 'major', 'ii-V-I');
+            const plan = audioEngine.planProgression('C', 'major', 'ii-V-I');
+            const chordTrack = file.tracks[0];
+
+            expect(file.tracks.map(track => track.name)).toEqual(['Chords']);
+            plan.chords.forEach(chord => {
+                const start = file.secondsToTicks(chord.time);
+                const pitches = chordTrack.notes
+                    .filter(note => note.start === start)
+                    .map(note => note.pitch);
+                expect(pitches).toEqual(
+                    chord.voicing.map(
+                        ({ note, octave }) =>
+                            (octave + 1) * 12 + audioEngine.musicTheory.getNoteIndex(note)
+                    )
+                );
+            });
+        });
+
+        test('should add bass and drum tracks, with drums on GM channel 10', () => {
+            audioEngine.settings.bassEnabled = true;
+            audioEngine.settings.percussionEnabled = true;
+
+            const file = exporter.exportProgression('G', 'major', 'I-V-vi-IV');
+            const [chords, bass, drums] = file.tracks;
+
+            expect(file.tracks.map(track => track.name)).toEqual(['Chords', 'Bass', 'Drums']);
+            expect(bass.channel).toBe(1);
+            expect(bass.notes.map(note => note.pitch % 12)).toEqual([7, 7, 2, 2, 4, 4, 0, 0]);
+            expect(drums.channel).toBe(9);
+            expect([...new Set(drums.notes.map(note => note.pitch))].sort()).toEqual([36, 38, 42]);
+            expect(chords.notes.length).toBe(12);
+
+            const chunks = readChunks(file.toBytes());
+            expect(noteOns(readEvents(chunks[4].data)).every(event => event.status === 0x99)).toBe(
+                true
+            );
+        });
+
+        test('should follow a custom rhythm', () => {
+            const file = exporter.exportProgression('C', 'major', 'ii-V-I', {
+                rhythm: [0.5, 0.5, 2]
+            });
+            const starts = [...new Set(file.tracks[0].notes.map(note => note.start))];
+
+            expect(starts).toEqual([0, 480, 960]);
+        });
+
+        test('should return null for an unknown progression', () => {
+            const warnSpy = jest.fn();
+            audioEngine.logger = { ...audioEngine.logger, warn: warnSpy };
+
+            expect(exporter.exportProgression('C', 'major', 'nope')).toBeNull();
+            expect(warnSpy).toHaveBeenCalled();
+        });
+
+        test('should loop a progression, leading each repeat from the last chord', () => {
+            const file = exporter.exportProgression('C', 'major', 'ii-V-I', { loops: 2 });
+            const first = audioEngine.planProgression('C', 'major', 'ii-V-I');
+            const second = audioEngine.planProgression('C', 'major', 'ii-V-I', first.finalVoicing);
+            const starts = [...new Set(file.tracks[0].notes.map(note => note.start))];
+            const repeatStart = file.secondsToTicks(first.totalDuration);
+
+            expect(starts).toHaveLength(6);
+            expect(starts[3]).toBe(repeatStart);
+            expect(
+                file.tracks[0].notes
+                    .filter(note => note.start === repeatStart)
+                    .map(note => note.pitch)
+            ).toEqual(
+                second.chords[0].voicing.map(
+                    ({ note, octave }) =>
+                        (octave + 1) * 12 + audioEngine.musicTheory.getNoteIndex(note)
+                )
+            );
+        });
+    });
+});
@@ -0,0 +1,246 @@
+/**
+ * Unit Tests for MIDI Input
+ * Tests covering MidiInput message handling and device changes, and live chord
+ * recognition in MidiInputPanel, driven through a fake MIDIAccess
+ */
+
+// MidiInput, MidiInputPanel and MusicTheory are loaded as globals in the test environment
+
+/**
+ * Stand-in for MIDIAccess: an inputs map of ports that take onmidimessage
+ */
+function createFakeAccess(names = ['Keystation']) {
+    const access = {
+        inputs: new Map(),
+        onstatechange: null,
+
+        plugIn(name) {
+            const port = { id: name, name, type: 'input', state: 'connected', onmidimessage: null };
+            this.inputs.set(name, port);
+            this.onstatechange?.({ port });
+            return port;
+        },
+
+        unplug(name) {
+            const port = this.inputs.get(name);
+            port.state = 'disconnected';
+            this.onstatechange?.({ port });
+        },
+
+        send(name, ...data) {
+            this.inputs.get(name).onmidimessage?.({ data: Uint8Array.from(data) });
+        }
+    };
+    names.forEach(name => {
+        access.inputs.set(name, {
+            id: name,
+            name,
+            type: 'input',
+            state: 'connected',
+            onmidimessage: null
+        });
+    });
+    return access;
+}
+
+describe('MIDI Input', () => {
+    let access;
+    let played;
+    let midiInput;
+
+    beforeEach(async () => {
+        access = createFakeAccess();
+        played = [];
+        midiInput = new global.MidiInput({
+            requestAccess: async () => access,
+            onNoteOn: (pitch, velocity) => played.push(['on', pitch, velocity]),
+            onNoteOff: pitch => played.push(['off', pitch])
+        });
+        await midiInput.connect();
+    });
+
+    afterEach(() => {
+        midiInput.disconnect();
+    });
+
+    describe('MidiInput', () => {
+        test('should list the inputs it listens to', async () => {
+            expect(midiInput.isConnected()).toBe(true);
+            expect(await midiInput.connect()).toEqual(['Keystation']);
+        });
+
+        test('should report keys pressed and released on any channel', () => {
+            access.send('Keystation', 0x90, 60, 100);
+            access.send('Keystation', 0x93, 64, 80);
+            access.send('Keystation', 0x80, 60, 0);
+
+            expect(played).toEqual([
+                ['on', 60, 100],
+                ['on', 64, 80],
+                ['off', 60]
+            ]);
+            expect(midiInput.getHeldNotes()).toEqual([64]);
+        });
+
+        test('should treat note-on with velocity 0 as note-off', () => {
+            access.send('Keystation', 0x90, 67, 90);
+            access.send('Keystation', 0x90, 67, 0);
+
+            expect(played).toEqual([
+                ['on', 67, 90],
+                ['off', 67]
+            ]);
+            expect(midiInput.getHeldNotes()).toEqual([]);
+        });
+
+        test('should ignore note-offs for keys not held and other messages', () => {
+            access.send('Keystation', 0x80, 60, 0);
+            access.send('Keystation', 0xb0, 64, 127);
+            access.send('Keystation', 0xe0, 0, 64);
+
+            expect(played).toEqual([]);
+        });
+
+        test('should keep held keys sorted lowest first', () => {
+            [67, 60, 64].forEach(pitch => access.send('Keystation', 0x90, pitch, 100));
+
+            expect(midiInput.getHeldNotes()).toEqual([60, 64, 67]);
+        });
+
+        test('should release every key on All Notes Off', () => {
+            access.send('Keystation', 0x90, 60, 100);
+            access.send('Keystation', 0x90, 64, 100);
+            played = [];
+
+            access.send('Keystation', 0xb0, 123, 0);
+
+            expect(played).toEqual([
+                ['off', 60],
+                ['off', 64]
+            ]);
+        });
+
+        test('should listen to keyboards plugged in later', () => {
+            const devices = [];
+            midiInput.onDevicesChange = names => devices.push(names);
+
+            access.plugIn('Launchkey');
+            access.send('Launchkey', 0x90, 72, 100);
+
+            expect(devices).toEqual([['Keystation', 'Launchkey']]);
+            expect(midiInput.getHeldNotes()).toEqual([72]);
+        });
+
+        test('should release held keys when a keyboard is unplugged', () => {
+            access.send('Keystation', 0x90, 60, 100);
+
+            access.unplug('Keystation');
+
+            expect(midiInput.getHeldNotes()).toEqual([]);
+            expect(midiInput.getInputNames()).toEqual([]);
+            expect(played[played.length - 1]).toEqual(['off', 60]);
+        });
+
+        test('should stop listening when disconnected', () => {
+            midiInput.disconnect();
+            access.send('Keystation', 0x90, 60, 100);
+
+            expect(midiInput.isConnected()).toBe(false);
+            expect(played).toEqual([]);
+        });
+
+        test('should refuse to connect without Web MIDI', async () => {
+            const unsupported = new global.MidiInput();
+
+            expect(unsupported.isSupported()).toBe(false);
+            let error = null;
+            try {
+                await unsupported.connect();
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error.message).toContain('not supported');
+        });
+    });
+
+    describe('MidiInputPanel', () => {
+        let state;
+        let app;
+        let panel;
+
+        beforeEach(async () => {
+            state = { selectedKey: 'C', currentMode: 'major' };
+            app = {
+                highlighted: [],
+                circleRenderer: {
+                    getState: () => ({ ...state }),
+                    selectKey: key => {
+                        state.selectedKey = key;
+                    },
+                    switchMode: mode => {
+                        state.currentMode = mode;
+                    },
+                    highlightNote: note => app.highlighted.push(note)
+                },
+                getAudioEngine: async () => ({ playNote: () => {} })
+            };
+            panel = new global.MidiInputPanel(new global.MusicTheory(), app, {
+                requestAccess: async () => access
+            });
+            await panel.connect();
+        });
+
+        afterEach(() => {
+            panel.destroy();
+        });
+
+        const play = (...pitches) =>
+            pitches.forEach(pitch => access.send('Keystation', 0x90, pitch, 100));
+
+        test('should light the circle segment of each key pressed', () => {
+            play(61, 66);
+
+            expect(app.highlighted).toEqual(['C#', 'F#']);
+        });
+
+        test('should select the key of a major triad', () => {
+            play(55, 59, 62);
+
+            expect(panel.chord.symbol).toBe('G');
+            expect(state).toEqual({ selectedKey: 'G', currentMode: 'major' });
+        });
+
+        test('should select minor for a minor triad in any inversion', () => {
+            play(64, 69, 72);
+
+            expect(panel.chord.symbol).toBe('Am/E');
+            expect(state).toEqual({ selectedKey: 'A', currentMode: 'minor' });
+        });
+
+        test('should select the circle spelling of the root', () => {
+            play(61, 65, 68);
+
+            expect(state.selectedKey).toBe('Db');
+        });
+
+        test('should name but not follow chords other than major and minor triads', () => {
+            play(53, 55, 59, 62);
+
+            expect(panel.chord.symbol).toBe('G7/F');
+            expect(state).toEqual({ selectedKey: 'C', currentMode: 'major' });
+        });
+
+        test('should keep the last chord after the keys are released', () => {
+            play(62, 65, 69);
+            [62, 65, 69].forEach(pitch => access.send('Keystation', 0x80, pitch, 0));
+
+            expect(panel.chord.symbol).toBe('Dm');
+            expect(state.selectedKey).toBe('D');
+        });
+
+        test('should recognize held keys with the lowest as the bass', () => {
+            expect(panel.recognize([52, 55, 60]).symbol).toBe('C/E');
+            expect(panel.recognize([60])).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * Unit Tests for MIDI Output
+ * Tests covering MidiOutput messages, AudioEngine output backends and
+ * MidiOutputPanel port selection, all against an in-memory port
+ */
+
+// MidiOutput, MidiOutputPanel and AudioEngine are loaded as globals in the test environment
+
+/**
+ * In-memory MIDI output port: records what is sent, and what clear() dropped
+ */
+class MemoryMidiPort {
+    constructor(id = 'synth', name = 'Test Synth') {
+        this.id = id;
+        this.name = name;
+        this.type = 'output';
+        this.state = 'connected';
+        this.messages = [];
+        this.cleared = 0;
+    }
+
+    send(data, timestamp = 0) {
+        this.messages.push({ data: [...data], timestamp });
+    }
+
+    clear() {
+        this.cleared++;
+    }
+
+    notes(status) {
+        return this.messages.filter(({ data }) => data[0] === status);
+    }
+}
+
+describe('MIDI Output', () => {
+    let port;
+    let clock;
+    let output;
+
+    beforeEach(() => {
+        port = new MemoryMidiPort();
+        clock = 1000;
+        output = new global.MidiOutput(port, { channel: 2, velocity: 90, now: () => clock });
+    });
+
+    describe('MidiOutput', () => {
+        test('should schedule a note-on and note-off on the channel', () => {
+            output.playNote(60, 0.5, 1);
+
+            expect(port.messages).toEqual([
+                { data: [0x92, 60, 90], timestamp: 1500 },
+                { data: [0x82, 60, 0], timestamp: 2500 }
+            ]);
+        });
+
+        test('should send drum hits on the General MIDI drum channel', () => {
+            output.playDrum('snare', 0);
+
+            expect(port.messages[0]).toEqual({ data: [0x99, 38, 90], timestamp: 1000 });
+            expect(port.messages[1].data).toEqual([0x89, 38, 0]);
+        });
+
+        test('should follow channel and velocity changes', () => {
+            output.setChannel(15);
+            output.setVelocity(200);
+            output.playNote(64, 0, 0.5);
+
+            expect(port.messages[0].data).toEqual([0x9f, 64, 127]);
+            expect(() => output.setChannel(16)).toThrow(RangeError);
+        });
+
+        test('should skip notes outside the MIDI range', () => {
+            output.logger = { ...output.logger, warn: jest.fn() };
+
+            output.playNote(128, 0, 1);
+
+            expect(port.messages).toHaveLength(0);
+            expect(output.logger.warn).toHaveBeenCalled();
+        });
+
+        test('should release sounding notes and clear scheduled ones on stop', () => {
+            output.playNote(60, 0, 2);
+            output.playNote(62, 0, 0.1);
+            output.playDrum('kick', 0);
+            clock = 1500;
+            port.messages = [];
+
+            output.stopAll();
+
+            expect(port.cleared).toBe(1);
+            expect(port.messages.map(({ data }) => data)).toEqual([
+                [0x82, 60, 0],
+                [0xb2, 123, 0]
+            ]);
+        });
+    });
+
+    describe('AudioEngine output backend', () => {
+        let audioEngine;
+
+        beforeEach(async () => {
+            audioEngine = new global.AudioEngine();
+            await audioEngine.initialize();
+            audioEngine.setOutput(output);
+        });
+
+        afterEach(() => {
+            audioEngine.dispose();
+        });
+
+        test('should send chords instead of synthesizing them', async () => {
+            const createOscillator = jest.fn();
+            audioEngine.createOscillator = createOscillator;
+
+            await audioEngine.playChord(['C', 'E', 'G'], 4, 2);
+
+            expect(port.notes(0x92).map(({ data }) => data[1])).toEqual([60, 64, 67]);
+            expect(port.notes(0x82).map(({ timestamp }) => timestamp)).toEqual([3000, 3000, 3000]);
+            expect(createOscillator).not.toHaveBeenCalled();
+        });
+
+        test('should keep the built-in synth when asked to', async () => {
+            audioEngine.settings.synthWithOutput = true;
+
+            await audioEngine.playNote('A', 4);
+
+            expect(port.notes(0x92)[0].data).toEqual([0x92, 69, 90]);
+            expect(audioEngine.currentlyPlaying.size).toBeGreaterThan(0);
+        });
+
+        test('should send scheduled notes at their start times', () => {
+            const startTime = audioEngine.audioContext.currentTime + 0.25;
+
+            audioEngine.scheduleNote('B#', 3, startTime, 0.5);
+
+            expect(port.notes(0x92)[0]).toEqual({ data: [0x92, 48, 90], timestamp: 1250 });
+        });
+
+        test('should send progressions with their bass and drums', async () => {
+            audioEngine.settings.bassEnabled = true;
+            audioEngine.settings.percussionEnabled = true;
+            const plan = audioEngine.planProgression('C', 'major', 'ii-V-I');
+
+            await audioEngine.playProgression('C', 'major', 'ii-V-I');
+
+            const voiced = plan.chords.flatMap(chord => chord.voicing).length;
+            const bass = plan.chords.length * 2;
+            expect(port.notes(0x92)).toHaveLength(voiced + bass);
+            expect(port.notes(0x99)).toHaveLength(plan.chords.length * 6);
+            const [lowest] = plan.chords[0].voicing;
+            expect(port.notes(0x92)[0].data[1]).toBe(
+                audioEngine.getMidiNumber(lowest.note, lowest.octave)
+            );
+        });
+
+        test('should silence the output on stopAll and when replaced', () => {
+            audioEngine.stopAll();
+            expect(port.cleared).toBe(1);
+
+            audioEngine.setOutput(null);
+            expect(port.cleared).toBe(2);
+            expect(audioEngine.usesSynth()).toBe(true);
+        });
+    });
+
+    describe('MidiOutputPanel', () => {
+        let audioEngine;
+        let state;
+        let access;
+        let panel;
+
+        beforeEach(async () => {
+            audioEngine = new global.AudioEngine();
+            await audioEngine.initialize();
+            state = new global.CircleState();
+            audioEngine.bindState(state);
+            access = { outputs: new Map([[port.id, port]]), onstatechange: null };
+            panel = new global.MidiOutputPanel(
+                new global.MusicTheory(),
+                { audioEngine, state, getAudioEngine: async () => audioEngine },
+                { requestAccess: async () => access }
+            );
+            await panel.connect();
+        });
+
+        afterEach(() => {
+            panel.destroy();
+            audioEngine.dispose();
+        });
+
+        test('should play through the chosen port', async () => {
+            expect(panel.getPorts()).toEqual([port]);
+
+            await panel.selectPort('synth');
+            await audioEngine.playNote('C', 4);
+
+            expect(audioEngine.output).toBe(panel.output);
+            expect(port.messages[0].data).toEqual([0x90, 60, 100]);
+        });
+
+        test('should return to the built-in synth', async () => {
+            await panel.selectPort('synth');
+            await panel.selectPort('');
+
+            expect(audioEngine.output).toBeNull();
+        });
+
+        test('should keep the built-in synth through the shared state, with undo', async () => {
+            await panel.selectPort('synth');
+            panel.elements.synthToggle = document.createElement('input');
+            panel.elements.synthToggle.checked = true;
+
+            panel.handleSynthToggle();
+            expect(state.getState('audioSettings').synthWithOutput).toBe(true);
+            expect(audioEngine.usesSynth()).toBe(true);
+
+            state.undo();
+            expect(audioEngine.usesSynth()).toBe(false);
+        });
+
+        test('should release the engine when destroyed', async () => {
+            await panel.selectPort('synth');
+
+            panel.destroy();
+
+            expect(audioEngine.output).toBeNull();
+            expect(access.onstatechange).toBeNull();
+        });
+    });
+});
@@ -320,7 +320,9 @@ describe('MusicTheory Module', () => {
                     'G#': 'Ab',
                     Ab: 'G#',
                     'A#': 'Bb',
-                    Bb: 'A#'
+                    Bb: 'A#',
+                    Cb: 'B',
+                    B: 'Cb'
                 };
                 return enharmonics[key1] === key2;
             };
@@ -374,6 +376,22 @@ describe('MusicTheory Module', () => {
             expect(progressions['i-iv-V-i'].name).toBe('Minor Cadence');
         });
 
+        test('should offer the ii-V-I in every mode on its own degrees', () => {
+            const dorian = musicTheory.getChordProgressions('D', 'dorian')['ii-V-I'];
+            const minor = musicTheory.getChordProgressions('A', 'minor')['ii-V-I'];
+
+            expect(dorian.roman).toEqual(['ii', 'v', 'i']);
+            expect(
+                dorian.roman.map(roman => musicTheory.romanToChord(roman, 'D', 'dorian'))
+            ).toEqual(['E', 'A', 'D']);
+            expect(minor.roman).toEqual(['ii°', 'v', 'i']);
+            expect(musicTheory.getChordProgressions('C', 'major')['ii-V-I'].roman).toEqual([
+                'ii',
+                'V',
+                'I'
+            ]);
+        });
+
         test('should return empty object for invalid mode', () => {
             expect(musicTheory.getChordProgressions('C', 'invalid')).toEqual({});
         });
@@ -382,6 +400,46 @@ describe('MusicTheory Module', () => {
             const progressions = musicTheory.getChordProgressions('C');
             expect(progressions).toHaveProperty('I-V-vi-IV');
         });
+
+        test('should list custom progressions after the built-ins for their mode', () => {
+            musicTheory.setCustomProgressions({
+                major: { 'custom-1': { name: 'Mine', roman: ['I', 'IV'], custom: true } }
+            });
+
+            const names = Object.keys(musicTheory.getChordProgressions('C', 'major'));
+            expect(names[names.length - 1]).toBe('custom-1');
+            expect(musicTheory.getChordProgressions('A', 'minor')).not.toHaveProperty('custom-1');
+            expect(global.CHORD_PROGRESSIONS.major).not.toHaveProperty('custom-1');
+        });
+    });
+
+    describe('getProgressionLength()', () => {
+        test('should count chords when no durations are set', () => {
+            expect(musicTheory.getProgressionLength({ roman: ['ii', 'V', 'I'] })).toBe(3);
+        });
+
+        test('should add up per-chord durations', () => {
+            expect(
+                musicTheory.getProgressionLength({
+                    roman: ['ii', 'V', 'I'],
+                    durations: [0.5, 0.5, 2]
+                })
+            ).toBe(3);
+        });
+    });
+
+    describe('getRomanNumeralDegree()', () => {
+        test('should find degrees case-insensitively', () => {
+            expect(musicTheory.getRomanNumeralDegree('V', 'major')).toBe(4);
+            expect(musicTheory.getRomanNumeralDegree('V', 'minor')).toBe(4);
+            expect(musicTheory.getRomanNumeralDegree('vii°', 'major')).toBe(6);
+        });
+
+        test('should return -1 for numerals outside the mode', () => {
+            expect(musicTheory.getRomanNumeralDegree('VIII', 'major')).toBe(-1);
+            expect(musicTheory.getRomanNumeralDegree('vii', 'major')).toBe(-1);
+            expect(musicTheory.getRomanNumeralDegree('', 'major')).toBe(-1);
+        });
     });
 
     describe('romanToChord()', () => {
@@ -412,6 +470,80 @@ describe('MusicTheory Module', () => {
         test('should default to major mode when not specified', () => {
             expect(musicTheory.romanToChord('I', 'C')).toBe('C');
         });
+
+        test('should resolve applied and borrowed chords', () => {
+            expect(musicTheory.romanToChord('V7/ii', 'C')).toBe('A');
+            expect(musicTheory.romanToChord('bVII', 'C')).toBe('Bb');
+            expect(musicTheory.romanToChord('V6/5', 'G')).toBe('D');
+        });
+    });
+
+    describe('parseRomanNumeral()', () => {
+        test('should read quality from case, marks and figures', () => {
+            const quality = roman => musicTheory.parseRomanNumeral(roman).quality;
+
+            expect(quality('V')).toBe('major');
+            expect(quality('ii')).toBe('minor');
+            expect(quality('V7')).toBe('dominant7');
+            expect(quality('ii7')).toBe('minor7');
+            expect(quality('IM7')).toBe('major7');
+            expect(quality('vii°7')).toBe('diminished7');
+            expect(quality('viiø6/5')).toBe('halfDiminished7');
+            expect(quality('III+')).toBe('augmented');
+        });
+
+        test('should read accidentals, inversions and applied targets', () => {
+            const parsed = musicTheory.parseRomanNumeral('V6/5/ii');
+
+            expect(parsed.degree).toBe(4);
+            expect(parsed.inversion).toBe(1);
+            expect(parsed.target.degree).toBe(1);
+            expect(musicTheory.parseRomanNumeral('bVII').accidental).toBe(-1);
+            expect(musicTheory.parseRomanNumeral('#iv°').accidental).toBe(1);
+            expect(musicTheory.parseRomanNumeral('V4/2').inversion).toBe(3);
+        });
+
+        test('should return null for unreadable numerals', () => {
+            expect(musicTheory.parseRomanNumeral('VIII')).toBeNull();
+            expect(musicTheory.parseRomanNumeral('Vø6')).toBeNull();
+            expect(musicTheory.parseRomanNumeral('V/vii°')).toBeNull();
+            expect(musicTheory.parseRomanNumeral('V/V6')).toBeNull();
+            expect(musicTheory.parseRomanNumeral('')).toBeNull();
+        });
+    });
+
+    describe('resolveRomanNumeral()', () => {
+        test('should build applied chords in the key they tonicize', () => {
+            const chord = musicTheory.resolveRomanNumeral('V6/5/ii', 'C');
+
+            expect(chord.root).toBe('A');
+            expect(chord.quality).toBe('dominant7');
+            expect(chord.bass).toBe('C#');
+            expect(chord.notes).toEqual(['C#', 'E', 'G', 'A']);
+            expect(chord.tonicizedKey).toEqual({ key: 'D', mode: 'minor' });
+            expect(musicTheory.resolveRomanNumeral('vii°7/V', 'C').root).toBe('F#');
+        });
+
+        test('should borrow chords from the parallel mode', () => {
+            expect(musicTheory.resolveRomanNumeral('bVII', 'C').notes).toEqual(['Bb', 'D', 'F']);
+            expect(musicTheory.resolveRomanNumeral('iv', 'C').notes).toEqual(['F', 'Ab', 'C']);
+            expect(musicTheory.resolveRomanNumeral('bVI', 'C').tonicizedKey).toBeNull();
+        });
+
+        test('should use the raised leading tone for vii° in minor', () => {
+            expect(musicTheory.resolveRomanNumeral('vii°7', 'A', 'minor').root).toBe('G#');
+            expect(musicTheory.resolveRomanNumeral('VII', 'A', 'minor').root).toBe('G');
+            expect(musicTheory.resolveRomanNumeral('V', 'A', 'minor').notes).toEqual([
+                'E',
+                'G#',
+                'B'
+            ]);
+        });
+
+        test('should return null for unreadable numerals or keys', () => {
+            expect(musicTheory.resolveRomanNumeral('VIII', 'C')).toBeNull();
+            expect(musicTheory.resolveRomanNumeral('V', 'H')).toBeNull();
+        });
     });
 
     describe('getChordNotes()', () => {
@@ -447,8 +579,60 @@ describe('MusicTheory Module', () => {
             expect(musicTheory.getChordNotes('C')).toEqual(['C', 'E', 'G']);
         });
 
-        test('should handle unknown chord qualities by defaulting to major', () => {
-            expect(musicTheory.getChordNotes('C', 'unknown')).toEqual(['C', 'E', 'G']);
+        test('should return an empty chord for unknown qualities instead of a major triad', () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(musicTheory.getChordNotes('C', 'unknown')).toEqual([]);
+            expect(musicTheory.getChordNotes('C', '7b10')).toEqual([]);
+            expect(warnSpy).toHaveBeenCalled();
+            warnSpy.mockRestore();
+        });
+
+        test('should build suspended and added-tone chords', () => {
+            expect(musicTheory.getChordNotes('C', 'sus2')).toEqual(['C', 'D', 'G']);
+            expect(musicTheory.getChordNotes('C', 'sus4')).toEqual(['C', 'F', 'G']);
+            expect(musicTheory.getChordNotes('C', '6')).toEqual(['C', 'E', 'G', 'A']);
+            expect(musicTheory.getChordNotes('C', 'm6')).toEqual(['C', 'Eb', 'G', 'A']);
+            expect(musicTheory.getChordNotes('C', 'add9')).toEqual(['C', 'E', 'G', 'D']);
+        });
+
+        test('should build extended chords', () => {
+            expect(musicTheory.getChordNotes('C', '9')).toEqual(['C', 'E', 'G', 'Bb', 'D']);
+            expect(musicTheory.getChordNotes('C', 'm9')).toEqual(['C', 'Eb', 'G', 'Bb', 'D']);
+            expect(musicTheory.getChordNotes('F#', 'maj9')).toEqual(['F#', 'A#', 'C#', 'E#', 'G#']);
+            expect(musicTheory.getChordNotes('C', '11')).toEqual(['C', 'E', 'G', 'Bb', 'D', 'F']);
+            expect(musicTheory.getChordNotes('C', '13')).toEqual(['C', 'E', 'G', 'Bb', 'D', 'A']);
+        });
+
+        test('should spell diminished and half-diminished sevenths', () => {
+            expect(musicTheory.getChordNotes('C', 'dim7')).toEqual(['C', 'Eb', 'Gb', 'Bbb']);
+            expect(musicTheory.getChordNotes('B', 'm7b5')).toEqual(['B', 'D', 'F', 'A']);
+            expect(musicTheory.getChordNotes('B', 'halfDiminished7')).toEqual(['B', 'D', 'F', 'A']);
+        });
+
+        test('should spell altered dominants', () => {
+            expect(musicTheory.getChordNotes('C', '7b9')).toEqual(['C', 'E', 'G', 'Bb', 'Db']);
+            expect(musicTheory.getChordNotes('C', '7#9')).toEqual(['C', 'E', 'G', 'Bb', 'D#']);
+            expect(musicTheory.getChordNotes('C', '7#11')).toEqual(['C', 'E', 'G', 'Bb', 'F#']);
+            expect(musicTheory.getChordNotes('C', '7alt')).toEqual([
+                'C',
+                'E',
+                'Bb',
+                'Db',
+                'D#',
+                'F#',
+                'Ab'
+            ]);
+        });
+
+        test('should resolve quality symbols and names', () => {
+            expect(musicTheory.normalizeChordQuality('m7b5')).toBe('halfDiminished7');
+            expect(musicTheory.normalizeChordQuality('M7')).toBe('major7');
+            expect(musicTheory.normalizeChordQuality('m7')).toBe('minor7');
+            expect(musicTheory.normalizeChordQuality('dominant7')).toBe('dominant7');
+            expect(musicTheory.normalizeChordQuality('toString')).toBeNull();
+            expect(musicTheory.isValidChordQuality('sus4')).toBe(true);
+            expect(musicTheory.isValidChordQuality('nonsense')).toBe(false);
+            expect(musicTheory.getChordQualities()).toContain('altered');
         });
     });
 
@@ -584,6 +768,625 @@ describe('MusicTheory Module', () => {
         });
     });
 
+    describe('Spelling Engine', () => {
+        test('should use one letter per scale degree', () => {
+            expect(musicTheory.getScaleNotes('F#', 'major')).toEqual([
+                'F#',
+                'G#',
+                'A#',
+                'B',
+                'C#',
+                'D#',
+                'E#'
+            ]);
+            expect(musicTheory.getScaleNotes('Gb', 'major')).toEqual([
+                'Gb',
+                'Ab',
+                'Bb',
+                'Cb',
+                'Db',
+                'Eb',
+                'F'
+            ]);
+            expect(musicTheory.getScaleNotes('Cb', 'major')).toContain('Fb');
+            expect(musicTheory.getScaleNotes('C#', 'major')).toContain('B#');
+        });
+
+        test('should spell double sharps where a scale requires them', () => {
+            expect(musicTheory.getScaleNotes('G#', 'harmonicMinor')).toEqual([
+                'G#',
+                'A#',
+                'B',
+                'C#',
+                'D#',
+                'E',
+                'F##'
+            ]);
+        });
+
+        test('should respell theoretical keys from their enharmonic tonic', () => {
+            // MINOR_KEYS gives Db minor the C# minor signature, so spell it as C# minor
+            expect(musicTheory.getScaleNotes('Db', 'minor')).toEqual([
+                'C#',
+                'D#',
+                'E',
+                'F#',
+                'G#',
+                'A',
+                'B'
+            ]);
+        });
+
+        test('should spell chord tones by interval number', () => {
+            expect(musicTheory.getChordNotes('C#', 'major')).toEqual(['C#', 'E#', 'G#']);
+            expect(musicTheory.getChordNotes('Db', 'dominant7')).toEqual(['Db', 'F', 'Ab', 'Cb']);
+            expect(musicTheory.getChordNotes('Eb', 'minor')).toEqual(['Eb', 'Gb', 'Bb']);
+            expect(musicTheory.getChordNotes('F#', 'augmented')).toEqual(['F#', 'A#', 'C##']);
+        });
+
+        test('should spell related keys from the selected key', () => {
+            expect(musicTheory.getRelatedKeys('Gb', 'major').subdominant.key).toBe('Cb');
+            expect(musicTheory.getRelatedKeys('F#', 'major').dominant.key).toBe('C#');
+            expect(musicTheory.getRelatedKeys('F#', 'major').relative.key).toBe('D#');
+        });
+
+        test('should parse single and double accidentals', () => {
+            expect(musicTheory.parseNote('E#')).toEqual({
+                letter: 'E',
+                accidental: 1,
+                pitchClass: 5
+            });
+            expect(musicTheory.parseNote('Bbb').pitchClass).toBe(9);
+            expect(musicTheory.parseNote('Fx').pitchClass).toBe(7);
+            expect(musicTheory.parseNote('H')).toBeNull();
+            expect(musicTheory.getNoteIndex('F##')).toBe(7);
+        });
+
+        test('should map any spelling to piano and circle names', () => {
+            expect(musicTheory.getChromaticNote('E#')).toBe('F');
+            expect(musicTheory.getChromaticNote('Cb')).toBe('B');
+            expect(musicTheory.getCircleKey('Cb')).toBe('B');
+            expect(musicTheory.getCircleKey('C#')).toBe('Db');
+        });
+    });
+
+    describe('Church Modes', () => {
+        test('should generate scales for every diatonic mode on white-key tonics', () => {
+            expect(musicTheory.getScaleNotes('D', 'dorian')).toEqual([
+                'D',
+                'E',
+                'F',
+                'G',
+                'A',
+                'B',
+                'C'
+            ]);
+            expect(musicTheory.getScaleNotes('E', 'phrygian')).toEqual([
+                'E',
+                'F',
+                'G',
+                'A',
+                'B',
+                'C',
+                'D'
+            ]);
+            expect(musicTheory.getScaleNotes('F', 'lydian')).toEqual([
+                'F',
+                'G',
+                'A',
+                'B',
+                'C',
+                'D',
+                'E'
+            ]);
+            expect(musicTheory.getScaleNotes('G', 'mixolydian')).toEqual([
+                'G',
+                'A',
+                'B',
+                'C',
+                'D',
+                'E',
+                'F'
+            ]);
+            expect(musicTheory.getScaleNotes('B', 'locrian')).toEqual([
+                'B',
+                'C',
+                'D',
+                'E',
+                'F',
+                'G',
+                'A'
+            ]);
+        });
+
+        test('should accept ionian and aeolian as aliases', () => {
+            expect(musicTheory.getScaleNotes('C', 'ionian')).toEqual(
+                musicTheory.getScaleNotes('C', 'major')
+            );
+            expect(musicTheory.getScaleNotes('A', 'Aeolian')).toEqual(
+                musicTheory.getScaleNotes('A', 'minor')
+            );
+            expect(musicTheory.normalizeMode('IONIAN')).toBe('major');
+        });
+
+        test('should use the parent major key signature', () => {
+            const dorian = musicTheory.getKeySignature('D', 'dorian');
+            expect(dorian.signature).toBe('No sharps or flats');
+            expect(dorian.parent).toBe('C');
+
+            expect(musicTheory.getKeySignature('Bb', 'lydian').parent).toBe('F');
+            expect(musicTheory.getKeySignature('A', 'mixolydian').sharps).toBe(2);
+            expect(musicTheory.getKeySignature('F#', 'locrian').parent).toBe('G');
+            expect(musicTheory.getKeySignature('C', 'phrygian').flats).toBe(4);
+        });
+
+        test('should fall back to an enharmonic parent instead of double flats', () => {
+            // Db Phrygian would need Bbb major; its enharmonic parent is A major
+            expect(musicTheory.getParentKey('Db', 'phrygian')).toBe('A');
+        });
+
+        test('should map modal roman numerals to scale degrees', () => {
+            expect(musicTheory.romanToChord('IV', 'D', 'dorian')).toBe('G');
+            expect(musicTheory.romanToChord('II', 'E', 'phrygian')).toBe('F');
+            expect(musicTheory.romanToChord('VII', 'G', 'mixolydian')).toBe('F');
+            expect(musicTheory.romanToChord('i°', 'B', 'locrian')).toBe('B');
+        });
+
+        test('should provide modal progressions', () => {
+            const dorian = musicTheory.getChordProgressions('D', 'dorian');
+            expect(dorian['i-IV'].roman).toEqual(['i', 'IV']);
+            expect(
+                Object.keys(musicTheory.getChordProgressions('C', 'lydian')).length
+            ).toBeGreaterThan(0);
+        });
+
+        test('should report the parent major key as the relative key', () => {
+            const related = musicTheory.getRelatedKeys('D', 'dorian');
+            expect(related.relative).toEqual({ key: 'C', mode: 'major' });
+            expect(related.dominant).toEqual({ key: 'A', mode: 'dorian' });
+        });
+
+        test('should validate keys in church modes', () => {
+            expect(musicTheory.isValidKey('D', 'dorian')).toBe(true);
+            expect(musicTheory.isValidKey('H', 'dorian')).toBe(false);
+            expect(musicTheory.isDiatonicMode('lydian')).toBe(true);
+            expect(musicTheory.isDiatonicMode('blues')).toBe(false);
+        });
+
+        test('MODES should describe all seven modes', () => {
+            expect(Object.keys(global.MODES)).toHaveLength(7);
+            expect(global.MODES.dorian.romanNumerals).toEqual([
+                'i',
+                'ii',
+                'III',
+                'IV',
+                'v',
+                'vi°',
+                'VII'
+            ]);
+        });
+    });
+
+    describe('Chord Symbols', () => {
+        test('should parse roots with accidentals and qualities', () => {
+            const chord = musicTheory.parseChordSymbol('Bbmaj9');
+            expect(chord.root).toBe('Bb');
+            expect(chord.quality).toBe('major9');
+            expect(chord.bass).toBeNull();
+            expect(chord.notes).toEqual(['Bb', 'D', 'F', 'A', 'C']);
+
+            expect(musicTheory.parseChordSymbol('Ebm').notes).toEqual(['Eb', 'Gb', 'Bb']);
+            expect(musicTheory.parseChordSymbol('C#dim7').notes).toEqual(['C#', 'E', 'G', 'Bb']);
+        });
+
+        test('should put a slash bass first', () => {
+            const chord = musicTheory.parseChordSymbol('F#m7b5/C');
+            expect(chord.quality).toBe('halfDiminished7');
+            expect(chord.bass).toBe('C');
+            expect(chord.chordTones).toEqual(['F#', 'A', 'C', 'E']);
+            expect(chord.notes).toEqual(['C', 'F#', 'A', 'E']);
+
+            expect(musicTheory.parseChordSymbol('C/E').notes).toEqual(['E', 'C', 'G']);
+            expect(musicTheory.parseChordSymbol('C/E').inversion).toBe(1);
+            expect(musicTheory.parseChordSymbol('C/D').inversion).toBeNull();
+            expect(musicTheory.parseChordSymbol('Am7/G').notes).toEqual(['G', 'A', 'C', 'E']);
+        });
+
+        test('should apply alterations and additions', () => {
+            const chord = musicTheory.parseChordSymbol('C7(b9,#11)');
+            expect(chord.modifiers).toEqual(['#11']);
+            expect(chord.notes).toEqual(['C', 'E', 'G', 'Bb', 'Db', 'F#']);
+
+            expect(musicTheory.parseChordSymbol('Cmaj7#11').notes).toEqual([
+                'C',
+                'E',
+                'G',
+                'B',
+                'F#'
+            ]);
+            expect(musicTheory.parseChordSymbol('C9sus4').notes).toEqual([
+                'C',
+                'F',
+                'G',
+                'Bb',
+                'D'
+            ]);
+            expect(musicTheory.parseChordSymbol('Cadd9no3').notes).toEqual(['C', 'G', 'D']);
+        });
+
+        test('should treat 6/9 as a quality rather than a slash chord', () => {
+            const chord = musicTheory.parseChordSymbol('C6/9');
+            expect(chord.quality).toBe('sixNine');
+            expect(chord.bass).toBeNull();
+        });
+
+        test('should reject symbols it cannot read', () => {
+            expect(musicTheory.parseChordSymbol('H7')).toBeNull();
+            expect(musicTheory.parseChordSymbol('C7b4')).toBeNull();
+            expect(musicTheory.parseChordSymbol('Cmaj7/')).toBeNull();
+            expect(musicTheory.parseChordSymbol('')).toBeNull();
+        });
+
+        test('should format chords with preferred symbols', () => {
+            expect(
+                musicTheory.formatChordSymbol({ root: 'F#', quality: 'halfDiminished7', bass: 'C' })
+            ).toBe('F#m7b5/C');
+            expect(
+                musicTheory.formatChordSymbol({
+                    root: 'C',
+                    quality: 'dominant7',
+                    modifiers: ['b9', '#11']
+                })
+            ).toBe('C7b9#11');
+            expect(musicTheory.formatChordSymbol({ root: 'C', quality: 'bogus' })).toBeNull();
+        });
+
+        test('should normalize symbols on a parse and format round trip', () => {
+            expect(musicTheory.parseChordSymbol('C-7').symbol).toBe('Cm7');
+            expect(musicTheory.parseChordSymbol('BbM9').symbol).toBe('Bbmaj9');
+            expect(musicTheory.parseChordSymbol('Cm(maj7)').symbol).toBe('CmMaj7');
+            expect(musicTheory.parseChordSymbol('f#m7b5/c').symbol).toBe('F#m7b5/C');
+        });
+    });
+
+    describe('Chord Recognition', () => {
+        const symbols = readings => readings.map(reading => reading.symbol);
+
+        test('should name root position triads and sevenths', () => {
+            expect(symbols(musicTheory.identifyChord(['C', 'E', 'G']))).toEqual(['C']);
+            expect(symbols(musicTheory.identifyChord(['G', 'B', 'D', 'F']))).toEqual(['G7']);
+            expect(symbols(musicTheory.identifyChord(['D', 'F#', 'A', 'C', 'E']))).toEqual(['D9']);
+        });
+
+        test('should detect inversions from the bass note', () => {
+            const firstInversion = musicTheory.identifyChord(['E', 'G', 'C'])[0];
+            expect(firstInversion.symbol).toBe('C/E');
+            expect(firstInversion.inversion).toBe(1);
+            expect(firstInversion.notes).toEqual(['E', 'C', 'G']);
+
+            expect(musicTheory.identifyChord(['G', 'C', 'E'])[0].inversion).toBe(2);
+            expect(musicTheory.identifyChord(['F', 'G', 'B', 'D'])[0].symbol).toBe('G7/F');
+            expect(musicTheory.identifyChord(['F', 'G', 'B', 'D'])[0].inversion).toBe(3);
+        });
+
+        test('should list ambiguous readings, root position first', () => {
+            expect(symbols(musicTheory.identifyChord(['C', 'E', 'G', 'A']))).toEqual([
+                'C6',
+                'Am7/C'
+            ]);
+            expect(symbols(musicTheory.identifyChord(['A', 'C', 'E', 'G']))).toEqual([
+                'Am7',
+                'C6/A'
+            ]);
+            expect(musicTheory.identifyChord(['B', 'D', 'F', 'G#'])).toHaveLength(4);
+        });
+
+        test('should spell roots from the key when one is given', () => {
+            expect(musicTheory.identifyChord(['A#', 'D', 'F'])[0].symbol).toBe('A#');
+            expect(musicTheory.identifyChord(['A#', 'D', 'F'], 'F', 'major')[0].symbol).toBe('Bb');
+            expect(musicTheory.identifyChord(['C', 'D#', 'G'], 'C', 'major')[0].chordTones).toEqual(
+                ['C', 'Eb', 'G']
+            );
+        });
+
+        test('should fall back to chords without a fifth', () => {
+            expect(symbols(musicTheory.identifyChord(['C', 'E', 'Bb']))).toEqual(['C7no5']);
+        });
+
+        test('should return no readings for unknown sets and bad input', () => {
+            expect(musicTheory.identifyChord(['C', 'C#'])).toEqual([]);
+            expect(musicTheory.identifyChord(['C'])).toEqual([]);
+            expect(musicTheory.identifyChord(['C', 'H'])).toEqual([]);
+            expect(musicTheory.identifyChord(null)).toEqual([]);
+        });
+
+        test('should spell pitch classes from a key', () => {
+            expect(musicTheory.spellPitchClass(6, 'Db', 'major')).toBe('Gb');
+            expect(musicTheory.spellPitchClass(10, 'C', 'major')).toBe('Bb');
+            expect(musicTheory.spellPitchClass(10, 'E', 'major')).toBe('A#');
+            expect(musicTheory.spellPitchClass(5, 'F#', 'major')).toBe('E#');
+        });
+
+        test('should measure signed distances around the circle', () => {
+            expect(musicTheory.getCircleDistance('C', 'G')).toBe(1);
+            expect(musicTheory.getCircleDistance('C', 'Bb')).toBe(-2);
+            expect(musicTheory.getCircleDistance('C', 'F#')).toBe(6);
+            expect(musicTheory.getCircleDistance('Db', 'C#')).toBe(0);
+            expect(musicTheory.getCircleDistance('C', 'H')).toBeNull();
+        });
+    });
+
+    describe('Roman Numeral Analysis', () => {
+        const numerals = (chords, key, mode) =>
+            musicTheory.analyzeProgression(chords, key, mode).map(analysis => analysis.numeral);
+
+        test('should analyze diatonic chords with figured-bass inversions', () => {
+            expect(numerals('C Dm7 G7 Cmaj7 Bdim', 'C')).toEqual(['I', 'ii7', 'V7', 'IM7', 'vii°']);
+            expect(numerals('C/E G/D G7/B G7/D G7/F', 'C')).toEqual([
+                'I6',
+                'V6/4',
+                'V6/5',
+                'V4/3',
+                'V4/2'
+            ]);
+        });
+
+        test('should analyze secondary dominants and leading-tone chords', () => {
+            expect(numerals('D7/F# A7 E F#dim7 C7', 'C')).toEqual([
+                'V6/5/V',
+                'V7/ii',
+                'V/vi',
+                'vii°7/V',
+                'V7/IV'
+            ]);
+            expect(musicTheory.analyzeChord('D7', 'C').type).toBe('secondaryDominant');
+        });
+
+        test('should analyze borrowed chords', () => {
+            expect(numerals('Fm Ab Bb Eb Dm7b5', 'C')).toEqual([
+                'iv',
+                'bVI',
+                'bVII',
+                'bIII',
+                'iiø7'
+            ]);
+            const iv = musicTheory.analyzeChord('Fm', 'C');
+            expect(iv.type).toBe('borrowed');
+            expect(iv.description).toBe('Borrowed from C minor');
+            expect(numerals('F C', 'C', 'minor')).toEqual(['IV', 'I']);
+        });
+
+        test('should treat the raised leading tone as diatonic in minor', () => {
+            expect(numerals('Cm G7 Bdim7 Ab', 'C', 'minor')).toEqual(['i', 'V7', 'vii°7', 'VI']);
+        });
+
+        test('should recognize the Neapolitan and augmented sixths', () => {
+            expect(numerals('Db/F Db', 'C')).toEqual(['bII6', 'bII']);
+            expect(musicTheory.analyzeChord('Db/F', 'C').type).toBe('neapolitan');
+            expect(numerals('Ab7no5 Ab7b5 Ab7', 'C')).toEqual(['It+6', 'Fr+6', 'Ger+6']);
+            expect(musicTheory.analyzeChord('Ab7', 'C').description).toBe('German augmented sixth');
+        });
+
+        test('should flag chords it cannot explain', () => {
+            const unexplained = musicTheory.analyzeChord('F#', 'C');
+            expect(unexplained.numeral).toBe('#IV');
+            expect(unexplained.explained).toBe(false);
+            expect(unexplained.type).toBeNull();
+
+            const unreadable = musicTheory.analyzeChord('H7', 'C');
+            expect(unreadable.numeral).toBeNull();
+            expect(unreadable.explained).toBe(false);
+        });
+
+        test('should analyze in church modes', () => {
+            expect(numerals('Dm G C Am', 'D', 'dorian')).toEqual(['i', 'IV', 'VII', 'v']);
+        });
+
+        test('should split sequences on spaces, commas and bar lines', () => {
+            expect(numerals('Dm7, G7 | Cmaj7', 'C')).toEqual(['ii7', 'V7', 'IM7']);
+            expect(numerals(['Dm7', 'G7'], 'C')).toEqual(['ii7', 'V7']);
+        });
+    });
+
+    describe('Modulation Planning', () => {
+        test('should list the diatonic triads of a key', () => {
+            const triads = musicTheory.getDiatonicTriads('G', 'major');
+
+            expect(triads.map(chord => chord.root)).toEqual(['G', 'A', 'B', 'C', 'D', 'E', 'F#']);
+            expect(triads[6].quality).toBe('diminished');
+            expect(musicTheory.getDiatonicTriads('H', 'major')).toEqual([]);
+        });
+
+        test('should find pivot chords, predominants of the new key first', () => {
+            const pivots = musicTheory.getPivotChords('C', 'major', 'G', 'major');
+
+            expect(pivots.map(pivot => `${pivot.fromNumeral} = ${pivot.toNumeral}`)).toEqual([
+                'vi = ii',
+                'I = IV',
+                'iii = vi',
+                'V = I'
+            ]);
+            expect(pivots[0].symbol).toBe('Am');
+            expect(musicTheory.getPivotChords('C', 'major', 'F#', 'major')).toEqual([]);
+        });
+
+        test('should put diminished pivots last', () => {
+            const pivots = musicTheory.getPivotChords('C', 'major', 'A', 'minor');
+            expect(pivots[0].toNumeral).toBe('iv');
+            expect(pivots[pivots.length - 1].quality).toBe('diminished');
+        });
+
+        test('should plan a direct pivot modulation with a cadence', () => {
+            const [route] = musicTheory.planModulation('C', 'major', 'G', 'major');
+
+            expect(route.keys).toEqual([
+                { key: 'C', mode: 'major' },
+                { key: 'G', mode: 'major' }
+            ]);
+            expect(route.path).toEqual(['C', 'G']);
+            expect(route.distance).toBe(1);
+            expect(route.chords.map(chord => chord.symbol)).toEqual(['C', 'Am', 'D7', 'G']);
+            expect(route.chords.map(chord => chord.role)).toEqual([
+                'tonic',
+                'pivot',
+                'dominant',
+                'tonic'
+            ]);
+            expect(route.chords[1].numeral).toBe('vi = ii');
+        });
+
+        test('should rank routes by distance round the circle, then by modulations', () => {
+            const routes = musicTheory.planModulation('C', 'major', 'D', 'major');
+
+            expect(routes.map(route => route.keys.map(({ key }) => key))).toEqual([
+                ['C', 'D'],
+                ['C', 'G', 'D']
+            ]);
+            expect(routes.every(route => route.distance === 2)).toBe(true);
+            expect(routes[1].modulations[0].pivot.symbol).toBe('Am');
+        });
+
+        test('should step round the circle when the keys share no chord', () => {
+            const routes = musicTheory.planModulation('C', 'major', 'E', 'major');
+
+            expect(routes).toHaveLength(1);
+            expect(routes[0].path).toEqual(['C', 'G', 'D', 'A', 'E']);
+            expect(routes[0].distance).toBe(4);
+            expect(musicTheory.planModulation('Bb', 'major', 'E', 'major')).toHaveLength(2);
+        });
+
+        test('should place keys in other modes by their key signature', () => {
+            expect(musicTheory.getCircleDistance('C', 'A', 'major', 'minor')).toBe(0);
+            expect(musicTheory.getCircleDistance('C', 'C', 'major', 'minor')).toBe(-3);
+            expect(musicTheory.getCircleDistance('G', 'A', 'major', 'dorian')).toBe(0);
+        });
+
+        test('should modulate to a key with the same signature directly', () => {
+            const routes = musicTheory.planModulation('C', 'major', 'A', 'minor');
+
+            expect(routes).toHaveLength(1);
+            expect(routes[0].distance).toBe(0);
+            expect(routes[0].path).toEqual(['C']);
+            expect(routes[0].chords.map(chord => chord.symbol)).toEqual(['C', 'Dm', 'E7', 'Am']);
+        });
+
+        test('should step to the parallel key through the signatures between', () => {
+            const [route] = musicTheory.planModulation('C', 'major', 'C', 'minor');
+
+            expect(route.keys).toEqual([
+                { key: 'C', mode: 'major' },
+                { key: 'D', mode: 'minor' },
+                { key: 'G', mode: 'minor' },
+                { key: 'C', mode: 'minor' }
+            ]);
+            expect(route.path).toEqual(['C', 'F', 'Bb', 'Eb']);
+            expect(route.distance).toBe(3);
+        });
+
+        test('should confirm modal keys with their cadence and never pivot on the tonic', () => {
+            const chords = (key, mode) =>
+                musicTheory
+                    .planModulation('C', 'major', key, mode)
+                    .map(route => route.chords.map(chord => chord.symbol));
+
+            expect(chords('D', 'dorian')).toEqual([['C', 'Em', 'G7', 'Dm']]);
+            expect(chords('B', 'locrian')).toEqual([['C', 'Em', 'G7', 'Bdim']]);
+            expect(chords('G', 'mixolydian')).toEqual([['C', 'Am', 'F', 'G']]);
+
+            const [route] = musicTheory.planModulation('C', 'major', 'G', 'mixolydian');
+            expect(route.chords[2].role).toBe('cadence');
+            expect(route.modulations[0].pivots.some(pivot => pivot.symbol === 'C')).toBe(false);
+        });
+
+        test('should return no routes to the same key or from unknown keys', () => {
+            expect(musicTheory.planModulation('C', 'major', 'C', 'major')).toEqual([]);
+            expect(musicTheory.planModulation('H', 'major', 'G', 'major')).toEqual([]);
+        });
+    });
+
+    describe('Intervals', () => {
+        test('should name simple intervals between spelled notes', () => {
+            expect(musicTheory.getInterval('C', 'Eb').name).toBe('m3');
+            expect(musicTheory.getInterval('C', 'E').name).toBe('M3');
+            expect(musicTheory.getInterval('F', 'B').name).toBe('A4');
+            expect(musicTheory.getInterval('B', 'F').name).toBe('d5');
+            expect(musicTheory.getInterval('C', 'G').fullName).toBe('perfect fifth');
+        });
+
+        test('should distinguish enharmonically equivalent intervals by letter', () => {
+            expect(musicTheory.getInterval('C', 'D#').name).toBe('A2');
+            expect(musicTheory.getInterval('C', 'Eb').name).toBe('m3');
+            expect(musicTheory.getInterval('C', 'B#').name).toBe('A7');
+            expect(musicTheory.getInterval('B', 'Cb').name).toBe('d2');
+        });
+
+        test('should report compound and descending intervals when octaves are given', () => {
+            const tenth = musicTheory.getInterval('C4', 'E5');
+            expect(tenth.name).toBe('M10');
+            expect(tenth.semitones).toBe(16);
+            expect(tenth.compound).toBe(true);
+            expect(tenth.simpleName).toBe('M3');
+            expect(tenth.direction).toBe('up');
+
+            const descending = musicTheory.getInterval('E5', 'C4');
+            expect(descending.name).toBe('M10');
+            expect(descending.direction).toBe('down');
+
+            expect(musicTheory.getInterval('C4', 'C5').name).toBe('P8');
+        });
+
+        test('should return null for unparseable notes', () => {
+            expect(musicTheory.getInterval('H', 'C')).toBeNull();
+            expect(musicTheory.getInterval('C', '')).toBeNull();
+        });
+
+        test('should parse interval names and reject impossible qualities', () => {
+            const fifth = musicTheory.parseInterval('P5');
+            expect(fifth.quality).toBe('P');
+            expect(fifth.number).toBe(5);
+            expect(fifth.semitones).toBe(7);
+            expect(fifth.compound).toBe(false);
+
+            const ninth = musicTheory.parseInterval('m9');
+            expect(ninth.semitones).toBe(13);
+            expect(ninth.simpleNumber).toBe(2);
+            expect(ninth.compound).toBe(true);
+
+            expect(musicTheory.parseInterval('M5')).toBeNull();
+            expect(musicTheory.parseInterval('P3')).toBeNull();
+            expect(musicTheory.parseInterval('x4')).toBeNull();
+        });
+
+        test('should give full interval names', () => {
+            expect(musicTheory.getIntervalName('m3')).toBe('minor third');
+            expect(musicTheory.getIntervalName('A4')).toBe('augmented fourth');
+            expect(musicTheory.getIntervalName('M10')).toBe('major tenth');
+        });
+
+        test('should transpose notes by named intervals with correct spelling', () => {
+            expect(musicTheory.transposeNote('C', 'm3')).toBe('Eb');
+            expect(musicTheory.transposeNote('E', 'A4')).toBe('A#');
+            expect(musicTheory.transposeNote('Gb', 'P4')).toBe('Cb');
+            expect(musicTheory.transposeNote('C4', 'P5', 'down')).toBe('F3');
+            expect(musicTheory.transposeNote('A4', 'M3')).toBe('C#5');
+            expect(musicTheory.transposeNote('C', 'M5')).toBeNull();
+        });
+
+        test('should invert intervals', () => {
+            expect(musicTheory.invertInterval('m3')).toBe('M6');
+            expect(musicTheory.invertInterval('P5')).toBe('P4');
+            expect(musicTheory.invertInterval('A4')).toBe('d5');
+            expect(musicTheory.invertInterval('M10')).toBe('m6');
+        });
+
+        test('should compute MIDI numbers from letter and octave', () => {
+            expect(musicTheory.getMidiNumber('C4')).toBe(60);
+            expect(musicTheory.getMidiNumber('A', 4)).toBe(69);
+            expect(musicTheory.getMidiNumber('B#3')).toBe(60);
+            expect(musicTheory.getMidiNumber('Cb4')).toBe(59);
+        });
+    });
+
     describe('Edge Cases and Error Handling', () => {
         test('should handle empty strings gracefully', () => {
             expect(() => musicTheory.getNoteIndex('')).not.toThrow();
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Musical Time
+ * Tests covering MusicalTime's lengths in each time signature and AudioEngine
+ * playing everything at the tempo, meter and chord length it sets
+ */
+
+// MusicalTime and AudioEngine are loaded as globals in the test environment
+
+describe('Musical Time', () => {
+    describe('MusicalTime', () => {
+        test('should count the tempo in quarter notes whatever the meter', () => {
+            const time = new global.MusicalTime({ tempo: 90, beatsPerBar: 6, beatUnit: 8 });
+
+            expect(time.getQuarterLength()).toBeCloseTo(2 / 3, 9);
+            expect(time.getBeatLength()).toBeCloseTo(1 / 3, 9);
+            expect(time.getBarLength()).toBeCloseTo(2, 9);
+            expect(time.getQuartersPerBar()).toBe(3);
+            expect(time.getTimeSignature()).toBe('6/8');
+        });
+
+        test('should give chords half a bar of four pulses and a bar otherwise', () => {
+            const beatsPerChord = (beatsPerBar, beatUnit) =>
+                new global.MusicalTime({ beatsPerBar, beatUnit }).getBeatsPerChord();
+
+            expect(beatsPerChord(4, 4)).toBe(2);
+            expect(beatsPerChord(3, 4)).toBe(3);
+            expect(beatsPerChord(6, 8)).toBe(6);
+            expect(beatsPerChord(12, 8)).toBe(6);
+            expect(new global.MusicalTime({ beatsPerChord: 4 }).getChordLength(2)).toBe(4);
+        });
+
+        test('should add up bars, beats and quarter notes', () => {
+            const time = new global.MusicalTime({ tempo: 60, beatsPerBar: 3 });
+
+            expect(time.toSeconds({ bars: 2, beats: 1, quarters: 0.5 })).toBe(7.5);
+        });
+
+        test('should know the time signatures it supports', () => {
+            expect(global.MusicalTime.isTimeSignature(6, 8)).toBe(true);
+            expect(global.MusicalTime.isTimeSignature(6)).toBe(false);
+            expect(Object.keys(global.TIME_SIGNATURES)).toContain('12/8');
+        });
+    });
+
+    describe('AudioEngine', () => {
+        let audioEngine;
+
+        beforeEach(async () => {
+            audioEngine = new global.AudioEngine();
+            await audioEngine.initialize();
+        });
+
+        afterEach(() => {
+            audioEngine.musicTheory.setCustomProgressions({});
+            audioEngine.dispose();
+        });
+
+        test('should play two bars of ii, one of V and one of I in 6/8', () => {
+            audioEngine.musicTheory.setCustomProgressions({
+                major: {
+                    'custom-6-8': { name: 'Long ii', roman: ['ii', 'V', 'I'], durations: [2, 1, 1] }
+                }
+            });
+
+            expect(audioEngine.setTimeSignature(6, 8)).toBe(true);
+            const plan = audioEngine.planProgression('C', 'major', 'custom-6-8');
+
+            expect(plan.chords.map(({ time }) => time)).toEqual([0, 3, 4.5]);
+            expect(plan.totalDuration).toBe(6);
+        });
+
+        test('should hold chords for the beats per chord until set back to the default', () => {
+            audioEngine.setBeatsPerChord(4);
+            expect(audioEngine.getProgressionChordLength()).toBe(2);
+
+            expect(audioEngine.setBeatsPerChord(0)).toBe(false);
+            audioEngine.setBeatsPerChord(null);
+            expect(audioEngine.getProgressionChordLength()).toBe(1);
+        });
+
+        test('should play notes, scales, chords and progressions at the tempo', () => {
+            expect(audioEngine.setTempo(60)).toBe(true);
+
+            expect(audioEngine.getNoteLength()).toBeCloseTo(1.6, 9);
+            expect(audioEngine.getChordLength()).toBe(3);
+            expect(audioEngine.getScaleEvents('C')[1].time).toBeCloseTo(1.6 * 0.6 * 0.8, 9);
+            expect(audioEngine.planProgression('C', 'major', 'ii-V-I').totalDuration).toBe(6);
+            expect(audioEngine.scheduler.stepDuration).toBe(0.25);
+        });
+
+        test('should keep a note length chosen in seconds in time with later tempos', () => {
+            audioEngine.setNoteDuration(1);
+            audioEngine.setTempo(240);
+
+            expect(audioEngine.getNoteLength()).toBeCloseTo(0.5, 9);
+        });
+
+        test('should reject tempos that are not positive', () => {
+            audioEngine.logger = { ...audioEngine.logger, warn: jest.fn() };
+
+            expect(audioEngine.setTempo(0)).toBe(false);
+            expect(audioEngine.settings.tempo).toBe(120);
+        });
+
+        test('should play rhythm style beats on the dotted-quarter pulses of 6/8', () => {
+            audioEngine.setTimeSignature(6, 8);
+
+            const drums = audioEngine.getPercussionPatternEvents(0, 3);
+            const times = name => drums.filter(({ drum }) => drum === name).map(({ time }) => time);
+
+            expect(times('kick')).toEqual([0, 0.75, 1.5, 2.25]);
+            expect(times('hihat').slice(0, 6)).toEqual([0, 0.25, 0.5, 0.75, 1, 1.25]);
+        });
+
+        test('should play rhythm styles unswung on the pulses of 12/8', () => {
+            audioEngine.setRhythmStyle('swing');
+            audioEngine.setTimeSignature(12, 8);
+
+            const bass = audioEngine.getBassPatternEvents({ notes: ['C', 'E', 'G'] }, 0, 1.5);
+            const kicks = audioEngine
+                .getPercussionPatternEvents(0, 3)
+                .filter(({ drum }) => drum === 'kick')
+                .map(({ time }) => time);
+
+            expect(bass.map(({ time, duration }) => [time, duration])).toEqual([[0, 1.5]]);
+            expect(kicks).toEqual([0, 1.5]);
+        });
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit Tests for PresetStore Module
+ * Tests covering saving, replacing and deleting presets, persistence and preset files
+ */
+
+// PresetStore, CircleState and DEFAULT_AUDIO_SETTINGS are loaded as globals in the test
+// environment
+
+describe('PresetStore Module', () => {
+    let store;
+
+    const jazzPad = () => ({
+        ...global.DEFAULT_AUDIO_SETTINGS,
+        waveform: 'softSquare',
+        attackTime: 0.4,
+        releaseTime: 1.2,
+        filterCutoff: 1200,
+        reverbType: 'hall',
+        delayFeedback: 0.45
+    });
+
+    beforeEach(() => {
+        global.localStorage.clear();
+        store = new global.PresetStore();
+    });
+
+    afterEach(() => {
+        store.destroy();
+        global.localStorage.clear();
+    });
+
+    describe('create()', () => {
+        test('should save every setting under a name', () => {
+            const preset = store.create('  Jazz pad ', jazzPad());
+
+            expect(preset.name).toBe('Jazz pad');
+            expect(preset.settings).toEqual(jazzPad());
+            expect(store.getPresets()).toHaveLength(1);
+        });
+
+        test('should replace the settings of a preset with the same name', () => {
+            const first = store.create('Jazz pad', jazzPad());
+            const second = store.create('JAZZ PAD', { ...jazzPad(), attackTime: 0.2 });
+
+            expect(second.id).toBe(first.id);
+            expect(store.getPresets()).toHaveLength(1);
+            expect(store.getPreset(first.id).settings.attackTime).toBe(0.2);
+        });
+
+        test('should not save a preset without a name', () => {
+            expect(store.create('   ', jazzPad())).toBeNull();
+            expect(store.create('x'.repeat(41), jazzPad())).toBeNull();
+            expect(store.getPresets()).toHaveLength(0);
+        });
+
+        test('should keep presets for the next session', () => {
+            store.create('Jazz pad', jazzPad());
+            store.create('Classroom piano', { ...jazzPad(), waveform: 'piano' });
+
+            const next = new global.PresetStore();
+            expect(next.getPresets().map(preset => preset.name)).toEqual([
+                'Jazz pad',
+                'Classroom piano'
+            ]);
+            next.destroy();
+        });
+    });
+
+    describe('remove()', () => {
+        test('should delete a preset', () => {
+            const preset = store.create('Jazz pad', jazzPad());
+
+            expect(store.remove(preset.id)).toBe(true);
+            expect(store.remove(preset.id)).toBe(false);
+            expect(store.getPresets()).toHaveLength(0);
+        });
+    });
+
+    describe('preset files', () => {
+        test('should import exported presets in another browser', () => {
+            store.create('Jazz pad', jazzPad());
+            const json = store.exportPresets();
+            global.localStorage.clear();
+
+            const other = new global.PresetStore();
+            const { presets, error } = other.importPresets(json);
+
+            expect(error).toBeNull();
+            expect(presets.map(preset => preset.name)).toEqual(['Jazz pad']);
+            expect(other.getPresets()[0].settings).toEqual(jazzPad());
+            other.destroy();
+        });
+
+        test('should give settings a file leaves out or gets wrong their defaults', () => {
+            const json = JSON.stringify({
+                format: 'circle-of-fifths-presets',
+                version: 1,
+                presets: [
+                    { name: 'Bright', settings: { filterCutoff: 6000, waveform: 'kazoo' } },
+                    { settings: { filterCutoff: 100 } }
+                ]
+            });
+
+            const { presets } = store.importPresets(json);
+
+            expect(presets).toHaveLength(1);
+            expect(presets[0].settings.filterCutoff).toBe(6000);
+            expect(presets[0].settings.waveform).toBe(global.DEFAULT_AUDIO_SETTINGS.waveform);
+        });
+
+        test('should give settings out of their ranges their defaults', () => {
+            const json = JSON.stringify({
+                format: 'circle-of-fifths-presets',
+                version: 1,
+                presets: [
+                    {
+                        name: 'Broken',
+                        settings: {
+                            tempo: -40,
+                            masterVolume: 100,
+                            sustainLevel: 9,
+                            beatsPerBar: 0,
+                            beatUnit: 3,
+                            swing: 5
+                        }
+                    }
+                ]
+            });
+
+            const { presets } = store.importPresets(json);
+
+            expect(presets[0].settings).toEqual(global.DEFAULT_AUDIO_SETTINGS);
+        });
+
+        test('should skip entries that are not presets', () => {
+            const json = JSON.stringify({
+                format: 'circle-of-fifths-presets',
+                version: 1,
+                presets: [null, 'Bright', { name: 'Jazz pad', settings: jazzPad() }]
+            });
+
+            const { presets, error } = store.importPresets(json);
+
+            expect(error).toBeNull();
+            expect(presets.map(preset => preset.name)).toEqual(['Jazz pad']);
+
+            const next = new global.PresetStore();
+            expect(next.getPresets()).toHaveLength(1);
+            next.destroy();
+        });
+
+        test('should explain files that cannot be imported', () => {
+            expect(store.importPresets('not json').error).toBe('The file is not JSON');
+            expect(store.importPresets('{"presets": []}').error).toBe(
+                'The file does not hold presets'
+            );
+            expect(
+                store.importPresets(
+                    JSON.stringify({ format: 'circle-of-fifths-presets', version: 2, presets: [] })
+                ).error
+            ).toBe("Preset files of version 2 can't be read");
+            expect(store.getPresets()).toHaveLength(0);
+        });
+    });
+
+    test('should reload presets changed in another tab', () => {
+        const other = new global.PresetStore();
+        other.create('Jazz pad', jazzPad());
+
+        store.handleStorageChange({ key: 'circle-of-fifths-presets' });
+
+        expect(store.getPresets().map(preset => preset.name)).toEqual(['Jazz pad']);
+        other.destroy();
+    });
+});
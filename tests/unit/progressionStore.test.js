@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for ProgressionStore Module
+ * Tests covering validation, persistence, ordering and registration with MusicTheory
+ */
+
+// ProgressionStore and MusicTheory are loaded as globals in the test environment
+
+describe('ProgressionStore Module', () => {
+    let musicTheory;
+    let store;
+
+    const turnaround = () => ({
+        name: 'Turnaround',
+        mode: 'major',
+        chords: [
+            { roman: 'I', quality: null, duration: 2 },
+            { roman: 'vi', quality: null, duration: 1 },
+            { roman: 'ii', quality: 'minor7', duration: 1 },
+            { roman: 'V', quality: 'dominant7', duration: 1 }
+        ]
+    });
+
+    beforeEach(() => {
+        global.localStorage.clear();
+        musicTheory = new global.MusicTheory();
+        store = new global.ProgressionStore(musicTheory);
+    });
+
+    afterEach(() => {
+        store.destroy();
+        global.localStorage.clear();
+    });
+
+    describe('parseChords()', () => {
+        test('should read numerals with qualities and durations', () => {
+            const { chords, error } = store.parseChords('I*2, vi | ii:m7 V:7');
+
+            expect(error).toBeNull();
+            expect(chords).toEqual(turnaround().chords);
+        });
+
+        test('should read applied chords, mixture and figured inversions', () => {
+            const { chords, error } = store.parseChords('I V6/5/ii ii bVII:7 V4/3');
+
+            expect(error).toBeNull();
+            expect(chords.map(chord => chord.roman)).toEqual([
+                'I',
+                'V6/5/ii',
+                'ii',
+                'bVII',
+                'V4/3'
+            ]);
+            expect(chords[3].quality).toBe('dominant7');
+        });
+
+        test('should reject text that is not a roman numeral', () => {
+            const { chords, error } = store.parseChords('I VIII V');
+
+            expect(chords).toEqual([]);
+            expect(error).toBe('"VIII" is not a roman numeral chord');
+        });
+
+        test('should reject unknown qualities and out-of-range durations', () => {
+            expect(store.parseChords('I:wobbly').error).toBeTruthy();
+            expect(store.parseChords('I*0').error).toBeTruthy();
+            expect(store.parseChords('I*16').error).toBeTruthy();
+        });
+
+        test('should ask for at least one chord', () => {
+            expect(store.parseChords('  ').error).toBe('Enter at least one roman numeral');
+        });
+
+        test('should round-trip through formatChords()', () => {
+            const text = store.formatChords(turnaround().chords);
+
+            expect(text).toBe('I*2 vi ii:minor7 V:dominant7');
+            expect(store.parseChords(text).chords).toEqual(turnaround().chords);
+        });
+    });
+
+    describe('create()', () => {
+        test('should save a progression and offer it to getChordProgressions()', () => {
+            const saved = store.create(turnaround());
+            const progression = musicTheory.getChordProgressions('G', 'major')[saved.id];
+
+            expect(saved.id.startsWith('custom-')).toBe(true);
+            expect(progression.name).toBe('Turnaround');
+            expect(progression.roman).toEqual(['I', 'vi', 'ii', 'V']);
+            expect(progression.qualities).toEqual([null, null, 'minor7', 'dominant7']);
+            expect(progression.durations).toEqual([2, 1, 1, 1]);
+            expect(progression.custom).toBe(true);
+        });
+
+        test('should name an unnamed progression after its numerals', () => {
+            const saved = store.create({ ...turnaround(), name: '  ' });
+            expect(saved.name).toBe('I - vi - ii - V');
+        });
+
+        test('should not save invalid progressions', () => {
+            const warnSpy = jest.spyOn(store.logger, 'warn').mockImplementation();
+
+            expect(store.create({ ...turnaround(), mode: 'bebop' })).toBeNull();
+            expect(store.create({ ...turnaround(), chords: [] })).toBeNull();
+            expect(store.getProgressions('major')).toHaveLength(0);
+
+            warnSpy.mockRestore();
+        });
+
+        test('should announce changes with a progressionsChanged event', () => {
+            const listener = jest.fn();
+            document.addEventListener('progressionsChanged', listener);
+
+            store.create(turnaround());
+
+            expect(listener).toHaveBeenCalled();
+            document.removeEventListener('progressionsChanged', listener);
+        });
+    });
+
+    describe('Persistence', () => {
+        test('should reload saved progressions in a new store', () => {
+            const saved = store.create(turnaround());
+
+            const reloadedTheory = new global.MusicTheory();
+            const reloaded = new global.ProgressionStore(reloadedTheory);
+
+            expect(reloaded.getProgression(saved.id).chords).toEqual(saved.chords);
+            expect(reloadedTheory.getChordProgressions('C', 'major')).toHaveProperty(saved.id);
+            reloaded.destroy();
+        });
+
+        test('should ignore data saved with another schema version', () => {
+            global.localStorage.setItem(
+                'circle-of-fifths-progressions',
+                JSON.stringify({ version: 99, progressions: { major: [turnaround()] } })
+            );
+
+            const reloaded = new global.ProgressionStore(new global.MusicTheory());
+
+            expect(reloaded.getProgressions('major')).toHaveLength(0);
+            reloaded.destroy();
+        });
+
+        test('should reload when another tab changes the progressions', () => {
+            const other = new global.ProgressionStore(new global.MusicTheory());
+            const saved = other.create(turnaround());
+
+            store.handleStorageChange({ key: 'circle-of-fifths-progressions' });
+
+            expect(store.getProgression(saved.id)).toBeTruthy();
+            other.destroy();
+        });
+    });
+
+    describe('update(), move() and remove()', () => {
+        test('should rename and replace chords in place', () => {
+            const first = store.create(turnaround());
+            store.create({ ...turnaround(), name: 'Second' });
+
+            const updated = store.update(first.id, {
+                name: 'Renamed',
+                chords: store.parseChords('ii V I').chords
+            });
+
+            expect(updated.name).toBe('Renamed');
+            expect(store.getProgressions('major')[0].id).toBe(first.id);
+            expect(musicTheory.getChordProgressions('C', 'major')[first.id].roman).toEqual([
+                'ii',
+                'V',
+                'I'
+            ]);
+        });
+
+        test('should reorder within the mode', () => {
+            const first = store.create(turnaround());
+            const second = store.create({ ...turnaround(), name: 'Second' });
+
+            expect(store.move(second.id, -1)).toBe(true);
+            expect(store.getProgressions('major').map(p => p.id)).toEqual([second.id, first.id]);
+            expect(Object.keys(musicTheory.getChordProgressions('C', 'major')).slice(-2)).toEqual([
+                second.id,
+                first.id
+            ]);
+            expect(store.move(second.id, -1)).toBe(false);
+        });
+
+        test('should delete a progression', () => {
+            const saved = store.create(turnaround());
+
+            expect(store.remove(saved.id)).toBe(true);
+            expect(store.getProgression(saved.id)).toBeNull();
+            expect(musicTheory.getChordProgressions('C', 'major')).not.toHaveProperty(saved.id);
+            expect(store.remove(saved.id)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for Rhythm Styles
+ * Tests covering swing, the style library and AudioEngine accompanying
+ * progressions with each style's drums, bass line and chord rhythm
+ */
+
+// RHYTHM_STYLES, swingBeat and AudioEngine are loaded as globals in the test environment
+
+describe('Rhythm Styles', () => {
+    describe('swingBeat', () => {
+        test('should leave beats and straight eighths where they are', () => {
+            expect(global.swingBeat(2, 1)).toBe(2);
+            expect(global.swingBeat(1.5, 0)).toBe(1.5);
+        });
+
+        test('should move offbeat eighths as far as the last triplet', () => {
+            expect(global.swingBeat(1.5, 1)).toBeCloseTo(1 + 2 / 3, 9);
+            expect(global.swingBeat(0.5, 0.5)).toBeCloseTo(0.5 + 1 / 12, 9);
+        });
+    });
+
+    describe('style library', () => {
+        test('should give every style drums, a bass line and a playable meter', () => {
+            Object.values(global.RHYTHM_STYLES).forEach(style => {
+                expect(Object.keys(style.drums).sort()).toEqual(['hihat', 'kick', 'snare']);
+                expect(style.bass.length).toBeGreaterThan(0);
+                expect([3, 4]).toContain(style.beatsPerBar);
+            });
+        });
+    });
+
+    describe('AudioEngine', () => {
+        let audioEngine;
+
+        beforeEach(async () => {
+            audioEngine = new global.AudioEngine();
+            await audioEngine.initialize();
+        });
+
+        afterEach(() => {
+            audioEngine.dispose();
+        });
+
+        test('should keep the accompaniment progressions always had by default', () => {
+            const drums = audioEngine
+                .getPercussionPatternEvents(0, 1)
+                .map(({ drum, time }) => `${drum}@${time}`)
+                .sort();
+            const bass = audioEngine.getBassPatternEvents({ notes: ['C', 'E', 'G'] }, 0, 1);
+
+            expect(drums).toEqual([
+                'hihat@0',
+                'hihat@0.25',
+                'hihat@0.5',
+                'hihat@0.75',
+                'kick@0',
+                'snare@0.5'
+            ]);
+            expect(bass.map(({ note, time }) => `${note}@${time}`)).toEqual(['C@0', 'C@0.5']);
+            expect(audioEngine.getCompPatternEvents([{ note: 'C', octave: 4 }], 0, 1)).toEqual([
+                { voicing: [{ note: 'C', octave: 4 }], time: 0, duration: 1 }
+            ]);
+        });
+
+        test('should take its swing and time signature from a chosen style', () => {
+            expect(audioEngine.setRhythmStyle('waltz')).toBe(true);
+
+            expect(audioEngine.settings.beatsPerBar).toBe(3);
+            expect(audioEngine.settings.swing).toBe(0);
+            const plan = audioEngine.planProgression('C', 'major', 'I-IV-V-I');
+            expect(plan.chords.map(({ time }) => time)).toEqual([0, 1.5, 3, 4.5]);
+        });
+
+        test('should reject styles and time signatures it does not have', () => {
+            audioEngine.logger = { ...audioEngine.logger, warn: jest.fn() };
+
+            expect(audioEngine.setRhythmStyle('polka')).toBe(false);
+            expect(audioEngine.setTimeSignature(7)).toBe(false);
+            expect(audioEngine.settings.rhythmStyle).toBe('straight');
+            expect(audioEngine.settings.beatsPerBar).toBe(4);
+        });
+
+        test('should place drums by the bar the chord falls in', () => {
+            audioEngine.setRhythmStyle('rock');
+
+            const secondHalf = audioEngine
+                .getPercussionPatternEvents(5, 1, 2)
+                .filter(({ drum }) => drum !== 'hihat')
+                .map(({ drum, time }) => `${drum}@${time}`);
+
+            expect(secondHalf).toEqual(['kick@5', 'snare@5.5']);
+        });
+
+        test('should swing offbeats by the swing amount', () => {
+            audioEngine.setRhythmStyle('swing');
+
+            const rideTimes = audioEngine
+                .getPercussionPatternEvents(0, 2)
+                .filter(({ drum }) => drum === 'hihat')
+                .map(({ time }) => time);
+
+            expect(rideTimes[2]).toBeCloseTo((1 + 2 / 3) * 0.5, 9);
+
+            audioEngine.setSwing(0);
+            expect(
+                audioEngine
+                    .getPercussionPatternEvents(0, 2)
+                    .filter(({ drum }) => drum === 'hihat')[2].time
+            ).toBe(0.75);
+        });
+
+        test('should break chords into Alberti figures', () => {
+            audioEngine.setRhythmStyle('alberti');
+            const voicing = [
+                { note: 'E', octave: 4 },
+                { note: 'C', octave: 4 },
+                { note: 'G', octave: 4 }
+            ];
+
+            const hits = audioEngine.getCompPatternEvents(voicing, 0, 1);
+
+            expect(hits.map(hit => hit.voicing.map(({ note }) => note).join())).toEqual([
+                'C',
+                'G',
+                'E',
+                'G'
+            ]);
+            expect(hits.map(({ time }) => time)).toEqual([0, 0.25, 0.5, 0.75]);
+        });
+
+        test('should walk up the chord when nothing follows it', () => {
+            audioEngine.setRhythmStyle('walking');
+            audioEngine.setSwing(0);
+
+            const line = audioEngine.getBassPatternEvents({ notes: ['G', 'B', 'D'] }, 0, 2);
+
+            expect(line.map(({ note, octave }) => `${note}${octave}`)).toEqual([
+                'G2',
+                'B2',
+                'D3',
+                'B2'
+            ]);
+            expect(line.every(({ duration }) => duration === 0.5)).toBe(true);
+        });
+
+        test('should cut notes short where the chord ends', () => {
+            audioEngine.setRhythmStyle('ballad');
+
+            const [bass] = audioEngine.getBassPatternEvents({ notes: ['C', 'E', 'G'] }, 0, 1);
+
+            expect(bass.duration).toBe(1);
+        });
+    });
+});
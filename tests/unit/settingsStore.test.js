@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for SettingsStore Module
+ * Tests covering saving, validation on load, schema versions and cross-tab sync
+ */
+
+// SettingsStore, CircleState and DEFAULT_AUDIO_SETTINGS are loaded as globals in the
+// test environment
+
+describe('SettingsStore Module', () => {
+    const storageKey = 'circle-of-fifths-audio-settings';
+    let store;
+    let state;
+
+    beforeEach(() => {
+        global.localStorage.clear();
+        store = new global.SettingsStore();
+        state = new global.CircleState();
+    });
+
+    afterEach(() => {
+        store.destroy();
+        global.localStorage.clear();
+    });
+
+    test('should load nothing when no settings are saved', () => {
+        expect(store.load()).toEqual({});
+    });
+
+    test('should save changes and load them in the next session', () => {
+        store.bindState(state);
+        state.setState({
+            audioSettings: { waveform: 'organ', reverbType: 'hall', tempo: 90, bassEnabled: true }
+        });
+
+        const next = new global.CircleState({ audioSettings: new global.SettingsStore().load() });
+
+        expect(next.getState('audioSettings')).toEqual(state.getState('audioSettings'));
+        expect(next.getState('audioSettings').waveform).toBe('organ');
+        expect(JSON.parse(global.localStorage.getItem(storageKey)).version).toBe(1);
+    });
+
+    test('should not save settings from a link until they are changed', () => {
+        global.localStorage.setItem(
+            storageKey,
+            JSON.stringify({ version: 1, settings: { tempo: 80, bassEnabled: true } })
+        );
+        const linked = new global.CircleState({
+            audioSettings: { ...store.load(), tempo: 150, waveform: 'organ' }
+        });
+        store.bindState(linked);
+
+        linked.setState({ audioSettings: { reverbLevel: 0.5 } });
+        expect(store.load()).toEqual({ tempo: 80, bassEnabled: true, reverbLevel: 0.5 });
+
+        linked.setState({ audioSettings: { tempo: 100 } });
+        expect(store.load().tempo).toBe(100);
+        expect(store.load().waveform).toBeUndefined();
+    });
+
+    test('should drop saved values that are not valid', () => {
+        global.localStorage.setItem(
+            storageKey,
+            JSON.stringify({
+                version: 1,
+                settings: {
+                    waveform: 'kazoo',
+                    reverbType: 'plate',
+                    tempo: 'fast',
+                    loopEnabled: false,
+                    beatsPerChord: null,
+                    unknownSetting: 1
+                }
+            })
+        );
+
+        expect(store.load()).toEqual({
+            reverbType: 'plate',
+            loopEnabled: false,
+            beatsPerChord: null
+        });
+    });
+
+    test('should drop saved values out of their ranges', () => {
+        global.localStorage.setItem(
+            storageKey,
+            JSON.stringify({
+                version: 1,
+                settings: {
+                    tempo: -40,
+                    masterVolume: 100,
+                    sustainLevel: 9,
+                    beatsPerBar: 0,
+                    beatUnit: 3,
+                    swing: 5,
+                    metronomeSubdivision: 3,
+                    releaseTime: 2.5
+                }
+            })
+        );
+
+        expect(store.load()).toEqual({ releaseTime: 2.5 });
+    });
+
+    test('should drop a time signature the meter selector does not offer', () => {
+        const save = settings =>
+            global.localStorage.setItem(storageKey, JSON.stringify({ version: 1, settings }));
+
+        save({ beatsPerBar: 6, beatUnit: 8 });
+        expect(store.load()).toEqual({ beatsPerBar: 6, beatUnit: 8 });
+
+        save({ beatsPerBar: 7, beatUnit: 4 });
+        expect(store.load()).toEqual({});
+    });
+
+    test('should ignore data saved with another schema version', () => {
+        global.localStorage.setItem(
+            storageKey,
+            JSON.stringify({ version: 99, settings: { tempo: 90 } })
+        );
+
+        expect(store.load()).toEqual({});
+    });
+
+    test('should apply settings saved in another tab without an undo step', () => {
+        store.bindState(state);
+        global.localStorage.setItem(
+            storageKey,
+            JSON.stringify({ version: 1, settings: { tempo: 150, percussionEnabled: false } })
+        );
+
+        store.handleStorageChange({ key: storageKey });
+
+        expect(state.getState('audioSettings').tempo).toBe(150);
+        expect(state.getState('audioSettings').percussionEnabled).toBe(false);
+        expect(state.getState('audioSettings').waveform).toBe(
+            global.DEFAULT_AUDIO_SETTINGS.waveform
+        );
+        expect(state.canUndo()).toBe(false);
+    });
+
+    test('should stop saving when destroyed', () => {
+        store.bindState(state);
+        store.destroy();
+
+        state.setState({ audioSettings: { tempo: 70 } });
+
+        expect(global.localStorage.getItem(storageKey)).toBeNull();
+    });
+});
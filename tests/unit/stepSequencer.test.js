@@ -0,0 +1,219 @@
+/**
+ * Unit Tests for the Step Sequencer
+ * Tests covering StepSequencer patterns, progression looping on the lookahead
+ * scheduler, tempo changes and stopping
+ */
+
+// StepSequencer, createDefaultPattern, MusicalTime and AudioEngine are loaded as globals in the
+// test environment
+
+describe('Step Sequencer', () => {
+    let audioEngine;
+    let sequencer;
+    let voicings;
+    let drums;
+    let bass;
+
+    beforeEach(async () => {
+        audioEngine = new global.AudioEngine();
+        await audioEngine.initialize();
+        sequencer = audioEngine.sequencer;
+
+        // The mock clock stands still, so look far enough ahead to schedule whole bars at once
+        audioEngine.scheduler.scheduleAheadTime = 3.9;
+
+        voicings = [];
+        drums = [];
+        bass = [];
+        audioEngine.scheduleVoicing = (voicing, time, duration) =>
+            voicings.push({ notes: voicing.map(({ note }) => note), time, duration });
+        audioEngine.scheduleDrum = (drum, time) => drums.push({ drum, time });
+        audioEngine.scheduleBassNote = (note, octave, time, duration) =>
+            bass.push({ note, time, duration });
+    });
+
+    afterEach(() => {
+        audioEngine.dispose();
+    });
+
+    describe('patterns', () => {
+        test('should default to the accompaniment progressions always had', () => {
+            const pattern = global.createDefaultPattern();
+            const hits = lane => pattern[lane].flatMap((on, step) => (on ? [step] : [])).join(',');
+
+            expect(hits('chords')).toBe('0,8');
+            expect(hits('bass')).toBe('0,4,8,12');
+            expect(hits('kick')).toBe('0,8');
+            expect(hits('snare')).toBe('4,12');
+            expect(hits('hihat')).toBe('0,2,4,6,8,10,12,14');
+        });
+
+        test('should make the default pattern one bar of the time signature', () => {
+            const pattern = global.createDefaultPattern(
+                new global.MusicalTime({ beatsPerBar: 6, beatUnit: 8 })
+            );
+            const hits = lane => pattern[lane].flatMap((on, step) => (on ? [step] : [])).join(',');
+
+            expect(pattern.kick).toHaveLength(12);
+            expect(hits('chords')).toBe('0');
+            expect(hits('bass')).toBe('0,6');
+            expect(hits('kick')).toBe('0');
+            expect(hits('snare')).toBe('6');
+        });
+
+        test('should toggle steps and reject ones that do not exist', () => {
+            expect(sequencer.toggleStep('snare', 6)).toBe(true);
+            expect(sequencer.toggleStep('snare', 6)).toBe(false);
+            expect(() => sequencer.toggleStep('cowbell', 0)).toThrow(RangeError);
+            expect(() => sequencer.toggleStep('kick', 16)).toThrow(RangeError);
+
+            audioEngine.setTimeSignature(3, 4);
+            expect(() => sequencer.toggleStep('kick', 12)).toThrow(RangeError);
+            expect(sequencer.toggleStep('kick', 11)).toBe(true);
+            expect(sequencer.pattern.kick).toHaveLength(12);
+        });
+
+        test('should copy patterns and silence missing lanes', () => {
+            const pattern = { kick: [true] };
+            sequencer.setPattern(pattern);
+            pattern.kick[0] = false;
+
+            expect(sequencer.pattern.kick[0]).toBe(true);
+            expect(sequencer.pattern.chords.some(Boolean)).toBe(false);
+        });
+    });
+
+    describe('playback', () => {
+        test('should loop a progression with voice leading across the repeat', async () => {
+            const plan = audioEngine.planProgression('C', 'major', 'ii-V-I');
+
+            expect(await audioEngine.playProgressionLoop('C', 'major', 'ii-V-I')).toBe(true);
+
+            expect(voicings.map(({ time }) => time)).toEqual([0, 1, 2, 3]);
+            expect(voicings.every(({ duration }) => duration === 1)).toBe(true);
+            const repeat = audioEngine.planProgression('C', 'major', 'ii-V-I', plan.finalVoicing)
+                .chords[0];
+            expect(voicings[3].notes).toEqual(repeat.voicing.map(({ note }) => note));
+            expect(audioEngine.isLooping()).toBe(true);
+        });
+
+        test('should play the bass and drum lanes when they are on', () => {
+            audioEngine.settings.bassEnabled = true;
+            audioEngine.settings.percussionEnabled = true;
+            audioEngine.scheduler.scheduleAheadTime = 1.9;
+
+            sequencer.start('C', 'major', 'I-IV-V-I');
+
+            const count = drum => drums.filter(hit => hit.drum === drum).length;
+            expect([count('kick'), count('snare'), count('hihat')]).toEqual([2, 2, 8]);
+            expect(bass.map(({ note }) => note)).toEqual(['C', 'C', 'F', 'F']);
+            expect(bass[0].duration).toBe(0.5);
+        });
+
+        test('should start the lanes again at each barline of 3/4', () => {
+            audioEngine.settings.percussionEnabled = true;
+            audioEngine.setTimeSignature(3, 4);
+            sequencer.setPattern({ kick: [true] });
+
+            sequencer.start('C', 'major', 'I-IV-V-I');
+
+            expect(drums.map(({ time }) => time)).toEqual([0, 1.5, 3]);
+        });
+
+        test('should leave the bass and drums out when they are off', () => {
+            sequencer.start('C', 'major', 'I-IV-V-I');
+
+            expect(drums).toHaveLength(0);
+            expect(bass).toHaveLength(0);
+            expect(voicings.length).toBeGreaterThan(0);
+        });
+
+        test('should play chords in the rhythm style until a pattern is set', () => {
+            audioEngine.setRhythmStyle('rock');
+            audioEngine.scheduler.scheduleAheadTime = 0.9;
+
+            sequencer.start('C', 'major', 'I-IV-V-I');
+
+            expect(voicings.map(({ time }) => time)).toEqual([0, 0.5]);
+            expect(voicings[0].duration).toBeCloseTo(0.45, 9);
+        });
+
+        test('should hold a chord until the next hit in its lane', () => {
+            sequencer.setPattern({ chords: [true, false, false, true] });
+            audioEngine.scheduler.scheduleAheadTime = 0.9;
+
+            sequencer.start('C', 'major', 'I-IV-V-I');
+
+            expect(voicings.map(({ time, duration }) => [time, duration])).toEqual([
+                [0, 0.375],
+                [0.375, 0.625]
+            ]);
+        });
+
+        test('should stop after one pass unless looping', () => {
+            sequencer.start('C', 'major', 'ii-V-I');
+
+            expect(voicings).toHaveLength(3);
+            expect(sequencer.isPlaying()).toBe(false);
+            expect(audioEngine.scheduler.isPlaying).toBe(false);
+        });
+
+        test('should finish the pass when looping is turned off', async () => {
+            audioEngine.scheduler.scheduleAheadTime = 0.1;
+            await audioEngine.playProgressionLoop('C', 'major', 'ii-V-I');
+
+            audioEngine.setLoopingEnabled(false);
+
+            expect(sequencer.isPlaying()).toBe(true);
+            expect(audioEngine.isLooping()).toBe(false);
+        });
+
+        test('should follow tempo changes from the next step', () => {
+            audioEngine.scheduler.scheduleAheadTime = 0.1;
+            sequencer.start('C', 'major', 'I-IV-V-I', { loop: true });
+
+            audioEngine.setTempo(60);
+            audioEngine.audioContext.currentTime = 0.2;
+            audioEngine.scheduleLoop();
+
+            expect(audioEngine.scheduler.nextNoteTime).toBeCloseTo(0.375, 6);
+            expect(audioEngine.getProgressionChordLength()).toBe(2);
+        });
+
+        test('should keep chords on the bar when the tempo changes during a pass', () => {
+            const chordStarts = [];
+            let steps = 0;
+            audioEngine.scheduleVoicing = () => {
+                if (sequencer.playback.chordStep === 0) {
+                    chordStarts.push(steps);
+                }
+                steps++;
+            };
+            sequencer.setPattern({ chords: new Array(16).fill(true) });
+            audioEngine.scheduler.scheduleAheadTime = 0.3;
+            sequencer.start('C', 'major', 'ii-V-I', { loop: true });
+
+            audioEngine.setTempo(60);
+            audioEngine.scheduler.scheduleAheadTime = 6;
+            audioEngine.scheduleLoop();
+            audioEngine.setTempo(200);
+            audioEngine.scheduler.scheduleAheadTime = 12;
+            audioEngine.scheduleLoop();
+
+            expect(steps).toBeGreaterThan(40);
+            expect(chordStarts.every(step => step % 8 === 0)).toBe(true);
+            expect(chordStarts.slice(0, 4)).toEqual([0, 8, 16, 24]);
+        });
+
+        test('should tell step listeners when playback stops', () => {
+            const steps = [];
+            sequencer.addStepListener(step => steps.push(step));
+            sequencer.start('C', 'major', 'I-IV-V-I', { loop: true });
+
+            audioEngine.stopAll();
+
+            expect(sequencer.isPlaying()).toBe(false);
+            expect(steps).toEqual([null]);
+        });
+    });
+});
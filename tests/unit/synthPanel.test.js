@@ -0,0 +1,100 @@
+/**
+ * Unit Tests for SynthPanel Module
+ * Tests covering where the envelope editor draws an envelope and what dragging its points sets
+ */
+
+// getEnvelopePoints, getEnvelopeUpdate and DEFAULT_AUDIO_SETTINGS are loaded as globals in
+// the test environment
+
+describe('SynthPanel Module', () => {
+    const envelope = () => ({
+        attackTime: 0.5,
+        decayTime: 0.5,
+        sustainLevel: 0.5,
+        releaseTime: 0.75
+    });
+
+    describe('getEnvelopePoints()', () => {
+        test('should draw the envelope from silence to the peak, sustain and back', () => {
+            const points = global.getEnvelopePoints(envelope());
+
+            expect(points.start).toEqual({ x: 10, y: 110 });
+            expect(points.attack.y).toBe(10);
+            expect(points.decay.y).toBe(60);
+            expect(points.sustainEnd.y).toBe(60);
+            expect(points.release.y).toBe(110);
+        });
+
+        test('should draw longer stages wider, in order', () => {
+            const points = global.getEnvelopePoints(envelope());
+            const longer = global.getEnvelopePoints({ ...envelope(), attackTime: 2 });
+
+            expect(points.attack.x).toBeGreaterThan(points.start.x);
+            expect(points.decay.x).toBeGreaterThan(points.attack.x);
+            expect(points.sustain.x).toBeGreaterThan(points.decay.x);
+            expect(points.release.x).toBeGreaterThan(points.sustainEnd.x);
+            expect(longer.attack.x).toBeGreaterThan(points.attack.x);
+            expect(longer.release.x - longer.sustainEnd.x).toBeCloseTo(
+                points.release.x - points.sustainEnd.x,
+                9
+            );
+        });
+
+        test('should fit the longest envelope in the editor', () => {
+            const points = global.getEnvelopePoints({
+                attackTime: 2,
+                decayTime: 2,
+                sustainLevel: 1,
+                releaseTime: 3
+            });
+
+            expect(points.release.x).toBeCloseTo(390, 9);
+        });
+    });
+
+    describe('getEnvelopeUpdate()', () => {
+        test('should give back the settings of the points they are drawn at', () => {
+            const points = global.getEnvelopePoints(envelope());
+
+            expect(global.getEnvelopeUpdate('attack', points.attack.x, 0, envelope())).toEqual({
+                attackTime: 0.5
+            });
+            expect(global.getEnvelopeUpdate('decay', points.decay.x, 0, envelope())).toEqual({
+                decayTime: 0.5
+            });
+            expect(global.getEnvelopeUpdate('sustain', 0, points.sustain.y, envelope())).toEqual({
+                sustainLevel: 0.5
+            });
+            expect(global.getEnvelopeUpdate('release', points.release.x, 0, envelope())).toEqual({
+                releaseTime: 0.75
+            });
+        });
+
+        test('should keep dragged settings within their ranges', () => {
+            expect(global.getEnvelopeUpdate('attack', -50, 0, envelope())).toEqual({
+                attackTime: 0.005
+            });
+            expect(global.getEnvelopeUpdate('release', 1000, 0, envelope())).toEqual({
+                releaseTime: 3
+            });
+            expect(global.getEnvelopeUpdate('sustain', 0, -20, envelope())).toEqual({
+                sustainLevel: 1
+            });
+            expect(global.getEnvelopeUpdate('sustain', 0, 200, envelope())).toEqual({
+                sustainLevel: 0
+            });
+        });
+
+        test('should set nothing for an unknown point', () => {
+            expect(global.getEnvelopeUpdate('hold', 100, 50, envelope())).toEqual({});
+        });
+    });
+
+    test('should skip setup without its elements', () => {
+        const state = new global.CircleState();
+        const panel = new global.SynthPanel({ state });
+
+        expect(panel.unsubscribe).toBeNull();
+        panel.destroy();
+    });
+});
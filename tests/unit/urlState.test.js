@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for URL State
+ * Tests covering links read into state, state written to the URL, history entries
+ * for changes and back and forward navigation
+ */
+
+// UrlState, CircleState and MusicTheory are loaded as globals in the test environment
+
+/**
+ * Window with just the location and history UrlState uses
+ */
+function createWindow(search = '') {
+    const win = {
+        location: { pathname: '/app/', search, hash: '' },
+        pushed: [],
+        replaced: [],
+        listeners: new Map(),
+        history: {
+            state: null,
+            pushState: (_data, _title, url) => {
+                win.pushed.push(url);
+                win.location.search = new URL(url, 'http://localhost').search;
+            },
+            replaceState: (_data, _title, url) => {
+                win.replaced.push(url);
+                win.location.search = new URL(url, 'http://localhost').search;
+            }
+        },
+        addEventListener: (type, listener) => win.listeners.set(type, listener),
+        removeEventListener: type => win.listeners.delete(type)
+    };
+    return win;
+}
+
+describe('URL State', () => {
+    let musicTheory;
+    let win;
+    let urlState;
+
+    beforeEach(() => {
+        musicTheory = new global.MusicTheory();
+        win = createWindow();
+        urlState = new global.UrlState(musicTheory, win);
+    });
+
+    afterEach(() => {
+        urlState.destroy();
+    });
+
+    describe('reading links', () => {
+        test('should read the key, mode, progression and settings of a lesson link', () => {
+            const updates = urlState.read(
+                '?key=D&mode=Dorian&progression=i-IV&tempo=90&waveform=piano&bass=on'
+            );
+
+            expect(updates).toEqual({
+                progression: 'i-IV',
+                mode: 'dorian',
+                selectedKey: 'D',
+                audioSettings: { tempo: 90, waveform: 'piano', bassEnabled: true }
+            });
+        });
+
+        test('should ignore values that are not valid', () => {
+            const updates = urlState.read(
+                '?key=H&mode=ionian-ish&progression=nope&tempo=500&waveform=kazoo&loop=maybe'
+            );
+
+            expect(updates).toEqual({ progression: null });
+        });
+
+        test('should only take progressions of the linked mode', () => {
+            expect(
+                urlState.read('?key=D&mode=dorian&progression=I-V-vi-IV').progression
+            ).toBeNull();
+            expect(urlState.read('?key=D&progression=I-V-vi-IV').progression).toBe('I-V-vi-IV');
+        });
+
+        test('should round-trip a link to D Dorian, ii-V-I, 90 BPM', () => {
+            const state = new global.CircleState(
+                urlState.read('?key=D&mode=dorian&progression=ii-V-I&tempo=90')
+            );
+
+            const linked = urlState.read(urlState.write(state));
+
+            expect(linked.selectedKey).toBe('D');
+            expect(linked.mode).toBe('dorian');
+            expect(linked.progression).toBe('ii-V-I');
+            expect(linked.audioSettings.tempo).toBe(90);
+        });
+
+        test('should start a state from a link', () => {
+            const state = new global.CircleState(urlState.read('?key=Bb&mode=minor&tempo=90'));
+
+            expect(state.getState('selectedKey')).toBe('Bb');
+            expect(state.getState('mode')).toBe('minor');
+            expect(state.getState('audioSettings').tempo).toBe(90);
+            expect(state.getState('audioSettings').waveform).toBe('warmSine');
+            expect(state.canUndo()).toBe(false);
+        });
+    });
+
+    describe('writing links', () => {
+        test('should write every linked setting and read back the same state', () => {
+            const state = new global.CircleState({
+                selectedKey: 'F#',
+                progression: 'I-V-vi-IV',
+                audioSettings: { tempo: 95, countInEnabled: true }
+            });
+
+            const search = urlState.write(state);
+
+            expect(search).toBe(
+                '?key=F%23&mode=major&progression=I-V-vi-IV&tempo=95&waveform=warmSine' +
+                    '&percussion=on&bass=off&loop=on&countIn=on'
+            );
+            expect(urlState.read(search).selectedKey).toBe('F#');
+            expect(urlState.read(search).progression).toBe('I-V-vi-IV');
+        });
+    });
+
+    describe('history', () => {
+        let state;
+
+        beforeEach(() => {
+            state = new global.CircleState();
+            urlState.bindState(state);
+        });
+
+        test('should describe the opening state in the first entry', () => {
+            expect(win.replaced).toEqual([
+                '/app/?key=C&mode=major&tempo=120&waveform=warmSine' +
+                    '&percussion=on&bass=off&loop=on&countIn=off'
+            ]);
+        });
+
+        test('should add an entry only when the URL changes', () => {
+            state.setState({ selectedKey: 'G' });
+            urlState.update();
+            state.setState({ difficulty: 'advanced' });
+            urlState.update();
+
+            expect(win.pushed).toHaveLength(1);
+            expect(win.location.search).toContain('key=G');
+        });
+
+        test('should go back to the state of an earlier entry', () => {
+            const opening = win.location.search;
+            state.setState({ selectedKey: 'A', mode: 'dorian', audioSettings: { tempo: 80 } });
+            urlState.update();
+
+            win.location.search = opening;
+            win.listeners.get('popstate')();
+            urlState.update();
+
+            expect(state.getState('selectedKey')).toBe('C');
+            expect(state.getState('mode')).toBe('major');
+            expect(state.getState('audioSettings').tempo).toBe(120);
+            expect(win.pushed).toHaveLength(1);
+        });
+
+        test('should stop following the state and history when destroyed', () => {
+            urlState.destroy();
+            state.setState({ selectedKey: 'E' });
+            urlState.update();
+
+            expect(win.pushed).toHaveLength(0);
+            expect(win.listeners.has('popstate')).toBe(false);
+        });
+    });
+});
@@ -181,6 +181,19 @@ describe('Voice Leading', () => {
             expect(assignment.totalMovement).toBeLessThan(10);
         });
 
+        test('should keep the given bass note when asked to', () => {
+            const cMajor = audioEngine.createChordVoicing(['C', 'E', 'G'], 3);
+            const g65 = audioEngine.optimizeChordVoicing(['B', 'D', 'F', 'G'], cMajor, 3, true);
+            const lowest = g65.reduce((low, voice) =>
+                audioEngine.musicTheory.getNoteIndex(voice.note) + voice.octave * 12 <
+                audioEngine.musicTheory.getNoteIndex(low.note) + low.octave * 12
+                    ? voice
+                    : low
+            );
+
+            expect(lowest.note).toBe('B');
+        });
+
         test('should preserve common tones in progressions', () => {
             // C major to G major - G is common tone
             const cMajor = audioEngine.createChordVoicing(['C', 'E', 'G'], 3);